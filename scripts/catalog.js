@@ -0,0 +1,136 @@
+/**
+ * Catalog backup and restore from the command line
+ * Works without the API, e.g. after the database (and every account in it) was lost.
+ *
+ *   npm run catalog -- export [--plaintext [--include-keys]] [--owner <userId>]... [--updated-since <date>] [--exclude-deleted]
+ *   npm run catalog -- restore <cid> [--on-conflict skip|overwrite|fail] [--dry-run] [--pin-content]
+ *
+ * The result is printed as JSON; the exit code is 1 on any error.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const ipfsService = require('../src/services/ipfsService');
+const catalogService = require('../src/services/catalogService');
+const { CONFLICT_MODES, buildCatalogFilter } = require('../src/utils/catalogUtils');
+const { isEncryptionConfigured } = require('../src/utils/encryptionUtils');
+const { isValidCid } = require('../src/utils/hashUtils');
+
+const STORAGE_WAIT_MS = 10000;
+const COMMANDS = ['export', 'restore'];
+const USAGE = 'Usage: npm run catalog -- export [options] | npm run catalog -- restore <cid> [options]';
+
+/**
+ * Split arguments into positionals and --options (repeated options collect into arrays)
+ * @param {Array<string>} args - Command line arguments after the command
+ * @returns {Object} - { positionals, options }
+ */
+const parseArgs = (args) => {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positionals.push(args[i]);
+      continue;
+    }
+    const name = args[i].slice(2);
+    const value = args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[++i] : true;
+    options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+  }
+  return { positionals, options };
+};
+
+/**
+ * Wait for the storage backend to finish connecting
+ * @returns {Promise<boolean>} - True once connected
+ */
+const waitForStorage = async () => {
+  const deadline = Date.now() + STORAGE_WAIT_MS;
+  while (!ipfsService.getConnectionStatus() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return ipfsService.getConnectionStatus();
+};
+
+/**
+ * Run one command
+ * @param {string} command - One of COMMANDS
+ * @param {Object} parsed - { positionals, options }
+ * @returns {Promise<Object>} - Result to print
+ */
+const run = async (command, { positionals, options }) => {
+  if (command === 'export') {
+    const plaintext = Boolean(options.plaintext);
+    if (!plaintext && !isEncryptionConfigured()) {
+      throw new Error('Catalog manifests are encrypted with ENCRYPTION_MASTER_KEY, which is not configured; pass --plaintext to store one unencrypted');
+    }
+
+    const { conditions, filter, error } = buildCatalogFilter({
+      ...(options.owner && { owner: [].concat(options.owner) }),
+      ...(options['updated-since'] && { updatedSince: options['updated-since'] }),
+      ...(options['exclude-deleted'] && { includeDeleted: false })
+    });
+    if (error) throw new Error(error);
+
+    return catalogService.exportCatalog({
+      conditions,
+      filter,
+      encrypt: !plaintext,
+      includeKeys: Boolean(options['include-keys']),
+      createdBy: 'cli'
+    });
+  }
+
+  if (command === 'restore') {
+    const [cid] = positionals;
+    const onConflict = options['on-conflict'] || 'skip';
+    if (!isValidCid(cid)) {
+      throw new Error('restore needs the CID of a catalog manifest');
+    }
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      throw new Error(`--on-conflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+    }
+
+    const { manifest, error } = await catalogService.loadManifest(cid);
+    if (error) throw new Error(error);
+
+    const result = await catalogService.restoreCatalog(manifest, {
+      onConflict,
+      dryRun: Boolean(options['dry-run']),
+      pinContent: Boolean(options['pin-content'])
+    });
+    if (result.error) {
+      throw Object.assign(new Error(result.error), { conflicts: result.conflicts });
+    }
+    return result;
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS.includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    await connectDB();
+    if (!await waitForStorage()) {
+      throw new Error(`${ipfsService.name} storage backend is not connected`);
+    }
+    const result = await run(command, parseArgs(args));
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error.conflicts) {
+      console.error(`Conflicting fileIds: ${error.conflicts.join(', ')}`);
+    }
+    exitCode = 1;
+  }
+
+  await mongoose.connection.close();
+  process.exit(exitCode);
+};
+
+main();
@@ -7,16 +7,23 @@ require('dotenv').config();
 // Import configurations and routes
 const connectDB = require('../config/db');
 const fileRoutes = require('./routes/fileRoutes');
+const authRoutes = require('./routes/authRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const retentionRoutes = require('./routes/retentionRoutes');
+const attributeRoutes = require('./routes/attributeRoutes');
+const folderRoutes = require('./routes/folderRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
 
 // Import services to initialize them
 const ipfsService = require('./services/ipfsService');
+const purgeService = require('./services/purgeService');
+const retentionService = require('./services/retentionService');
+const bulkService = require('./services/bulkService');
+const uploadService = require('./services/uploadService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Connect to MongoDB
-connectDB();
-
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -28,8 +35,9 @@ app.use(cors({
     ? ['https://yourdomain.com'] // Add your production domains
     : ['http://localhost:3000', 'http://localhost:3001', 'http://127.0.0.1:3000'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Range', 'If-Range', 'Upload-Offset'],
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'ETag', 'X-File-Hash', 'X-IPFS-Hash', 'X-Version', 'X-Integrity-Verified', 'Upload-Offset', 'Location']
 }));
 
 // Rate limiting - global
@@ -69,6 +77,7 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     version: process.env.npm_package_version || '1.0.0',
     environment: process.env.NODE_ENV || 'development',
+    storageBackend: ipfsService.name,
     ipfsConnected: ipfsService.getConnectionStatus()
   });
 });
@@ -80,45 +89,222 @@ app.get('/', (req, res) => {
     message: 'Decentralized File Metadata Manager API',
     version: '1.0.0',
     documentation: {
+      authentication: 'Send "Authorization: Bearer <accessToken>" or "X-API-Key: <key>"',
       endpoints: [
+        {
+          method: 'POST',
+          path: '/api/auth/register',
+          description: 'Register a new user',
+          body: 'JSON with userId, password and optional displayName'
+        },
+        {
+          method: 'POST',
+          path: '/api/auth/token',
+          description: 'Issue access and refresh tokens',
+          body: 'JSON with userId and password'
+        },
+        {
+          method: 'POST',
+          path: '/api/auth/refresh',
+          description: 'Exchange a refresh token for a new token pair',
+          body: 'JSON with refreshToken'
+        },
+        {
+          method: 'POST',
+          path: '/api/auth/revoke',
+          description: 'Revoke a refresh token or all tokens (authenticated)',
+          body: 'JSON with refreshToken or all=true'
+        },
+        {
+          method: 'GET',
+          path: '/api/auth/me',
+          description: 'Get the authenticated identity'
+        },
+        {
+          method: 'POST',
+          path: '/api/auth/api-keys',
+          description: 'Create an API key (authenticated)',
+          body: 'JSON with optional label'
+        },
+        {
+          method: 'GET',
+          path: '/api/auth/api-keys',
+          description: 'List API keys (authenticated)'
+        },
+        {
+          method: 'DELETE',
+          path: '/api/auth/api-keys/:keyId',
+          description: 'Revoke an API key (authenticated)'
+        },
         {
           method: 'POST',
           path: '/api/files/upload',
-          description: 'Upload a new file',
-          body: 'multipart/form-data with file and owner',
-          example: 'curl -X POST -F "file=@example.txt" -F "owner=user123" http://localhost:3000/api/files/upload'
+          description: 'Upload a new file owned by the caller (authenticated)',
+          body: 'multipart/form-data with file, description, tags, attributes (JSON object)',
+          query: 'encrypt=true to encrypt the content before it reaches IPFS',
+          example: 'curl -X POST -H "Authorization: Bearer <token>" -F "file=@example.txt" http://localhost:3000/api/files/upload'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/upload/batch',
+          description: 'Upload many files at once; each is reported as created, duplicate or failed (authenticated)',
+          body: 'multipart/form-data with files (repeated), shared owner (admins), description, tags, attributes, and metadata (JSON array of per-file overrides)',
+          query: 'encrypt=true to encrypt every file'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/import',
+          description: 'Register content already on IPFS by CID as a new file, or as a new version of a file you can edit (authenticated)',
+          body: 'cid, fileName, mimeType, owner (admins), description, tags, attributes; or cid and fileId for a new version'
         },
         {
           method: 'GET',
           path: '/api/files/:fileId',
-          description: 'Get file metadata by fileId'
+          description: 'Get file metadata by fileId (requires view access)'
+        },
+        {
+          method: 'PATCH',
+          path: '/api/files/:fileId',
+          description: 'Edit file name, description, tags or attributes (requires edit access)',
+          body: 'originalFileName, description, tags, attributes'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/:fileId/history',
+          description: 'Content versions and metadata edits of a file (requires view access)',
+          query: 'type (version or metadata)'
         },
         {
           method: 'GET',
           path: '/api/files/download/:fileId/:versionIndex?',
-          description: 'Download file from IPFS'
+          description: 'Stream file from IPFS (requires view access)',
+          headers: 'Range for 206 partial content; TE: trailers for an X-Integrity-Verified trailer'
         },
         {
           method: 'POST',
           path: '/api/files/update/:fileId',
-          description: 'Add new version to existing file',
-          body: 'multipart/form-data with file and uploadedBy'
+          description: 'Add new version to existing file (owner or editor)',
+          body: 'multipart/form-data with file'
+        },
+        {
+          method: 'POST',
+          path: '/api/uploads',
+          description: 'Start a resumable upload of a new file, or of a new version with fileId (authenticated)',
+          body: 'JSON with fileName, size, mimeType?, fileId?, description?, tags?, attributes?, encrypt?, sha256Hash?'
+        },
+        {
+          method: 'PUT',
+          path: '/api/uploads/:uploadId',
+          description: 'Append a chunk at the Upload-Offset header; GET returns the offset to resume from, DELETE cancels',
+          body: 'application/octet-stream'
+        },
+        {
+          method: 'POST',
+          path: '/api/uploads/:uploadId/complete',
+          description: 'Store the received bytes and create the file or version'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/diff/:fileId/:fromVersion/:toVersion',
+          description: 'Compare two versions (requires view access)',
+          query: 'format (unified or lines)'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/rollback/:fileId/:versionIndex',
+          description: 'Make an earlier version current again (owner or editor)'
         },
         {
           method: 'GET',
           path: '/api/files/verify/:fileId/:versionIndex',
-          description: 'Verify file integrity'
+          description: 'Verify file integrity (requires view access)'
         },
         {
           method: 'GET',
           path: '/api/files/owner/:owner',
-          description: 'Get files by owner'
+          description: 'Get files by owner that the caller can see',
+          query: 'limit (max 100), cursor, sortBy (createdAt|updatedAt|originalFileName), sortOrder, facets (true or tags,mimeType,owner,size,uploadDate), dateInterval (day|week|month|year)'
         },
         {
           method: 'DELETE',
           path: '/api/files/:fileId',
-          description: 'Delete file (soft delete)',
-          body: 'JSON with owner field'
+          description: 'Move file to the trash (soft delete, authenticated owner)'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/bulk',
+          description: 'Start a background job deleting, restoring, retagging, setting attributes on, transferring or moving many files (authenticated)',
+          body: 'JSON with action, params, fileIds or filter (search criteria), dryRun'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/bulk/:jobId',
+          description: 'Bulk job progress and per-file outcomes (job creator); GET /api/files/bulk lists your jobs',
+          query: 'status (succeeded|skipped|failed)'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/trash',
+          description: 'List your deleted files (authenticated)',
+          query: 'limit (max 100), cursor, sortOrder'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/trash/:fileId/restore',
+          description: 'Restore a deleted file (owner)'
+        },
+        {
+          method: 'DELETE',
+          path: '/api/files/trash/:fileId',
+          description: 'Permanently delete a file from the trash (owner)'
+        },
+        {
+          method: 'DELETE',
+          path: '/api/files/trash',
+          description: 'Empty your trash (authenticated)'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/:fileId/acl',
+          description: 'Get the access control list of a file (owner)'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/:fileId/acl',
+          description: 'Grant viewer or editor access to a user or group (owner)',
+          body: 'JSON with principal, principalType (user|group) and role (viewer|editor)'
+        },
+        {
+          method: 'DELETE',
+          path: '/api/files/:fileId/acl/:principalType/:principal',
+          description: 'Revoke access from a user or group (owner)'
+        },
+        {
+          method: 'POST',
+          path: '/api/groups',
+          description: 'Create a group',
+          body: 'JSON with name and optional members'
+        },
+        {
+          method: 'GET',
+          path: '/api/groups',
+          description: 'List groups the caller owns or belongs to'
+        },
+        {
+          method: 'POST',
+          path: '/api/groups/:groupId/members',
+          description: 'Add a group member (group owner)',
+          body: 'JSON with userId'
+        },
+        {
+          method: 'DELETE',
+          path: '/api/groups/:groupId/members/:userId',
+          description: 'Remove a group member (group owner)'
+        },
+        {
+          method: 'DELETE',
+          path: '/api/groups/:groupId',
+          description: 'Delete a group (group owner)'
         },
         {
           method: 'GET',
@@ -128,19 +314,156 @@ app.get('/', (req, res) => {
         {
           method: 'GET',
           path: '/api/files/system/search',
-          description: 'Search files',
-          query: 'query, owner, tags, page, limit'
+          description: 'Search files the caller can see; text queries are ranked and highlighted',
+          query: 'query (words, "phrases", prefix*, -excluded), owner, tags, attr[name] or attr[name][eq|ne|gt|gte|lt|lte|in], limit, cursor, sortBy (relevance|createdAt|updatedAt|originalFileName), sortOrder, facets, dateInterval'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/system/search/reindex',
+          description: 'Recompute the search fields of every file (admin)'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/system/stats',
+          description: 'Storage totals with the largest and most-versioned files per owner (own files; admins see all)',
+          query: 'owner, top'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/system/purge',
+          description: 'Dry-run report of expired deleted files (admin)',
+          query: 'retentionDays'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/system/purge',
+          description: 'Hard delete expired deleted files and unpin their content (admin)',
+          body: 'retentionDays, gc, dryRun'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/system/prune',
+          description: 'Apply version retention policies to every file (admin)',
+          body: 'dryRun'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/system/refcounts/rebuild',
+          description: 'Recompute content reference counts from file versions (admin)'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/system/catalog/export',
+          description: 'Export file records to a versioned catalog manifest pinned on IPFS (admin)',
+          body: 'plaintext, includeKeys, filter { owner, fileIds, updatedSince, includeDeleted }'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/system/catalog/restore',
+          description: 'Recreate file records from a catalog manifest CID (admin)',
+          body: 'cid, onConflict (skip, overwrite or fail), dryRun, pinContent'
+        },
+        {
+          method: 'GET',
+          path: '/api/files/:fileId/retention',
+          description: 'Get a file retention policy and the versions it would prune (owner)'
+        },
+        {
+          method: 'PUT',
+          path: '/api/files/:fileId/retention',
+          description: 'Set a file retention policy (owner)',
+          body: 'keepLast, keepDays, keepFirstPer (day or week)'
+        },
+        {
+          method: 'DELETE',
+          path: '/api/files/:fileId/retention',
+          description: 'Remove a file retention policy (owner)'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/:fileId/retention/apply',
+          description: 'Prune a file\'s versions now (owner)'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/:fileId/versions/:versionIndex/protect',
+          description: 'Protect a version from pruning (owner); DELETE removes the protection'
+        },
+        {
+          method: 'GET',
+          path: '/api/retention',
+          description: 'Get your default retention policy (authenticated); PUT sets it, DELETE removes it',
+          body: 'keepLast, keepDays, keepFirstPer (day or week)'
+        },
+        {
+          method: 'POST',
+          path: '/api/files/archive',
+          description: 'Download listed files, search matches, a folder or every version of a file as one zip or tar with a manifest (authenticated)',
+          body: 'JSON with format (zip|tar) and one of fileIds, filter, folder, versionsOf'
+        },
+        {
+          method: 'POST',
+          path: '/api/folders',
+          description: 'Create a folder and any missing parents (authenticated)',
+          body: 'JSON with path, e.g. /projects/apollo'
+        },
+        {
+          method: 'GET',
+          path: '/api/folders',
+          description: 'List the subfolders and files at a path of your tree (authenticated)',
+          query: 'path (default /), limit, cursor, sortBy, sortOrder'
+        },
+        {
+          method: 'PATCH',
+          path: '/api/folders/:folderId',
+          description: 'Rename a folder or move it under another parent (owner); DELETE removes an empty folder',
+          body: 'name, parent (folder path)'
+        },
+        {
+          method: 'POST',
+          path: '/api/folders/:folderId/publish',
+          description: 'Publish the folder tree as one pinned IPFS directory CID (owner); DELETE unpublishes'
+        },
+        {
+          method: 'PUT',
+          path: '/api/files/:fileId/folder',
+          description: 'Move a file into one of your folders (owner)',
+          body: 'JSON with path'
+        },
+        {
+          method: 'GET',
+          path: '/api/attributes',
+          description: 'Get your attribute definitions (authenticated); PUT replaces them',
+          body: 'definitions: [{ name, type (string, number, boolean or date), required, enum }]'
+        },
+        {
+          method: 'PUT',
+          path: '/api/attributes/:name',
+          description: 'Add or replace one attribute definition (authenticated); DELETE removes it',
+          body: 'type, required, enum, description'
         }
       ]
     },
     links: {
       health: '/health',
+      auth: '/api/auth',
+      groups: '/api/groups',
+      retention: '/api/retention',
+      attributes: '/api/attributes',
+      folders: '/api/folders',
+      uploads: '/api/uploads',
       ipfsStatus: '/api/files/system/status'
     }
   });
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/attributes', attributeRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/uploads', uploadRoutes);
 app.use('/api/files', fileRoutes);
 
 // 404 handler
@@ -151,6 +474,12 @@ app.use('*', (req, res) => {
     availableEndpoints: {
       documentation: 'GET /',
       health: 'GET /health',
+      auth: 'GET|POST|DELETE /api/auth/*',
+      groups: 'GET|POST|DELETE /api/groups/*',
+      retention: 'GET|PUT|DELETE /api/retention',
+      attributes: 'GET|PUT|DELETE /api/attributes',
+      folders: 'GET|POST|PATCH|DELETE /api/folders/*',
+      uploads: 'GET|POST|PUT|DELETE /api/uploads/*',
       files: 'GET|POST|DELETE /api/files/*'
     }
   });
@@ -216,9 +545,13 @@ app.use((error, req, res, next) => {
 });
 
 // Graceful shutdown handler
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = (server, signal) => {
   console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
   
+  purgeService.stopScheduler();
+  retentionService.stopScheduler();
+  uploadService.stopScheduler();
+
   server.close(() => {
     console.log('HTTP server closed');
     
@@ -236,32 +569,55 @@ const gracefulShutdown = (signal) => {
   }, 10000);
 };
 
-// Start server
-const server = app.listen(PORT, () => {
-  console.log('=================================');
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️  MongoDB: ${process.env.MONGODB_URI}`);
-  console.log(`📡 IPFS: ${process.env.IPFS_PROTOCOL}://${process.env.IPFS_HOST}:${process.env.IPFS_PORT}`);
-  console.log(`🔗 API Documentation: http://localhost:${PORT}/`);
-  console.log(`💚 Health Check: http://localhost:${PORT}/health`);
-  console.log('=================================');
-});
+// Connect and start the server only when run directly, so tests can import the app
+if (require.main === module) {
+  // Connect to MongoDB
+  connectDB();
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  // Start server
+  const server = app.listen(PORT, () => {
+    console.log('=================================');
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🗄️  MongoDB: ${process.env.MONGODB_URI}`);
+    console.log(`📦 Storage backend: ${ipfsService.name}`);
+    if (ipfsService.name === 'ipfs') {
+      console.log(`📡 IPFS: ${process.env.IPFS_PROTOCOL}://${process.env.IPFS_HOST}:${process.env.IPFS_PORT}`);
+    }
+    console.log(`🔗 API Documentation: http://localhost:${PORT}/`);
+    console.log(`💚 Health Check: http://localhost:${PORT}/health`);
+    console.log('=================================');
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Hard delete expired soft-deleted files in the background
+  purgeService.startScheduler();
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  // Prune old versions according to retention policies
+  retentionService.startScheduler();
+
+  // Remove resumable uploads nobody came back to
+  uploadService.startScheduler();
+
+  // Bulk jobs run in this process, so any left running by the last one can never finish
+  bulkService.failInterruptedJobs()
+    .then(count => count > 0 && console.log(`⚠️  Marked ${count} interrupted bulk jobs as failed`))
+    .catch(error => console.error('Bulk job recovery error:', error.message));
+
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => gracefulShutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown(server, 'SIGINT'));
+
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
+
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,135 @@
+const archiveService = require('../services/archiveService');
+const { ARCHIVE_FORMATS, ZIP_MAX_ENTRIES, ZIP_MAX_OFFSET, createArchiveWriter } = require('../utils/archiveUtils');
+
+// Ways to choose what goes in an archive; a request uses exactly one
+const ARCHIVE_SOURCES = ['fileIds', 'filter', 'folder', 'versionsOf'];
+
+/**
+ * Plan the archive a request selects
+ * @param {Object} body - Request body with one of ARCHIVE_SOURCES
+ * @param {Object} user - Caller
+ * @returns {Promise<Object>} - { plan, source } or { error, status }
+ */
+const planArchive = async (body, user) => {
+  const given = ARCHIVE_SOURCES.filter(name => body[name] !== undefined);
+  if (given.length !== 1) {
+    return { error: `Provide exactly one of: ${ARCHIVE_SOURCES.join(', ')}`, status: 400 };
+  }
+
+  const [name] = given;
+  const value = body[name];
+  let plan;
+
+  if (name === 'fileIds') {
+    if (!Array.isArray(value) || value.length === 0 || value.some(id => typeof id !== 'string' || !id)) {
+      return { error: 'fileIds must be a non-empty array of strings', status: 400 };
+    }
+    plan = await archiveService.planFiles(user, [...new Set(value)]);
+  } else if (name === 'filter') {
+    // The filter takes the same criteria as search, with string values
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'filter must be an object', status: 400 };
+    }
+    plan = await archiveService.planFilter(user, value);
+  } else if (name === 'folder') {
+    plan = await archiveService.planFolder(user, value);
+  } else {
+    if (typeof value !== 'string' || !value) {
+      return { error: 'versionsOf must be a file ID', status: 400 };
+    }
+    plan = await archiveService.planVersions(user, value);
+  }
+
+  if (plan.error) {
+    return plan;
+  }
+  return { plan, source: { [name]: value } };
+};
+
+/**
+ * Download many files, a folder or every version of a file as one zip or tar archive
+ * Each entry is verified against its SHA-256 hash as it is added; manifest.json,
+ * the last entry, lists every selected version and any that failed.
+ * POST /api/files/archive
+ */
+const downloadArchive = async (req, res) => {
+  try {
+    const { format = 'zip' } = req.body;
+
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${ARCHIVE_FORMATS.join(', ')}`
+      });
+    }
+
+    const { plan, source, error, status } = await planArchive(req.body, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Limits are checked before anything is streamed
+    const { maxFiles, maxBytes } = archiveService.getLimits();
+    const fileCount = plan.items.length;
+    const totalSize = plan.items.reduce((total, item) => total + item.version.fileSize, 0);
+
+    if (fileCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No files to archive'
+      });
+    }
+    if (fileCount > maxFiles || (format === 'zip' && fileCount >= ZIP_MAX_ENTRIES)) {
+      return res.status(400).json({
+        success: false,
+        message: `An archive holds at most ${Math.min(maxFiles, ZIP_MAX_ENTRIES - 1)} files; narrow the selection`
+      });
+    }
+    if (totalSize > maxBytes) {
+      return res.status(400).json({
+        success: false,
+        message: `The selected files total ${totalSize} bytes, over the ${maxBytes}-byte archive limit`
+      });
+    }
+    // The zip writer cannot go past 4 GiB, whatever ARCHIVE_MAX_SIZE_MB allows
+    if (format === 'zip' && archiveService.getZipSizeBound(plan) > ZIP_MAX_OFFSET) {
+      return res.status(400).json({
+        success: false,
+        message: 'Zip archives over 4 GiB are not supported; use format "tar"'
+      });
+    }
+
+    const writer = createArchiveWriter(format);
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+
+    res.status(200).set({
+      'Content-Type': writer.contentType,
+      'Content-Disposition': `attachment; filename="archive-${stamp}.${writer.extension}"`,
+      'X-Archive-Files': fileCount
+    });
+
+    await archiveService.writeArchive(res, writer, plan, {
+      format,
+      source,
+      createdBy: req.user.userId
+    });
+
+  } catch (error) {
+    console.error('Archive error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create archive',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  downloadArchive
+};
@@ -0,0 +1,231 @@
+const User = require('../models/user');
+const { ATTRIBUTE_TYPES } = require('../models/attributeDefinitionSchema');
+const { ATTRIBUTE_NAME_PATTERN, coerceValue } = require('../utils/attributeUtils');
+
+/**
+ * Validate one attribute definition from the request body
+ * @param {Object} body - { name, type, required?, enum?, description? }
+ * @returns {Object} - { definition } or { error }
+ */
+const parseDefinition = (body = {}) => {
+  const { name, type, required, description } = body;
+
+  if (typeof name !== 'string' || !ATTRIBUTE_NAME_PATTERN.test(name)) {
+    return { error: 'name must start with a letter and contain only letters, numbers, dashes and underscores (max 64)' };
+  }
+  if (!ATTRIBUTE_TYPES.includes(type)) {
+    return { error: `type of "${name}" must be one of: ${ATTRIBUTE_TYPES.join(', ')}` };
+  }
+  if (required !== undefined && typeof required !== 'boolean') {
+    return { error: `required of "${name}" must be true or false` };
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return { error: `description of "${name}" must be a string` };
+  }
+
+  const definition = { name, type, required: Boolean(required), description };
+
+  if (body.enum !== undefined && body.enum !== null) {
+    if (!['string', 'number'].includes(type)) {
+      return { error: `enum is only supported for string and number attributes ("${name}")` };
+    }
+    if (!Array.isArray(body.enum) || body.enum.length === 0) {
+      return { error: `enum of "${name}" must be a non-empty array` };
+    }
+
+    const values = [];
+    for (const value of body.enum) {
+      const coerced = coerceValue(value, type);
+      if (coerced.error) {
+        return { error: `enum value ${JSON.stringify(value)} of "${name}" ${coerced.error}` };
+      }
+      values.push(coerced.value);
+    }
+    definition.enum = [...new Set(values)];
+  }
+
+  return { definition };
+};
+
+/**
+ * Shape definitions for responses
+ * @param {Array<Object>} definitions - Attribute definition subdocuments
+ * @returns {Array<Object>} - Plain definitions
+ */
+const formatDefinitions = (definitions) => definitions.map(d => ({
+  name: d.name,
+  type: d.type,
+  required: d.required,
+  ...(d.enum && { enum: d.enum }),
+  ...(d.description && { description: d.description })
+}));
+
+/**
+ * Get the caller's attribute definitions
+ * GET /api/attributes
+ */
+const getAttributeDefinitions = async (req, res) => {
+  try {
+    const user = await User.findActiveById(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: { definitions: formatDefinitions(user ? user.attributeDefinitions : []) }
+    });
+
+  } catch (error) {
+    console.error('Get attribute definitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attribute definitions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace all of the caller's attribute definitions
+ * Existing files are not re-validated; the definitions apply to later uploads and edits.
+ * PUT /api/attributes
+ */
+const setAttributeDefinitions = async (req, res) => {
+  try {
+    const { definitions: input } = req.body;
+    if (!Array.isArray(input)) {
+      return res.status(400).json({
+        success: false,
+        message: 'definitions must be an array'
+      });
+    }
+
+    const definitions = [];
+    for (const body of input) {
+      const { definition, error } = parseDefinition(body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      if (definitions.some(d => d.name === definition.name)) {
+        return res.status(400).json({
+          success: false,
+          message: `Attribute "${definition.name}" is defined more than once`
+        });
+      }
+      definitions.push(definition);
+    }
+
+    const user = await User.findActiveById(req.user.userId);
+    user.attributeDefinitions = definitions;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Attribute definitions updated',
+      data: { definitions: formatDefinitions(user.attributeDefinitions) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Set attribute definitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set attribute definitions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add or replace one attribute definition
+ * PUT /api/attributes/:name
+ */
+const setAttributeDefinition = async (req, res) => {
+  try {
+    const { definition, error } = parseDefinition({ ...req.body, name: req.params.name });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findActiveById(req.user.userId);
+    const index = user.attributeDefinitions.findIndex(d => d.name === definition.name);
+    if (index === -1) {
+      user.attributeDefinitions.push(definition);
+    } else {
+      user.attributeDefinitions.set(index, definition);
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Attribute "${definition.name}" ${index === -1 ? 'defined' : 'updated'}`,
+      data: { definitions: formatDefinitions(user.attributeDefinitions) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Set attribute definition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set attribute definition',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove one attribute definition; values already stored on files are kept
+ * DELETE /api/attributes/:name
+ */
+const deleteAttributeDefinition = async (req, res) => {
+  try {
+    const user = await User.findActiveById(req.user.userId);
+    const before = user.attributeDefinitions.length;
+    user.attributeDefinitions = user.attributeDefinitions.filter(d => d.name !== req.params.name);
+
+    if (user.attributeDefinitions.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attribute definition not found'
+      });
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Attribute "${req.params.name}" removed`,
+      data: { definitions: formatDefinitions(user.attributeDefinitions) }
+    });
+
+  } catch (error) {
+    console.error('Delete attribute definition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove attribute definition',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAttributeDefinitions,
+  setAttributeDefinitions,
+  setAttributeDefinition,
+  deleteAttributeDefinition
+};
@@ -0,0 +1,437 @@
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const {
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateApiKey,
+  generateRefreshToken,
+  signAccessToken
+} = require('../utils/authUtils');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Issue a new access/refresh token pair for a user
+ * @param {Object} user - User document
+ * @param {string} refreshToken - Refresh token to issue (a fresh one by default)
+ * @returns {Promise<Object>} - Token response payload
+ */
+const issueTokenPair = async (user, refreshToken = generateRefreshToken()) => {
+  const refreshTtlDays = parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30;
+  const expiresAt = new Date(Date.now() + refreshTtlDays * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    userId: user.userId,
+    expiresAt
+  });
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: signAccessToken(user),
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt
+  };
+};
+
+/**
+ * Register a new user
+ * POST /api/auth/register
+ */
+const register = async (req, res) => {
+  try {
+    const { userId, password, displayName } = req.body;
+
+    if (!userId || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and password are required'
+      });
+    }
+
+    // Objects such as { "$ne": null } must never reach a query
+    if (typeof userId !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and password must be strings'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const existingUser = await User.findOne({ userId });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'userId is already taken'
+      });
+    }
+
+    const user = new User({
+      userId,
+      displayName: displayName || userId,
+      passwordHash: await hashPassword(password)
+    });
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        userId: user.userId,
+        displayName: user.displayName,
+        createdAt: user.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Issue access and refresh tokens
+ * POST /api/auth/token
+ */
+const issueToken = async (req, res) => {
+  try {
+    const { userId, password } = req.body;
+
+    if (!userId || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and password are required'
+      });
+    }
+
+    if (typeof userId !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and password must be strings'
+      });
+    }
+
+    const user = await User.findActiveById(userId);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid userId or password'
+      });
+    }
+
+    const tokens = await issueTokenPair(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token issued successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Issue token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * POST /api/auth/refresh
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required'
+      });
+    }
+
+    const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    if (!storedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // A rotated token being replayed means it leaked: revoke the whole session family
+    const reuseDetected = async () => {
+      await RefreshToken.revokeAllForUser(storedToken.userId);
+      await User.updateOne({ userId: storedToken.userId }, { $inc: { tokenVersion: 1 } });
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, all sessions revoked'
+      });
+    };
+
+    if (storedToken.revokedAt && storedToken.replacedByHash) {
+      return reuseDetected();
+    }
+
+    if (!storedToken.isUsable) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token expired or revoked'
+      });
+    }
+
+    const user = await User.findActiveById(storedToken.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Claim the token atomically: of two requests replaying it, only one rotates it
+    const replacement = generateRefreshToken();
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { tokenHash: storedToken.tokenHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), replacedByHash: hashToken(replacement) } }
+    );
+    if (!claimed) {
+      return reuseDetected();
+    }
+
+    const tokens = await issueTokenPair(user, replacement);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke a refresh token, or every token of the caller
+ * POST /api/auth/revoke
+ */
+const revokeToken = async (req, res) => {
+  try {
+    const { refreshToken: token, all } = req.body;
+    const { userId } = req.user;
+
+    if (all === true || all === 'true') {
+      await RefreshToken.revokeAllForUser(userId);
+      await User.updateOne({ userId }, { $inc: { tokenVersion: 1 } });
+
+      return res.status(200).json({
+        success: true,
+        message: 'All tokens revoked successfully'
+      });
+    }
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken or all=true is required'
+      });
+    }
+
+    const result = await RefreshToken.updateOne(
+      { tokenHash: hashToken(token), userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refresh token not found or already revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the authenticated user
+ * GET /api/auth/me
+ */
+const getCurrentUser = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+};
+
+/**
+ * Create an API key for the caller
+ * POST /api/auth/api-keys
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { label } = req.body;
+
+    const user = await User.findActiveById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { keyId, key } = generateApiKey();
+    user.apiKeys.push({
+      keyId,
+      keyHash: hashToken(key),
+      label: label || ''
+    });
+
+    await user.save();
+
+    const apiKey = user.getActiveApiKey(keyId);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store it now, it will not be shown again',
+      data: {
+        keyId,
+        key,
+        label: apiKey.label,
+        createdAt: apiKey.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the caller's API keys (without secrets)
+ * GET /api/auth/api-keys
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const user = await User.findActiveById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys: user.apiKeys.map(k => ({
+          keyId: k.keyId,
+          label: k.label,
+          createdAt: k.createdAt,
+          lastUsedAt: k.lastUsedAt,
+          revokedAt: k.revokedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list API keys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the caller's API keys
+ * DELETE /api/auth/api-keys/:keyId
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const result = await User.updateOne(
+      {
+        userId: req.user.userId,
+        apiKeys: { $elemMatch: { keyId, revokedAt: { $exists: false } } }
+      },
+      { $set: { 'apiKeys.$.revokedAt': new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: { keyId }
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  register,
+  issueToken,
+  refreshToken,
+  revokeToken,
+  getCurrentUser,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
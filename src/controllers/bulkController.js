@@ -0,0 +1,320 @@
+const BulkJob = require('../models/bulkJob');
+const { BULK_ACTIONS, ITEM_STATUSES } = require('../models/bulkJob');
+const FileMetadata = require('../models/fileMetadata');
+const User = require('../models/user');
+const bulkService = require('../services/bulkService');
+const folderService = require('../services/folderService');
+const { buildFileSearch } = require('../utils/searchUtils');
+const { parseAttributeInput } = require('../utils/attributeUtils');
+const { parseFolderPath, formatFolderPath } = require('../utils/folderUtils');
+const {
+  parsePagination,
+  buildCursorCondition,
+  buildCursorSort,
+  paginateResults
+} = require('../utils/paginationUtils');
+
+/**
+ * Validate the arguments of a bulk action
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} params - { tags } for addTags/removeTags, { attributes } for setAttributes, { owner } for transferOwnership,
+ *                          { path } for moveToFolder
+ * @returns {Object} - { params } or { error }
+ */
+const parseBulkParams = (action, params = {}) => {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { error: 'params must be an object' };
+  }
+
+  if (action === 'addTags' || action === 'removeTags') {
+    // Same comma-separated form as on upload, or a JSON array
+    const tags = typeof params.tags === 'string' ? params.tags.split(',') : params.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'params.tags must be an array of strings or a comma-separated string' };
+    }
+    const cleaned = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+    if (cleaned.length === 0) {
+      return { error: 'params.tags must contain at least one tag' };
+    }
+    return { params: { tags: cleaned } };
+  }
+
+  if (action === 'setAttributes') {
+    // Merged into each file's attributes; null removes an attribute
+    const { attributes, error } = parseAttributeInput(params.attributes);
+    if (error) {
+      return { error };
+    }
+    if (Object.keys(attributes).length === 0) {
+      return { error: 'params.attributes must set or remove at least one attribute' };
+    }
+    return { params: { attributes } };
+  }
+
+  if (action === 'transferOwnership') {
+    if (typeof params.owner !== 'string' || !params.owner.trim()) {
+      return { error: 'params.owner must be a non-empty string' };
+    }
+    return { params: { owner: params.owner.trim() } };
+  }
+
+  if (action === 'moveToFolder') {
+    const { segments, error } = parseFolderPath(params.path);
+    if (error) {
+      return { error: `params.path: ${error}` };
+    }
+    return { params: { path: formatFolderPath(segments) } };
+  }
+
+  return { params: {} };
+};
+
+/**
+ * Resolve the files a bulk request selects, either listed or matched by a search filter
+ * @param {Object} body - { action, fileIds?, filter? }
+ * @param {Object} user - Caller
+ * @returns {Promise<Object>} - { fileIds, filter } (the criteria used, if any) or { error }
+ */
+const selectFiles = async ({ action, fileIds, filter }, user) => {
+  const maxFiles = bulkService.getMaxFiles();
+
+  if ((fileIds === undefined) === (filter === undefined)) {
+    return { error: 'Provide either fileIds or filter' };
+  }
+
+  if (fileIds !== undefined) {
+    if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.some(id => typeof id !== 'string' || !id)) {
+      return { error: 'fileIds must be a non-empty array of strings' };
+    }
+    const unique = [...new Set(fileIds)];
+    if (unique.length > maxFiles) {
+      return { error: `At most ${maxFiles} files can be selected at once` };
+    }
+    return { fileIds: unique };
+  }
+
+  // The filter takes the same criteria as search, with string values
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'filter must be an object' };
+  }
+  let definitions = [];
+  if (filter.attr) {
+    const caller = await User.findOne({ userId: user.userId }, 'attributeDefinitions');
+    definitions = caller ? caller.attributeDefinitions : [];
+  }
+  const search = buildFileSearch(filter, definitions);
+  if (search.error) {
+    return { error: search.error };
+  }
+
+  // Restores look in the caller's trash; everything else in the files the caller can see
+  const conditions = action === 'restore'
+    ? { isActive: false, $and: [{ owner: user.userId }, ...search.conditions] }
+    : { isActive: true, $and: [FileMetadata.accessFilter(user), ...search.conditions] };
+  if (search.text) {
+    conditions.$text = search.text;
+  }
+
+  const matches = await FileMetadata.find(conditions, 'fileId').sort({ _id: 1 }).limit(maxFiles + 1);
+  if (matches.length > maxFiles) {
+    return { error: `filter matches more than ${maxFiles} files; narrow it down` };
+  }
+  const { query, owner, tags, attr } = filter;
+  return {
+    fileIds: matches.map(file => file.fileId),
+    filter: Object.fromEntries(Object.entries({ query, owner, tags, attr }).filter(([, value]) => value !== undefined))
+  };
+};
+
+/**
+ * Describe a job for a response
+ * @param {Object} job - Bulk job document
+ * @param {Object} options - { items: include per-file outcomes, itemStatus: only outcomes with this status }
+ * @returns {Object} - Job summary
+ */
+const formatJob = (job, options = {}) => ({
+  jobId: job.jobId,
+  action: job.action,
+  params: job.params,
+  ...(job.filter && { filter: job.filter }),
+  dryRun: job.dryRun,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  summary: job.getSummary(),
+  ...(job.error && { error: job.error }),
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  ...(options.items && {
+    items: job.items
+      .filter(item => !options.itemStatus || item.status === options.itemStatus)
+      .map(item => ({ fileId: item.fileId, status: item.status, message: item.message }))
+  })
+});
+
+/**
+ * Start a bulk action over listed files or the files matching a search filter
+ * The job runs in the background; poll GET /api/files/bulk/:jobId for progress.
+ * POST /api/files/bulk
+ */
+const createBulkJob = async (req, res) => {
+  try {
+    const { action, dryRun = false } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${BULK_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'dryRun must be a boolean'
+      });
+    }
+
+    const { params, error } = parseBulkParams(action, req.body.params);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (action === 'transferOwnership' && !(await User.findOne({ userId: params.owner }, 'userId'))) {
+      return res.status(400).json({
+        success: false,
+        message: `Owner "${params.owner}" not found`
+      });
+    }
+
+    // Files can only be moved into the caller's own folders
+    if (action === 'moveToFolder') {
+      const resolved = await folderService.resolve(req.user.userId, params.path);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+      params.folderId = resolved.folder ? resolved.folder.folderId : null;
+    }
+
+    const selection = await selectFiles(req.body, req.user);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        message: selection.error
+      });
+    }
+
+    const job = await bulkService.createJob(req.user, {
+      action,
+      params,
+      fileIds: selection.fileIds,
+      filter: selection.filter,
+      dryRun
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${dryRun ? 'Dry run' : 'Bulk job'} started for ${job.total} files`,
+      data: formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('Create bulk job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start bulk job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a bulk job's progress and per-file outcomes (creator only)
+ * GET /api/files/bulk/:jobId
+ */
+const getBulkJob = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    const job = await BulkJob.findOne({ jobId: req.params.jobId, createdBy: req.user.userId });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatJob(job, { items: true, itemStatus: status })
+    });
+
+  } catch (error) {
+    console.error('Get bulk job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get bulk job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the caller's bulk jobs, newest first
+ * GET /api/files/bulk
+ */
+const listBulkJobs = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt'], defaultSortBy: 'createdAt' });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const conditions = [{ createdBy: req.user.userId }];
+    const after = buildCursorCondition(pagination);
+    if (after) conditions.push(after);
+
+    const { items: jobs, pagination: page } = paginateResults(
+      await BulkJob.find({ $and: conditions }).sort(buildCursorSort(pagination)).limit(pagination.limit + 1),
+      pagination
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => formatJob(job)),
+        pagination: page
+      }
+    });
+
+  } catch (error) {
+    console.error('List bulk jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list bulk jobs',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createBulkJob,
+  getBulkJob,
+  listBulkJobs
+};
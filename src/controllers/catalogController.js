@@ -0,0 +1,132 @@
+const catalogService = require('../services/catalogService');
+const { CONFLICT_MODES, buildCatalogFilter } = require('../utils/catalogUtils');
+const { isEncryptionConfigured } = require('../utils/encryptionUtils');
+const { isValidCid } = require('../utils/hashUtils');
+
+/**
+ * Export the file catalog, or part of it, as a manifest pinned on IPFS
+ * POST /api/files/system/catalog/export
+ */
+const exportCatalog = async (req, res) => {
+  try {
+    const { plaintext = false, includeKeys = false } = req.body;
+    if (typeof plaintext !== 'boolean' || typeof includeKeys !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'plaintext and includeKeys must be booleans'
+      });
+    }
+    if (!plaintext && !isEncryptionConfigured()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Catalog manifests are encrypted with ENCRYPTION_MASTER_KEY, which is not configured; pass plaintext: true to store one unencrypted'
+      });
+    }
+
+    const { conditions, filter, error } = buildCatalogFilter(req.body.filter);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await catalogService.exportCatalog({
+      conditions,
+      filter,
+      encrypt: !plaintext,
+      includeKeys,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Exported ${result.summary.files} files to ${result.cid}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Catalog export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export catalog',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rebuild file records from a catalog manifest
+ * POST /api/files/system/catalog/restore
+ */
+const restoreCatalog = async (req, res) => {
+  try {
+    const { onConflict = 'skip', dryRun, pinContent } = req.body;
+    const cid = typeof req.body.cid === 'string' ? req.body.cid.trim() : req.body.cid;
+
+    if (!isValidCid(cid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'cid must be the CID of a catalog manifest'
+      });
+    }
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({
+        success: false,
+        message: `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`
+      });
+    }
+
+    const { manifest, encrypted, error, status } = await catalogService.loadManifest(cid);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await catalogService.restoreCatalog(manifest, {
+      onConflict,
+      dryRun: dryRun === true || dryRun === 'true',
+      pinContent: pinContent === true || pinContent === 'true'
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        data: { conflicts: result.conflicts }
+      });
+    }
+
+    const { summary } = result;
+    res.status(200).json({
+      success: true,
+      message: `${result.dryRun ? 'Restore dry run' : 'Restore'}: ${summary.created} created, ${summary.overwritten} overwritten, ${summary.skipped} skipped, ${summary.failed} failed`,
+      data: {
+        manifest: {
+          cid,
+          version: manifest.version,
+          encrypted,
+          wrappedKeys: manifest.wrappedKeys !== false,
+          createdAt: manifest.createdAt,
+          createdBy: manifest.createdBy
+        },
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Catalog restore error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore catalog',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportCatalog,
+  restoreCatalog
+};
@@ -1,12 +1,164 @@
+const { Readable, pipeline } = require('stream');
 const FileMetadata = require('../models/fileMetadata');
+const { SORT_FIELDS } = require('../models/fileMetadata');
+const User = require('../models/user');
 const ipfsService = require('../services/ipfsService');
+const purgeService = require('../services/purgeService');
+const contentService = require('../services/contentService');
+const uploadService = require('../services/uploadService');
+const statsService = require('../services/statsService');
+const { FACETS, DATE_INTERVALS } = require('../services/statsService');
+const { isAdmin } = require('../middleware/auth');
+const { discardUpload } = require('../middleware/ipfsStorage');
+const {
+  decryptChunks,
+  alignRange,
+  decryptRangeChunks,
+  decryptBuffer
+} = require('../utils/encryptionUtils');
 const { 
   generateSHA256FromBuffer, 
-  generateFileId, 
+  createHashingStream,
   verifyHash, 
-  isValidSHA256 
+  isValidSHA256,
+  isValidCid
 } = require('../utils/hashUtils');
 
+const {
+  isJsonMimeType,
+  isTextMimeType,
+  diffLines,
+  toLineChanges,
+  formatUnifiedDiff,
+  diffJson
+} = require('../utils/diffUtils');
+const {
+  buildFileSearch,
+  buildHighlights
+} = require('../utils/searchUtils');
+const {
+  parseAttributeInput,
+  validateAttributes,
+  mergeAttributes
+} = require('../utils/attributeUtils');
+const {
+  parsePagination,
+  buildCursorCondition,
+  buildCursorSort,
+  paginateResults
+} = require('../utils/paginationUtils');
+const { mapWithConcurrency, createKeyedQueue } = require('../utils/batchUtils');
+
+const ACCESS_ROLES = ['viewer', 'editor'];
+const PRINCIPAL_TYPES = ['user', 'group'];
+const DIFF_FORMATS = ['unified', 'lines'];
+const HISTORY_EVENT_TYPES = ['version', 'metadata'];
+const DIFF_MAX_SIZE_MB = parseFloat(process.env.DIFF_MAX_SIZE_MB) || 5;
+const BATCH_UPLOAD_CONCURRENCY = parseInt(process.env.BATCH_UPLOAD_CONCURRENCY) || 4;
+
+/**
+ * Load a user's attribute definitions
+ * @param {string} userId - Owner of the definitions
+ * @returns {Promise<Array<Object>>} - Attribute definitions (empty if none)
+ */
+const loadAttributeDefinitions = async (userId) => {
+  const user = await User.findOne({ userId }, 'attributeDefinitions');
+  return user ? user.attributeDefinitions : [];
+};
+
+/**
+ * Read the facet options of a listing request
+ * @param {Object} query - Request query (facets=true or a comma-separated list, dateInterval)
+ * @returns {Object} - { facets } (null when not requested) or { error }
+ */
+const parseFacetOptions = (query) => {
+  const { facets, dateInterval = 'month' } = query;
+  if (facets === undefined || facets === 'false') {
+    return { facets: null };
+  }
+  if (typeof facets !== 'string') {
+    return { error: 'facets must be true or a comma-separated list of facet names' };
+  }
+
+  const names = facets === 'true' ? FACETS : [...new Set(facets.split(',').map(name => name.trim()))];
+  const unknown = names.filter(name => !FACETS.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown facets: ${unknown.join(', ')}. Use one of: ${FACETS.join(', ')}` };
+  }
+  if (!DATE_INTERVALS.includes(dateInterval)) {
+    return { error: `dateInterval must be one of: ${DATE_INTERVALS.join(', ')}` };
+  }
+  return { facets: { facets: names, dateInterval } };
+};
+
+/**
+ * Download a version's content, decrypting it if needed, and check its hash
+ * @param {Object} version - File version
+ * @returns {Promise<Buffer>} - Verified plaintext; throws with status 502 on a hash mismatch
+ */
+const loadVerifiedContent = async (version) => {
+  const storedBuffer = await ipfsService.downloadFile(version.ipfsHash);
+  const content = version.encryption ? decryptBuffer(storedBuffer, version.encryption) : storedBuffer;
+
+  if (!verifyHash(content, version.sha256Hash)) {
+    const error = new Error(`Integrity check failed for version ${version.versionNumber}`);
+    error.status = 502;
+    throw error;
+  }
+  return content;
+};
+
+/**
+ * Pipe file chunks to the response while hashing them
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<Buffer>} source - File chunks
+ * @param {Object} options - { expectedHash, useTrailer }; skip verification when expectedHash is null
+ * @returns {Promise<boolean>} - True if the response completed (and verified, when checked)
+ */
+const streamContent = (res, source, { expectedHash, useTrailer }) => {
+  return new Promise((resolve) => {
+    const input = Readable.from(source);
+    const hashingStream = createHashingStream();
+
+    res.on('close', () => input.destroy());
+
+    pipeline(input, hashingStream, (error) => {
+      if (error) {
+        console.error('Download stream error:', error);
+        res.destroy(error);
+        resolve(false);
+      }
+    });
+
+    hashingStream.pipe(res, { end: false });
+
+    hashingStream.on('end', () => {
+      if (!expectedHash) {
+        res.end();
+        return resolve(true);
+      }
+
+      const { sha256Hash } = hashingStream.getResult();
+      const isValid = sha256Hash === expectedHash.toLowerCase();
+
+      if (useTrailer) {
+        res.addTrailers({
+          'X-Integrity-Verified': String(isValid),
+          'X-Actual-Hash': sha256Hash
+        });
+        res.end();
+      } else if (isValid) {
+        res.end();
+      } else {
+        console.error(`File integrity verification failed: expected ${expectedHash}, got ${sha256Hash}`);
+        res.destroy(new Error('File integrity verification failed'));
+      }
+
+      resolve(isValid);
+    });
+  });
+};
+
 /**
  * Upload a new file
  * POST /api/files/upload
@@ -21,82 +173,76 @@ const uploadFile = async (req, res) => {
       });
     }
 
-    const { owner, description, tags } = req.body;
-    
-    if (!owner) {
+    const { description, tags } = req.body;
+    const owner = req.user.userId;
+
+    // Content was hashed and streamed to IPFS by the upload storage engine
+    const { sha256Hash, ipfsHash, size: fileSize } = req.file;
+    console.log(`Generated SHA256 hash: ${sha256Hash}`);
+    console.log(`File uploaded to IPFS: ${ipfsHash}`);
+
+    const input = req.body.attributes !== undefined ? parseAttributeInput(req.body.attributes) : { attributes: {} };
+    if (input.error) {
+      await discardUpload(ipfsHash);
       return res.status(400).json({
         success: false,
-        message: 'Owner ID is required'
+        message: 'Invalid attributes',
+        errors: [input.error]
       });
     }
 
-    const fileBuffer = req.file.buffer;
-    const originalFileName = req.file.originalname;
-    const mimeType = req.file.mimetype;
-    const fileSize = req.file.size;
+    const { fileMetadata, duplicate, errors } = await uploadService.createFile(req.file, {
+      owner,
+      uploadedBy: owner,
+      description,
+      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+      attributes: input.attributes,
+      definitions: await loadAttributeDefinitions(owner)
+    });
 
-    // Generate SHA256 hash
-    const sha256Hash = generateSHA256FromBuffer(fileBuffer);
-    console.log(`Generated SHA256 hash: ${sha256Hash}`);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attributes',
+        errors
+      });
+    }
 
-    // Check if file with same hash already exists
-    const existingFile = await FileMetadata.findByHash(sha256Hash);
-    if (existingFile) {
+    if (duplicate) {
       return res.status(409).json({
         success: false,
-        message: 'File with identical content already exists',
+        message: 'You already have a file with identical content',
         data: {
-          existingFileId: existingFile.fileId,
+          existingFileId: duplicate.fileId,
           existingHash: sha256Hash
         }
       });
     }
 
-    // Upload to IPFS
-    const ipfsResult = await ipfsService.uploadFile(fileBuffer);
-    const ipfsHash = ipfsResult.hash;
-    console.log(`File uploaded to IPFS: ${ipfsHash}`);
-
-    // Generate unique file ID
-    const fileId = generateFileId(originalFileName, owner);
-
-    // Create file metadata
-    const fileMetadata = new FileMetadata({
-      fileId,
-      originalFileName,
-      owner,
-      description: description || '',
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      versions: [{
-        versionNumber: 1,
-        sha256Hash,
-        ipfsHash,
-        fileSize,
-        mimeType,
-        uploadedBy: owner
-      }]
-    });
-
-    await fileMetadata.save();
-
+    const version = fileMetadata.versions[0];
     res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
       data: {
-        fileId,
-        originalFileName,
+        fileId: fileMetadata.fileId,
+        originalFileName: fileMetadata.originalFileName,
         owner,
         sha256Hash,
         ipfsHash,
         fileSize,
-        mimeType,
+        mimeType: version.mimeType,
+        attributes: fileMetadata.getAttributes(),
+        encrypted: Boolean(req.file.encryption),
         versionNumber: 1,
-        uploadedAt: fileMetadata.versions[0].uploadedAt
+        uploadedAt: version.uploadedAt
       }
     });
 
   } catch (error) {
     console.error('Upload error:', error);
+    if (req.file) {
+      await discardUpload(req.file.ipfsHash);
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to upload file',
@@ -105,6 +251,397 @@ const uploadFile = async (req, res) => {
   }
 };
 
+/**
+ * Read one set of batch upload fields (the shared form fields or one metadata entry)
+ * @param {Object} raw - { owner?, description?, tags?, attributes? }
+ * @returns {Object} - { fields } or { error }
+ */
+const parseBatchEntry = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'metadata entries must be objects' };
+  }
+
+  const fields = {};
+  if (raw.owner !== undefined) {
+    if (typeof raw.owner !== 'string' || !raw.owner.trim()) {
+      return { error: 'owner must be a non-empty string' };
+    }
+    fields.owner = raw.owner.trim();
+  }
+
+  if (raw.description !== undefined) {
+    if (typeof raw.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    fields.description = raw.description;
+  }
+
+  if (raw.tags !== undefined) {
+    const tags = typeof raw.tags === 'string' ? raw.tags.split(',') : raw.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings or a comma-separated string' };
+    }
+    fields.tags = tags.map(tag => tag.trim()).filter(Boolean);
+  }
+
+  if (raw.attributes !== undefined) {
+    const { attributes, error } = parseAttributeInput(raw.attributes);
+    if (error) {
+      return { error };
+    }
+    fields.attributes = attributes;
+  }
+
+  return { fields };
+};
+
+/**
+ * Combine the shared batch fields with the optional per-file metadata array
+ * @param {Object} body - Form fields: owner?, description?, tags?, attributes?, metadata? (JSON array, one entry per file)
+ * @param {number} fileCount - Number of files in the request
+ * @returns {Object} - { entries } ({ fields } or { error } per file) or { error } for the whole request
+ */
+const parseBatchFields = (body, fileCount) => {
+  const shared = parseBatchEntry(body);
+  if (shared.error) {
+    return { error: shared.error };
+  }
+
+  let metadata = [];
+  if (body.metadata !== undefined) {
+    try {
+      metadata = JSON.parse(body.metadata);
+    } catch (error) {
+      return { error: 'metadata must be a JSON array with one entry per file' };
+    }
+    if (!Array.isArray(metadata) || metadata.length !== fileCount) {
+      return { error: `metadata must be a JSON array with one entry per file (${fileCount} files received)` };
+    }
+  }
+
+  const entries = Array.from({ length: fileCount }, (_, index) => {
+    const own = metadata[index] === undefined || metadata[index] === null ? { fields: {} } : parseBatchEntry(metadata[index]);
+    if (own.error) {
+      return own;
+    }
+    return {
+      fields: {
+        ...shared.fields,
+        ...own.fields,
+        // A null per-file attribute removes a shared one
+        attributes: mergeAttributes(shared.fields.attributes, own.fields.attributes)
+      }
+    };
+  });
+
+  return { entries };
+};
+
+/**
+ * Upload many files in one request
+ * Each file is created, reported as a duplicate or failed on its own; files
+ * are processed BATCH_UPLOAD_CONCURRENCY at a time.
+ * POST /api/files/upload/batch
+ */
+const uploadBatch = async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files provided'
+      });
+    }
+
+    const { entries, error } = parseBatchFields(req.body, files.length);
+    if (error) {
+      await Promise.all(files.map(file => discardUpload(file.ipfsHash)));
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const caller = req.user.userId;
+    const admin = isAdmin(req.user);
+
+    // Owners are looked up once per batch
+    const owners = new Map();
+    const loadOwner = (owner) => {
+      if (!owners.has(owner)) {
+        owners.set(owner, User.findOne({ userId: owner }, 'attributeDefinitions'));
+      }
+      return owners.get(owner);
+    };
+
+    const processFile = async (file, index) => {
+      const result = { index, originalFileName: file.originalname };
+      const fail = async (message, errors) => {
+        await discardUpload(file.ipfsHash);
+        return { ...result, status: 'failed', error: message, ...(errors && { errors }) };
+      };
+
+      if (file.uploadError) {
+        return { ...result, status: 'failed', error: `Upload failed: ${file.uploadError}` };
+      }
+      if (entries[index].error) {
+        return fail(entries[index].error);
+      }
+
+      const { owner = caller, ...fields } = entries[index].fields;
+      if (owner !== caller && !admin) {
+        return fail('Only administrators can upload files for other owners');
+      }
+
+      try {
+        const user = await loadOwner(owner);
+        if (!user && owner !== caller) {
+          return fail(`Owner "${owner}" not found`);
+        }
+
+        const { fileMetadata, duplicate, errors } = await uploadService.createFile(file, {
+          ...fields,
+          owner,
+          uploadedBy: caller,
+          definitions: user ? user.attributeDefinitions : []
+        });
+
+        if (errors) {
+          return { ...result, status: 'failed', error: 'Invalid attributes', errors };
+        }
+        if (duplicate) {
+          return { ...result, status: 'duplicate', existingFileId: duplicate.fileId, sha256Hash: file.sha256Hash };
+        }
+        return {
+          ...result,
+          status: 'created',
+          fileId: fileMetadata.fileId,
+          owner,
+          sha256Hash: file.sha256Hash,
+          ipfsHash: file.ipfsHash,
+          fileSize: file.size
+        };
+
+      } catch (error) {
+        console.error(`Batch upload error for ${file.originalname}:`, error);
+        return fail(error.message);
+      }
+    };
+
+    // Files with identical content run one after another, so a repeat is seen
+    // as a duplicate and shared content is never discarded while it is being saved
+    const enqueue = createKeyedQueue();
+    const results = await mapWithConcurrency(files, BATCH_UPLOAD_CONCURRENCY, (file, index) => (
+      file.sha256Hash ? enqueue(file.sha256Hash, () => processFile(file, index)) : processFile(file, index)
+    ));
+
+    const summary = { total: results.length, created: 0, duplicate: 0, failed: 0 };
+    results.forEach(result => { summary[result.status]++; });
+
+    res.status(200).json({
+      success: true,
+      message: `Processed ${summary.total} files: ${summary.created} created, ${summary.duplicate} duplicate, ${summary.failed} failed`,
+      data: { summary, results }
+    });
+
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    await Promise.all(files.map(file => discardUpload(file.ipfsHash)));
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process batch upload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Register content already on IPFS by its CID, as a new file or a new version
+ * The content is fetched and hashed here, then saved with the same checks as an
+ * upload; it is stored as it is on IPFS, so it is never encrypted.
+ * POST /api/files/import
+ */
+const importFile = async (req, res) => {
+  try {
+    const { fileName, fileId, mimeType, encrypt } = req.body;
+    const cid = typeof req.body.cid === 'string' ? req.body.cid.trim() : req.body.cid;
+    const caller = req.user.userId;
+
+    if (!isValidCid(cid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'cid must be a CIDv0 (Qm...) or base32 CIDv1 (b...)'
+      });
+    }
+    if (encrypt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Imported content stays as it is on IPFS and cannot be encrypted'
+      });
+    }
+    if (mimeType !== undefined && (typeof mimeType !== 'string' || !mimeType.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'mimeType must be a non-empty string'
+      });
+    }
+
+    // A new version of an existing file
+    if (fileId !== undefined) {
+      const { owner, description, tags, attributes } = req.body;
+      if ([owner, description, tags, attributes].some(field => field !== undefined)) {
+        return res.status(400).json({
+          success: false,
+          message: 'owner, description, tags and attributes apply to new files only'
+        });
+      }
+
+      const fileMetadata = await FileMetadata.findOne({ fileId, isActive: true });
+      if (!fileMetadata || !fileMetadata.canEdit(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found or access denied'
+        });
+      }
+
+      const file = await uploadService.fetchByCid(cid, {
+        fileName: typeof fileName === 'string' && fileName.trim() ? fileName.trim() : fileMetadata.originalFileName,
+        mimeType: mimeType && mimeType.trim()
+      });
+      if (file.error) {
+        return res.status(file.status).json({
+          success: false,
+          message: file.error
+        });
+      }
+
+      const { version, current } = await uploadService.addVersion(fileMetadata, file, caller);
+      if (current) {
+        return res.status(409).json({
+          success: false,
+          message: 'This content is already the current version',
+          data: {
+            existingVersion: current.versionNumber
+          }
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'New version imported successfully',
+        data: {
+          fileId: fileMetadata.fileId,
+          versionNumber: version.versionNumber,
+          sha256Hash: version.sha256Hash,
+          ipfsHash: version.ipfsHash,
+          fileSize: version.fileSize,
+          mimeType: version.mimeType,
+          encrypted: false,
+          uploadedAt: version.uploadedAt,
+          uploadedBy: version.uploadedBy
+        }
+      });
+    }
+
+    // A new file: the same fields as one batch upload entry
+    if (typeof fileName !== 'string' || !fileName.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'fileName must be a non-empty string'
+      });
+    }
+
+    const { fields, error } = parseBatchEntry(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { owner = caller, ...metadata } = fields;
+    if (owner !== caller && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can import files for other owners'
+      });
+    }
+
+    const user = await User.findOne({ userId: owner }, 'attributeDefinitions');
+    if (!user && owner !== caller) {
+      return res.status(404).json({
+        success: false,
+        message: `Owner "${owner}" not found`
+      });
+    }
+
+    const file = await uploadService.fetchByCid(cid, {
+      fileName: fileName.trim(),
+      mimeType: mimeType && mimeType.trim()
+    });
+    if (file.error) {
+      return res.status(file.status).json({
+        success: false,
+        message: file.error
+      });
+    }
+
+    const { fileMetadata, duplicate, errors } = await uploadService.createFile(file, {
+      ...metadata,
+      owner,
+      uploadedBy: caller,
+      definitions: user ? user.attributeDefinitions : []
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attributes',
+        errors
+      });
+    }
+
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: owner === caller ? 'You already have a file with identical content' : 'The owner already has a file with identical content',
+        data: {
+          existingFileId: duplicate.fileId,
+          existingHash: file.sha256Hash
+        }
+      });
+    }
+
+    const version = fileMetadata.versions[0];
+    res.status(201).json({
+      success: true,
+      message: 'File imported successfully',
+      data: {
+        fileId: fileMetadata.fileId,
+        originalFileName: fileMetadata.originalFileName,
+        owner,
+        sha256Hash: version.sha256Hash,
+        ipfsHash: version.ipfsHash,
+        fileSize: version.fileSize,
+        mimeType: version.mimeType,
+        attributes: fileMetadata.getAttributes(),
+        encrypted: false,
+        versionNumber: 1,
+        uploadedAt: version.uploadedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import file',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get file metadata
  * GET /api/files/:fileId
@@ -118,10 +655,10 @@ const getFileMetadata = async (req, res) => {
       isActive: true 
     });
 
-    if (!fileMetadata) {
+    if (!fileMetadata || !fileMetadata.canView(req.user)) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
+        message: 'File not found or access denied'
       });
     }
 
@@ -133,9 +670,12 @@ const getFileMetadata = async (req, res) => {
         owner: fileMetadata.owner,
         description: fileMetadata.description,
         tags: fileMetadata.tags,
+        attributes: fileMetadata.getAttributes(),
         versionCount: fileMetadata.versionCount,
         currentVersion: fileMetadata.currentVersion,
         versions: fileMetadata.versions,
+        accessRole: fileMetadata.getAccessRole(req.user),
+        ...(fileMetadata.owner === req.user.userId && { acl: fileMetadata.acl, folderId: fileMetadata.folderId }),
         createdAt: fileMetadata.createdAt,
         updatedAt: fileMetadata.updatedAt
       }
@@ -152,22 +692,189 @@ const getFileMetadata = async (req, res) => {
 };
 
 /**
- * Download file from IPFS
- * GET /api/files/download/:fileId/:versionIndex?
+ * Validate editable metadata fields from the request body
+ * @param {Object} body - { originalFileName?, description?, tags?, attributes? }
+ * @returns {Object} - { updates } or { error }
  */
-const downloadFile = async (req, res) => {
-  try {
-    const { fileId, versionIndex } = req.params;
+const parseMetadataUpdate = (body = {}) => {
+  const updates = {};
 
-    const fileMetadata = await FileMetadata.findOne({ 
-      fileId, 
-      isActive: true 
-    });
+  if (body.originalFileName !== undefined) {
+    if (typeof body.originalFileName !== 'string' || !body.originalFileName.trim()) {
+      return { error: 'originalFileName must be a non-empty string' };
+    }
+    updates.originalFileName = body.originalFileName;
+  }
 
-    if (!fileMetadata) {
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    updates.description = body.description;
+  }
+
+  if (body.tags !== undefined) {
+    // Same comma-separated form as on upload, or a JSON array
+    const tags = typeof body.tags === 'string' ? body.tags.split(',') : body.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings or a comma-separated string' };
+    }
+    updates.tags = tags.map(tag => tag.trim()).filter(Boolean);
+  }
+
+  if (body.attributes !== undefined) {
+    // Merged into the current attributes; null removes an attribute
+    const { attributes, error } = parseAttributeInput(body.attributes);
+    if (error) return { error };
+    updates.attributes = attributes;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: `Provide at least one of ${FileMetadata.EDITABLE_FIELDS.join(', ')}` };
+  }
+  return { updates };
+};
+
+/**
+ * Edit a file's name, description, tags or attributes and record the change
+ * PATCH /api/files/:fileId
+ */
+const updateFileMetadata = async (req, res) => {
+  try {
+    const { updates, error } = parseMetadataUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const fileMetadata = await FileMetadata.findOne({
+      fileId: req.params.fileId,
+      isActive: true
+    });
+
+    if (!fileMetadata || !fileMetadata.canEdit(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    if (updates.attributes) {
+      const merged = mergeAttributes(fileMetadata.getAttributes(), updates.attributes);
+      const checked = validateAttributes(merged, await loadAttributeDefinitions(fileMetadata.owner));
+      if (checked.errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid attributes',
+          errors: checked.errors
+        });
+      }
+      updates.attributes = checked.attributes;
+    }
+
+    const changes = fileMetadata.updateMetadata(updates, req.user.userId);
+    if (changes.length > 0) {
+      await fileMetadata.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0 ? 'File metadata updated' : 'No changes',
+      data: {
+        fileId: fileMetadata.fileId,
+        originalFileName: fileMetadata.originalFileName,
+        description: fileMetadata.description,
+        tags: fileMetadata.tags,
+        attributes: fileMetadata.getAttributes(),
+        changes,
+        updatedAt: fileMetadata.updatedAt
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Update metadata error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update file metadata',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a file's history: content versions and metadata edits, oldest first
+ * GET /api/files/:fileId/history
+ */
+const getFileHistory = async (req, res) => {
+  try {
+    const fileMetadata = await FileMetadata.findOne({
+      fileId: req.params.fileId,
+      isActive: true
+    });
+
+    if (!fileMetadata || !fileMetadata.canView(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const { type } = req.query;
+    if (type && !HISTORY_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${HISTORY_EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const events = fileMetadata.getHistory().filter(event => !type || event.type === type);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileMetadata.fileId,
+        versionCount: fileMetadata.versionCount,
+        metadataChangeCount: fileMetadata.metadataHistory.length,
+        events
+      }
+    });
+
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve file history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download file from IPFS
+ * GET /api/files/download/:fileId/:versionIndex?
+ */
+const downloadFile = async (req, res) => {
+  try {
+    const { fileId, versionIndex } = req.params;
+
+    const fileMetadata = await FileMetadata.findOne({ 
+      fileId, 
+      isActive: true 
+    });
+
+    if (!fileMetadata || !fileMetadata.canView(req.user)) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
+        message: 'File not found or access denied'
       });
     }
 
@@ -186,294 +893,904 @@ const downloadFile = async (req, res) => {
       version = fileMetadata.getLatestVersion();
     }
 
-    if (!version) {
-      return res.status(404).json({
-        success: false,
-        message: 'No versions available'
-      });
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'No versions available'
+      });
+    }
+
+    const fileSize = version.fileSize;
+    const etag = `"${version.sha256Hash}"`;
+
+    res.set({
+      'Content-Type': version.mimeType,
+      'Content-Disposition': `attachment; filename="${fileMetadata.originalFileName}"`,
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'X-File-Hash': version.sha256Hash,
+      'X-IPFS-Hash': version.ipfsHash,
+      'X-Version': version.versionNumber
+    });
+
+    // Resolve a single byte range; multiple or malformed ranges fall back to the whole file
+    let range = null;
+    const ifRange = req.get('If-Range');
+    if (req.get('Range') && fileSize > 0 && (!ifRange || ifRange === etag)) {
+      const ranges = req.range(fileSize, { combine: true });
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${fileSize}`);
+        return res.status(416).json({
+          success: false,
+          message: 'Requested range not satisfiable'
+        });
+      }
+
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    // Encrypted ranges are read from the enclosing cipher block
+    const encryption = version.encryption;
+    const alignedRange = range && encryption ? alignRange(range.start, range.end) : null;
+
+    let downloadOptions = {};
+    if (alignedRange) {
+      downloadOptions = { offset: alignedRange.offset, length: alignedRange.length };
+    } else if (range) {
+      downloadOptions = { offset: range.start, length: range.end - range.start + 1 };
+    }
+
+    // Stop reading from storage as soon as the client goes away
+    const disconnected = new AbortController();
+    res.on('close', () => disconnected.abort());
+
+    // Pull the first chunk before committing headers so IPFS failures still get a JSON error
+    const content = ipfsService.downloadStream(version.ipfsHash, { ...downloadOptions, signal: disconnected.signal });
+    const firstChunk = await content.next();
+
+    // Whole-file downloads are hashed as they stream. Clients that accept trailers
+    // get the verdict in X-Integrity-Verified; otherwise a mismatch aborts the response.
+    const useTrailer = !range && /\btrailers\b/i.test(req.get('TE') || '');
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${fileSize}`,
+        'Content-Length': range.end - range.start + 1
+      });
+    } else if (useTrailer) {
+      res.status(200).set('Trailer', 'X-Integrity-Verified, X-Actual-Hash');
+    } else {
+      res.status(200).set('Content-Length', fileSize);
+    }
+
+    if (req.method === 'HEAD') {
+      await content.return();
+      return res.end();
+    }
+
+    let source = (async function* () {
+      if (!firstChunk.done) yield firstChunk.value;
+      yield* content;
+    })();
+
+    if (alignedRange) {
+      source = decryptRangeChunks(source, encryption, alignedRange);
+    } else if (encryption) {
+      source = decryptChunks(source, encryption);
+    }
+
+    await streamContent(res, source, {
+      expectedHash: range ? null : version.sha256Hash,
+      useTrailer
+    });
+
+  } catch (error) {
+    console.error('Download error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add new version of existing file
+ * POST /api/files/update/:fileId
+ */
+const addNewVersion = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file provided'
+      });
+    }
+
+    const uploadedBy = req.user.userId;
+
+    const fileMetadata = await FileMetadata.findOne({ 
+      fileId, 
+      isActive: true 
+    });
+
+    // Content was hashed and streamed to IPFS by the upload storage engine
+    if (!fileMetadata || !fileMetadata.canEdit(req.user)) {
+      await discardUpload(req.file.ipfsHash);
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    // Identical current content is discarded rather than added as another version
+    const { version: newVersion, current } = await uploadService.addVersion(fileMetadata, req.file, uploadedBy);
+    if (current) {
+      return res.status(409).json({
+        success: false,
+        message: 'This content is already the current version',
+        data: {
+          existingVersion: current.versionNumber
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'New version added successfully',
+      data: {
+        fileId: fileMetadata.fileId,
+        versionNumber: newVersion.versionNumber,
+        sha256Hash: newVersion.sha256Hash,
+        ipfsHash: newVersion.ipfsHash,
+        fileSize: newVersion.fileSize,
+        mimeType: newVersion.mimeType,
+        encrypted: Boolean(newVersion.encryption),
+        uploadedAt: newVersion.uploadedAt,
+        uploadedBy: newVersion.uploadedBy
+      }
+    });
+
+  } catch (error) {
+    console.error('Add version error:', error);
+    if (req.file) {
+      await discardUpload(req.file.ipfsHash);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add new version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Roll back to an earlier version by appending a copy of it as the new current version
+ * POST /api/files/rollback/:fileId/:versionIndex
+ */
+const rollbackVersion = async (req, res) => {
+  try {
+    const { fileId, versionIndex } = req.params;
+
+    const fileMetadata = await FileMetadata.findOne({
+      fileId,
+      isActive: true
+    });
+
+    if (!fileMetadata || !fileMetadata.canEdit(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const source = fileMetadata.getVersion(versionIndex);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const currentVersion = fileMetadata.currentVersion;
+    if (source.sha256Hash === currentVersion.sha256Hash) {
+      return res.status(409).json({
+        success: false,
+        message: 'This content is already the current version',
+        data: {
+          existingVersion: currentVersion.versionNumber
+        }
+      });
+    }
+
+    // Imported content pinned outside this service keeps that pin once counted again
+    const externallyPinned = await contentService.isPinnedElsewhere(source.ipfsHash);
+
+    fileMetadata.rollbackTo(source.versionNumber, req.user.userId);
+    await fileMetadata.save();
+
+    const newVersion = fileMetadata.currentVersion;
+    await uploadService.retainSaved(newVersion.ipfsHash, newVersion.fileSize, externallyPinned);
+
+    res.status(201).json({
+      success: true,
+      message: `Rolled back to version ${source.versionNumber}`,
+      data: {
+        fileId: fileMetadata.fileId,
+        versionNumber: newVersion.versionNumber,
+        restoredFrom: newVersion.restoredFrom,
+        sha256Hash: newVersion.sha256Hash,
+        ipfsHash: newVersion.ipfsHash,
+        fileSize: newVersion.fileSize,
+        mimeType: newVersion.mimeType,
+        encrypted: Boolean(newVersion.encryption),
+        uploadedAt: newVersion.uploadedAt,
+        uploadedBy: newVersion.uploadedBy
+      }
+    });
+
+  } catch (error) {
+    console.error('Rollback version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify file integrity
+ * GET /api/files/verify/:fileId/:versionIndex
+ */
+const verifyFileIntegrity = async (req, res) => {
+  try {
+    const { fileId, versionIndex } = req.params;
+
+    const fileMetadata = await FileMetadata.findOne({ 
+      fileId, 
+      isActive: true 
+    });
+
+    if (!fileMetadata || !fileMetadata.canView(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    // Get specific version
+    const versionNumber = parseInt(versionIndex);
+    const version = fileMetadata.getVersion(versionNumber);
+    
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${versionNumber} not found`
+      });
+    }
+
+    try {
+      // Download file from IPFS
+      const storedBuffer = await ipfsService.downloadFile(version.ipfsHash);
+
+      // Encrypted versions: the ciphertext must still hash to its CID and decrypt
+      // with a valid auth tag before the plaintext hash is checked
+      let fileBuffer = storedBuffer;
+      let encryptionCheck;
+      if (version.encryption) {
+        const actualCid = await ipfsService.computeCid(storedBuffer);
+        encryptionCheck = {
+          encrypted: true,
+          actualIpfsHash: actualCid,
+          cidMatches: actualCid === version.ipfsHash,
+          decrypted: true
+        };
+
+        try {
+          fileBuffer = decryptBuffer(storedBuffer, version.encryption);
+        } catch (decryptError) {
+          console.error('Decrypt for verification error:', decryptError);
+          encryptionCheck.decrypted = false;
+          fileBuffer = null;
+        }
+      }
+
+      // Verify hash
+      const hashMatches = fileBuffer ? verifyHash(fileBuffer, version.sha256Hash) : false;
+      const isValid = hashMatches && (!encryptionCheck || encryptionCheck.cidMatches);
+      
+      const verificationResult = {
+        fileId,
+        versionNumber,
+        ipfsHash: version.ipfsHash,
+        expectedHash: version.sha256Hash,
+        actualHash: fileBuffer ? generateSHA256FromBuffer(fileBuffer) : null,
+        isValid,
+        fileSize: fileBuffer ? fileBuffer.length : null,
+        expectedFileSize: version.fileSize,
+        sizesMatch: fileBuffer ? fileBuffer.length === version.fileSize : false,
+        ...encryptionCheck,
+        verifiedAt: new Date()
+      };
+
+      res.status(200).json({
+        success: true,
+        message: isValid ? 'File integrity verified' : 'File integrity verification failed',
+        data: verificationResult
+      });
+
+    } catch (ipfsError) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download file from IPFS for verification',
+        error: ipfsError.message,
+        data: {
+          fileId,
+          versionNumber,
+          ipfsHash: version.ipfsHash
+        }
+      });
+    }
+
+  } catch (error) {
+    console.error('Verify integrity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify file integrity',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compare two versions of a file
+ * Text is diffed line by line, JSON structurally; other types only report size, hash and MIME changes
+ * GET /api/files/diff/:fileId/:fromVersion/:toVersion
+ */
+const diffVersions = async (req, res) => {
+  try {
+    const { fileId, fromVersion, toVersion } = req.params;
+    const { format = 'unified' } = req.query;
+
+    if (!DIFF_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${DIFF_FORMATS.join(', ')}`
+      });
+    }
+
+    const fileMetadata = await FileMetadata.findOne({
+      fileId,
+      isActive: true
+    });
+
+    if (!fileMetadata || !fileMetadata.canView(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const from = fileMetadata.getVersion(fromVersion);
+    const to = fileMetadata.getVersion(toVersion);
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const describe = (version) => ({
+      versionNumber: version.versionNumber,
+      sha256Hash: version.sha256Hash,
+      ipfsHash: version.ipfsHash,
+      fileSize: version.fileSize,
+      mimeType: version.mimeType,
+      uploadedAt: version.uploadedAt,
+      uploadedBy: version.uploadedBy
+    });
+
+    const result = {
+      fileId,
+      from: describe(from),
+      to: describe(to),
+      identical: from.sha256Hash === to.sha256Hash,
+      changes: {
+        size: { from: from.fileSize, to: to.fileSize, delta: to.fileSize - from.fileSize },
+        hashChanged: from.sha256Hash !== to.sha256Hash,
+        mimeTypeChanged: from.mimeType !== to.mimeType
+      },
+      type: 'binary'
+    };
+
+    const maxBytes = DIFF_MAX_SIZE_MB * 1024 * 1024;
+    const textual = isTextMimeType(from.mimeType) && isTextMimeType(to.mimeType);
+    const json = isJsonMimeType(from.mimeType) && isJsonMimeType(to.mimeType);
+
+    if (!textual) {
+      return res.status(200).json({ success: true, data: result });
+    }
+
+    result.type = json ? 'json' : 'text';
+    if (result.identical) {
+      return res.status(200).json({ success: true, data: result });
+    }
+
+    if (from.fileSize > maxBytes || to.fileSize > maxBytes) {
+      result.type = 'binary';
+      result.reason = `Content diff is limited to files of ${DIFF_MAX_SIZE_MB}MB`;
+      return res.status(200).json({ success: true, data: result });
+    }
+
+    const [fromContent, toContent] = await Promise.all([
+      loadVerifiedContent(from),
+      loadVerifiedContent(to)
+    ]);
+    const fromText = fromContent.toString('utf8');
+    const toText = toContent.toString('utf8');
+
+    if (json) {
+      try {
+        const changes = diffJson(JSON.parse(fromText), JSON.parse(toText));
+        result.diff = changes;
+        result.stats = {
+          added: changes.filter(c => c.op === 'add').length,
+          removed: changes.filter(c => c.op === 'remove').length,
+          replaced: changes.filter(c => c.op === 'replace').length
+        };
+        return res.status(200).json({ success: true, data: result });
+      } catch (parseError) {
+        // Not valid JSON in one of the versions: fall back to a text diff
+        result.jsonError = parseError.message;
+      }
+    }
+
+    const lineDiff = diffLines(fromText, toText);
+    result.type = 'text';
+    result.format = format;
+    result.diff = format === 'lines'
+      ? toLineChanges(lineDiff.ops)
+      : formatUnifiedDiff(lineDiff.ops, {
+        oldLabel: `${fileMetadata.originalFileName}@v${from.versionNumber}`,
+        newLabel: `${fileMetadata.originalFileName}@v${to.versionNumber}`
+      });
+    result.stats = {
+      additions: lineDiff.additions,
+      deletions: lineDiff.deletions,
+      approximate: lineDiff.approximate
+    };
+
+    res.status(200).json({ success: true, data: result });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Diff versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to diff versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List files by owner
+ * GET /api/files/owner/:owner
+ */
+const getFilesByOwner = async (req, res) => {
+  try {
+    const { owner } = req.params;
+
+    const pagination = parsePagination(req.query, { sortFields: SORT_FIELDS, defaultSortBy: 'createdAt' });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const facetOptions = parseFacetOptions(req.query);
+    if (facetOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: facetOptions.error
+      });
+    }
+
+    // Only return the owner's files that the caller is allowed to see
+    const accessFilter = FileMetadata.accessFilter(req.user);
+
+    // One extra file tells whether another page follows
+    const { items: files, pagination: page } = paginateResults(
+      await FileMetadata.findByOwner(owner, { ...pagination, limit: pagination.limit + 1, filter: accessFilter }),
+      pagination
+    );
+    const facets = facetOptions.facets
+      ? await statsService.getFacets({ owner, isActive: true, ...accessFilter }, facetOptions.facets)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        files: files.map(file => ({
+          fileId: file.fileId,
+          originalFileName: file.originalFileName,
+          owner: file.owner,
+          description: file.description,
+          tags: file.tags,
+          attributes: file.getAttributes(),
+          versionCount: file.versionCount,
+          currentVersion: file.currentVersion,
+          createdAt: file.createdAt,
+          updatedAt: file.updatedAt
+        })),
+        pagination: page,
+        ...(facets && { facets })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get files by owner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve files',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete file (soft delete)
+ * DELETE /api/files/:fileId
+ */
+const deleteFile = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const owner = req.user.userId;
+
+    const fileMetadata = await FileMetadata.findOne({ 
+      fileId, 
+      owner, 
+      isActive: true 
+    });
+
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    // Soft delete into the trash (hard deleted by the purge job once the retention period passes)
+    fileMetadata.softDelete(owner);
+    await fileMetadata.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'File moved to trash',
+      data: {
+        fileId,
+        deletedAt: fileMetadata.deletedAt,
+        deletedBy: fileMetadata.deletedBy
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the caller's deleted files
+ * GET /api/files/trash
+ */
+const listTrash = async (req, res) => {
+  try {
+    const owner = req.user.userId;
+
+    const pagination = parsePagination(req.query, { sortFields: ['deletedAt'], defaultSortBy: 'deletedAt' });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const { items: files, pagination: page } = paginateResults(
+      await FileMetadata.findTrash(owner, { ...pagination, limit: pagination.limit + 1 }),
+      pagination
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        files: files.map(file => ({
+          fileId: file.fileId,
+          originalFileName: file.originalFileName,
+          description: file.description,
+          tags: file.tags,
+          attributes: file.getAttributes(),
+          versionCount: file.versionCount,
+          currentVersion: file.currentVersion,
+          deletedAt: file.deletedAt || file.updatedAt,
+          deletedBy: file.deletedBy
+        })),
+        pagination: page
+      }
+    });
+
+  } catch (error) {
+    console.error('List trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve trash',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore a deleted file from the trash (owner only)
+ * POST /api/files/trash/:fileId/restore
+ */
+const restoreFile = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const fileMetadata = await FileMetadata.findOne({
+      fileId,
+      owner: req.user.userId,
+      isActive: false
+    });
+
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found in trash'
+      });
+    }
+
+    // Owners hold at most one active file per content, as on upload
+    const sha256Hash = fileMetadata.currentVersion.sha256Hash;
+    const duplicate = await FileMetadata.findByHash(sha256Hash, fileMetadata.owner);
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a file with identical content',
+        data: {
+          existingFileId: duplicate.fileId,
+          existingHash: sha256Hash
+        }
+      });
+    }
+
+    fileMetadata.restore();
+    await fileMetadata.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'File restored successfully',
+      data: {
+        fileId: fileMetadata.fileId,
+        originalFileName: fileMetadata.originalFileName,
+        versionCount: fileMetadata.versionCount,
+        currentVersion: fileMetadata.currentVersion
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Permanently delete one file from the trash, or empty the whole trash
+ * DELETE /api/files/trash/:fileId
+ * DELETE /api/files/trash
+ */
+const emptyTrash = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const query = { owner: req.user.userId, isActive: false };
+    if (fileId) {
+      query.fileId = fileId;
     }
 
-    // Download from IPFS
-    const fileBuffer = await ipfsService.downloadFile(version.ipfsHash);
+    const files = await FileMetadata.find(query);
 
-    // Verify integrity
-    const isValid = verifyHash(fileBuffer, version.sha256Hash);
-    if (!isValid) {
-      return res.status(500).json({
+    if (fileId && files.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'File integrity verification failed'
+        message: 'File not found in trash'
       });
     }
 
-    // Set response headers
-    res.set({
-      'Content-Type': version.mimeType,
-      'Content-Length': fileBuffer.length,
-      'Content-Disposition': `attachment; filename="${fileMetadata.originalFileName}"`,
-      'X-File-Hash': version.sha256Hash,
-      'X-IPFS-Hash': version.ipfsHash,
-      'X-Version': version.versionNumber
-    });
+    const result = await purgeService.purgeFiles(files);
 
-    res.send(fileBuffer);
+    res.status(200).json({
+      success: true,
+      message: fileId ? 'File permanently deleted' : 'Trash emptied',
+      data: {
+        deletedCount: result.deletedCount,
+        fileIds: result.files.map(f => f.fileId),
+        unpinned: result.unpinned,
+        reclaimableBytes: result.reclaimableBytes
+      }
+    });
 
   } catch (error) {
-    console.error('Download error:', error);
+    console.error('Empty trash error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to download file',
+      message: 'Failed to empty trash',
       error: error.message
     });
   }
 };
 
 /**
- * Add new version of existing file
- * POST /api/files/update/:fileId
+ * Get the access control list of a file (owner only)
+ * GET /api/files/:fileId/acl
  */
-const addNewVersion = async (req, res) => {
+const getFileAcl = async (req, res) => {
   try {
     const { fileId } = req.params;
-    
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No file provided'
-      });
-    }
-
-    const { uploadedBy } = req.body;
-    
-    if (!uploadedBy) {
-      return res.status(400).json({
-        success: false,
-        message: 'uploadedBy is required'
-      });
-    }
 
     const fileMetadata = await FileMetadata.findOne({ 
       fileId, 
+      owner: req.user.userId, 
       isActive: true 
     });
 
     if (!fileMetadata) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
-      });
-    }
-
-    const fileBuffer = req.file.buffer;
-    const mimeType = req.file.mimetype;
-    const fileSize = req.file.size;
-
-    // Generate SHA256 hash
-    const sha256Hash = generateSHA256FromBuffer(fileBuffer);
-
-    // Check if this version already exists
-    const existingVersion = fileMetadata.versions.find(v => v.sha256Hash === sha256Hash);
-    if (existingVersion) {
-      return res.status(409).json({
-        success: false,
-        message: 'This version already exists',
-        data: {
-          existingVersion: existingVersion.versionNumber
-        }
+        message: 'File not found or access denied'
       });
     }
 
-    // Upload to IPFS
-    const ipfsResult = await ipfsService.uploadFile(fileBuffer);
-    const ipfsHash = ipfsResult.hash;
-
-    // Add new version
-    const newVersion = fileMetadata.addVersion({
-      sha256Hash,
-      ipfsHash,
-      fileSize,
-      mimeType,
-      uploadedBy
-    });
-
-    await fileMetadata.save();
-
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'New version added successfully',
       data: {
-        fileId: fileMetadata.fileId,
-        versionNumber: newVersion.versionNumber,
-        sha256Hash: newVersion.sha256Hash,
-        ipfsHash: newVersion.ipfsHash,
-        fileSize: newVersion.fileSize,
-        mimeType: newVersion.mimeType,
-        uploadedAt: newVersion.uploadedAt,
-        uploadedBy: newVersion.uploadedBy
+        fileId,
+        owner: fileMetadata.owner,
+        acl: fileMetadata.acl
       }
     });
 
   } catch (error) {
-    console.error('Add version error:', error);
+    console.error('Get ACL error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add new version',
+      message: 'Failed to retrieve access control list',
       error: error.message
     });
   }
 };
 
 /**
- * Verify file integrity
- * GET /api/files/verify/:fileId/:versionIndex
+ * Grant a user or group access to a file (owner only)
+ * POST /api/files/:fileId/acl
  */
-const verifyFileIntegrity = async (req, res) => {
+const grantFileAccess = async (req, res) => {
   try {
-    const { fileId, versionIndex } = req.params;
+    const { fileId } = req.params;
+    const { principalType = 'user', role } = req.body;
 
-    const fileMetadata = await FileMetadata.findOne({ 
-      fileId, 
-      isActive: true 
-    });
+    if (!req.body.principal || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'principal and role are required'
+      });
+    }
 
-    if (!fileMetadata) {
-      return res.status(404).json({
+    // Compared and stored trimmed, as the schema saves it
+    const principal = typeof req.body.principal === 'string' ? req.body.principal.trim() : null;
+    if (!principal) {
+      return res.status(400).json({
         success: false,
-        message: 'File not found'
+        message: 'principal must be a non-empty string'
       });
     }
 
-    // Get specific version
-    const versionNumber = parseInt(versionIndex);
-    const version = fileMetadata.getVersion(versionNumber);
-    
-    if (!version) {
-      return res.status(404).json({
+    if (!ACCESS_ROLES.includes(role)) {
+      return res.status(400).json({
         success: false,
-        message: `Version ${versionNumber} not found`
+        message: `role must be one of: ${ACCESS_ROLES.join(', ')}`
       });
     }
 
-    try {
-      // Download file from IPFS
-      const fileBuffer = await ipfsService.downloadFile(version.ipfsHash);
+    if (!PRINCIPAL_TYPES.includes(principalType)) {
+      return res.status(400).json({
+        success: false,
+        message: `principalType must be one of: ${PRINCIPAL_TYPES.join(', ')}`
+      });
+    }
 
-      // Verify hash
-      const isValid = verifyHash(fileBuffer, version.sha256Hash);
-      
-      const verificationResult = {
-        fileId,
-        versionNumber,
-        ipfsHash: version.ipfsHash,
-        expectedHash: version.sha256Hash,
-        actualHash: generateSHA256FromBuffer(fileBuffer),
-        isValid,
-        fileSize: fileBuffer.length,
-        expectedFileSize: version.fileSize,
-        sizesMatch: fileBuffer.length === version.fileSize,
-        verifiedAt: new Date()
-      };
+    const fileMetadata = await FileMetadata.findOne({ 
+      fileId, 
+      owner: req.user.userId, 
+      isActive: true 
+    });
 
-      res.status(200).json({
-        success: true,
-        message: isValid ? 'File integrity verified' : 'File integrity verification failed',
-        data: verificationResult
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
       });
+    }
 
-    } catch (ipfsError) {
-      res.status(500).json({
+    if (principalType === 'user' && principal === fileMetadata.owner) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to download file from IPFS for verification',
-        error: ipfsError.message,
-        data: {
-          fileId,
-          versionNumber,
-          ipfsHash: version.ipfsHash
-        }
+        message: 'The owner already has full access'
       });
     }
 
-  } catch (error) {
-    console.error('Verify integrity error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to verify file integrity',
-      error: error.message
+    const entry = fileMetadata.grantAccess({
+      principalType,
+      principal,
+      role,
+      grantedBy: req.user.userId
     });
-  }
-};
-
-/**
- * List files by owner
- * GET /api/files/owner/:owner
- */
-const getFilesByOwner = async (req, res) => {
-  try {
-    const { owner } = req.params;
-    const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-
-    const options = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sortBy,
-      sortOrder: sortOrder === 'asc' ? 1 : -1
-    };
 
-    const files = await FileMetadata.findByOwner(owner, options);
-    const totalCount = await FileMetadata.countDocuments({ owner, isActive: true });
+    await fileMetadata.save();
 
     res.status(200).json({
       success: true,
+      message: 'Access granted successfully',
       data: {
-        files: files.map(file => ({
-          fileId: file.fileId,
-          originalFileName: file.originalFileName,
-          owner: file.owner,
-          description: file.description,
-          tags: file.tags,
-          versionCount: file.versionCount,
-          currentVersion: file.currentVersion,
-          createdAt: file.createdAt,
-          updatedAt: file.updatedAt
-        })),
-        pagination: {
-          currentPage: options.page,
-          totalPages: Math.ceil(totalCount / options.limit),
-          totalCount,
-          hasNext: options.page < Math.ceil(totalCount / options.limit),
-          hasPrev: options.page > 1
-        }
+        fileId,
+        entry,
+        acl: fileMetadata.acl
       }
     });
 
   } catch (error) {
-    console.error('Get files by owner error:', error);
+    console.error('Grant access error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve files',
+      message: 'Failed to grant access',
       error: error.message
     });
   }
 };
 
 /**
- * Delete file (soft delete)
- * DELETE /api/files/:fileId
+ * Revoke a user's or group's access to a file (owner only)
+ * DELETE /api/files/:fileId/acl/:principalType/:principal
  */
-const deleteFile = async (req, res) => {
+const revokeFileAccess = async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const { owner } = req.body;
-
-    if (!owner) {
-      return res.status(400).json({
-        success: false,
-        message: 'Owner verification required'
-      });
-    }
+    const { fileId, principalType, principal } = req.params;
 
     const fileMetadata = await FileMetadata.findOne({ 
       fileId, 
-      owner, 
+      owner: req.user.userId, 
       isActive: true 
     });
 
@@ -484,24 +1801,29 @@ const deleteFile = async (req, res) => {
       });
     }
 
-    // Soft delete
-    fileMetadata.isActive = false;
+    if (!fileMetadata.revokeAccess(principalType, principal)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No access entry found for this principal'
+      });
+    }
+
     await fileMetadata.save();
 
     res.status(200).json({
       success: true,
-      message: 'File deleted successfully',
+      message: 'Access revoked successfully',
       data: {
         fileId,
-        deletedAt: new Date()
+        acl: fileMetadata.acl
       }
     });
 
   } catch (error) {
-    console.error('Delete file error:', error);
+    console.error('Revoke access error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete file',
+      message: 'Failed to revoke access',
       error: error.message
     });
   }
@@ -546,49 +1868,77 @@ const getIPFSStatus = async (req, res) => {
 
 /**
  * Search files
- * GET /api/files/search
+ * Full-text queries are ranked by relevance and return highlighted snippets
+ * GET /api/files/system/search
  */
 const searchFiles = async (req, res) => {
   try {
-    const { query, owner, tags, page = 1, limit = 10 } = req.query;
+    const { query, owner, tags, attr } = req.query;
 
-    if (!query && !owner && !tags) {
+    const search = buildFileSearch(req.query, attr ? await loadAttributeDefinitions(req.user.userId) : []);
+    if (search.error) {
       return res.status(400).json({
         success: false,
-        message: 'At least one search parameter is required'
+        message: search.error
       });
     }
 
-    let searchConditions = { isActive: true };
-
-    // Text search in filename and description
-    if (query) {
-      searchConditions.$or = [
-        { originalFileName: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ];
+    const facetOptions = parseFacetOptions(req.query);
+    if (facetOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: facetOptions.error
+      });
     }
 
-    // Filter by owner
-    if (owner) {
-      searchConditions.owner = owner;
+    // Only files the caller can see
+    const { text: textSearch, parsedQuery } = search;
+    const searchConditions = { isActive: true, $and: [FileMetadata.accessFilter(req.user), ...search.conditions] };
+    if (textSearch) {
+      searchConditions.$text = textSearch;
     }
 
-    // Filter by tags
-    if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim());
-      searchConditions.tags = { $in: tagArray };
+    // Rank text matches by relevance unless another order is asked for
+    const pagination = parsePagination(req.query, {
+      sortFields: textSearch ? ['relevance', ...SORT_FIELDS] : SORT_FIELDS,
+      defaultSortBy: textSearch ? 'relevance' : 'createdAt'
+    });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+    if (pagination.sortBy === 'relevance' && pagination.sortOrder !== -1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Relevance can only be sorted in descending order'
+      });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const [files, totalCount] = await Promise.all([
-      FileMetadata.find(searchConditions)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      FileMetadata.countDocuments(searchConditions)
+    const findPage = () => {
+      // One extra file tells whether another page follows
+      if (pagination.sortBy === 'relevance') {
+        return FileMetadata.findByRelevance(searchConditions, { limit: pagination.limit + 1, cursor: pagination.cursor });
+      }
+
+      const after = buildCursorCondition(pagination);
+      const pageConditions = after ? { ...searchConditions, $and: [...searchConditions.$and, after] } : searchConditions;
+      return FileMetadata.find(pageConditions, textSearch ? { score: { $meta: 'textScore' } } : {})
+        .sort(buildCursorSort(pagination))
+        .limit(pagination.limit + 1);
+    };
+
+    // Facets count the whole result set, not just this page
+    const [found, facets] = await Promise.all([
+      findPage(),
+      facetOptions.facets ? statsService.getFacets(searchConditions, facetOptions.facets) : null
     ]);
+    const { items: files, pagination: page } = paginateResults(
+      found,
+      pagination,
+      file => file.get(pagination.sortBy === 'relevance' ? 'score' : pagination.sortBy)
+    );
 
     res.status(200).json({
       success: true,
@@ -599,19 +1949,17 @@ const searchFiles = async (req, res) => {
           owner: file.owner,
           description: file.description,
           tags: file.tags,
+          attributes: file.getAttributes(),
           versionCount: file.versionCount,
           currentVersion: file.currentVersion,
           createdAt: file.createdAt,
-          updatedAt: file.updatedAt
+          updatedAt: file.updatedAt,
+          ...(textSearch && { score: file.get('score') }),
+          ...(parsedQuery && { highlights: buildHighlights(file, parsedQuery) })
         })),
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(totalCount / parseInt(limit)),
-          totalCount,
-          hasNext: parseInt(page) < Math.ceil(totalCount / parseInt(limit)),
-          hasPrev: parseInt(page) > 1
-        },
-        searchCriteria: { query, owner, tags }
+        pagination: page,
+        searchCriteria: { query, owner, tags, attr },
+        ...(facets && { facets })
       }
     });
 
@@ -625,14 +1973,107 @@ const searchFiles = async (req, res) => {
   }
 };
 
+/**
+ * Recompute the derived search fields of every file (administrators)
+ * POST /api/files/system/search/reindex
+ */
+const reindexSearch = async (req, res) => {
+  try {
+    const updated = await FileMetadata.rebuildSearchFields();
+
+    res.status(200).json({
+      success: true,
+      message: `Reindexed ${updated} files`,
+      data: { updated }
+    });
+
+  } catch (error) {
+    console.error('Reindex search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reindex search fields',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Storage statistics: total bytes, version counts, and the largest and
+ * most-versioned files per owner. Administrators see every owner (or one with
+ * ?owner=); everyone else sees their own files.
+ * GET /api/files/system/stats
+ */
+const getStorageStats = async (req, res) => {
+  try {
+    const { owner, top = 5 } = req.query;
+
+    if (owner !== undefined && typeof owner !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'owner must be a string'
+      });
+    }
+
+    const topCount = parseInt(top);
+    if (!Number.isInteger(topCount) || topCount < 1 || topCount > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'top must be between 1 and 50'
+      });
+    }
+
+    const admin = isAdmin(req.user);
+    if (owner && !admin && owner !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can view statistics for other owners'
+      });
+    }
+
+    const match = { isActive: true };
+    if (owner || !admin) {
+      match.owner = owner || req.user.userId;
+    }
+
+    const stats = await statsService.getStats(match, { top: topCount });
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get storage stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get storage statistics',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   uploadFile,
+  uploadBatch,
+  importFile,
   getFileMetadata,
+  updateFileMetadata,
+  getFileHistory,
   downloadFile,
   addNewVersion,
+  rollbackVersion,
   verifyFileIntegrity,
+  diffVersions,
   getFilesByOwner,
   deleteFile,
+  listTrash,
+  restoreFile,
+  emptyTrash,
+  getFileAcl,
+  grantFileAccess,
+  revokeFileAccess,
   getIPFSStatus,
-  searchFiles
+  searchFiles,
+  reindexSearch,
+  getStorageStats
 };
\ No newline at end of file
@@ -0,0 +1,391 @@
+const Folder = require('../models/folder');
+const FileMetadata = require('../models/fileMetadata');
+const folderService = require('../services/folderService');
+const { validateFolderName, parseFolderPath, formatFolderPath } = require('../utils/folderUtils');
+const { parsePagination, paginateResults } = require('../utils/paginationUtils');
+
+/**
+ * Describe a folder for a response
+ * @param {Object} folder - Folder document
+ * @param {string} path - Absolute path of the folder
+ * @returns {Object} - Folder summary
+ */
+const formatFolder = (folder, path) => ({
+  folderId: folder.folderId,
+  name: folder.name,
+  path,
+  parentId: folder.parentId,
+  ...(folder.publication && { publication: folder.publication }),
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt
+});
+
+/**
+ * Load one of the caller's folders by ID
+ * @param {Object} req - Request with params.folderId
+ * @returns {Promise<Object|null>} - Folder document
+ */
+const findOwnFolder = (req) => Folder.findOne({ folderId: req.params.folderId, owner: req.user.userId });
+
+/**
+ * Create a folder, along with any missing parents
+ * POST /api/folders
+ */
+const createFolder = async (req, res) => {
+  try {
+    const { segments, error } = parseFolderPath(req.body.path);
+    if (error || segments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: error || 'The root folder always exists'
+      });
+    }
+
+    const path = formatFolderPath(segments);
+    const { folder, created } = await folderService.createPath(req.user.userId, segments);
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `Folder "${path}" already exists`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      data: formatFolder(folder, path)
+    });
+
+  } catch (error) {
+    console.error('Create folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create folder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the subfolders and files at a path of the caller's tree
+ * GET /api/folders
+ */
+const listFolder = async (req, res) => {
+  try {
+    const owner = req.user.userId;
+    const { path = '/' } = req.query;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: FileMetadata.SORT_FIELDS,
+      defaultSortBy: 'originalFileName',
+      defaultSortOrder: 'asc'
+    });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const resolved = await folderService.resolve(owner, path);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const folderId = resolved.folder ? resolved.folder.folderId : null;
+    const [subfolders, found] = await Promise.all([
+      Folder.find({ owner, parentId: folderId }).sort({ name: 1 }),
+      // One extra file tells whether another page follows
+      FileMetadata.findByOwner(owner, { ...pagination, limit: pagination.limit + 1, filter: { folderId } })
+    ]);
+    const { items: files, pagination: page } = paginateResults(found, pagination);
+
+    const childPath = (name) => (resolved.path === '/' ? `/${name}` : `${resolved.path}/${name}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        folder: resolved.folder ? formatFolder(resolved.folder, resolved.path) : { folderId: null, path: '/' },
+        folders: subfolders.map(folder => formatFolder(folder, childPath(folder.name))),
+        files: files.map(file => ({
+          fileId: file.fileId,
+          originalFileName: file.originalFileName,
+          description: file.description,
+          tags: file.tags,
+          versionCount: file.versionCount,
+          currentVersion: file.currentVersion,
+          createdAt: file.createdAt,
+          updatedAt: file.updatedAt
+        })),
+        pagination: page
+      }
+    });
+
+  } catch (error) {
+    console.error('List folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list folder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a folder and/or move it under another parent
+ * PATCH /api/folders/:folderId
+ */
+const updateFolder = async (req, res) => {
+  try {
+    const { name, parent } = req.body;
+
+    if (name === undefined && parent === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide name and/or parent'
+      });
+    }
+
+    const nameError = name !== undefined ? validateFolderName(name) : null;
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        message: nameError
+      });
+    }
+
+    const folder = await findOwnFolder(req);
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    if (parent !== undefined) {
+      const resolved = await folderService.resolve(req.user.userId, parent);
+      if (resolved.error) {
+        return res.status(resolved.status).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+
+      const moveError = await folderService.checkMove(folder, resolved.folder);
+      if (moveError) {
+        return res.status(400).json({
+          success: false,
+          message: moveError
+        });
+      }
+      folder.parentId = resolved.folder ? resolved.folder.folderId : null;
+    }
+
+    if (name !== undefined) {
+      folder.name = name;
+    }
+
+    await folder.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder updated successfully',
+      data: formatFolder(folder, await folderService.getPath(folder))
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The destination already has a folder with this name'
+      });
+    }
+    console.error('Update folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update folder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an empty folder; its files still in the trash will be restored to the root
+ * DELETE /api/folders/:folderId
+ */
+const deleteFolder = async (req, res) => {
+  try {
+    const owner = req.user.userId;
+    const folder = await findOwnFolder(req);
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const [hasFolders, hasFiles] = await Promise.all([
+      Folder.exists({ owner, parentId: folder.folderId }),
+      FileMetadata.exists({ owner, folderId: folder.folderId, isActive: true })
+    ]);
+    if (hasFolders || hasFiles) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only empty folders can be deleted'
+      });
+    }
+
+    await FileMetadata.updateMany({ owner, folderId: folder.folderId }, { $set: { folderId: null } });
+    await Folder.deleteOne({ folderId: folder.folderId });
+    if (folder.publication) {
+      await folderService.releaseDirectory(folder.publication.cid);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete folder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Publish a folder tree as a single pinned IPFS directory
+ * POST /api/folders/:folderId/publish
+ */
+const publishFolder = async (req, res) => {
+  try {
+    const folder = await findOwnFolder(req);
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const { publication, skipped } = await folderService.publish(folder, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: `Published ${publication.fileCount} files as ${publication.cid}`,
+      data: {
+        folderId: folder.folderId,
+        path: await folderService.getPath(folder),
+        ...publication.toObject(),
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Publish folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish folder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Withdraw a folder's publication and unpin its directory
+ * DELETE /api/folders/:folderId/publish
+ */
+const unpublishFolder = async (req, res) => {
+  try {
+    const folder = await findOwnFolder(req);
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const cid = await folderService.unpublish(folder);
+    if (!cid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder is not published'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder unpublished',
+      data: { folderId: folder.folderId, cid }
+    });
+
+  } catch (error) {
+    console.error('Unpublish folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unpublish folder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Move one of the caller's files into a folder of their tree
+ * PUT /api/files/:fileId/folder
+ */
+const moveFileToFolder = async (req, res) => {
+  try {
+    const owner = req.user.userId;
+    const file = await FileMetadata.findOne({ fileId: req.params.fileId, owner, isActive: true });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const resolved = await folderService.resolve(owner, req.body.path);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    file.folderId = resolved.folder ? resolved.folder.folderId : null;
+    await file.save();
+
+    res.status(200).json({
+      success: true,
+      message: `File moved to ${resolved.path}`,
+      data: {
+        fileId: file.fileId,
+        folderId: file.folderId,
+        path: resolved.path
+      }
+    });
+
+  } catch (error) {
+    console.error('Move file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move file',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createFolder,
+  listFolder,
+  updateFolder,
+  deleteFolder,
+  publishFolder,
+  unpublishFolder,
+  moveFileToFolder
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const Group = require('../models/group');
+const User = require('../models/user');
+
+/**
+ * Create a group owned by the caller
+ * POST /api/groups
+ */
+const createGroup = async (req, res) => {
+  try {
+    const { name, members = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group name is required'
+      });
+    }
+
+    const memberList = Array.isArray(members)
+      ? members
+      : members.split(',').map(m => m.trim()).filter(Boolean);
+
+    const group = new Group({
+      groupId: crypto.randomBytes(8).toString('hex'),
+      name,
+      owner: req.user.userId,
+      members: [...new Set(memberList)]
+    });
+
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: group
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a group with this name'
+      });
+    }
+    console.error('Create group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List groups the caller owns or belongs to
+ * GET /api/groups
+ */
+const listGroups = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const groups = await Group.find({
+      $or: [{ owner: userId }, { members: userId }]
+    }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { groups }
+    });
+
+  } catch (error) {
+    console.error('List groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list groups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a member to a group (group owner only)
+ * POST /api/groups/:groupId/members
+ */
+const addGroupMember = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId is required'
+      });
+    }
+
+    const group = await Group.findOne({ groupId, owner: req.user.userId });
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found or access denied'
+      });
+    }
+
+    const user = await User.findActiveById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!group.members.includes(userId)) {
+      group.members.push(userId);
+      await group.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Member added successfully',
+      data: group
+    });
+
+  } catch (error) {
+    console.error('Add group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add group member',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a member from a group (group owner only)
+ * DELETE /api/groups/:groupId/members/:userId
+ */
+const removeGroupMember = async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const group = await Group.findOne({ groupId, owner: req.user.userId });
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found or access denied'
+      });
+    }
+
+    if (!group.members.includes(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    group.members = group.members.filter(m => m !== userId);
+    await group.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully',
+      data: group
+    });
+
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove group member',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a group (group owner only)
+ * DELETE /api/groups/:groupId
+ */
+const deleteGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const result = await Group.deleteOne({ groupId, owner: req.user.userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Group deleted successfully',
+      data: { groupId }
+    });
+
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete group',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createGroup,
+  listGroups,
+  addGroupMember,
+  removeGroupMember,
+  deleteGroup
+};
@@ -0,0 +1,128 @@
+const purgeService = require('../services/purgeService');
+const contentService = require('../services/contentService');
+
+/**
+ * Parse an optional retention override in days
+ * @param {*} value - Raw value from the query or body
+ * @returns {number|undefined|null} - Days, undefined if absent, null if invalid
+ */
+const parseRetentionDays = (value) => {
+  if (value === undefined || value === '') return undefined;
+
+  const days = Number(value);
+  return Number.isFinite(days) && days >= 0 ? days : null;
+};
+
+/**
+ * Report what a purge would remove without changing anything
+ * GET /api/files/system/purge
+ */
+const getPurgeReport = async (req, res) => {
+  try {
+    const retentionDays = parseRetentionDays(req.query.retentionDays);
+    if (retentionDays === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'retentionDays must be a non-negative number'
+      });
+    }
+
+    const report = await purgeService.runPurge({ dryRun: true, retentionDays });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purge dry run completed',
+      data: {
+        ...report,
+        lastRun: purgeService.lastRun
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Purge report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build purge report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Hard delete expired soft-deleted files and unpin unreferenced content
+ * POST /api/files/system/purge
+ */
+const runPurge = async (req, res) => {
+  try {
+    const { gc, dryRun } = req.body;
+    const retentionDays = parseRetentionDays(req.body.retentionDays);
+    if (retentionDays === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'retentionDays must be a non-negative number'
+      });
+    }
+
+    const result = await purgeService.runPurge({
+      dryRun: dryRun === true || dryRun === 'true',
+      gc: gc === true || gc === 'true',
+      retentionDays
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.dryRun ? 'Purge dry run completed' : 'Purge completed',
+      data: result
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Purge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge deleted files',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Recompute content reference counts from the stored file versions
+ * POST /api/files/system/refcounts/rebuild
+ */
+const rebuildRefCounts = async (req, res) => {
+  try {
+    const result = await contentService.rebuildRefCounts();
+
+    res.status(200).json({
+      success: true,
+      message: `Rebuilt reference counts for ${result.blobs} CIDs`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Rebuild reference counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild reference counts',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPurgeReport,
+  runPurge,
+  rebuildRefCounts
+};
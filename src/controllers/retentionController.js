@@ -0,0 +1,376 @@
+const FileMetadata = require('../models/fileMetadata');
+const User = require('../models/user');
+const { RETENTION_PERIODS } = require('../models/retentionPolicySchema');
+const retentionService = require('../services/retentionService');
+
+/**
+ * Validate a retention policy from the request body
+ * @param {Object} body - { keepLast?, keepDays?, keepFirstPer? }
+ * @returns {Object} - { policy } or { error }
+ */
+const parsePolicy = (body = {}) => {
+  const policy = {};
+
+  if (body.keepLast !== undefined && body.keepLast !== null) {
+    const keepLast = Number(body.keepLast);
+    if (!Number.isInteger(keepLast) || keepLast < 1) {
+      return { error: 'keepLast must be a whole number of at least 1' };
+    }
+    policy.keepLast = keepLast;
+  }
+
+  if (body.keepDays !== undefined && body.keepDays !== null) {
+    const keepDays = Number(body.keepDays);
+    if (!Number.isFinite(keepDays) || keepDays < 0) {
+      return { error: 'keepDays must be a non-negative number' };
+    }
+    policy.keepDays = keepDays;
+  }
+
+  if (body.keepFirstPer !== undefined && body.keepFirstPer !== null) {
+    if (!RETENTION_PERIODS.includes(body.keepFirstPer)) {
+      return { error: `keepFirstPer must be one of: ${RETENTION_PERIODS.join(', ')}` };
+    }
+    policy.keepFirstPer = body.keepFirstPer;
+  }
+
+  if (Object.keys(policy).length === 0) {
+    return { error: 'Provide at least one of keepLast, keepDays or keepFirstPer' };
+  }
+  return { policy };
+};
+
+/**
+ * Find an active file owned by the caller
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - File document or null
+ */
+const findOwnedFile = (req) => FileMetadata.findOne({
+  fileId: req.params.fileId,
+  owner: req.user.userId,
+  isActive: true
+});
+
+/**
+ * Get the caller's default retention policy
+ * GET /api/retention
+ */
+const getDefaultPolicy = async (req, res) => {
+  try {
+    const policy = await retentionService.getOwnerPolicy(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Get retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set the caller's default retention policy for files without their own
+ * PUT /api/retention
+ */
+const setDefaultPolicy = async (req, res) => {
+  try {
+    const { policy, error } = parsePolicy(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findActiveById(req.user.userId);
+    user.retentionPolicy = { ...policy, updatedBy: req.user.userId, updatedAt: new Date() };
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy updated',
+      data: { policy: user.retentionPolicy }
+    });
+
+  } catch (error) {
+    console.error('Set retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove the caller's default retention policy
+ * DELETE /api/retention
+ */
+const clearDefaultPolicy = async (req, res) => {
+  try {
+    await User.updateOne({ userId: req.user.userId }, { $unset: { retentionPolicy: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy removed'
+    });
+
+  } catch (error) {
+    console.error('Clear retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a file's retention policy and the versions it would prune (owner only)
+ * GET /api/files/:fileId/retention
+ */
+const getFileRetention = async (req, res) => {
+  try {
+    const fileMetadata = await findOwnedFile(req);
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const preview = await retentionService.pruneFile(fileMetadata, { dryRun: true });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileId: fileMetadata.fileId,
+        filePolicy: fileMetadata.retentionPolicy || null,
+        effectivePolicy: preview.policy,
+        policySource: preview.source,
+        protectedVersions: fileMetadata.versions.filter(v => v.protected).map(v => v.versionNumber),
+        prunableVersions: preview.pruned
+      }
+    });
+
+  } catch (error) {
+    console.error('Get file retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get file retention',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set a retention policy for one file, overriding the owner's default (owner only)
+ * PUT /api/files/:fileId/retention
+ */
+const setFileRetention = async (req, res) => {
+  try {
+    const { policy, error } = parsePolicy(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const fileMetadata = await findOwnedFile(req);
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    fileMetadata.retentionPolicy = { ...policy, updatedBy: req.user.userId, updatedAt: new Date() };
+    await fileMetadata.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'File retention policy updated',
+      data: {
+        fileId: fileMetadata.fileId,
+        filePolicy: fileMetadata.retentionPolicy
+      }
+    });
+
+  } catch (error) {
+    console.error('Set file retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set file retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a file's own retention policy so the owner's default applies (owner only)
+ * DELETE /api/files/:fileId/retention
+ */
+const clearFileRetention = async (req, res) => {
+  try {
+    const fileMetadata = await findOwnedFile(req);
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    fileMetadata.retentionPolicy = undefined;
+    await fileMetadata.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'File retention policy removed',
+      data: { fileId: fileMetadata.fileId }
+    });
+
+  } catch (error) {
+    console.error('Clear file retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove file retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Apply the effective retention policy to a file now (owner only)
+ * POST /api/files/:fileId/retention/apply
+ */
+const applyFileRetention = async (req, res) => {
+  try {
+    const fileMetadata = await findOwnedFile(req);
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const result = await retentionService.pruneFile(fileMetadata);
+
+    res.status(200).json({
+      success: true,
+      message: `Pruned ${result.pruned.length} versions`,
+      data: {
+        ...result,
+        remainingVersions: fileMetadata.versions.map(v => v.versionNumber)
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply file retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Protect a version from pruning, or remove the protection (owner only)
+ * POST /api/files/:fileId/versions/:versionIndex/protect
+ * DELETE /api/files/:fileId/versions/:versionIndex/protect
+ */
+const setVersionProtection = async (req, res) => {
+  try {
+    const isProtected = req.method === 'POST';
+
+    const fileMetadata = await findOwnedFile(req);
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const version = fileMetadata.getVersion(req.params.versionIndex);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    version.protected = isProtected;
+    await fileMetadata.save();
+
+    res.status(200).json({
+      success: true,
+      message: isProtected ? 'Version protected' : 'Version protection removed',
+      data: {
+        fileId: fileMetadata.fileId,
+        versionNumber: version.versionNumber,
+        protected: version.protected
+      }
+    });
+
+  } catch (error) {
+    console.error('Version protection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update version protection',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Apply retention policies to every file (administrators)
+ * POST /api/files/system/prune
+ */
+const runPruning = async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const result = await retentionService.runPruning({ dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Pruning dry run completed' : 'Pruning completed',
+      data: {
+        ...result,
+        lastRun: retentionService.lastRun
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Run pruning error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prune versions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDefaultPolicy,
+  setDefaultPolicy,
+  clearDefaultPolicy,
+  getFileRetention,
+  setFileRetention,
+  clearFileRetention,
+  applyFileRetention,
+  setVersionProtection,
+  runPruning
+};
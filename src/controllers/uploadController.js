@@ -0,0 +1,393 @@
+const FileMetadata = require('../models/fileMetadata');
+const User = require('../models/user');
+const uploadService = require('../services/uploadService');
+const { parseAttributeInput, validateAttributes } = require('../utils/attributeUtils');
+const { isValidSHA256 } = require('../utils/hashUtils');
+const { isEncryptionConfigured } = require('../utils/encryptionUtils');
+
+/**
+ * Describe an upload session for a response
+ * @param {Object} session - Upload session document
+ * @returns {Object} - Session summary
+ */
+const formatSession = (session) => ({
+  uploadId: session.uploadId,
+  fileId: session.fileId,
+  fileName: session.fileName,
+  mimeType: session.mimeType,
+  size: session.size,
+  offset: session.offset,
+  encrypt: session.encrypt,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt
+});
+
+/**
+ * Validate the fields of a new upload session
+ * @param {Object} body - { fileName, size, mimeType?, fileId?, description?, tags?, attributes?, encrypt?, sha256Hash? }
+ * @returns {Object} - { fields } or { error }
+ */
+const parseSessionFields = (body) => {
+  const { fileName, size, mimeType, fileId, description, tags, attributes, encrypt, sha256Hash } = body;
+  const fields = {};
+  const maxSize = uploadService.getMaxSize();
+
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    return { error: 'size must be a positive number of bytes' };
+  }
+  if (size > maxSize) {
+    return { error: `File too large. Maximum size is ${maxSize / (1024 * 1024)}MB` };
+  }
+  fields.size = size;
+
+  if (fileId !== undefined) {
+    if (typeof fileId !== 'string' || !fileId) {
+      return { error: 'fileId must be a string' };
+    }
+    if (description !== undefined || tags !== undefined || attributes !== undefined) {
+      return { error: 'description, tags and attributes apply to new files only' };
+    }
+    fields.fileId = fileId;
+  }
+
+  // New versions keep the file's name, so one is only required for new files
+  if (fileName !== undefined || fileId === undefined) {
+    if (typeof fileName !== 'string' || !fileName.trim()) {
+      return { error: 'fileName must be a non-empty string' };
+    }
+    fields.fileName = fileName.trim();
+  }
+
+  if (mimeType !== undefined) {
+    if (typeof mimeType !== 'string' || !mimeType.trim()) {
+      return { error: 'mimeType must be a non-empty string' };
+    }
+    fields.mimeType = mimeType.trim();
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    fields.description = description;
+  }
+
+  if (tags !== undefined) {
+    // Same comma-separated form as on upload, or a JSON array
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings or a comma-separated string' };
+    }
+    fields.tags = list.map(tag => tag.trim()).filter(Boolean);
+  }
+
+  if (attributes !== undefined) {
+    const input = parseAttributeInput(attributes);
+    if (input.error) {
+      return { error: input.error };
+    }
+    fields.attributes = input.attributes;
+  }
+
+  if (encrypt !== undefined) {
+    if (typeof encrypt !== 'boolean') {
+      return { error: 'encrypt must be a boolean' };
+    }
+    fields.encrypt = encrypt;
+  }
+
+  if (sha256Hash !== undefined) {
+    if (!isValidSHA256(sha256Hash)) {
+      return { error: 'sha256Hash must be a hex SHA-256 hash' };
+    }
+    fields.sha256Hash = sha256Hash.toLowerCase();
+  }
+
+  return { fields };
+};
+
+/**
+ * Start a resumable upload of a new file or of a new version of a file
+ * POST /api/uploads
+ */
+const createUploadSession = async (req, res) => {
+  try {
+    const { fields, error } = parseSessionFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const userId = req.user.userId;
+
+    if (fields.fileId) {
+      const fileMetadata = await FileMetadata.findOne({ fileId: fields.fileId, isActive: true });
+      if (!fileMetadata || !fileMetadata.canEdit(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found or access denied'
+        });
+      }
+
+      // As on direct uploads, new versions default to the current version's mode
+      fields.fileName = fields.fileName || fileMetadata.originalFileName;
+      if (fields.encrypt === undefined) {
+        fields.encrypt = Boolean(fileMetadata.currentVersion && fileMetadata.currentVersion.encryption);
+      }
+    } else {
+      // Attributes are checked now rather than after the last chunk
+      const owner = await User.findOne({ userId }, 'attributeDefinitions');
+      const checked = validateAttributes(fields.attributes, owner ? owner.attributeDefinitions : []);
+      if (checked.errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid attributes',
+          errors: checked.errors
+        });
+      }
+    }
+
+    if (fields.encrypt && !isEncryptionConfigured()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Encryption at rest is not configured on this server'
+      });
+    }
+
+    const session = await uploadService.createSession({ ...fields, createdBy: userId });
+
+    res.status(201).set({
+      'Location': `/api/uploads/${session.uploadId}`,
+      'Upload-Offset': session.offset
+    }).json({
+      success: true,
+      message: 'Upload session created',
+      data: formatSession(session)
+    });
+
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create upload session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get an upload session, including the offset to resume from
+ * GET /api/uploads/:uploadId
+ */
+const getUploadSession = async (req, res) => {
+  try {
+    const session = await uploadService.findSession(req.params.uploadId, req.user.userId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found or expired'
+      });
+    }
+
+    res.status(200).set({
+      'Upload-Offset': session.offset,
+      'Cache-Control': 'no-store'
+    }).json({
+      success: true,
+      data: formatSession(session)
+    });
+
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get upload session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Append a chunk of raw bytes at the offset given in the Upload-Offset header
+ * PUT /api/uploads/:uploadId
+ */
+const uploadChunk = async (req, res) => {
+  try {
+    if (!req.is('application/octet-stream') && !req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Chunks must be sent as application/octet-stream'
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (req.get('Upload-Offset') === undefined || !Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Offset header must be the byte offset the chunk starts at'
+      });
+    }
+
+    const length = req.get('Content-Length') !== undefined ? Number(req.get('Content-Length')) : undefined;
+    const { session, error, status } = await uploadService.appendChunk(req.params.uploadId, req.user.userId, { offset, length }, req);
+    if (session) {
+      res.set('Upload-Offset', session.offset);
+    }
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+        ...(session && { data: { offset: session.offset, size: session.size } })
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: session.isComplete() ? 'All bytes received; complete the upload' : 'Chunk received',
+      data: formatSession(session)
+    });
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store chunk',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Store the received bytes and create the file, or the new version
+ * POST /api/uploads/:uploadId/complete
+ */
+const completeUpload = async (req, res) => {
+  try {
+    const result = await uploadService.completeSession(req.params.uploadId, req.user);
+    const { session, file, fileMetadata } = result;
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        ...(session && { data: { offset: session.offset, size: session.size } })
+      });
+    }
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attributes',
+        errors: result.errors
+      });
+    }
+
+    if (result.duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a file with identical content',
+        data: {
+          existingFileId: result.duplicate.fileId,
+          existingHash: file.sha256Hash
+        }
+      });
+    }
+
+    if (result.current) {
+      return res.status(409).json({
+        success: false,
+        message: 'This content is already the current version',
+        data: {
+          existingVersion: result.current.versionNumber
+        }
+      });
+    }
+
+    // Same responses as a direct upload or new version
+    if (result.version) {
+      const { version } = result;
+      return res.status(201).json({
+        success: true,
+        message: 'New version added successfully',
+        data: {
+          fileId: fileMetadata.fileId,
+          versionNumber: version.versionNumber,
+          sha256Hash: version.sha256Hash,
+          ipfsHash: version.ipfsHash,
+          fileSize: version.fileSize,
+          mimeType: version.mimeType,
+          encrypted: Boolean(version.encryption),
+          uploadedAt: version.uploadedAt,
+          uploadedBy: version.uploadedBy
+        }
+      });
+    }
+
+    const created = result.fileMetadata;
+    const version = created.versions[0];
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        fileId: created.fileId,
+        originalFileName: created.originalFileName,
+        owner: created.owner,
+        sha256Hash: version.sha256Hash,
+        ipfsHash: version.ipfsHash,
+        fileSize: version.fileSize,
+        mimeType: version.mimeType,
+        attributes: created.getAttributes(),
+        encrypted: Boolean(version.encryption),
+        versionNumber: 1,
+        uploadedAt: version.uploadedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete upload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Abandon an upload and delete its received bytes
+ * DELETE /api/uploads/:uploadId
+ */
+const cancelUpload = async (req, res) => {
+  try {
+    const cancelled = await uploadService.cancelSession(req.params.uploadId, req.user.userId);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found or expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel upload',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+};
@@ -0,0 +1,200 @@
+const User = require('../models/user');
+const Group = require('../models/group');
+const { verifyAccessToken, parseApiKeyId, hashToken } = require('../utils/authUtils');
+const { secureCompare } = require('../utils/hashUtils');
+
+/**
+ * Extract credentials from the request headers
+ * Supports "Authorization: Bearer <jwt>", "Authorization: ApiKey <key>" and "X-API-Key: <key>"
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { type: 'jwt'|'apiKey', value } or null
+ */
+const extractCredentials = (req) => {
+  const apiKeyHeader = req.get('X-API-Key');
+  if (apiKeyHeader) {
+    return { type: 'apiKey', value: apiKeyHeader.trim() };
+  }
+
+  const authorization = req.get('Authorization');
+  if (!authorization) {
+    return null;
+  }
+
+  const [scheme, value] = authorization.split(' ');
+  if (!value) {
+    return null;
+  }
+  if (scheme.toLowerCase() === 'bearer') {
+    return { type: 'jwt', value: value.trim() };
+  }
+  if (scheme.toLowerCase() === 'apikey') {
+    return { type: 'apiKey', value: value.trim() };
+  }
+  return null;
+};
+
+/**
+ * Resolve the user behind a JWT access token
+ * @param {string} token - Access token
+ * @returns {Promise<Object|null>} - User document or null if revoked
+ */
+const resolveJwtUser = async (token) => {
+  const payload = verifyAccessToken(token);
+  const user = await User.findActiveById(payload.sub);
+
+  if (!user || user.tokenVersion !== payload.tv) {
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Resolve the user behind an API key
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object|null>} - { user, apiKey } or null if unknown or revoked
+ */
+const resolveApiKeyUser = async (key) => {
+  const keyId = parseApiKeyId(key);
+  if (!keyId) {
+    return null;
+  }
+
+  const user = await User.findByApiKeyId(keyId);
+  if (!user) {
+    return null;
+  }
+
+  const apiKey = user.getActiveApiKey(keyId);
+  if (!apiKey || !secureCompare(hashToken(key), apiKey.keyHash)) {
+    return null;
+  }
+
+  // Track usage without blocking the request
+  User.updateOne(
+    { _id: user._id, 'apiKeys.keyId': keyId },
+    { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+  ).catch(error => console.error('API key usage update error:', error));
+
+  return { user, apiKey };
+};
+
+/**
+ * Authenticate the request and set req.user
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>} - True if credentials were present and valid
+ */
+const resolveIdentity = async (req) => {
+  const credentials = extractCredentials(req);
+  if (!credentials) {
+    return false;
+  }
+
+  if (credentials.type === 'jwt') {
+    const user = await resolveJwtUser(credentials.value);
+    if (!user) {
+      return false;
+    }
+    req.user = {
+      userId: user.userId,
+      displayName: user.displayName,
+      groups: await Group.findGroupIdsForUser(user.userId),
+      authMethod: 'jwt'
+    };
+    return true;
+  }
+
+  const result = await resolveApiKeyUser(credentials.value);
+  if (!result) {
+    return false;
+  }
+  req.user = {
+    userId: result.user.userId,
+    displayName: result.user.displayName,
+    groups: await Group.findGroupIdsForUser(result.user.userId),
+    authMethod: 'apiKey',
+    apiKeyId: result.apiKey.keyId
+  };
+  return true;
+};
+
+/**
+ * Require a valid access token or API key
+ * JWT errors are forwarded to the global error handler
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const authenticated = await resolveIdentity(req);
+
+    if (!authenticated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set req.user when valid credentials are supplied, but allow anonymous requests
+ * Invalid credentials are still rejected so clients notice expired tokens
+ */
+const optionalAuth = async (req, res, next) => {
+  try {
+    if (!extractCredentials(req)) {
+      return next();
+    }
+
+    const authenticated = await resolveIdentity(req);
+
+    if (!authenticated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check whether a user is a system administrator
+ * Administrators are listed in the comma-separated ADMIN_USER_IDS setting
+ * @param {Object} user - req.user
+ * @returns {boolean} - True if the user is an administrator
+ */
+const isAdmin = (user) => {
+  if (!user) return false;
+
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  return adminIds.includes(user.userId);
+};
+
+/**
+ * Require an authenticated administrator (use after authenticate)
+ */
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Administrator access required'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  isAdmin,
+  requireAdmin
+};
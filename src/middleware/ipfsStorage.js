@@ -0,0 +1,134 @@
+const { pipeline } = require('stream');
+const ipfsService = require('../services/ipfsService');
+const contentService = require('../services/contentService');
+const { createHashingStream } = require('../utils/hashUtils');
+const { createEncryptionStream, isEncryptionConfigured } = require('../utils/encryptionUtils');
+
+/**
+ * Unpin freshly uploaded content unless a file version already references it
+ * Identical content yields the same CID, so a rejected duplicate must not unpin shared content,
+ * nor content that was pinned outside this service
+ * @param {string} ipfsHash - IPFS hash (CID)
+ * @returns {Promise<boolean>} - True if the content was unpinned
+ */
+const discardUpload = async (ipfsHash) => {
+  if (!ipfsHash) return false;
+
+  try {
+    return await contentService.discard(ipfsHash);
+  } catch (error) {
+    console.error('Discard upload error:', error);
+    return false;
+  }
+};
+
+/**
+ * Decide whether an upload should be encrypted at rest
+ * An explicit "encrypt" query parameter (or form field sent before the file) wins;
+ * new versions otherwise follow the mode of the file's current version.
+ * @param {Object} req - Express request
+ * @returns {boolean} - True if the content should be encrypted
+ */
+const wantsEncryption = (req) => {
+  const flag = req.query.encrypt !== undefined ? req.query.encrypt : req.body.encrypt;
+  if (flag !== undefined) {
+    return flag === true || flag === 'true' || flag === '1';
+  }
+
+  const currentVersion = req.fileMetadata && req.fileMetadata.currentVersion;
+  return Boolean(currentVersion && currentVersion.encryption);
+};
+
+/**
+ * Hash a content stream and store it, encrypting it first when requested
+ * The plaintext is hashed as it flows, so memory use stays flat for any size.
+ * @param {Readable} source - Plaintext content
+ * @param {Object} options - { encrypt }
+ * @returns {Promise<Object>} - { sha256Hash, ipfsHash, size, encryption? }
+ */
+const storeStream = async (source, { encrypt = false } = {}) => {
+  const hashingStream = createHashingStream();
+  const encryptionStream = encrypt ? createEncryptionStream() : null;
+  const output = encryptionStream || hashingStream;
+  const streams = encryptionStream
+    ? [source, hashingStream, encryptionStream]
+    : [source, hashingStream];
+
+  pipeline(...streams, (error) => {
+    if (error) {
+      console.error('Upload stream error:', error);
+    }
+  });
+
+  try {
+    const ipfsResult = await ipfsService.uploadFile(output);
+    const { sha256Hash, size } = hashingStream.getResult();
+    return {
+      sha256Hash,
+      ipfsHash: ipfsResult.hash,
+      size,
+      ...(encryptionStream && { encryption: encryptionStream.getEncryptionInfo() })
+    };
+  } catch (error) {
+    // Drain the rest of the source so its producer can finish
+    output.resume();
+    throw error;
+  }
+};
+
+/**
+ * Multer storage engine that streams each file straight to IPFS
+ * The SHA256 hash and size are computed while the bytes flow through, so
+ * memory use stays flat regardless of file size. When encryption is requested
+ * the plaintext is hashed, then encrypted with a fresh data key before it
+ * reaches IPFS. Sets file.sha256Hash, file.ipfsHash, file.size and, for
+ * encrypted uploads, file.encryption on the uploaded file.
+ *
+ * With keepGoing, a file that cannot be stored gets file.uploadError instead
+ * of aborting the request, so the other files of a batch are still kept.
+ */
+class IPFSStorage {
+  constructor(options = {}) {
+    this.keepGoing = Boolean(options.keepGoing);
+  }
+
+  _fail(error, cb) {
+    if (this.keepGoing) {
+      return cb(null, { uploadError: error.message });
+    }
+    cb(error);
+  }
+
+  _handleFile(req, file, cb) {
+    const encrypt = wantsEncryption(req);
+
+    if (encrypt && !isEncryptionConfigured()) {
+      const error = new Error('Encryption at rest is not configured on this server');
+      error.status = 400;
+      file.stream.resume();
+      return this._fail(error, cb);
+    }
+
+    // A failed store drains the rest of the part, so busboy can finish parsing the request
+    storeStream(file.stream, { encrypt })
+      .then(stored => cb(null, stored))
+      .catch(error => this._fail(error, cb));
+  }
+
+  _removeFile(req, file, cb) {
+    discardUpload(file.ipfsHash).then(() => cb(null), cb);
+  }
+}
+
+/**
+ * Create an IPFS streaming storage engine
+ * @param {Object} options - { keepGoing: record per-file failures instead of aborting }
+ * @returns {IPFSStorage} - Multer storage engine
+ */
+const ipfsStorage = (options) => new IPFSStorage(options);
+
+module.exports = {
+  ipfsStorage,
+  storeStream,
+  discardUpload
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { ATTRIBUTE_NAME_PATTERN } = require('../utils/attributeUtils');
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// An owner-defined file attribute. Attributes without a definition are free-form.
+const attributeDefinitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [ATTRIBUTE_NAME_PATTERN, 'Attribute names must start with a letter and contain only letters, numbers, dashes and underscores']
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    required: true
+  },
+  // Every file of the owner must set the attribute
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Allowed values (string and number attributes only)
+  enum: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, { _id: false });
+
+module.exports = attributeDefinitionSchema;
+module.exports.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const BULK_ACTIONS = ['delete', 'restore', 'addTags', 'removeTags', 'setAttributes', 'transferOwnership', 'moveToFolder'];
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed'];
+const ITEM_STATUSES = ['succeeded', 'skipped', 'failed'];
+
+// Finished jobs are kept this long for their per-file outcomes
+const JOB_RETENTION_DAYS = 7;
+
+// Outcome of the action on one file
+const bulkItemSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    required: true
+  },
+  message: String
+}, { _id: false });
+
+// A bulk action over many files, run in the background
+const bulkJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    enum: BULK_ACTIONS,
+    required: true
+  },
+  // Action arguments, e.g. { tags }, { owner } or { path, folderId }
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // The search filter the files were selected with, if any
+  filter: mongoose.Schema.Types.Mixed,
+  fileIds: [String],
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'pending'
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  items: [bulkItemSchema],
+  error: String,
+  startedAt: Date,
+  finishedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+bulkJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Let MongoDB remove old jobs
+bulkJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for the number of files selected
+bulkJobSchema.virtual('total').get(function() {
+  return this.fileIds.length;
+});
+
+// Method to count item outcomes by status
+bulkJobSchema.methods.getSummary = function() {
+  const summary = Object.fromEntries(ITEM_STATUSES.map(status => [status, 0]));
+  for (const item of this.items) {
+    summary[item.status]++;
+  }
+  return summary;
+};
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
+module.exports.BULK_ACTIONS = BULK_ACTIONS;
+module.exports.ITEM_STATUSES = ITEM_STATUSES;
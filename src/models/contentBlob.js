@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Stored content shared by file versions. refCount is the number of version
+// entries (across all owners, including files in the trash) pointing at the CID.
+const contentBlobSchema = new mongoose.Schema({
+  ipfsHash: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  refCount: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  // Imported content that was pinned on the node before this service used it;
+  // that pin is not ours to remove
+  externallyPinned: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to count version entries referencing a CID
+contentBlobSchema.statics.countReferences = async function(ipfsHash) {
+  const FileMetadata = mongoose.model('FileMetadata');
+  const [result] = await FileMetadata.aggregate([
+    { $match: { 'versions.ipfsHash': ipfsHash } },
+    { $unwind: '$versions' },
+    { $match: { 'versions.ipfsHash': ipfsHash } },
+    { $count: 'count' }
+  ]);
+  return result ? result.count : 0;
+};
+
+module.exports = mongoose.model('ContentBlob', contentBlobSchema);
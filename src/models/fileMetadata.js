@@ -1,4 +1,42 @@
 const mongoose = require('mongoose');
+const retentionPolicySchema = require('./retentionPolicySchema');
+const { selectPrunableVersions } = require('../utils/retentionUtils');
+const { tokenize } = require('../utils/searchUtils');
+const { buildCursorCondition, buildCursorSort, DEFAULT_LIMIT } = require('../utils/paginationUtils');
+
+const encryptionSchema = new mongoose.Schema({
+  algorithm: {
+    type: String,
+    enum: ['aes-256-gcm'],
+    required: true
+  },
+  // ID of the master key that wrapped the data key
+  keyId: {
+    type: String,
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  authTag: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false,
+  toJSON: {
+    // Never expose the wrapped data key through the API
+    transform: (doc, ret) => {
+      delete ret.wrappedKey;
+      return ret;
+    }
+  }
+});
 
 const fileVersionSchema = new mongoose.Schema({
   versionNumber: {
@@ -39,9 +77,84 @@ const fileVersionSchema = new mongoose.Schema({
     type: String,
     required: true,
     trim: true
+  },
+  // Present when the content on IPFS is encrypted; hashes above refer to the plaintext
+  encryption: {
+    type: encryptionSchema,
+    default: undefined
+  },
+  // Set when this version was created by rolling back; uploadedBy is who rolled back
+  restoredFrom: {
+    type: Number,
+    min: 1
+  },
+  // Protected versions are never pruned by retention policies
+  protected: {
+    type: Boolean,
+    default: false
   }
 });
 
+// Metadata fields that can be edited after upload
+const EDITABLE_FIELDS = ['originalFileName', 'description', 'tags', 'attributes'];
+
+// Fields file listings can be sorted by
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'originalFileName'];
+
+// Ownership transfers are recorded alongside metadata edits
+const metadataChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: [...EDITABLE_FIELDS, 'owner'],
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One metadata edit: every field changed by a single request
+const metadataRevisionSchema = new mongoose.Schema({
+  changedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changes: [metadataChangeSchema]
+}, { _id: false });
+
+const ACCESS_ROLES = ['viewer', 'editor'];
+
+const aclEntrySchema = new mongoose.Schema({
+  principalType: {
+    type: String,
+    enum: ['user', 'group'],
+    default: 'user'
+  },
+  principal: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ACCESS_ROLES,
+    required: true
+  },
+  grantedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const fileMetadataSchema = new mongoose.Schema({
   fileId: {
     type: String,
@@ -64,7 +177,26 @@ const fileMetadataSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: String,
+    trim: true
+  },
+  // Folder in the owner's tree (null at the root)
+  folderId: {
+    type: String,
+    default: null
+  },
   versions: [fileVersionSchema],
+  // Overrides the owner's default retention policy
+  retentionPolicy: {
+    type: retentionPolicySchema,
+    default: undefined
+  },
+  acl: [aclEntrySchema],
+  metadataHistory: [metadataRevisionSchema],
   tags: [{
     type: String,
     trim: true
@@ -74,6 +206,18 @@ const fileMetadataSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  // Custom key/value attributes, typed by the owner's attribute definitions
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Derived on save for search: attribute values as text, and every distinct word for prefix queries
+  attributeText: {
+    type: String,
+    default: ''
+  },
+  searchTerms: [String],
   createdAt: {
     type: Date,
     default: Date.now
@@ -88,8 +232,20 @@ const fileMetadataSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 fileMetadataSchema.index({ owner: 1, createdAt: -1 });
+fileMetadataSchema.index({ owner: 1, folderId: 1 });
 fileMetadataSchema.index({ 'versions.sha256Hash': 1 });
 fileMetadataSchema.index({ 'versions.ipfsHash': 1 });
+fileMetadataSchema.index({ 'acl.principalType': 1, 'acl.principal': 1 });
+fileMetadataSchema.index({ isActive: 1, deletedAt: 1 });
+fileMetadataSchema.index({ 'attributes.$**': 1 });
+fileMetadataSchema.index({ searchTerms: 1 });
+fileMetadataSchema.index(
+  { originalFileName: 'text', tags: 'text', description: 'text', attributeText: 'text' },
+  {
+    name: 'file_text_search',
+    weights: { originalFileName: 10, tags: 5, description: 3, attributeText: 2 }
+  }
+);
 
 // Virtual for current version
 fileMetadataSchema.virtual('currentVersion').get(function() {
@@ -106,7 +262,8 @@ fileMetadataSchema.virtual('versionCount').get(function() {
 
 // Method to add new version
 fileMetadataSchema.methods.addVersion = function(versionData) {
-  const nextVersionNumber = this.versions.length + 1;
+  // Pruned versions leave gaps, so continue from the highest number in use
+  const nextVersionNumber = this.versions.reduce((max, v) => Math.max(max, v.versionNumber), 0) + 1;
   const newVersion = {
     versionNumber: nextVersionNumber,
     ...versionData
@@ -118,40 +275,303 @@ fileMetadataSchema.methods.addVersion = function(versionData) {
   return newVersion;
 };
 
+// Method to make an earlier version current again by appending a copy of it
+fileMetadataSchema.methods.rollbackTo = function(versionNumber, userId) {
+  const source = this.getVersion(versionNumber);
+  if (!source) return null;
+
+  return this.addVersion({
+    sha256Hash: source.sha256Hash,
+    ipfsHash: source.ipfsHash,
+    fileSize: source.fileSize,
+    mimeType: source.mimeType,
+    uploadedBy: userId,
+    // Same content on IPFS, so the same wrapped data key decrypts it
+    encryption: source.encryption ? source.encryption.toObject() : undefined,
+    restoredFrom: source.versionNumber
+  });
+};
+
 // Method to get version by number
 fileMetadataSchema.methods.getVersion = function(versionNumber) {
   return this.versions.find(v => v.versionNumber === parseInt(versionNumber));
 };
 
+// Method to list versions a retention policy would prune
+fileMetadataSchema.methods.getPrunableVersions = function(policy, now = new Date()) {
+  return selectPrunableVersions(this.versions, policy, now);
+};
+
+// Method to remove the versions a retention policy prunes
+fileMetadataSchema.methods.pruneVersions = function(policy, now = new Date()) {
+  const pruned = this.getPrunableVersions(policy, now);
+  if (pruned.length > 0) {
+    const prunedNumbers = new Set(pruned.map(v => v.versionNumber));
+    this.versions = this.versions.filter(v => !prunedNumbers.has(v.versionNumber));
+  }
+  return pruned;
+};
+
 // Method to get latest version
 fileMetadataSchema.methods.getLatestVersion = function() {
   if (this.versions.length === 0) return null;
   return this.versions[this.versions.length - 1];
 };
 
+// Method to resolve the caller's role: 'owner', 'editor', 'viewer' or null
+fileMetadataSchema.methods.getAccessRole = function(user) {
+  if (!user) return null;
+  if (this.owner === user.userId) return 'owner';
+
+  const groups = user.groups || [];
+  const roles = this.acl
+    .filter(entry =>
+      (entry.principalType === 'user' && entry.principal === user.userId) ||
+      (entry.principalType === 'group' && groups.includes(entry.principal)))
+    .map(entry => entry.role);
+
+  if (roles.includes('editor')) return 'editor';
+  if (roles.includes('viewer')) return 'viewer';
+  return null;
+};
+
+// Method to check read access
+fileMetadataSchema.methods.canView = function(user) {
+  return this.getAccessRole(user) !== null;
+};
+
+// Method to check write access (new versions)
+fileMetadataSchema.methods.canEdit = function(user) {
+  const role = this.getAccessRole(user);
+  return role === 'owner' || role === 'editor';
+};
+
+// Method to grant (or change) access for a principal
+fileMetadataSchema.methods.grantAccess = function({ principalType = 'user', principal, role, grantedBy }) {
+  const existing = this.acl.find(e => e.principalType === principalType && e.principal === principal);
+  if (existing) {
+    existing.role = role;
+    existing.grantedBy = grantedBy;
+    existing.grantedAt = new Date();
+    return existing;
+  }
+
+  this.acl.push({ principalType, principal, role, grantedBy });
+  return this.acl[this.acl.length - 1];
+};
+
+// Method to revoke access for a principal
+fileMetadataSchema.methods.revokeAccess = function(principalType, principal) {
+  const before = this.acl.length;
+  this.acl = this.acl.filter(e => !(e.principalType === principalType && e.principal === principal));
+  return this.acl.length !== before;
+};
+
+// Method to get custom attributes as a plain object
+fileMetadataSchema.methods.getAttributes = function() {
+  return this.attributes ? Object.fromEntries(this.attributes) : {};
+};
+
+// Method to apply metadata edits and record the fields that actually changed
+fileMetadataSchema.methods.updateMetadata = function(updates, userId) {
+  const snapshot = (field) => {
+    if (field === 'tags') return [...this.tags];
+    if (field === 'attributes') return this.getAttributes();
+    return this[field];
+  };
+
+  const changes = [];
+  for (const field of EDITABLE_FIELDS) {
+    if (updates[field] === undefined) continue;
+
+    const from = snapshot(field);
+    this[field] = updates[field];
+    // Compare after the schema setters (e.g. trim) have run
+    const to = snapshot(field);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  if (changes.length > 0) {
+    this.metadataHistory.push({ changedBy: userId, changedAt: new Date(), changes });
+  }
+  return changes;
+};
+
+// Method to hand the file to another owner and record the change
+fileMetadataSchema.methods.transferOwnership = function(newOwner, userId) {
+  const from = this.owner;
+  this.owner = newOwner;
+  // Folders belong to the previous owner's tree
+  this.folderId = null;
+  // The new owner no longer needs a grant of their own
+  this.acl = this.acl.filter(e => !(e.principalType === 'user' && e.principal === newOwner));
+  this.metadataHistory.push({ changedBy: userId, changedAt: new Date(), changes: [{ field: 'owner', from, to: newOwner }] });
+};
+
+// Method to list content versions and metadata edits as one timeline, oldest first
+fileMetadataSchema.methods.getHistory = function() {
+  const versionEvents = this.versions.map(v => ({
+    type: 'version',
+    at: v.uploadedAt,
+    by: v.uploadedBy,
+    versionNumber: v.versionNumber,
+    ...(v.restoredFrom && { restoredFrom: v.restoredFrom })
+  }));
+  const metadataEvents = this.metadataHistory.map(r => ({
+    type: 'metadata',
+    at: r.changedAt,
+    by: r.changedBy,
+    changes: r.changes
+  }));
+
+  return [...versionEvents, ...metadataEvents].sort((a, b) => a.at - b.at);
+};
+
+// Method to refresh the derived fields used by full-text and prefix search
+fileMetadataSchema.methods.refreshSearchFields = function() {
+  const attributeValues = Object.values(this.getAttributes())
+    .filter(value => typeof value === 'string' || typeof value === 'number')
+    .map(String);
+
+  this.attributeText = attributeValues.join(' ');
+  this.searchTerms = [...new Set(
+    [this.originalFileName, this.description, ...this.tags, ...attributeValues].flatMap(tokenize)
+  )];
+};
+
+// Method to move the file to the trash
+fileMetadataSchema.methods.softDelete = function(userId) {
+  this.isActive = false;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+};
+
+// Method to restore the file from the trash
+fileMetadataSchema.methods.restore = function() {
+  this.isActive = true;
+  this.deletedAt = undefined;
+  this.deletedBy = undefined;
+};
+
 // Pre-save middleware
 fileMetadataSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+  this.refreshSearchFields();
   next();
 });
 
-// Static method to find by owner
+// Static method to find by owner, continuing after options.cursor (see paginationUtils)
 fileMetadataSchema.statics.findByOwner = function(owner, options = {}) {
-  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = -1 } = options;
-  const skip = (page - 1) * limit;
-  
-  return this.find({ owner, isActive: true })
-    .sort({ [sortBy]: sortOrder })
-    .skip(skip)
+  const { limit = DEFAULT_LIMIT, sortBy = 'createdAt', sortOrder = -1, cursor = null, filter = {} } = options;
+  const conditions = [{ owner, isActive: true, ...filter }];
+  const after = buildCursorCondition({ sortBy, sortOrder, cursor });
+  if (after) conditions.push(after);
+
+  return this.find({ $and: conditions })
+    .sort(buildCursorSort({ sortBy, sortOrder }))
     .limit(limit);
 };
 
-// Static method to find by hash
-fileMetadataSchema.statics.findByHash = function(hash) {
+// Static method to find files matching a $text query, most relevant first, continuing after options.cursor
+// textScore can only be compared inside a pipeline, so the documents are hydrated from an aggregation
+fileMetadataSchema.statics.findByRelevance = async function(conditions, options = {}) {
+  const { limit = DEFAULT_LIMIT, cursor = null } = options;
+  const pagination = { sortBy: 'score', sortOrder: -1, cursor };
+  const after = buildCursorCondition(pagination, id => new mongoose.Types.ObjectId(id));
+
+  const docs = await this.aggregate([
+    { $match: conditions },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    ...(after ? [{ $match: after }] : []),
+    { $sort: buildCursorSort(pagination) },
+    { $limit: limit }
+  ]);
+  return docs.map(doc => this.hydrate(doc));
+};
+
+// Static method to find by hash, optionally limited to one owner
+fileMetadataSchema.statics.findByHash = function(hash, owner) {
   return this.findOne({
     'versions.sha256Hash': hash,
-    isActive: true
+    isActive: true,
+    ...(owner && { owner })
   });
 };
 
-module.exports = mongoose.model('FileMetadata', fileMetadataSchema);
\ No newline at end of file
+// Static method to list an owner's trash, most recently deleted first by default
+// (files deleted before deletedAt was recorded sort as the oldest)
+fileMetadataSchema.statics.findTrash = function(owner, options = {}) {
+  const { limit = DEFAULT_LIMIT, sortOrder = -1, cursor = null } = options;
+  const pagination = { sortBy: 'deletedAt', sortOrder, cursor };
+  const conditions = [{ owner, isActive: false }];
+  const after = buildCursorCondition(pagination);
+  if (after) conditions.push(after);
+
+  return this.find({ $and: conditions })
+    .sort(buildCursorSort(pagination))
+    .limit(limit);
+};
+
+// Static method to find active files with more than one version that a policy may apply to
+fileMetadataSchema.statics.findPrunable = function(ownersWithPolicy = []) {
+  return this.find({
+    isActive: true,
+    'versions.1': { $exists: true },
+    $or: [
+      { retentionPolicy: { $exists: true } },
+      { owner: { $in: ownersWithPolicy } }
+    ]
+  });
+};
+
+// Static method to find soft-deleted files whose retention period has passed
+fileMetadataSchema.statics.findPurgeable = function(cutoff) {
+  return this.find({
+    isActive: false,
+    $or: [
+      { deletedAt: { $lte: cutoff } },
+      // Files deleted before deletedAt was recorded
+      { deletedAt: { $exists: false }, updatedAt: { $lte: cutoff } }
+    ]
+  });
+};
+
+// Static method to recompute the search fields of every file (e.g. files saved before they existed)
+fileMetadataSchema.statics.rebuildSearchFields = async function() {
+  let updated = 0;
+  for await (const file of this.find({}).cursor()) {
+    file.refreshSearchFields();
+    // updateOne rather than save, so updatedAt keeps reflecting real edits
+    await this.updateOne(
+      { _id: file._id },
+      { $set: { attributeText: file.attributeText, searchTerms: file.searchTerms } },
+      { timestamps: false }
+    );
+    updated++;
+  }
+  return updated;
+};
+
+// Static method to build a query condition matching files the user can see
+fileMetadataSchema.statics.accessFilter = function(user) {
+  if (!user) {
+    return { _id: null };
+  }
+
+  const conditions = [
+    { owner: user.userId },
+    { acl: { $elemMatch: { principalType: 'user', principal: user.userId } } }
+  ];
+
+  if (user.groups && user.groups.length > 0) {
+    conditions.push({ acl: { $elemMatch: { principalType: 'group', principal: { $in: user.groups } } } });
+  }
+
+  return { $or: conditions };
+};
+
+module.exports = mongoose.model('FileMetadata', fileMetadataSchema);
+module.exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
+module.exports.SORT_FIELDS = SORT_FIELDS;
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// The last directory CID a folder was published as
+const publicationSchema = new mongoose.Schema({
+  cid: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  publishedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fileCount: {
+    type: Number,
+    min: 0
+  },
+  totalSize: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// A folder in an owner's tree; parentId is null for folders at the root
+const folderSchema = new mongoose.Schema({
+  folderId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  owner: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  parentId: {
+    type: String,
+    default: null
+  },
+  publication: {
+    type: publicationSchema,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+folderSchema.index({ owner: 1, parentId: 1, name: 1 }, { unique: true });
+
+// Static method to resolve path names to the chain of folders from the root down (null if any is missing)
+folderSchema.statics.resolvePath = async function(owner, segments) {
+  const chain = [];
+  let parentId = null;
+
+  for (const name of segments) {
+    const folder = await this.findOne({ owner, parentId, name });
+    if (!folder) return null;
+    chain.push(folder);
+    parentId = folder.folderId;
+  }
+  return chain;
+};
+
+// Static method to list a folder and its ancestors, root first
+folderSchema.statics.findAncestry = async function(folder) {
+  const chain = [folder];
+  while (chain[0].parentId) {
+    const parent = await this.findOne({ folderId: chain[0].parentId, owner: folder.owner });
+    if (!parent) break;
+    chain.unshift(parent);
+  }
+  return chain;
+};
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const groupSchema = new mongoose.Schema({
+  groupId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  owner: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  members: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ members: 1 });
+groupSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Method to check membership (the owner is always a member)
+groupSchema.methods.hasMember = function(userId) {
+  return this.owner === userId || this.members.includes(userId);
+};
+
+// Static method to list the IDs of every group a user belongs to
+groupSchema.statics.findGroupIdsForUser = async function(userId) {
+  const groups = await this.find(
+    { $or: [{ owner: userId }, { members: userId }] },
+    { groupId: 1 }
+  ).lean();
+  return groups.map(g => g.groupId);
+};
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const RETENTION_PERIODS = ['day', 'week'];
+
+// Version retention rules, set on a user (default for their files) or on a file.
+// A version is kept when any rule keeps it; a policy without rules keeps everything.
+const retentionPolicySchema = new mongoose.Schema({
+  // Keep the most recent N versions
+  keepLast: {
+    type: Number,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'keepLast must be a whole number'
+    }
+  },
+  // Keep versions uploaded within the last D days
+  keepDays: {
+    type: Number,
+    min: 0
+  },
+  // Keep the first version uploaded in each day or week
+  keepFirstPer: {
+    type: String,
+    enum: RETENTION_PERIODS
+  },
+  updatedBy: {
+    type: String,
+    trim: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+module.exports = retentionPolicySchema;
+module.exports.RETENTION_PERIODS = RETENTION_PERIODS;
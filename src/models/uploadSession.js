@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A resumable upload in progress; its bytes are staged on disk until it is completed
+const uploadSessionSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Uploader, and the owner of a new file
+  createdBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Set when the upload becomes a new version of this file
+  fileId: {
+    type: String,
+    default: null
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  // Declared total size in bytes
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bytes received so far
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Metadata for a new file
+  description: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  attributes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  encrypt: {
+    type: Boolean,
+    default: false
+  },
+  // Optional SHA-256 the completed content must match
+  sha256Hash: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Pushed back by every chunk; expired sessions are removed with their staged bytes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ expiresAt: 1 });
+uploadSessionSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Method to check whether every declared byte has arrived
+uploadSessionSchema.methods.isComplete = function() {
+  return this.offset === this.size;
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const retentionPolicySchema = require('./retentionPolicySchema');
+const attributeDefinitionSchema = require('./attributeDefinitionSchema');
+
+const apiKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+});
+
+const userSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 64,
+    match: [/^[a-zA-Z0-9_.-]+$/, 'userId may only contain letters, numbers, dots, dashes and underscores']
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  apiKeys: [apiKeySchema],
+  // Default version retention for the user's files
+  retentionPolicy: {
+    type: retentionPolicySchema,
+    default: undefined
+  },
+  // Typed attributes the user's files are validated against
+  attributeDefinitions: [attributeDefinitionSchema],
+  // Bumped to invalidate every access token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ 'apiKeys.keyId': 1 });
+
+// Method to get an active API key by its ID
+userSchema.methods.getActiveApiKey = function(keyId) {
+  return this.apiKeys.find(k => k.keyId === keyId && !k.revokedAt);
+};
+
+// Static method to find an active user by userId
+userSchema.statics.findActiveById = function(userId) {
+  return this.findOne({ userId, isActive: true });
+};
+
+// Static method to find the owner of an API key
+userSchema.statics.findByApiKeyId = function(keyId) {
+  return this.findOne({ 'apiKeys.keyId': keyId, isActive: true });
+};
+
+module.exports = mongoose.model('User', userSchema);
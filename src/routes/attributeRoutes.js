@@ -0,0 +1,47 @@
+const express = require('express');
+const {
+  getAttributeDefinitions,
+  setAttributeDefinitions,
+  setAttributeDefinition,
+  deleteAttributeDefinition
+} = require('../controllers/attributeController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Attribute definitions always belong to the caller
+router.use(authenticate);
+
+// Routes
+
+/**
+ * @route   GET /api/attributes
+ * @desc    Get the caller's attribute definitions
+ * @access  Authenticated
+ */
+router.get('/', getAttributeDefinitions);
+
+/**
+ * @route   PUT /api/attributes
+ * @desc    Replace all attribute definitions for the caller's files
+ * @access  Authenticated
+ * @body    {definitions: [{name, type, required?, enum?, description?}]}
+ */
+router.put('/', setAttributeDefinitions);
+
+/**
+ * @route   PUT /api/attributes/:name
+ * @desc    Add or replace one attribute definition
+ * @access  Authenticated
+ * @body    {type, required?, enum?, description?}
+ */
+router.put('/:name', setAttributeDefinition);
+
+/**
+ * @route   DELETE /api/attributes/:name
+ * @desc    Remove one attribute definition
+ * @access  Authenticated
+ */
+router.delete('/:name', deleteAttributeDefinition);
+
+module.exports = router;
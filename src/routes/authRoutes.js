@@ -0,0 +1,92 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  register,
+  issueToken,
+  refreshToken,
+  revokeToken,
+  getCurrentUser,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rate limiting middleware
+const credentialsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20, // limit each IP to 20 credential attempts per windowMs
+  message: {
+    success: false,
+    message: 'Too many authentication attempts, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Routes
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a new user
+ * @access  Public
+ * @body    {userId, password, displayName?}
+ */
+router.post('/register', credentialsLimiter, register);
+
+/**
+ * @route   POST /api/auth/token
+ * @desc    Issue an access token and a refresh token
+ * @access  Public
+ * @body    {userId, password}
+ */
+router.post('/token', credentialsLimiter, issueToken);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ * @body    {refreshToken}
+ */
+router.post('/refresh', credentialsLimiter, refreshToken);
+
+/**
+ * @route   POST /api/auth/revoke
+ * @desc    Revoke a refresh token, or all tokens of the caller
+ * @access  Authenticated
+ * @body    {refreshToken?, all?}
+ */
+router.post('/revoke', authenticate, revokeToken);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the authenticated identity
+ * @access  Authenticated
+ */
+router.get('/me', authenticate, getCurrentUser);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key
+ * @access  Authenticated
+ * @body    {label?}
+ */
+router.post('/api-keys', authenticate, createApiKey);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List API keys of the caller
+ * @access  Authenticated
+ */
+router.get('/api-keys', authenticate, listApiKeys);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Authenticated
+ */
+router.delete('/api-keys/:keyId', authenticate, revokeApiKey);
+
+module.exports = router;
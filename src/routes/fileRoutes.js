@@ -3,24 +3,55 @@ const multer = require('multer');
 const rateLimit = require('express-rate-limit');
 const {
   uploadFile,
+  uploadBatch,
+  importFile,
   getFileMetadata,
+  updateFileMetadata,
+  getFileHistory,
   downloadFile,
   addNewVersion,
+  rollbackVersion,
   verifyFileIntegrity,
+  diffVersions,
   getFilesByOwner,
   deleteFile,
+  listTrash,
+  restoreFile,
+  emptyTrash,
+  getFileAcl,
+  grantFileAccess,
+  revokeFileAccess,
   getIPFSStatus,
-  searchFiles
+  searchFiles,
+  reindexSearch,
+  getStorageStats
 } = require('../controllers/fileController');
+const { getPurgeReport, runPurge, rebuildRefCounts } = require('../controllers/purgeController');
+const { createBulkJob, getBulkJob, listBulkJobs } = require('../controllers/bulkController');
+const { moveFileToFolder } = require('../controllers/folderController');
+const { downloadArchive } = require('../controllers/archiveController');
+const { exportCatalog, restoreCatalog } = require('../controllers/catalogController');
+const {
+  getFileRetention,
+  setFileRetention,
+  clearFileRetention,
+  applyFileRetention,
+  setVersionProtection,
+  runPruning
+} = require('../controllers/retentionController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ipfsStorage } = require('../middleware/ipfsStorage');
+const FileMetadata = require('../models/fileMetadata');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
+// Configure multer to stream uploads straight to IPFS
+const MAX_UPLOAD_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 100;
+const storage = ipfsStorage();
 const upload = multer({
   storage,
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB limit
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
     files: 1 // Only one file per request
   },
   fileFilter: (req, file, cb) => {
@@ -29,10 +60,20 @@ const upload = multer({
   }
 });
 
+// Batch uploads keep going when one file cannot be stored
+const MAX_BATCH_FILES = parseInt(process.env.BATCH_MAX_FILES) || 100;
+const batchUpload = multer({
+  storage: ipfsStorage({ keepGoing: true }),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    files: MAX_BATCH_FILES
+  }
+});
+
 // Rate limiting middleware
 const uploadLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // limit each IP to 10 uploads per windowMs
+  max: parseInt(process.env.UPLOAD_RATE_LIMIT_MAX) || 10, // limit each IP to 10 uploads per windowMs
   message: {
     success: false,
     message: 'Too many upload requests, please try again later'
@@ -43,7 +84,7 @@ const uploadLimiter = rateLimit({
 
 const downloadLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 50, // limit each IP to 50 downloads per windowMs
+  max: parseInt(process.env.DOWNLOAD_RATE_LIMIT_MAX) || 50, // limit each IP to 50 downloads per windowMs
   message: {
     success: false,
     message: 'Too many download requests, please try again later'
@@ -52,19 +93,33 @@ const downloadLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Diffs are computed in-process, so they get a tighter budget of their own
+const diffLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.DIFF_RATE_LIMIT_MAX) || 30, // limit each IP to 30 diffs per windowMs
+  message: {
+    success: false,
+    message: 'Too many diff requests, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Middleware to handle multer errors
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size is 100MB'
+        message: `File too large. Maximum size is ${MAX_UPLOAD_SIZE_MB}MB`
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Only one file per request is allowed'
+        message: Array.isArray(req.files)
+          ? `Too many files. At most ${MAX_BATCH_FILES} files per batch are allowed`
+          : 'Too many files. Only one file per request is allowed'
       });
     }
     return res.status(400).json({
@@ -75,35 +130,174 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
+// Reject callers without edit access before their upload is streamed to IPFS
+const checkEditAccess = async (req, res, next) => {
+  try {
+    const fileMetadata = await FileMetadata.findOne({
+      fileId: req.params.fileId,
+      isActive: true
+    });
+
+    if (!fileMetadata || !fileMetadata.canEdit(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    // Lets the storage engine default new versions to the file's encryption mode
+    req.fileMetadata = fileMetadata;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes
 
 /**
  * @route   POST /api/files/upload
- * @desc    Upload a new file
- * @access  Public
- * @body    {owner, description?, tags?}
+ * @desc    Upload a new file owned by the authenticated caller
+ * @access  Authenticated
+ * @query   {encrypt?}
+ * @body    {description?, tags?, attributes?} - attributes as a JSON object string
  * @file    file (required)
  */
 router.post('/upload', 
+  authenticate,
   uploadLimiter,
   upload.single('file'),
   handleMulterError,
   uploadFile
 );
 
+/**
+ * @route   POST /api/files/upload/batch
+ * @desc    Upload many files at once; each is reported as created, duplicate or failed
+ * @access  Authenticated (administrators may set another owner)
+ * @query   {encrypt?}
+ * @body    {owner?, description?, tags?, attributes?, metadata?} - shared fields; metadata is a JSON array with per-file overrides
+ * @file    files (one or more, up to BATCH_MAX_FILES)
+ */
+router.post('/upload/batch',
+  authenticate,
+  uploadLimiter,
+  batchUpload.array('files'),
+  handleMulterError,
+  uploadBatch
+);
+
+/**
+ * @route   POST /api/files/import
+ * @desc    Register content already on IPFS by CID as a new file, or as a new version when fileId is given; the content is fetched, hashed and pinned
+ * @access  Authenticated (owner or editor for a new version; administrators may set another owner)
+ * @body    {cid, fileName, mimeType?, owner?, description?, tags?, attributes?} or {cid, fileId, fileName?, mimeType?} - the type is sniffed when mimeType is omitted
+ */
+router.post('/import', authenticate, uploadLimiter, importFile);
+
+/**
+ * @route   POST /api/files/bulk
+ * @desc    Start a background job applying one action to many files; returns 202 with the job
+ * @access  Authenticated (each file needs the same access as the single-file endpoint)
+ * @body    {action, params?, fileIds? | filter?, dryRun?} - action is delete, restore, addTags, removeTags, setAttributes, transferOwnership or moveToFolder; filter takes the search criteria {query?, owner?, tags?, attr?}
+ */
+router.post('/bulk', authenticate, createBulkJob);
+
+/**
+ * @route   GET /api/files/bulk
+ * @desc    List the caller's bulk jobs, newest first
+ * @access  Authenticated
+ * @query   {limit?, cursor?, sortOrder?}
+ */
+router.get('/bulk', authenticate, listBulkJobs);
+
+/**
+ * @route   GET /api/files/bulk/:jobId
+ * @desc    Get a bulk job's progress and per-file outcomes
+ * @access  Authenticated (job creator)
+ * @query   {status?} - only outcomes with this status (succeeded, skipped or failed)
+ */
+router.get('/bulk/:jobId', authenticate, getBulkJob);
+
+/**
+ * @route   POST /api/files/archive
+ * @desc    Download files as one zip or tar archive, each entry verified, with manifest.json listing every entry and failure
+ * @access  Authenticated (files the caller can see)
+ * @body    {format?, fileIds? | filter? | folder? | versionsOf?} - format is zip (default) or tar; folder is a path of the caller's tree; versionsOf is a fileId
+ */
+router.post('/archive',
+  authenticate,
+  downloadLimiter,
+  downloadArchive
+);
+
+/**
+ * @route   GET /api/files/trash
+ * @desc    List the caller's deleted files
+ * @access  Authenticated
+ * @query   {limit?, cursor?, sortOrder?}
+ */
+router.get('/trash', authenticate, listTrash);
+
+/**
+ * @route   POST /api/files/trash/:fileId/restore
+ * @desc    Restore a deleted file
+ * @access  Authenticated (owner)
+ */
+router.post('/trash/:fileId/restore', authenticate, restoreFile);
+
+/**
+ * @route   DELETE /api/files/trash/:fileId
+ * @desc    Permanently delete a file from the trash
+ * @access  Authenticated (owner)
+ */
+router.delete('/trash/:fileId', authenticate, emptyTrash);
+
+/**
+ * @route   DELETE /api/files/trash
+ * @desc    Permanently delete every file in the caller's trash
+ * @access  Authenticated
+ */
+router.delete('/trash', authenticate, emptyTrash);
+
 /**
  * @route   GET /api/files/:fileId
  * @desc    Get file metadata by fileId
- * @access  Public
+ * @access  Authenticated (owner, editor or viewer)
  */
-router.get('/:fileId', getFileMetadata);
+router.get('/:fileId', authenticate, getFileMetadata);
+
+/**
+ * @route   PATCH /api/files/:fileId
+ * @desc    Edit file name, description, tags or attributes; each change is recorded in the file history
+ * @access  Authenticated (owner or editor)
+ * @body    {originalFileName?, description?, tags?, attributes?} - null attribute values remove them
+ */
+router.patch('/:fileId', authenticate, updateFileMetadata);
+
+/**
+ * @route   PUT /api/files/:fileId/folder
+ * @desc    Move a file into a folder of the owner's tree
+ * @access  Authenticated (owner)
+ * @body    {path} - folder path ("/" for the root)
+ */
+router.put('/:fileId/folder', authenticate, moveFileToFolder);
+
+/**
+ * @route   GET /api/files/:fileId/history
+ * @desc    Content versions and metadata edits of a file, oldest first
+ * @access  Authenticated (owner, editor or viewer)
+ * @query   {type?} version or metadata
+ */
+router.get('/:fileId/history', authenticate, getFileHistory);
 
 /**
  * @route   GET /api/files/download/:fileId/:versionIndex?
  * @desc    Download file from IPFS by fileId and optional version
- * @access  Public
+ * @access  Authenticated (owner, editor or viewer)
  */
 router.get('/download/:fileId/:versionIndex?', 
+  authenticate,
   downloadLimiter,
   downloadFile
 );
@@ -111,39 +305,120 @@ router.get('/download/:fileId/:versionIndex?',
 /**
  * @route   POST /api/files/update/:fileId
  * @desc    Add new version to existing file
- * @access  Public
- * @body    {uploadedBy}
+ * @access  Authenticated (owner or editor)
+ * @query   {encrypt?} - defaults to the current version's mode
  * @file    file (required)
  */
 router.post('/update/:fileId',
+  authenticate,
+  checkEditAccess,
   uploadLimiter,
   upload.single('file'),
   handleMulterError,
   addNewVersion
 );
 
+/**
+ * @route   POST /api/files/rollback/:fileId/:versionIndex
+ * @desc    Make an earlier version current again, recorded as a new version
+ * @access  Authenticated (owner or editor)
+ */
+router.post('/rollback/:fileId/:versionIndex', authenticate, rollbackVersion);
+
 /**
  * @route   GET /api/files/verify/:fileId/:versionIndex
  * @desc    Verify file integrity by comparing IPFS content with stored hash
- * @access  Public
+ * @access  Authenticated (owner, editor or viewer)
  */
-router.get('/verify/:fileId/:versionIndex', verifyFileIntegrity);
+router.get('/verify/:fileId/:versionIndex', authenticate, verifyFileIntegrity);
+
+/**
+ * @route   GET /api/files/diff/:fileId/:fromVersion/:toVersion
+ * @desc    Compare two versions: line diff for text, structural diff for JSON, metadata for binary
+ * @access  Authenticated (owner, editor or viewer)
+ * @query   {format?} unified (default) or lines
+ */
+router.get('/diff/:fileId/:fromVersion/:toVersion', authenticate, diffLimiter, diffVersions);
 
 /**
  * @route   GET /api/files/owner/:owner
- * @desc    Get all files by owner
- * @access  Public
- * @query   {page?, limit?, sortBy?, sortOrder?}
+ * @desc    Get all files by owner that the caller can see
+ * @access  Authenticated
+ * @query   {limit?, cursor?, sortBy? (createdAt|updatedAt|originalFileName), sortOrder?, facets?, dateInterval?}
  */
-router.get('/owner/:owner', getFilesByOwner);
+router.get('/owner/:owner', authenticate, getFilesByOwner);
 
 /**
  * @route   DELETE /api/files/:fileId
- * @desc    Delete file (soft delete)
- * @access  Public
- * @body    {owner}
+ * @desc    Move a file to the trash (soft delete)
+ * @access  Authenticated (owner)
+ */
+router.delete('/:fileId', authenticate, deleteFile);
+
+/**
+ * @route   GET /api/files/:fileId/acl
+ * @desc    Get the access control list of a file
+ * @access  Authenticated (owner)
+ */
+router.get('/:fileId/acl', authenticate, getFileAcl);
+
+/**
+ * @route   POST /api/files/:fileId/acl
+ * @desc    Grant a user or group viewer/editor access
+ * @access  Authenticated (owner)
+ * @body    {principal, principalType?, role}
+ */
+router.post('/:fileId/acl', authenticate, grantFileAccess);
+
+/**
+ * @route   DELETE /api/files/:fileId/acl/:principalType/:principal
+ * @desc    Revoke a user's or group's access
+ * @access  Authenticated (owner)
+ */
+router.delete('/:fileId/acl/:principalType/:principal', authenticate, revokeFileAccess);
+
+/**
+ * @route   GET /api/files/:fileId/retention
+ * @desc    Get a file's retention policy and the versions it would prune
+ * @access  Authenticated (owner)
+ */
+router.get('/:fileId/retention', authenticate, getFileRetention);
+
+/**
+ * @route   PUT /api/files/:fileId/retention
+ * @desc    Set a retention policy for the file, overriding the owner's default
+ * @access  Authenticated (owner)
+ * @body    {keepLast?, keepDays?, keepFirstPer?}
+ */
+router.put('/:fileId/retention', authenticate, setFileRetention);
+
+/**
+ * @route   DELETE /api/files/:fileId/retention
+ * @desc    Remove the file's own retention policy
+ * @access  Authenticated (owner)
+ */
+router.delete('/:fileId/retention', authenticate, clearFileRetention);
+
+/**
+ * @route   POST /api/files/:fileId/retention/apply
+ * @desc    Prune the file's versions now
+ * @access  Authenticated (owner)
+ */
+router.post('/:fileId/retention/apply', authenticate, applyFileRetention);
+
+/**
+ * @route   POST /api/files/:fileId/versions/:versionIndex/protect
+ * @desc    Protect a version from pruning
+ * @access  Authenticated (owner)
  */
-router.delete('/:fileId', deleteFile);
+router.post('/:fileId/versions/:versionIndex/protect', authenticate, setVersionProtection);
+
+/**
+ * @route   DELETE /api/files/:fileId/versions/:versionIndex/protect
+ * @desc    Remove a version's protection
+ * @access  Authenticated (owner)
+ */
+router.delete('/:fileId/versions/:versionIndex/protect', authenticate, setVersionProtection);
 
 /**
  * @route   GET /api/files/system/status
@@ -154,11 +429,73 @@ router.get('/system/status', getIPFSStatus);
 
 /**
  * @route   GET /api/files/system/search
- * @desc    Search files by query, owner, or tags
- * @access  Public
- * @query   {query?, owner?, tags?, page?, limit?}
+ * @desc    Search files the caller can see: ranked full-text query (words, "phrases", prefix*, -excluded), owner, tags or attributes
+ * @access  Authenticated
+ * @query   {query?, owner?, tags?, attr[name]?, attr[name][eq|ne|gt|gte|lt|lte|in]?, limit?, cursor?, sortBy? (relevance|createdAt|updatedAt|originalFileName), sortOrder?, facets?, dateInterval?}
+ */
+router.get('/system/search', authenticate, searchFiles);
+
+/**
+ * @route   POST /api/files/system/search/reindex
+ * @desc    Recompute the search fields of every file
+ * @access  Admin
+ */
+router.post('/system/search/reindex', authenticate, requireAdmin, reindexSearch);
+
+/**
+ * @route   GET /api/files/system/stats
+ * @desc    Total bytes, version counts, and the largest and most-versioned files per owner
+ * @access  Authenticated (own files; administrators see every owner)
+ * @query   {owner?, top?}
+ */
+router.get('/system/stats', authenticate, getStorageStats);
+
+/**
+ * @route   GET /api/files/system/purge
+ * @desc    Dry-run report of expired soft-deleted files and the content a purge would unpin
+ * @access  Admin
+ * @query   {retentionDays?}
+ */
+router.get('/system/purge', authenticate, requireAdmin, getPurgeReport);
+
+/**
+ * @route   POST /api/files/system/purge
+ * @desc    Hard delete expired soft-deleted files, unpin unreferenced content and optionally run GC
+ * @access  Admin
+ * @body    {retentionDays?, gc?, dryRun?}
+ */
+router.post('/system/purge', authenticate, requireAdmin, runPurge);
+
+/**
+ * @route   POST /api/files/system/prune
+ * @desc    Apply version retention policies to every file
+ * @access  Admin
+ * @body    {dryRun?}
+ */
+router.post('/system/prune', authenticate, requireAdmin, runPruning);
+
+/**
+ * @route   POST /api/files/system/refcounts/rebuild
+ * @desc    Recompute how many file versions reference each stored CID
+ * @access  Admin
  */
-router.get('/system/search', searchFiles);
+router.post('/system/refcounts/rebuild', authenticate, requireAdmin, rebuildRefCounts);
+
+/**
+ * @route   POST /api/files/system/catalog/export
+ * @desc    Export file records (every version, ACL and history) to a catalog manifest pinned on IPFS
+ * @access  Admin
+ * @body    {plaintext?, includeKeys?, filter?} - the manifest is encrypted unless plaintext is true; filter takes {owner?, fileIds?, updatedSince?, includeDeleted?}
+ */
+router.post('/system/catalog/export', authenticate, requireAdmin, exportCatalog);
+
+/**
+ * @route   POST /api/files/system/catalog/restore
+ * @desc    Recreate file records from a catalog manifest CID, then rebuild content reference counts
+ * @access  Admin
+ * @body    {cid, onConflict?, dryRun?, pinContent?} - onConflict is skip (default), overwrite or fail
+ */
+router.post('/system/catalog/restore', authenticate, requireAdmin, restoreCatalog);
 
 // Health check endpoint
 router.get('/system/health', (req, res) => {
@@ -173,6 +510,11 @@ router.get('/system/health', (req, res) => {
 // Error handling middleware for this router
 router.use((error, req, res, next) => {
   console.error('File route error:', error);
+
+  // Let the global handler report token errors
+  if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    return next(error);
+  }
   
   if (error.name === 'ValidationError') {
     return res.status(400).json({
@@ -189,6 +531,13 @@ router.use((error, req, res, next) => {
     });
   }
   
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
   res.status(500).json({
     success: false,
     message: 'Internal server error',
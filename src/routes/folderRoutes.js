@@ -0,0 +1,64 @@
+const express = require('express');
+const {
+  createFolder,
+  listFolder,
+  updateFolder,
+  deleteFolder,
+  publishFolder,
+  unpublishFolder
+} = require('../controllers/folderController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every folder route acts on the caller's own tree
+router.use(authenticate);
+
+// Routes
+
+/**
+ * @route   POST /api/folders
+ * @desc    Create a folder, along with any missing parents
+ * @access  Authenticated
+ * @body    {path} - e.g. /projects/apollo
+ */
+router.post('/', createFolder);
+
+/**
+ * @route   GET /api/folders
+ * @desc    List the subfolders and files at a path
+ * @access  Authenticated
+ * @query   {path?, limit?, cursor?, sortBy?, sortOrder?} - path defaults to the root; files are sorted by name
+ */
+router.get('/', listFolder);
+
+/**
+ * @route   PATCH /api/folders/:folderId
+ * @desc    Rename a folder and/or move it under another parent folder
+ * @access  Authenticated (folder owner)
+ * @body    {name?, parent?} - parent is a folder path ("/" for the root)
+ */
+router.patch('/:folderId', updateFolder);
+
+/**
+ * @route   DELETE /api/folders/:folderId
+ * @desc    Delete an empty folder
+ * @access  Authenticated (folder owner)
+ */
+router.delete('/:folderId', deleteFolder);
+
+/**
+ * @route   POST /api/folders/:folderId/publish
+ * @desc    Publish the folder tree as one pinned IPFS directory CID (replaces any earlier publication)
+ * @access  Authenticated (folder owner)
+ */
+router.post('/:folderId/publish', publishFolder);
+
+/**
+ * @route   DELETE /api/folders/:folderId/publish
+ * @desc    Withdraw the publication and unpin its directory
+ * @access  Authenticated (folder owner)
+ */
+router.delete('/:folderId/publish', unpublishFolder);
+
+module.exports = router;
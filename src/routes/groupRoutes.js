@@ -0,0 +1,55 @@
+const express = require('express');
+const {
+  createGroup,
+  listGroups,
+  addGroupMember,
+  removeGroupMember,
+  deleteGroup
+} = require('../controllers/groupController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every group route acts on behalf of the caller
+router.use(authenticate);
+
+// Routes
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group owned by the caller
+ * @access  Authenticated
+ * @body    {name, members?}
+ */
+router.post('/', createGroup);
+
+/**
+ * @route   GET /api/groups
+ * @desc    List groups the caller owns or belongs to
+ * @access  Authenticated
+ */
+router.get('/', listGroups);
+
+/**
+ * @route   POST /api/groups/:groupId/members
+ * @desc    Add a member to a group
+ * @access  Authenticated (group owner)
+ * @body    {userId}
+ */
+router.post('/:groupId/members', addGroupMember);
+
+/**
+ * @route   DELETE /api/groups/:groupId/members/:userId
+ * @desc    Remove a member from a group
+ * @access  Authenticated (group owner)
+ */
+router.delete('/:groupId/members/:userId', removeGroupMember);
+
+/**
+ * @route   DELETE /api/groups/:groupId
+ * @desc    Delete a group
+ * @access  Authenticated (group owner)
+ */
+router.delete('/:groupId', deleteGroup);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getDefaultPolicy,
+  setDefaultPolicy,
+  clearDefaultPolicy
+} = require('../controllers/retentionController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The default policy always belongs to the caller
+router.use(authenticate);
+
+// Routes
+
+/**
+ * @route   GET /api/retention
+ * @desc    Get the caller's default version retention policy
+ * @access  Authenticated
+ */
+router.get('/', getDefaultPolicy);
+
+/**
+ * @route   PUT /api/retention
+ * @desc    Set the default retention policy for the caller's files
+ * @access  Authenticated
+ * @body    {keepLast?, keepDays?, keepFirstPer?}
+ */
+router.put('/', setDefaultPolicy);
+
+/**
+ * @route   DELETE /api/retention
+ * @desc    Remove the caller's default retention policy
+ * @access  Authenticated
+ */
+router.delete('/', clearDefaultPolicy);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+} = require('../controllers/uploadController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// New sessions count as uploads; chunks of a session do not
+const sessionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.UPLOAD_RATE_LIMIT_MAX) || 10,
+  message: {
+    success: false,
+    message: 'Too many upload requests, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Every upload session belongs to the caller
+router.use(authenticate);
+
+// Routes
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Start a resumable upload of a new file, or of a new version when fileId is given
+ * @access  Authenticated (owner or editor for a new version)
+ * @body    {fileName, size, mimeType?, fileId?, description?, tags?, attributes?, encrypt?, sha256Hash?} - size is the total in bytes
+ */
+router.post('/', sessionLimiter, createUploadSession);
+
+/**
+ * @route   GET /api/uploads/:uploadId
+ * @desc    Get a session and the offset to resume from (also in the Upload-Offset header; HEAD works too)
+ * @access  Authenticated (session creator)
+ */
+router.get('/:uploadId', getUploadSession);
+
+/**
+ * @route   PUT /api/uploads/:uploadId
+ * @desc    Append a chunk at the Upload-Offset header, which must equal the bytes received so far
+ * @access  Authenticated (session creator)
+ * @body    Raw bytes (application/octet-stream)
+ */
+router.put('/:uploadId', uploadChunk);
+
+/**
+ * @route   POST /api/uploads/:uploadId/complete
+ * @desc    Hash and store the received bytes, then create the file or version as a direct upload would
+ * @access  Authenticated (session creator)
+ */
+router.post('/:uploadId/complete', completeUpload);
+
+/**
+ * @route   DELETE /api/uploads/:uploadId
+ * @desc    Abandon an upload and delete its received bytes
+ * @access  Authenticated (session creator)
+ */
+router.delete('/:uploadId', cancelUpload);
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const FileMetadata = require('../models/fileMetadata');
+const User = require('../models/user');
+const ipfsService = require('./ipfsService');
+const folderService = require('./folderService');
+const { buildFileSearch } = require('../utils/searchUtils');
+const { uniqueEntryName } = require('../utils/folderUtils');
+const { decryptChunks } = require('../utils/encryptionUtils');
+const { crc32, ZIP_LOCAL_HEADER_SIZE } = require('../utils/archiveUtils');
+
+const DEFAULT_MAX_FILES = 1000;
+const DEFAULT_MAX_SIZE_MB = 2048;
+// Archived content lives under this directory, next to manifest.json
+const CONTENT_DIR = 'files';
+// Room reserved per manifest entry, on top of its path, when bounding a zip's size
+const MANIFEST_ENTRY_ALLOWANCE = 1024;
+
+/**
+ * Builds archives of many files, or of every version of one file
+ *
+ * A request is first planned: the selected versions and their paths in the
+ * archive, plus the selections that failed outright. Writing then streams
+ * each version in turn to a scratch file, verifying its hash on the way, and
+ * copies it into the archive; a version that cannot be read or does not match
+ * its hash is left out and reported in the manifest, which is always the last
+ * entry. Only one chunk of content is held in memory at a time.
+ */
+class ArchiveService {
+  /**
+   * Limits on one archive, from ARCHIVE_MAX_FILES (default 1000) and ARCHIVE_MAX_SIZE_MB (default 2048)
+   * @returns {Object} - { maxFiles, maxBytes }
+   */
+  getLimits() {
+    const maxFiles = parseInt(process.env.ARCHIVE_MAX_FILES);
+    const maxSizeMB = parseFloat(process.env.ARCHIVE_MAX_SIZE_MB);
+    return {
+      maxFiles: Number.isInteger(maxFiles) && maxFiles > 0 ? maxFiles : DEFAULT_MAX_FILES,
+      maxBytes: (maxSizeMB > 0 ? maxSizeMB : DEFAULT_MAX_SIZE_MB) * 1024 * 1024
+    };
+  }
+
+  /**
+   * Upper bound on where a zip archive of a plan ends: every entry's local
+   * header and content, plus room for manifest.json (which comes last and
+   * lists every entry and failure)
+   * @param {Object} plan - { items, failures }
+   * @returns {number} - Bytes
+   */
+  getZipSizeBound(plan) {
+    const entries = plan.items.reduce((total, { path: entryPath, version }) => {
+      const name = Buffer.byteLength(`${CONTENT_DIR}/${entryPath}`);
+      return total + ZIP_LOCAL_HEADER_SIZE + name + version.fileSize + MANIFEST_ENTRY_ALLOWANCE + 2 * name;
+    }, 0);
+    return entries + (plan.failures.length + 1) * MANIFEST_ENTRY_ALLOWANCE;
+  }
+
+  /**
+   * Plan the current version of each listed file; files the caller cannot see fail
+   * @param {Object} user - Caller
+   * @param {Array<string>} fileIds - Unique file IDs
+   * @returns {Promise<Object>} - Plan ({ items, failures })
+   */
+  async planFiles(user, fileIds) {
+    const found = await FileMetadata.find({
+      fileId: { $in: fileIds },
+      isActive: true,
+      $and: [FileMetadata.accessFilter(user)]
+    });
+    const byId = new Map(found.map(file => [file.fileId, file]));
+
+    const taken = new Set();
+    const items = [];
+    const failures = [];
+    for (const fileId of fileIds) {
+      const file = byId.get(fileId);
+      if (!file) {
+        failures.push({ fileId, error: 'File not found or access denied' });
+        continue;
+      }
+      items.push({ path: uniqueEntryName(file.originalFileName, taken), file, version: file.currentVersion });
+    }
+    return { items, failures };
+  }
+
+  /**
+   * Plan the current version of each file matching search criteria
+   * @param {Object} user - Caller
+   * @param {Object} filter - Same criteria as search (query, owner, tags, attr)
+   * @returns {Promise<Object>} - Plan, or { error, status }
+   */
+  async planFilter(user, filter) {
+    let definitions = [];
+    if (filter.attr) {
+      const caller = await User.findOne({ userId: user.userId }, 'attributeDefinitions');
+      definitions = caller ? caller.attributeDefinitions : [];
+    }
+    const search = buildFileSearch(filter, definitions);
+    if (search.error) {
+      return { error: search.error, status: 400 };
+    }
+
+    const conditions = { isActive: true, $and: [FileMetadata.accessFilter(user), ...search.conditions] };
+    if (search.text) {
+      conditions.$text = search.text;
+    }
+
+    // One file over the limit is enough to reject the request
+    const { maxFiles } = this.getLimits();
+    const matches = await FileMetadata.find(conditions).sort({ originalFileName: 1, _id: 1 }).limit(maxFiles + 1);
+
+    const taken = new Set();
+    return {
+      items: matches.map(file => ({ path: uniqueEntryName(file.originalFileName, taken), file, version: file.currentVersion })),
+      failures: []
+    };
+  }
+
+  /**
+   * Plan the current version of every file below one of the caller's folders, keeping the tree
+   * @param {Object} user - Caller
+   * @param {string} path - Folder path
+   * @returns {Promise<Object>} - Plan, or { error, status }
+   */
+  async planFolder(user, path) {
+    const resolved = await folderService.resolve(user.userId, path);
+    if (resolved.error) {
+      return resolved;
+    }
+    if (!resolved.folder) {
+      return { error: 'The root is not a folder; archive a folder or list fileIds', status: 400 };
+    }
+
+    const { files } = await folderService.listTree(resolved.folder);
+    return {
+      items: files.map(({ path: entryPath, file }) => ({ path: entryPath, file, version: file.currentVersion })),
+      failures: []
+    };
+  }
+
+  /**
+   * Plan every version of one file, as v<number>/<name>
+   * @param {Object} user - Caller
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} - Plan, or { error, status }
+   */
+  async planVersions(user, fileId) {
+    const file = await FileMetadata.findOne({ fileId, isActive: true });
+    if (!file || !file.canView(user)) {
+      return { error: 'File not found or access denied', status: 404 };
+    }
+
+    const name = uniqueEntryName(file.originalFileName, new Set());
+    return {
+      items: file.versions.map(version => ({ path: `v${version.versionNumber}/${name}`, file, version })),
+      failures: []
+    };
+  }
+
+  /**
+   * Stream a version's plaintext to a scratch file, checking it against its recorded hash
+   * Entries are verified before any of their bytes reach the archive, so a
+   * mismatch can still be left out.
+   * @param {Object} version - File version
+   * @param {string} scratchPath - File to write
+   * @param {AbortSignal} signal - Aborts the download
+   * @returns {Promise<Object>} - { size, checksum (CRC-32) }; throws on a mismatch
+   */
+  async spoolVerifiedContent(version, scratchPath, signal) {
+    const stored = ipfsService.downloadStream(version.ipfsHash, { signal });
+    const source = version.encryption ? decryptChunks(stored, version.encryption) : stored;
+
+    const hash = crypto.createHash('sha256');
+    let checksum = 0;
+    let size = 0;
+    await pipeline(
+      source,
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          hash.update(chunk);
+          checksum = crc32(chunk, checksum);
+          size += chunk.length;
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(scratchPath)
+    );
+
+    if (hash.digest('hex') !== version.sha256Hash) {
+      throw new Error('Integrity check failed: content does not match its SHA-256 hash');
+    }
+    return { size, checksum };
+  }
+
+  /**
+   * Stream a planned archive, verifying each entry as it is added, and end with manifest.json
+   * @param {Object} output - Writable stream (the response)
+   * @param {Object} writer - Archive writer from createArchiveWriter
+   * @param {Object} plan - { items, failures }
+   * @param {Object} details - { format, source, createdBy } recorded in the manifest
+   * @returns {Promise<Object>} - Manifest summary ({ included, failed }), or null if the client went away
+   */
+  async writeArchive(output, writer, plan, details) {
+    // Wait for the client to catch up, or for it to go away
+    const write = (chunk) => new Promise((resolve) => {
+      if (output.write(chunk)) return resolve();
+      const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+      };
+      output.on('drain', done);
+      output.on('close', done);
+    });
+
+    // Stop downloading as soon as the client goes away
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    output.on('close', abort);
+
+    const scratchDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+    const scratchPath = path.join(scratchDir, 'entry');
+    try {
+      const entries = await this.writeEntries(write, output, writer, plan, scratchPath, controller.signal);
+      if (!entries) return null;
+
+      const included = entries.filter(entry => entry.status === 'included').length;
+      const summary = { included, failed: entries.length - included + plan.failures.length };
+      const manifest = {
+        format: details.format,
+        createdAt: new Date(),
+        createdBy: details.createdBy,
+        source: details.source,
+        summary,
+        entries: [
+          ...entries,
+          ...plan.failures.map(failure => ({ fileId: failure.fileId, path: null, status: 'failed', error: failure.error }))
+        ]
+      };
+
+      await write(writer.addEntry('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2))));
+      await write(writer.finish());
+      output.end();
+      return summary;
+    } finally {
+      output.off('close', abort);
+      await fs.promises.rm(scratchDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Add each planned version to the archive through the scratch file
+   * @param {Function} write - Writes a chunk, waiting for the client to catch up
+   * @param {Object} output - Writable stream (the response)
+   * @param {Object} writer - Archive writer from createArchiveWriter
+   * @param {Object} plan - { items, failures }
+   * @param {string} scratchPath - Scratch file, reused for each entry
+   * @param {AbortSignal} signal - Aborts downloads once the client goes away
+   * @returns {Promise<Array<Object>|null>} - Manifest entries, or null if the client went away
+   */
+  async writeEntries(write, output, writer, plan, scratchPath, signal) {
+    const entries = [];
+    for (const { path: entryPath, file, version } of plan.items) {
+      if (output.destroyed) return null;
+
+      const entry = {
+        path: `${CONTENT_DIR}/${entryPath}`,
+        fileId: file.fileId,
+        originalFileName: file.originalFileName,
+        versionNumber: version.versionNumber,
+        sha256: version.sha256Hash,
+        cid: version.ipfsHash,
+        size: version.fileSize,
+        mimeType: version.mimeType,
+        uploadedBy: version.uploadedBy,
+        uploadedAt: version.uploadedAt
+      };
+
+      let spooled;
+      try {
+        spooled = await this.spoolVerifiedContent(version, scratchPath, signal);
+      } catch (error) {
+        if (output.destroyed) return null;
+        entries.push({ ...entry, path: null, status: 'failed', error: error.message });
+        continue;
+      }
+
+      await write(writer.startEntry(entry.path, spooled.size, version.uploadedAt, spooled.checksum));
+      for await (const chunk of fs.createReadStream(scratchPath)) {
+        if (output.destroyed) return null;
+        await write(chunk);
+      }
+      await write(writer.endEntry(spooled.size));
+      entries.push({ ...entry, status: 'included' });
+    }
+    return entries;
+  }
+}
+
+// Create and export singleton instance
+const archiveService = new ArchiveService();
+module.exports = archiveService;
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const BulkJob = require('../models/bulkJob');
+const FileMetadata = require('../models/fileMetadata');
+const User = require('../models/user');
+const { validateAttributes, mergeAttributes } = require('../utils/attributeUtils');
+
+const DEFAULT_MAX_FILES = 1000;
+// Progress is saved after this many files
+const PROGRESS_INTERVAL = 25;
+
+/**
+ * Runs one action over many files as a background job
+ *
+ * Each file is checked and changed on its own, with the same permissions as the
+ * single-file endpoints, and its outcome is recorded on the job: succeeded,
+ * skipped (nothing to do) or failed. A dry run performs every check but saves
+ * nothing. Jobs run in this process; one interrupted by a restart is marked failed.
+ */
+class BulkService {
+  constructor() {
+    this.running = new Map();
+
+    // Each handler checks and changes one file, returning { status, message }
+    this.handlers = {
+      delete: this.deleteFile,
+      restore: this.restoreFile,
+      addTags: this.addTags,
+      removeTags: this.removeTags,
+      setAttributes: this.setAttributes,
+      transferOwnership: this.transferOwnership,
+      moveToFolder: this.moveToFolder
+    };
+  }
+
+  /**
+   * Most files one job may select, from BULK_MAX_FILES (default 1000)
+   * @returns {number} - File limit
+   */
+  getMaxFiles() {
+    const max = parseInt(process.env.BULK_MAX_FILES);
+    return Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_FILES;
+  }
+
+  /**
+   * Create a job and start running it
+   * @param {Object} user - Caller ({ userId, groups })
+   * @param {Object} request - { action, params, fileIds, filter, dryRun }
+   * @returns {Promise<Object>} - The pending job
+   */
+  async createJob(user, { action, params, fileIds, filter, dryRun }) {
+    const job = await BulkJob.create({
+      jobId: crypto.randomBytes(8).toString('hex'),
+      createdBy: user.userId,
+      action,
+      params,
+      filter,
+      fileIds,
+      dryRun
+    });
+
+    const run = this.runJob(job, user)
+      .catch(error => console.error('Bulk job error:', error.message))
+      .finally(() => this.running.delete(job.jobId));
+    this.running.set(job.jobId, run);
+
+    return job;
+  }
+
+  /**
+   * Apply the job's action to each of its files in turn
+   * @param {Object} job - Bulk job document
+   * @param {Object} user - Caller the job runs as
+   */
+  async runJob(job, user) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    // Attribute definitions by owner, loaded once per job
+    const context = { user, definitions: new Map() };
+
+    try {
+      for (const fileId of job.fileIds) {
+        const outcome = await this.applyAction(job, fileId, context)
+          .catch(error => ({ status: 'failed', message: error.message }));
+        job.items.push({ fileId, ...outcome });
+        job.processed++;
+
+        if (job.processed % PROGRESS_INTERVAL === 0) {
+          await job.save();
+        }
+      }
+      job.status = 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date();
+    await job.save();
+  }
+
+  /**
+   * Apply the job's action to one file, saving it unless this is a dry run
+   * @param {Object} job - Bulk job document
+   * @param {string} fileId - File to change
+   * @param {Object} context - { user, definitions }
+   * @returns {Promise<Object>} - { status, message }
+   */
+  async applyAction(job, fileId, context) {
+    const file = await FileMetadata.findOne({ fileId });
+    if (!file || !file.canView(context.user)) {
+      return { status: 'failed', message: 'File not found or access denied' };
+    }
+
+    const outcome = await this.handlers[job.action].call(this, file, job.params, context);
+    if (outcome.status === 'succeeded' && !job.dryRun) {
+      await file.save();
+    }
+    return outcome;
+  }
+
+  // Action handlers: each checks one file and changes it in memory; applyAction saves it
+
+  async deleteFile(file, params, { user }) {
+    if (file.owner !== user.userId) {
+      return { status: 'failed', message: 'Only the owner can delete a file' };
+    }
+    if (!file.isActive) {
+      return { status: 'skipped', message: 'Already in the trash' };
+    }
+
+    file.softDelete(user.userId);
+    return { status: 'succeeded', message: 'Moved to trash' };
+  }
+
+  async restoreFile(file, params, { user }) {
+    if (file.owner !== user.userId) {
+      return { status: 'failed', message: 'Only the owner can restore a file' };
+    }
+    if (file.isActive) {
+      return { status: 'skipped', message: 'Not in the trash' };
+    }
+
+    // Owners hold at most one active file per content, as on upload
+    const existing = await FileMetadata.findByHash(file.currentVersion.sha256Hash, file.owner);
+    if (existing) {
+      return { status: 'failed', message: `You already have this content as ${existing.fileId}` };
+    }
+
+    file.restore();
+    return { status: 'succeeded', message: 'Restored' };
+  }
+
+  async addTags(file, { tags }, { user }) {
+    const denied = this.checkEditable(file, user);
+    if (denied) return denied;
+
+    const added = tags.filter(tag => !file.tags.includes(tag));
+    if (added.length === 0) {
+      return { status: 'skipped', message: 'Already tagged' };
+    }
+
+    file.updateMetadata({ tags: [...file.tags, ...added] }, user.userId);
+    return { status: 'succeeded', message: `Added ${added.join(', ')}` };
+  }
+
+  async removeTags(file, { tags }, { user }) {
+    const denied = this.checkEditable(file, user);
+    if (denied) return denied;
+
+    const removed = file.tags.filter(tag => tags.includes(tag));
+    if (removed.length === 0) {
+      return { status: 'skipped', message: 'Not tagged' };
+    }
+
+    file.updateMetadata({ tags: file.tags.filter(tag => !tags.includes(tag)) }, user.userId);
+    return { status: 'succeeded', message: `Removed ${removed.join(', ')}` };
+  }
+
+  async setAttributes(file, { attributes }, { user, definitions }) {
+    const denied = this.checkEditable(file, user);
+    if (denied) return denied;
+
+    // Attributes are validated against the file owner's definitions
+    if (!definitions.has(file.owner)) {
+      const owner = await User.findOne({ userId: file.owner }, 'attributeDefinitions');
+      definitions.set(file.owner, owner ? owner.attributeDefinitions : []);
+    }
+
+    const merged = mergeAttributes(file.getAttributes(), attributes);
+    const checked = validateAttributes(merged, definitions.get(file.owner));
+    if (checked.errors) {
+      return { status: 'failed', message: `Invalid attributes: ${checked.errors.join('; ')}` };
+    }
+
+    const changes = file.updateMetadata({ attributes: checked.attributes }, user.userId);
+    if (changes.length === 0) {
+      return { status: 'skipped', message: 'No changes' };
+    }
+    return { status: 'succeeded', message: 'Attributes updated' };
+  }
+
+  async transferOwnership(file, { owner }, { user }) {
+    if (file.owner !== user.userId) {
+      return { status: 'failed', message: 'Only the owner can transfer a file' };
+    }
+    if (!file.isActive) {
+      return { status: 'failed', message: 'File is in the trash' };
+    }
+    if (file.owner === owner) {
+      return { status: 'skipped', message: `Already owned by ${owner}` };
+    }
+
+    // Owners hold at most one file per content, as on upload
+    const existing = await FileMetadata.findByHash(file.currentVersion.sha256Hash, owner);
+    if (existing) {
+      return { status: 'failed', message: `${owner} already has this content as ${existing.fileId}` };
+    }
+
+    file.transferOwnership(owner, user.userId);
+    return { status: 'succeeded', message: `Transferred to ${owner}` };
+  }
+
+  async moveToFolder(file, { path, folderId }, { user }) {
+    if (file.owner !== user.userId) {
+      return { status: 'failed', message: 'Only the owner can move a file' };
+    }
+    if (!file.isActive) {
+      return { status: 'failed', message: 'File is in the trash' };
+    }
+    if (file.folderId === folderId) {
+      return { status: 'skipped', message: `Already in ${path}` };
+    }
+
+    file.folderId = folderId;
+    return { status: 'succeeded', message: `Moved to ${path}` };
+  }
+
+  /**
+   * Check that a file can have its metadata edited by the user
+   * @param {Object} file - File metadata document
+   * @param {Object} user - Caller
+   * @returns {Object|null} - Failed outcome, or null when the edit is allowed
+   */
+  checkEditable(file, user) {
+    if (!file.isActive) {
+      return { status: 'failed', message: 'File is in the trash' };
+    }
+    if (!file.canEdit(user)) {
+      return { status: 'failed', message: 'Edit access required' };
+    }
+    return null;
+  }
+
+  /**
+   * Mark jobs left pending or running by a previous process as failed
+   * @returns {Promise<number>} - Number of jobs marked failed
+   */
+  async failInterruptedJobs() {
+    const result = await BulkJob.updateMany(
+      { status: { $in: ['pending', 'running'] }, jobId: { $nin: [...this.running.keys()] } },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+// Create and export singleton instance
+const bulkService = new BulkService();
+module.exports = bulkService;
@@ -0,0 +1,231 @@
+const FileMetadata = require('../models/fileMetadata');
+const Folder = require('../models/folder');
+const ipfsService = require('./ipfsService');
+const contentService = require('./contentService');
+const folderService = require('./folderService');
+const { mapWithConcurrency } = require('../utils/batchUtils');
+const { parseFolderPath, formatFolderPath } = require('../utils/folderUtils');
+const {
+  CATALOG_FORMAT,
+  CATALOG_VERSION,
+  toCatalogEntry,
+  encodeManifest,
+  decodeManifest
+} = require('../utils/catalogUtils');
+
+// Content pins requested at once during a restore
+const PIN_CONCURRENCY = 4;
+
+/**
+ * Backups of the file catalog as manifests stored on IPFS
+ *
+ * Which CID belongs to which file, owner and version is otherwise known only to
+ * MongoDB. An export writes the selected file records, with every version and
+ * the path of each file's folder, to a versioned manifest and pins it; a restore
+ * reads a manifest back by CID and recreates the records, their folders and the
+ * content reference counts. Manifests are encrypted with the master key, and
+ * keep the wrapped data keys of encrypted versions, so those stay readable
+ * with the same ENCRYPTION_MASTER_KEY; plaintext manifests leave the keys out
+ * unless asked to keep them.
+ */
+class CatalogService {
+  /**
+   * Paths of the folders files are in
+   * @param {Array<Object>} files - Plain file records
+   * @returns {Promise<Map<string, string>>} - folderId -> path
+   */
+  async resolveFolderPaths(files) {
+    const owners = [...new Set(files.filter(file => file.folderId).map(file => file.owner))];
+    if (owners.length === 0) {
+      return new Map();
+    }
+
+    const folders = await Folder.find({ owner: { $in: owners } }, 'folderId parentId name').lean();
+    const byId = new Map(folders.map(folder => [folder.folderId, folder]));
+    const paths = new Map();
+
+    const pathOf = (folderId) => {
+      if (!paths.has(folderId)) {
+        const segments = [];
+        // Walk up to the root; a missing parent ends the walk
+        for (let folder = byId.get(folderId); folder; folder = byId.get(folder.parentId)) {
+          segments.unshift(folder.name);
+          if (segments.length > byId.size) break;
+        }
+        paths.set(folderId, segments.length > 0 ? formatFolderPath(segments) : null);
+      }
+      return paths.get(folderId);
+    };
+
+    files.forEach(file => file.folderId && pathOf(file.folderId));
+    return paths;
+  }
+
+  /**
+   * Export file records to a manifest and store it on IPFS, pinned
+   * @param {Object} options - { conditions, filter, encrypt, includeKeys, createdBy } (conditions and filter from buildCatalogFilter)
+   * @returns {Promise<Object>} - { cid, size, encrypted, wrappedKeys, summary }
+   */
+  async exportCatalog({ conditions, filter, encrypt = true, includeKeys = false, createdBy }) {
+    const files = await FileMetadata.find(conditions).sort({ fileId: 1 }).lean();
+    const folderPaths = await this.resolveFolderPaths(files);
+
+    const entries = files.map(file => toCatalogEntry(file, file.folderId ? folderPaths.get(file.folderId) || null : null));
+    const summary = {
+      files: entries.length,
+      versions: entries.reduce((total, entry) => total + entry.versions.length, 0),
+      bytes: entries.reduce((total, entry) => total + entry.versions.reduce((sum, version) => sum + version.fileSize, 0), 0)
+    };
+
+    const manifest = {
+      format: CATALOG_FORMAT,
+      version: CATALOG_VERSION,
+      createdAt: new Date(),
+      createdBy,
+      filter,
+      summary,
+      files: entries
+    };
+
+    const content = encodeManifest(manifest, { encrypt, includeKeys });
+    const { hash, size } = await ipfsService.uploadFile(content, { pin: true });
+    return { cid: hash, size, encrypted: encrypt, wrappedKeys: encrypt || includeKeys, summary };
+  }
+
+  /**
+   * Fetch and check a manifest
+   * @param {string} cid - Manifest CID
+   * @returns {Promise<Object>} - { manifest, encrypted } or { error, status }
+   */
+  async loadManifest(cid) {
+    let content;
+    try {
+      content = await ipfsService.downloadFile(cid);
+    } catch (error) {
+      return { error: `Manifest ${cid} could not be read: ${error.message}`, status: 404 };
+    }
+
+    const { manifest, encrypted, error } = decodeManifest(content);
+    return error ? { error, status: 400 } : { manifest, encrypted };
+  }
+
+  /**
+   * Find or recreate the folder an entry was in
+   * @param {Object} entry - Catalog entry
+   * @param {Map<string, string>} created - Folder path per owner ("owner:path") -> folderId, for this restore
+   * @returns {Promise<string|null>} - folderId, or null for the root
+   */
+  async restoreFolder(entry, created) {
+    if (!entry.folderId) {
+      return null;
+    }
+
+    // The folder survived: keep it
+    const existing = await Folder.findOne({ folderId: entry.folderId, owner: entry.owner }, 'folderId');
+    if (existing) {
+      return existing.folderId;
+    }
+
+    const { segments, error } = parseFolderPath(entry.folderPath);
+    if (error || segments.length === 0) {
+      return null;
+    }
+
+    const key = `${entry.owner}:${formatFolderPath(segments)}`;
+    if (!created.has(key)) {
+      const { folder } = await folderService.createPath(entry.owner, segments);
+      created.set(key, folder.folderId);
+    }
+    return created.get(key);
+  }
+
+  /**
+   * Recreate file records from a manifest
+   * Each entry is validated like a saved file. A fileId that already exists is
+   * skipped, overwritten, or (with onConflict "fail") stops the restore before
+   * anything is written. Once every record is written, the versions an
+   * overwrite replaced release their content (unpinning what nothing uses any
+   * more), and content reference counts are rebuilt.
+   * @param {Object} manifest - Decoded manifest
+   * @param {Object} options - { onConflict, dryRun, pinContent }
+   * @returns {Promise<Object>} - { summary, conflicts, failures, released, unpinned? } or { error, status, conflicts }
+   */
+  async restoreCatalog(manifest, { onConflict = 'skip', dryRun = false, pinContent = false }) {
+    const fileIds = manifest.files.map(entry => entry.fileId);
+    const existing = await FileMetadata.find({ fileId: { $in: fileIds } }, 'fileId versions.ipfsHash');
+    const existingFiles = new Map(existing.map(file => [file.fileId, file]));
+    const replacedHashes = [];
+    const conflicts = fileIds.filter(fileId => existingFiles.has(fileId));
+
+    if (onConflict === 'fail' && conflicts.length > 0) {
+      return { error: `${conflicts.length} files in the manifest already exist; nothing was restored`, status: 409, conflicts };
+    }
+
+    const summary = { total: manifest.files.length, created: 0, overwritten: 0, skipped: 0, failed: 0 };
+    const failures = [];
+    const folders = new Map();
+
+    for (const entry of manifest.files) {
+      const conflicting = existingFiles.has(entry.fileId);
+      if (conflicting && onConflict === 'skip') {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        // Validate (and derive search fields) without the save hook, which would reset updatedAt
+        const { folderPath, ...fields } = entry;
+        const doc = new FileMetadata(fields);
+        doc.refreshSearchFields();
+        await doc.validate();
+
+        if (!dryRun) {
+          doc.folderId = await this.restoreFolder(entry, folders);
+          const record = doc.toObject({ flattenMaps: true, virtuals: false });
+          if (conflicting) {
+            const replaced = existingFiles.get(entry.fileId);
+            record._id = replaced._id;
+            await FileMetadata.collection.replaceOne({ _id: record._id }, record);
+            replacedHashes.push(...replaced.versions.map(version => version.ipfsHash));
+          } else {
+            await FileMetadata.collection.insertOne(record);
+          }
+        }
+        summary[conflicting ? 'overwritten' : 'created']++;
+
+      } catch (error) {
+        summary.failed++;
+        failures.push({ fileId: entry.fileId, error: error.message });
+      }
+    }
+
+    const result = { dryRun, summary, conflicts, failures };
+    if (dryRun || summary.created + summary.overwritten === 0) {
+      return result;
+    }
+
+    // Releasing recounts references at zero, so content a restored record uses stays pinned
+    result.released = await contentService.releaseAll(replacedHashes);
+    await contentService.rebuildRefCounts();
+
+    if (pinContent) {
+      // Content may have to be fetched from the network; CIDs that cannot be pinned are reported
+      const cids = [...new Set(manifest.files.flatMap(entry => entry.versions.map(version => version.ipfsHash)))];
+      const pins = await mapWithConcurrency(cids, PIN_CONCURRENCY, async (cid) => {
+        try {
+          await ipfsService.pinFile(cid);
+          return null;
+        } catch (error) {
+          return { cid, error: error.message };
+        }
+      });
+      result.unpinned = pins.filter(Boolean);
+    }
+
+    return result;
+  }
+}
+
+// Create and export singleton instance
+const catalogService = new CatalogService();
+module.exports = catalogService;
@@ -0,0 +1,219 @@
+const ContentBlob = require('../models/contentBlob');
+const FileMetadata = require('../models/fileMetadata');
+const ipfsService = require('./ipfsService');
+const { createKeyedQueue } = require('../utils/batchUtils');
+
+/**
+ * Reference counting for content shared between file versions
+ *
+ * Identical bytes are stored once under one CID, however many owners upload
+ * them. Every version entry holds one reference; content is unpinned only
+ * when its last reference is released, so deleting one owner's copy never
+ * affects another owner's file. Retains, releases and discards of one CID run
+ * one at a time, so content is never unpinned between another upload's check
+ * and its retain.
+ */
+class ContentService {
+  constructor() {
+    this.enqueue = createKeyedQueue();
+  }
+
+  /**
+   * Add a reference to content once a version pointing at it has been saved
+   * @param {string} ipfsHash - CID
+   * @param {number} size - Content size in bytes
+   * @param {Object} options - { externallyPinned } for imported content that was already pinned
+   * @returns {Promise<number>} - New reference count
+   */
+  async retain(ipfsHash, size, { externallyPinned = false } = {}) {
+    return this.enqueue(ipfsHash, () => this.retainNow(ipfsHash, size, externallyPinned));
+  }
+
+  /**
+   * Body of retain, run in the CID's queue
+   * @param {string} ipfsHash - CID
+   * @param {number} size - Content size in bytes
+   * @param {boolean} externallyPinned - Imported content that was already pinned
+   * @returns {Promise<number>} - New reference count
+   */
+  async retainNow(ipfsHash, size, externallyPinned) {
+    const update = { $inc: { refCount: 1 } };
+    if (externallyPinned) {
+      update.$set = { externallyPinned: true };
+    }
+
+    let blob = await ContentBlob.findOneAndUpdate({ ipfsHash }, update, { new: true });
+
+    if (!blob) {
+      // First tracked reference: count existing versions (including the one just saved)
+      // so content stored before reference counting keeps its references
+      try {
+        blob = await ContentBlob.create({
+          ipfsHash,
+          size,
+          refCount: Math.max(1, await ContentBlob.countReferences(ipfsHash)),
+          externallyPinned
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Created concurrently; over-counting only delays unpinning
+        blob = await ContentBlob.findOneAndUpdate({ ipfsHash }, update, { new: true });
+      }
+    }
+
+    // Content coming back from zero references may have been unpinned in the meantime
+    if (blob.refCount === 1) {
+      await ipfsService.pinFile(ipfsHash);
+    }
+    return blob.refCount;
+  }
+
+  /**
+   * Drop one reference and unpin the content when none remain
+   * Content that was pinned before it was imported keeps its pin; its record
+   * stays, at zero references, so later uploads of the same bytes leave it too.
+   * @param {string} ipfsHash - CID
+   * @returns {Promise<boolean>} - True if the content was unpinned
+   */
+  async release(ipfsHash) {
+    return this.enqueue(ipfsHash, () => this.releaseNow(ipfsHash));
+  }
+
+  /**
+   * Body of release, run in the CID's queue
+   * @param {string} ipfsHash - CID
+   * @returns {Promise<boolean>} - True if the content was unpinned
+   */
+  async releaseNow(ipfsHash) {
+    const blob = await ContentBlob.findOneAndUpdate(
+      { ipfsHash, refCount: { $gt: 0 } },
+      { $inc: { refCount: -1 } },
+      { new: true }
+    );
+    if (blob && blob.refCount > 0) {
+      return false;
+    }
+
+    // Last tracked reference gone (or content never tracked): versions saved
+    // before reference counting existed still hold the content
+    const remaining = await ContentBlob.countReferences(ipfsHash);
+    if (remaining > 0) {
+      await ContentBlob.updateOne({ ipfsHash, refCount: { $lte: 0 } }, { $set: { refCount: remaining } });
+      return false;
+    }
+
+    if (await this.isPinnedElsewhere(ipfsHash)) {
+      return false;
+    }
+
+    // Unpin only if nothing re-acquired the content in the meantime
+    const deleted = await ContentBlob.findOneAndDelete({ ipfsHash, refCount: { $lte: 0 } });
+    if (!deleted && await ContentBlob.exists({ ipfsHash })) {
+      return false;
+    }
+
+    await ipfsService.unpinFile(ipfsHash);
+    return true;
+  }
+
+  /**
+   * Release one reference per entry (a CID listed twice drops two references)
+   * @param {Array<string>} hashes - CIDs of removed versions
+   * @returns {Promise<Object>} - { unpinned, failed }
+   */
+  async releaseAll(hashes) {
+    const unpinned = [];
+    const failed = [];
+
+    for (const ipfsHash of hashes) {
+      try {
+        if (await this.release(ipfsHash)) {
+          unpinned.push(ipfsHash);
+        }
+      } catch (error) {
+        console.error(`Release error for ${ipfsHash}:`, error.message);
+        failed.push({ ipfsHash, error: error.message });
+      }
+    }
+    return { unpinned, failed };
+  }
+
+  /**
+   * Unpin freshly stored content that nothing references, e.g. a rejected upload
+   * Content another version references, or that was pinned outside this
+   * service, keeps its pin.
+   * @param {string} ipfsHash - CID
+   * @returns {Promise<boolean>} - True if the content was unpinned
+   */
+  async discard(ipfsHash) {
+    return this.enqueue(ipfsHash, async () => {
+      if (await this.isReferenced(ipfsHash) || await this.isPinnedElsewhere(ipfsHash)) {
+        return false;
+      }
+      await ipfsService.unpinFile(ipfsHash);
+      return true;
+    });
+  }
+
+  /**
+   * Check if any version still references content
+   * @param {string} ipfsHash - CID
+   * @returns {Promise<boolean>} - True if referenced
+   */
+  async isReferenced(ipfsHash) {
+    if (await ContentBlob.exists({ ipfsHash, refCount: { $gt: 0 } })) {
+      return true;
+    }
+    return Boolean(await FileMetadata.exists({ 'versions.ipfsHash': ipfsHash }));
+  }
+
+  /**
+   * Check if content was pinned outside this service before it was imported
+   * @param {string} ipfsHash - CID
+   * @returns {Promise<boolean>} - True if its pin must be left alone
+   */
+  async isPinnedElsewhere(ipfsHash) {
+    return Boolean(await ContentBlob.exists({ ipfsHash, externallyPinned: true }));
+  }
+
+  /**
+   * Recompute every reference count from the version entries
+   * @returns {Promise<Object>} - { blobs, corrected }
+   */
+  async rebuildRefCounts() {
+    const counts = await FileMetadata.aggregate([
+      { $unwind: '$versions' },
+      {
+        $group: {
+          _id: '$versions.ipfsHash',
+          refCount: { $sum: 1 },
+          size: { $first: '$versions.fileSize' }
+        }
+      }
+    ]);
+
+    const result = counts.length > 0
+      ? await ContentBlob.bulkWrite(counts.map(({ _id: ipfsHash, refCount, size }) => ({
+        updateOne: {
+          filter: { ipfsHash },
+          update: { $set: { refCount }, $setOnInsert: { size } },
+          upsert: true
+        }
+      })))
+      : { modifiedCount: 0, upsertedCount: 0 };
+    let corrected = result.modifiedCount + result.upsertedCount;
+
+    // Blobs no version references any more
+    const orphaned = await ContentBlob.updateMany(
+      { ipfsHash: { $nin: counts.map(c => c._id) }, refCount: { $ne: 0 } },
+      { $set: { refCount: 0 } }
+    );
+    corrected += orphaned.modifiedCount;
+
+    return { blobs: counts.length, corrected };
+  }
+}
+
+// Create and export singleton instance
+const contentService = new ContentService();
+module.exports = contentService;
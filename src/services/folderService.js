@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const Folder = require('../models/folder');
+const FileMetadata = require('../models/fileMetadata');
+const ipfsService = require('./ipfsService');
+const { parseFolderPath, formatFolderPath, uniqueEntryName } = require('../utils/folderUtils');
+
+/**
+ * Folder trees and their publication as IPFS directories
+ *
+ * Folders belong to one owner and nest through parentId, so moving or renaming
+ * a folder never touches its contents. Publishing builds a directory from the
+ * current version of every active file below the folder and pins it under a
+ * single CID; republishing replaces (and unpins) the previous one.
+ */
+class FolderService {
+  /**
+   * Find the folder at a path
+   * @param {string} owner - Owner of the tree
+   * @param {string} path - Absolute folder path ("/" is the root)
+   * @returns {Promise<Object>} - { folder (null for the root), path } or { error, status }
+   */
+  async resolve(owner, path) {
+    const { segments, error } = parseFolderPath(path);
+    if (error) {
+      return { error, status: 400 };
+    }
+
+    const chain = await Folder.resolvePath(owner, segments);
+    if (!chain) {
+      return { error: `Folder "${formatFolderPath(segments)}" not found`, status: 404 };
+    }
+    return { folder: chain.length > 0 ? chain[chain.length - 1] : null, path: formatFolderPath(segments) };
+  }
+
+  /**
+   * Absolute path of a folder
+   * @param {Object} folder - Folder document
+   * @returns {Promise<string>} - Path such as /projects/apollo
+   */
+  async getPath(folder) {
+    const chain = await Folder.findAncestry(folder);
+    return formatFolderPath(chain.map(f => f.name));
+  }
+
+  /**
+   * Create a folder and any missing parents
+   * @param {string} owner - Owner of the tree
+   * @param {Array<string>} segments - Folder names from the root down
+   * @returns {Promise<Object>} - { folder, created } (created is false if the folder already existed)
+   */
+  async createPath(owner, segments) {
+    let folder = null;
+    let created = false;
+
+    for (const name of segments) {
+      const parentId = folder ? folder.folderId : null;
+      const existing = await Folder.findOne({ owner, parentId, name });
+      if (existing) {
+        folder = existing;
+        created = false;
+        continue;
+      }
+
+      try {
+        folder = await Folder.create({ folderId: crypto.randomBytes(8).toString('hex'), owner, parentId, name });
+        created = true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Created concurrently
+        folder = await Folder.findOne({ owner, parentId, name });
+        created = false;
+      }
+    }
+
+    return { folder, created };
+  }
+
+  /**
+   * Check that a folder can be moved under a new parent
+   * @param {Object} folder - Folder to move
+   * @param {Object|null} parent - New parent (null for the root)
+   * @returns {Promise<string|null>} - Error message, or null if the move is allowed
+   */
+  async checkMove(folder, parent) {
+    if (!parent) return null;
+
+    const ancestry = await Folder.findAncestry(parent);
+    if (ancestry.some(f => f.folderId === folder.folderId)) {
+      return 'A folder cannot be moved into itself or one of its subfolders';
+    }
+    return null;
+  }
+
+  /**
+   * Walk a folder tree, naming every file and subfolder uniquely within its directory
+   * @param {Object} folder - Top folder
+   * @returns {Promise<Object>} - { files: [{ path, file }], directories: [path] } with paths relative to the folder
+   */
+  async listTree(folder) {
+    const files = [];
+    const directories = [];
+
+    const queue = [{ folderId: folder.folderId, prefix: '' }];
+    while (queue.length > 0) {
+      const { folderId, prefix } = queue.shift();
+      const [subfolders, members] = await Promise.all([
+        Folder.find({ owner: folder.owner, parentId: folderId }).sort({ name: 1 }),
+        FileMetadata.find({ owner: folder.owner, folderId, isActive: true }).sort({ originalFileName: 1, _id: 1 })
+      ]);
+
+      // Subfolders keep their names; files give way on a clash
+      const taken = new Set();
+      for (const subfolder of subfolders) {
+        const path = `${prefix}${uniqueEntryName(subfolder.name, taken)}`;
+        directories.push(path);
+        queue.push({ folderId: subfolder.folderId, prefix: `${path}/` });
+      }
+      for (const file of members) {
+        files.push({ path: `${prefix}${uniqueEntryName(file.originalFileName, taken)}`, file });
+      }
+    }
+
+    return { files, directories };
+  }
+
+  /**
+   * Collect the directory entries of a folder tree
+   * @param {Object} folder - Top folder
+   * @returns {Promise<Object>} - { entries, fileCount, totalSize, skipped }
+   */
+  async collectTree(folder) {
+    const { files, directories } = await this.listTree(folder);
+    const entries = [];
+    const skipped = [];
+    let totalSize = 0;
+
+    for (const { path, file } of files) {
+      const version = file.currentVersion;
+      // Encrypted content is unreadable without the service, so it is never published
+      if (version.encryption) {
+        skipped.push({ fileId: file.fileId, originalFileName: file.originalFileName, reason: 'Encrypted content cannot be published' });
+        continue;
+      }
+
+      entries.push({ path, hash: version.ipfsHash, size: version.fileSize });
+      totalSize += version.fileSize;
+    }
+    const fileCount = entries.length;
+
+    // Directories with nothing published below them are still part of the tree
+    // (deepest first, so a parent of an empty directory needs no entry of its own)
+    for (const path of [...directories].reverse()) {
+      if (!entries.some(entry => entry.path.startsWith(`${path}/`))) {
+        entries.push({ path, directory: true });
+      }
+    }
+
+    return { entries, fileCount, totalSize, skipped };
+  }
+
+  /**
+   * Publish a folder tree as one pinned directory CID
+   * @param {Object} folder - Folder document
+   * @param {string} userId - Who published it
+   * @returns {Promise<Object>} - { publication, skipped }
+   */
+  async publish(folder, userId) {
+    const { entries, fileCount, totalSize, skipped } = await this.collectTree(folder);
+    const { hash } = await ipfsService.createDirectory(entries);
+
+    const previous = folder.publication ? folder.publication.cid : null;
+    folder.publication = { cid: hash, publishedAt: new Date(), publishedBy: userId, fileCount, totalSize };
+    await folder.save();
+
+    if (previous && previous !== hash) {
+      await this.releaseDirectory(previous);
+    }
+    return { publication: folder.publication, skipped };
+  }
+
+  /**
+   * Withdraw a folder's publication and unpin its directory
+   * @param {Object} folder - Folder document
+   * @returns {Promise<string|null>} - The CID that was published, or null if none was
+   */
+  async unpublish(folder) {
+    if (!folder.publication) return null;
+
+    const { cid } = folder.publication;
+    folder.publication = undefined;
+    await folder.save();
+    await this.releaseDirectory(cid);
+    return cid;
+  }
+
+  /**
+   * Unpin a directory CID unless another folder is published as the same tree
+   * @param {string} cid - Directory CID
+   */
+  async releaseDirectory(cid) {
+    if (await Folder.exists({ 'publication.cid': cid })) return;
+
+    try {
+      await ipfsService.unpinFile(cid);
+    } catch (error) {
+      console.warn(`Could not unpin directory ${cid}:`, error.message);
+    }
+  }
+}
+
+// Create and export singleton instance
+const folderService = new FolderService();
+module.exports = folderService;
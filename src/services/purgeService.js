@@ -0,0 +1,192 @@
+const FileMetadata = require('../models/fileMetadata');
+const ipfsService = require('./ipfsService');
+const contentService = require('./contentService');
+require('dotenv').config();
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hard deletes soft-deleted files once their retention period has passed
+ *
+ * Each deleted version releases its reference to the stored content, which is
+ * unpinned only once no file of any owner references it, so content shared
+ * with live (or still restorable) files is never lost. Unpinned content is only reclaimed once the storage backend
+ * runs garbage collection.
+ */
+class PurgeService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Retention period from PURGE_RETENTION_DAYS (default 30 days)
+   * @returns {number} - Retention period in days
+   */
+  getRetentionDays() {
+    const days = parseFloat(process.env.PURGE_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Work out which CIDs can be unpinned when the given files are deleted
+   * @param {Array<Object>} files - Soft-deleted file documents
+   * @returns {Promise<Object>} - Files, CIDs to unpin, CIDs retained and reclaimable bytes
+   */
+  async planPurge(files) {
+    const fileIds = files.map(f => f.fileId);
+
+    // Collect each CID with its size and the purged files referencing it
+    const candidates = new Map();
+    for (const file of files) {
+      for (const version of file.versions) {
+        const entry = candidates.get(version.ipfsHash) || { ipfsHash: version.ipfsHash, size: version.fileSize, fileIds: [] };
+        if (!entry.fileIds.includes(file.fileId)) {
+          entry.fileIds.push(file.fileId);
+        }
+        candidates.set(version.ipfsHash, entry);
+      }
+    }
+
+    // CIDs still referenced by any file outside the purge set stay pinned
+    const stillReferenced = candidates.size > 0
+      ? await FileMetadata.distinct('versions.ipfsHash', {
+        fileId: { $nin: fileIds },
+        'versions.ipfsHash': { $in: [...candidates.keys()] }
+      })
+      : [];
+    const retained = new Set(stillReferenced);
+
+    const cids = [...candidates.values()].filter(c => !retained.has(c.ipfsHash));
+    const retainedCids = [...candidates.values()].filter(c => retained.has(c.ipfsHash));
+
+    return {
+      files: files.map(f => ({
+        fileId: f.fileId,
+        originalFileName: f.originalFileName,
+        owner: f.owner,
+        deletedAt: f.deletedAt || f.updatedAt,
+        deletedBy: f.deletedBy,
+        versionCount: f.versionCount
+      })),
+      cids,
+      retainedCids,
+      reclaimableBytes: cids.reduce((total, c) => total + (c.size || 0), 0)
+    };
+  }
+
+  /**
+   * Hard delete soft-deleted files and unpin content nothing else references
+   * @param {Array<Object>} files - Soft-deleted file documents
+   * @param {Object} options - { dryRun, gc }
+   * @returns {Promise<Object>} - Purge plan with the outcome of each step
+   */
+  async purgeFiles(files, options = {}) {
+    const plan = await this.planPurge(files);
+
+    if (options.dryRun) {
+      return { ...plan, dryRun: true };
+    }
+
+    // Release one reference per version of each file actually deleted, so a
+    // file restored in the meantime keeps its content
+    let deletedCount = 0;
+    const released = [];
+    for (const file of files) {
+      const deleted = await FileMetadata.deleteOne({ fileId: file.fileId, isActive: false });
+      if (deleted.deletedCount === 0) continue;
+
+      deletedCount++;
+      released.push(...file.versions.map(v => v.ipfsHash));
+    }
+
+    const { unpinned, failed } = await contentService.releaseAll(released);
+
+    let gc = null;
+    if (options.gc) {
+      try {
+        gc = await ipfsService.gc();
+      } catch (error) {
+        console.error('Purge GC error:', error.message);
+        gc = { error: error.message };
+      }
+    }
+
+    return {
+      ...plan,
+      dryRun: false,
+      deletedCount,
+      unpinned,
+      failed,
+      gc
+    };
+  }
+
+  /**
+   * Purge soft-deleted files whose retention period has passed
+   * @param {Object} options - { dryRun, gc, retentionDays }
+   * @returns {Promise<Object>} - Purge report with the outcome of each step
+   */
+  async runPurge(options = {}) {
+    if (this.isRunning) {
+      const error = new Error('A purge is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    this.isRunning = true;
+    try {
+      const retentionDays = options.retentionDays !== undefined
+        ? options.retentionDays
+        : this.getRetentionDays();
+      const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+
+      const files = await FileMetadata.findPurgeable(cutoff);
+      const result = await this.purgeFiles(files, options);
+
+      if (!result.dryRun) {
+        this.lastRun = { completedAt: new Date(), deletedCount: result.deletedCount, unpinnedCount: result.unpinned.length };
+        console.log(`🧹 Purged ${result.deletedCount} files, unpinned ${result.unpinned.length} CIDs`);
+      }
+      return { retentionDays, cutoff, ...result };
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Run the purge periodically when PURGE_INTERVAL_MINUTES is set
+   * PURGE_GC=true also runs storage garbage collection after each purge
+   */
+  startScheduler() {
+    const minutes = parseFloat(process.env.PURGE_INTERVAL_MINUTES);
+    if (!Number.isFinite(minutes) || minutes <= 0 || this.timer) {
+      return;
+    }
+
+    const gc = process.env.PURGE_GC === 'true';
+    this.timer = setInterval(() => {
+      this.runPurge({ gc }).catch(error => console.error('Scheduled purge error:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+
+    console.log(`🧹 Purge scheduled every ${minutes} minutes (retention ${this.getRetentionDays()} days)`);
+  }
+
+  /**
+   * Stop the periodic purge
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const purgeService = new PurgeService();
+module.exports = purgeService;
@@ -0,0 +1,168 @@
+const FileMetadata = require('../models/fileMetadata');
+const User = require('../models/user');
+const contentService = require('./contentService');
+const { hasRetentionRules } = require('../utils/retentionUtils');
+require('dotenv').config();
+
+/**
+ * Applies version retention policies
+ *
+ * A file's own policy overrides its owner's default policy. Pruned versions
+ * are removed from the version history and their CIDs are unpinned unless
+ * another version or file still references them. The current version and
+ * protected versions are never pruned.
+ */
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Resolve the policy that applies to a file
+   * @param {Object} file - File document
+   * @param {Object} ownerPolicy - Owner's default policy, if any
+   * @returns {Object} - { policy, source: 'file'|'owner'|null }
+   */
+  resolvePolicy(file, ownerPolicy) {
+    if (hasRetentionRules(file.retentionPolicy)) {
+      return { policy: file.retentionPolicy, source: 'file' };
+    }
+    if (hasRetentionRules(ownerPolicy)) {
+      return { policy: ownerPolicy, source: 'owner' };
+    }
+    return { policy: null, source: null };
+  }
+
+  /**
+   * Load the owner's default policy
+   * @param {string} owner - Owner user ID
+   * @returns {Promise<Object|null>} - Policy or null
+   */
+  async getOwnerPolicy(owner) {
+    const user = await User.findOne({ userId: owner }, 'retentionPolicy');
+    return user ? user.retentionPolicy || null : null;
+  }
+
+  /**
+   * Apply the effective policy to one file
+   * @param {Object} file - File document
+   * @param {Object} options - { dryRun, ownerPolicy } (ownerPolicy is looked up when omitted)
+   * @returns {Promise<Object>} - { fileId, source, policy, pruned, unpinned, failed }
+   */
+  async pruneFile(file, options = {}) {
+    const ownerPolicy = options.ownerPolicy !== undefined
+      ? options.ownerPolicy
+      : await this.getOwnerPolicy(file.owner);
+    const { policy, source } = this.resolvePolicy(file, ownerPolicy);
+
+    const result = { fileId: file.fileId, source, policy, pruned: [], unpinned: [], failed: [] };
+    if (!policy) return result;
+
+    const pruned = options.dryRun ? file.getPrunableVersions(policy) : file.pruneVersions(policy);
+    result.pruned = pruned.map(v => ({
+      versionNumber: v.versionNumber,
+      ipfsHash: v.ipfsHash,
+      fileSize: v.fileSize,
+      uploadedAt: v.uploadedAt
+    }));
+
+    if (options.dryRun || pruned.length === 0) return result;
+
+    await file.save();
+
+    const { unpinned, failed } = await contentService.releaseAll(pruned.map(v => v.ipfsHash));
+    result.unpinned = unpinned;
+    result.failed = failed;
+    return result;
+  }
+
+  /**
+   * Apply retention policies to every file they cover
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} - Totals and the files that had versions pruned
+   */
+  async runPruning(options = {}) {
+    if (this.isRunning) {
+      const error = new Error('Version pruning is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    this.isRunning = true;
+    try {
+      const owners = await User.find({ retentionPolicy: { $exists: true } }, 'userId retentionPolicy');
+      const ownerPolicies = new Map(owners.map(u => [u.userId, u.retentionPolicy]));
+
+      const files = [];
+      const errors = [];
+      let scanned = 0;
+      for await (const file of FileMetadata.findPrunable([...ownerPolicies.keys()]).cursor()) {
+        scanned++;
+        try {
+          const result = await this.pruneFile(file, {
+            dryRun: options.dryRun,
+            ownerPolicy: ownerPolicies.get(file.owner) || null
+          });
+          if (result.pruned.length > 0) {
+            files.push(result);
+          }
+        } catch (error) {
+          // e.g. a version added concurrently; the next run picks the file up again
+          console.error(`Pruning error for ${file.fileId}:`, error.message);
+          errors.push({ fileId: file.fileId, error: error.message });
+        }
+      }
+
+      const summary = {
+        dryRun: Boolean(options.dryRun),
+        scannedFiles: scanned,
+        prunedVersions: files.reduce((total, f) => total + f.pruned.length, 0),
+        unpinnedCids: files.reduce((total, f) => total + f.unpinned.length, 0),
+        files,
+        errors
+      };
+
+      if (!options.dryRun) {
+        this.lastRun = { completedAt: new Date(), prunedVersions: summary.prunedVersions, unpinnedCids: summary.unpinnedCids };
+        console.log(`✂️  Pruned ${summary.prunedVersions} versions, unpinned ${summary.unpinnedCids} CIDs`);
+      }
+      return summary;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Apply retention policies periodically when RETENTION_INTERVAL_MINUTES is set
+   */
+  startScheduler() {
+    const minutes = parseFloat(process.env.RETENTION_INTERVAL_MINUTES);
+    if (!Number.isFinite(minutes) || minutes <= 0 || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runPruning().catch(error => console.error('Scheduled pruning error:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+
+    console.log(`✂️  Version pruning scheduled every ${minutes} minutes`);
+  }
+
+  /**
+   * Stop the periodic pruning
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const retentionService = new RetentionService();
+module.exports = retentionService;
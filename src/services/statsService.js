@@ -0,0 +1,184 @@
+const FileMetadata = require('../models/fileMetadata');
+
+const FACETS = ['tags', 'mimeType', 'owner', 'size', 'uploadDate'];
+const DATE_INTERVALS = ['day', 'week', 'month', 'year'];
+const FACET_LIMIT = 20;
+const OWNER_LIMIT = 50;
+
+// Upper bounds of the size buckets (current version size); anything larger falls in the last bucket
+const SIZE_BUCKETS = [
+  { label: '< 1 KB', max: 1024 },
+  { label: '1 KB - 100 KB', max: 100 * 1024 },
+  { label: '100 KB - 1 MB', max: 1024 * 1024 },
+  { label: '1 MB - 10 MB', max: 10 * 1024 * 1024 },
+  { label: '10 MB - 100 MB', max: 100 * 1024 * 1024 },
+  { label: '100 MB - 1 GB', max: 1024 * 1024 * 1024 }
+];
+const LARGEST_BUCKET = '>= 1 GB';
+
+const DATE_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+const currentVersionField = (field) => ({ $arrayElemAt: [`$versions.${field}`, -1] });
+
+/**
+ * Facet counts and storage statistics computed with aggregation pipelines
+ *
+ * Facets cover every file matching a query, not just the returned page. Sizes
+ * use the current version; totals add up every stored version.
+ */
+class StatsService {
+  /**
+   * Count matching files by tag, MIME type, owner, size bucket and upload date
+   * @param {Object} match - Query conditions (may include $text)
+   * @param {Object} options - { facets: names to compute (default all), dateInterval }
+   * @returns {Promise<Object>} - Facet name to [{ value, count }]
+   */
+  async getFacets(match, options = {}) {
+    const facets = options.facets || FACETS;
+    const dateFormat = DATE_FORMATS[options.dateInterval || 'month'];
+
+    const pipelines = {
+      tags: [
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT }
+      ],
+      mimeType: [
+        { $group: { _id: currentVersionField('mimeType'), count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT }
+      ],
+      owner: [
+        { $group: { _id: '$owner', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT }
+      ],
+      size: [
+        {
+          $bucket: {
+            groupBy: currentVersionField('fileSize'),
+            boundaries: [0, ...SIZE_BUCKETS.map(b => b.max)],
+            default: LARGEST_BUCKET,
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ],
+      uploadDate: [
+        { $group: { _id: { $dateToString: { format: dateFormat, date: '$createdAt' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]
+    };
+
+    const [result] = await FileMetadata.aggregate([
+      { $match: match },
+      { $facet: Object.fromEntries(facets.map(name => [name, pipelines[name]])) }
+    ]);
+
+    return Object.fromEntries(facets.map(name => [
+      name,
+      result[name].map(({ _id, count }) => ({ value: name === 'size' ? this.sizeLabel(_id) : _id, count }))
+    ]));
+  }
+
+  /**
+   * Label of a size bucket from its lower boundary
+   * @param {number|string} boundary - Lower boundary, or the default bucket name
+   * @returns {string} - Bucket label
+   */
+  sizeLabel(boundary) {
+    if (boundary === LARGEST_BUCKET) return LARGEST_BUCKET;
+    const index = [0, ...SIZE_BUCKETS.map(b => b.max)].indexOf(boundary);
+    return SIZE_BUCKETS[index] ? SIZE_BUCKETS[index].label : LARGEST_BUCKET;
+  }
+
+  /**
+   * Storage totals, plus per-owner totals with the largest and most-versioned files
+   * @param {Object} match - Query conditions selecting the files
+   * @param {Object} options - { top: files listed per owner }
+   * @returns {Promise<Object>} - { totals, owners }
+   */
+  async getStats(match, options = {}) {
+    const top = options.top || 5;
+    const topFiles = (sortField) => [
+      { $sort: { [sortField]: -1, fileId: 1 } },
+      {
+        $group: {
+          _id: '$owner',
+          files: { $push: { fileId: '$fileId', originalFileName: '$originalFileName', size: '$size', versionCount: '$versionCount' } }
+        }
+      },
+      { $project: { files: { $slice: ['$files', top] } } }
+    ];
+
+    const [result] = await FileMetadata.aggregate([
+      { $match: match },
+      {
+        $project: {
+          fileId: 1,
+          owner: 1,
+          originalFileName: 1,
+          versionCount: { $size: '$versions' },
+          size: currentVersionField('fileSize'),
+          totalBytes: { $sum: '$versions.fileSize' }
+        }
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                files: { $sum: 1 },
+                versions: { $sum: '$versionCount' },
+                currentBytes: { $sum: '$size' },
+                totalBytes: { $sum: '$totalBytes' }
+              }
+            }
+          ],
+          owners: [
+            {
+              $group: {
+                _id: '$owner',
+                files: { $sum: 1 },
+                versions: { $sum: '$versionCount' },
+                currentBytes: { $sum: '$size' },
+                totalBytes: { $sum: '$totalBytes' }
+              }
+            },
+            { $sort: { totalBytes: -1, _id: 1 } },
+            { $limit: OWNER_LIMIT }
+          ],
+          largest: topFiles('size'),
+          mostVersioned: topFiles('versionCount')
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const largest = new Map(result.largest.map(o => [o._id, o.files]));
+    const mostVersioned = new Map(result.mostVersioned.map(o => [o._id, o.files]));
+    const totals = result.totals[0] || { files: 0, versions: 0, currentBytes: 0, totalBytes: 0 };
+    delete totals._id;
+
+    return {
+      totals,
+      owners: result.owners.map(({ _id: owner, ...ownerTotals }) => ({
+        owner,
+        ...ownerTotals,
+        largestFiles: largest.get(owner) || [],
+        mostVersionedFiles: mostVersioned.get(owner) || []
+      }))
+    };
+  }
+}
+
+// Create and export singleton instance
+const statsService = new StatsService();
+module.exports = statsService;
+module.exports.FACETS = FACETS;
+module.exports.DATE_INTERVALS = DATE_INTERVALS;
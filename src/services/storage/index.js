@@ -0,0 +1,25 @@
+// Loaded lazily so unused backends (and their dependencies) are never initialized
+const providers = {
+  ipfs: () => require('./ipfsProvider'),
+  local: () => require('./localProvider'),
+  memory: () => require('./memoryProvider')
+};
+
+/**
+ * Create the storage backend named in configuration
+ * @param {string} backend - One of: ipfs, local, memory
+ * @returns {StorageProvider} - Storage provider instance
+ */
+const createStorageProvider = (backend = 'ipfs') => {
+  const loadProvider = providers[backend.toLowerCase()];
+  if (!loadProvider) {
+    throw new Error(`Unknown storage backend "${backend}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  const Provider = loadProvider();
+  return new Provider();
+};
+
+module.exports = {
+  createStorageProvider,
+  providers
+};
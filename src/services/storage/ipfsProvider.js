@@ -0,0 +1,476 @@
+// Patch global fetch for Node 18+ duplex requirement
+if (typeof fetch === 'function') {
+  const originalFetch = fetch;
+  global.fetch = (url, options = {}) => {
+    if (options.body && !options.duplex) {
+      options.duplex = 'half';
+    }
+    return originalFetch(url, options);
+  };
+}
+
+
+const crypto = require('crypto');
+const path = require('path');
+const { create } = require('ipfs-http-client');
+const StorageProvider = require('./storageProvider');
+require('dotenv').config();
+
+// A streamed read fails once Kubo sends nothing for this long. Kubo's own timeout
+// parameter would cap the whole transfer, cutting long downloads off mid-body.
+const STREAM_IDLE_TIMEOUT_MS = (parseInt(process.env.IPFS_STREAM_IDLE_TIMEOUT_SECONDS) || 60) * 1000;
+
+/**
+ * Storage provider backed by a Kubo (go-ipfs) HTTP API
+ */
+class IPFSService extends StorageProvider {
+  constructor() {
+    super('ipfs');
+    this.client = null;
+    this.init();
+  }
+
+  /**
+   * Initialize IPFS client connection
+   */
+  async init() {
+  try {
+    const ipfsConfig = {
+      host: process.env.IPFS_HOST || '127.0.0.1',
+      port: process.env.IPFS_PORT || 5001,
+      protocol: process.env.IPFS_PROTOCOL || 'http'
+    };
+
+    // Use 127.0.0.1 instead of localhost for Windows IPFS Desktop
+    const ipfsUrl = process.env.IPFS_API_URL || `${ipfsConfig.protocol}://${ipfsConfig.host}:${ipfsConfig.port}`;
+
+    console.log(`Connecting to IPFS at ${ipfsUrl}`);
+
+    // Connect to local IPFS node (no auth required)
+    this.client = create({ url: ipfsUrl });
+
+    // Test connection
+    await this.testConnection();
+    this.isConnected = true;
+    console.log('✅ IPFS client initialized successfully');
+    
+  } catch (error) {
+    console.error('❌ Failed to initialize IPFS client:', error.message);
+    this.isConnected = false;
+  }
+}
+
+
+  /**
+   * Test IPFS connection
+   */
+  async testConnection() {
+    try {
+      const version = await this.client.version();
+      console.log(`Connected to IPFS node version: ${version.version}`);
+      return true;
+    } catch (error) {
+      throw new Error(`IPFS connection test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload file to IPFS
+   * @param {Buffer|Readable} content - File buffer or readable stream to upload
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} - Upload result with hash and size
+   */
+  async uploadFile(content, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      const uploadOptions = {
+        pin: true, // Pin the file to prevent garbage collection
+        wrapWithDirectory: false
+      };
+
+      if (Buffer.isBuffer(content)) {
+        uploadOptions.timeout = 60000; // 60 second timeout
+        console.log(`Uploading file to IPFS (size: ${content.length} bytes)`);
+      } else {
+        // A stream takes as long as its source (a client upload, a staged session);
+        // Kubo would cut it off at a fixed timeout however steadily it flows
+        console.log('Streaming file to IPFS');
+      }
+      Object.assign(uploadOptions, options);
+      
+      const result = await this.client.add(content, uploadOptions);
+    
+      const uploadResult = {
+        hash: result.cid.toString(),
+        size: result.size,
+        path: result.path
+      };
+
+      console.log(`File uploaded to IPFS successfully: ${uploadResult.hash}`);
+      return uploadResult;
+
+    } catch (error) {
+      console.error('IPFS upload error:', error);
+      throw new Error(`Failed to upload file to IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compute the CID content would get on upload, without storing it
+   * @param {Buffer} fileBuffer - File buffer
+   * @returns {Promise<string>} - IPFS hash (CID)
+   */
+  async computeCid(fileBuffer) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      const result = await this.client.add(fileBuffer, {
+        onlyHash: true,
+        pin: false,
+        wrapWithDirectory: false
+      });
+      return result.cid.toString();
+    } catch (error) {
+      console.error('IPFS hash error:', error);
+      throw new Error(`Failed to compute CID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download file from IPFS
+   * @param {string} hash - IPFS hash (CID)
+   * @param {Object} options - Download options
+   * @returns {Promise<Buffer>} - File buffer
+   */
+  async downloadFile(hash, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      const downloadOptions = {
+        timeout: 60000, // 60 second timeout
+        ...options
+      };
+
+      console.log(`Downloading file from IPFS: ${hash}`);
+      
+      const chunks = [];
+      
+      for await (const chunk of this.client.cat(hash, downloadOptions)) {
+        chunks.push(chunk);
+      }
+      
+      const fileBuffer = Buffer.concat(chunks);
+      console.log(`File downloaded from IPFS successfully (size: ${fileBuffer.length} bytes)`);
+      
+      return fileBuffer;
+
+    } catch (error) {
+      console.error('IPFS download error:', error);
+      throw new Error(`Failed to download file from IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream file content from IPFS
+   * @param {string} hash - IPFS hash (CID)
+   * @param {Object} options - Download options (offset and length select a byte range; signal cancels the read)
+   * @returns {AsyncGenerator<Buffer>} - File chunks
+   */
+  async *downloadStream(hash, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    const { signal, ...catOptions } = options;
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    let idleTimer = null;
+    let idle = false;
+
+    const armIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        idle = true;
+        controller.abort();
+      }, STREAM_IDLE_TIMEOUT_MS);
+    };
+
+    if (signal) {
+      if (signal.aborted) cancel();
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    try {
+      console.log(`Streaming file from IPFS: ${hash}`);
+
+      armIdleTimer();
+      for await (const chunk of this.client.cat(hash, { ...catOptions, signal: controller.signal })) {
+        // Only time the wait for Kubo, not a slow consumer
+        clearTimeout(idleTimer);
+        yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        armIdleTimer();
+      }
+
+    } catch (error) {
+      console.error('IPFS download error:', error);
+      const reason = idle ? `no data received for ${STREAM_IDLE_TIMEOUT_MS / 1000} seconds` : error.message;
+      throw new Error(`Failed to download file from IPFS: ${reason}`);
+    } finally {
+      clearTimeout(idleTimer);
+      if (signal) signal.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Get file stats from IPFS
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Object>} - File stats
+   */
+  async getFileStats(hash) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      const stats = await this.client.files.stat(`/ipfs/${hash}`);
+      return {
+        hash: stats.cid.toString(),
+        size: stats.size,
+        blocks: stats.blocks,
+        type: stats.type
+      };
+    } catch (error) {
+      console.error('IPFS stats error:', error);
+      throw new Error(`Failed to get file stats from IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if file exists on IPFS
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<boolean>} - True if file exists
+   */
+  async fileExists(hash) {
+    try {
+      await this.getFileStats(hash);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Pin file to IPFS node
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Object>} - Pin result
+   */
+  async pinFile(hash) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      console.log(`Pinning file to IPFS: ${hash}`);
+      const result = await this.client.pin.add(hash);
+      console.log(`File pinned successfully: ${hash}`);
+      return { hash: result.toString() };
+    } catch (error) {
+      console.error('IPFS pin error:', error);
+      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a file is pinned recursively (as pinFile pins it)
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<boolean>} - True if pinned
+   */
+  async isPinned(hash) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      for await (const _pin of this.client.pin.ls({ paths: [hash], type: 'recursive' })) {
+        return true;
+      }
+      return false;
+    } catch (error) {
+      // Kubo answers a CID that has no such pin with an error
+      if (/not pinned/.test(error.message)) return false;
+      console.error('IPFS pin ls error:', error);
+      throw new Error(`Failed to check IPFS pin: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unpin file from IPFS node
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Object>} - Unpin result
+   */
+  async unpinFile(hash) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      console.log(`Unpinning file from IPFS: ${hash}`);
+      const result = await this.client.pin.rm(hash);
+      console.log(`File unpinned successfully: ${hash}`);
+      return { hash: result.toString() };
+    } catch (error) {
+      console.error('IPFS unpin error:', error);
+      throw new Error(`Failed to unpin file from IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a UnixFS directory from content already on the node and pin it
+   * The tree is assembled in a scratch MFS directory, which is removed afterwards.
+   * @param {Array<Object>} entries - { path, hash, size } per file and { path, directory: true } per empty directory
+   * @returns {Promise<Object>} - { hash, size } of the directory
+   */
+  async createDirectory(entries) {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    const root = `/.publish-${crypto.randomBytes(8).toString('hex')}`;
+    try {
+      await this.client.files.mkdir(root, { parents: true });
+      for (const entry of entries) {
+        const target = path.posix.join(root, entry.path);
+        if (entry.directory) {
+          await this.client.files.mkdir(target, { parents: true });
+          continue;
+        }
+        await this.client.files.mkdir(path.posix.dirname(target), { parents: true });
+        await this.client.files.cp(`/ipfs/${entry.hash}`, target);
+      }
+
+      const stats = await this.client.files.stat(root);
+      const hash = stats.cid.toString();
+      await this.client.pin.add(hash);
+      console.log(`Directory published to IPFS: ${hash}`);
+      return { hash, size: stats.cumulativeSize };
+
+    } catch (error) {
+      console.error('IPFS directory error:', error);
+      throw new Error(`Failed to create IPFS directory: ${error.message}`);
+    } finally {
+      await this.client.files.rm(root, { recursive: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Run repository garbage collection on the IPFS node
+   * @returns {Promise<Object>} - { removed } number of blocks removed
+   */
+  async gc() {
+    if (!this.isConnected) {
+      throw new Error('IPFS client is not connected');
+    }
+
+    try {
+      console.log('Running IPFS repo garbage collection');
+      let removed = 0;
+      for await (const result of this.client.repo.gc()) {
+        if (result.err) {
+          console.warn('IPFS GC warning:', result.err.message || result.err);
+        } else {
+          removed++;
+        }
+      }
+      console.log(`IPFS garbage collection removed ${removed} blocks`);
+      return { removed };
+    } catch (error) {
+      console.error('IPFS GC error:', error);
+      throw new Error(`Failed to run IPFS garbage collection: ${error.message}`);
+    }
+  }
+
+/**
+ * Get IPFS node info (BigInt-safe)
+ */
+async getNodeInfo() {
+  if (!this.isConnected) {
+    throw new Error('IPFS client is not connected');
+  }
+
+  try {
+    const [version, repo] = await Promise.all([
+      this.client.version(),
+      this.client.repo.stat()
+    ]);
+
+    let nodeId = null;
+    let addresses = [];
+
+    // Try normal client.id()
+    try {
+      const id = await this.client.id();
+      nodeId = id.id;
+      addresses = id.addresses || [];
+    } catch (err) {
+      console.warn('⚠️ Standard client.id() failed, falling back to manual fetch:', err.message);
+
+      const response = await fetch('http://127.0.0.1:5001/api/v0/id');
+      const text = await response.text();
+
+      const lines = text.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('{') && !l.startsWith('}'));
+      let parsed = {};
+
+      for (const line of lines) {
+        if (line.startsWith('ID:')) parsed.ID = line.replace('ID:', '').trim().replace(/,$/, '');
+        if (line.startsWith('Addresses:')) {
+          const addrBlock = [];
+          let i = lines.indexOf(line) + 1;
+          while (i < lines.length && lines[i].startsWith('/')) {
+            addrBlock.push(lines[i].replace(/,$/, ''));
+            i++;
+          }
+          parsed.Addresses = addrBlock;
+        }
+      }
+
+      nodeId = parsed.ID || 'unknown';
+      addresses = parsed.Addresses || [];
+    }
+
+    // Convert any BigInt → Number safely
+    const safeRepo = Object.fromEntries(
+      Object.entries(repo).map(([k, v]) => [k, typeof v === 'bigint' ? Number(v) : v])
+    );
+
+    // Filter out quic-v1 addresses
+    const safeAddresses = (addresses || []).filter(addr => !addr.includes('quic-v1'));
+
+    const repoSizeNum = Number(safeRepo.repoSize);
+    const storageMaxNum = Number(safeRepo.storageMax);
+    const repoUsagePercent = ((repoSizeNum / storageMaxNum) * 100).toFixed(2);
+
+    return {
+      backend: this.name,
+      version: version.version,
+      nodeId,
+      addresses: safeAddresses,
+      repoSize: repoSizeNum,
+      storageMax: storageMaxNum,
+      repoUsagePercent: `${repoUsagePercent}%`,
+      numObjects: Number(safeRepo.numObjects) || 0
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get IPFS node info: ${error.message}`);
+  }
+}
+}
+
+module.exports = IPFSService;
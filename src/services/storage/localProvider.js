@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const StorageProvider = require('./storageProvider');
+const { createHashingStream, generateSHA256FromBuffer, generateRawCid } = require('../../utils/hashUtils');
+require('dotenv').config();
+
+/**
+ * Content-addressed store on the local filesystem
+ *
+ * Layout under LOCAL_STORAGE_PATH:
+ *   blobs/<cid>  - content, named by its raw CIDv1
+ *   pins/<cid>   - empty marker for pinned content
+ *   tmp/         - in-flight uploads, renamed into blobs/ once hashed
+ */
+class LocalStorageProvider extends StorageProvider {
+  constructor(rootDir = process.env.LOCAL_STORAGE_PATH || path.join(process.cwd(), 'data', 'storage')) {
+    super('local');
+    this.rootDir = path.resolve(rootDir);
+    this.blobDir = path.join(this.rootDir, 'blobs');
+    this.pinDir = path.join(this.rootDir, 'pins');
+    this.tmpDir = path.join(this.rootDir, 'tmp');
+    this.init();
+  }
+
+  /**
+   * Create the store directories
+   */
+  init() {
+    try {
+      for (const dir of [this.blobDir, this.pinDir, this.tmpDir]) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      this.isConnected = true;
+      console.log(`✅ Local storage backend initialized at ${this.rootDir}`);
+    } catch (error) {
+      console.error('❌ Failed to initialize local storage backend:', error.message);
+      this.isConnected = false;
+    }
+  }
+
+  /**
+   * Resolve the path of a blob, rejecting anything that is not a plain CID
+   * @param {string} hash - CID
+   * @returns {string} - Blob path
+   */
+  blobPath(hash) {
+    if (!/^[a-z0-9]+$/i.test(hash)) {
+      throw new Error(`Invalid content hash: ${hash}`);
+    }
+    return path.join(this.blobDir, hash);
+  }
+
+  /**
+   * Store content, streaming it to disk while it is hashed
+   * @param {Buffer|Readable} content - File buffer or readable stream
+   * @param {Object} options - Upload options ({ pin })
+   * @returns {Promise<Object>} - Upload result with hash and size
+   */
+  async uploadFile(content, options = {}) {
+    this.assertConnected();
+
+    const tmpPath = path.join(this.tmpDir, crypto.randomBytes(16).toString('hex'));
+    const hashingStream = createHashingStream();
+
+    try {
+      await pipeline(Readable.from(content), hashingStream, fs.createWriteStream(tmpPath));
+
+      const { sha256Hash, size } = hashingStream.getResult();
+      const hash = generateRawCid(sha256Hash);
+      await fs.promises.rename(tmpPath, this.blobPath(hash));
+
+      if (options.pin !== false) {
+        await this.pinFile(hash);
+      }
+
+      return { hash, size, path: hash };
+
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      console.error('Local storage upload error:', error);
+      throw new Error(`Failed to store file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compute the CID content would get on upload
+   * @param {Buffer} fileBuffer - File buffer
+   * @returns {Promise<string>} - CID
+   */
+  async computeCid(fileBuffer) {
+    return generateRawCid(generateSHA256FromBuffer(fileBuffer));
+  }
+
+  /**
+   * Stream stored content
+   * @param {string} hash - CID
+   * @param {Object} options - { offset, length }
+   * @returns {AsyncGenerator<Buffer>} - File chunks
+   */
+  async *downloadStream(hash, options = {}) {
+    this.assertConnected();
+
+    const readOptions = {};
+    if (options.offset !== undefined) readOptions.start = options.offset;
+    if (options.length !== undefined) readOptions.end = (options.offset || 0) + options.length - 1;
+
+    try {
+      yield* fs.createReadStream(this.blobPath(hash), readOptions);
+    } catch (error) {
+      console.error('Local storage download error:', error);
+      throw new Error(`Failed to download file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get stored content stats
+   * @param {string} hash - CID
+   * @returns {Promise<Object>} - File stats
+   */
+  async getFileStats(hash) {
+    const stats = await fs.promises.stat(this.blobPath(hash));
+    return { hash, size: stats.size, blocks: 1, type: 'file' };
+  }
+
+  /**
+   * Pin stored content
+   * @param {string} hash - CID
+   * @returns {Promise<Object>} - Pin result
+   */
+  async pinFile(hash) {
+    this.assertConnected();
+
+    if (!(await this.fileExists(hash))) {
+      throw new Error(`Failed to pin file: content ${hash} not found`);
+    }
+    await fs.promises.writeFile(path.join(this.pinDir, hash), '');
+    return { hash };
+  }
+
+  /**
+   * Unpin stored content (removed by the next garbage collection)
+   * @param {string} hash - CID
+   * @returns {Promise<Object>} - Unpin result
+   */
+  async unpinFile(hash) {
+    this.assertConnected();
+
+    try {
+      await fs.promises.unlink(path.join(this.pinDir, path.basename(this.blobPath(hash))));
+      return { hash };
+    } catch (error) {
+      throw new Error(`Failed to unpin file: ${hash} is not pinned`);
+    }
+  }
+
+  /**
+   * Check if content is pinned
+   * @param {string} hash - CID
+   * @returns {Promise<boolean>} - True if pinned
+   */
+  async isPinned(hash) {
+    this.assertConnected();
+
+    try {
+      await fs.promises.access(path.join(this.pinDir, path.basename(this.blobPath(hash))));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove unpinned content
+   * @returns {Promise<Object>} - { removed } number of objects removed
+   */
+  async gc() {
+    this.assertConnected();
+
+    const pinned = new Set(await fs.promises.readdir(this.pinDir));
+    let removed = 0;
+
+    for (const name of await fs.promises.readdir(this.blobDir)) {
+      if (!pinned.has(name)) {
+        await fs.promises.rm(path.join(this.blobDir, name), { force: true });
+        removed++;
+      }
+    }
+    return { removed };
+  }
+
+  /**
+   * Get backend status information
+   * @returns {Promise<Object>} - Backend info
+   */
+  async getNodeInfo() {
+    const names = await fs.promises.readdir(this.blobDir);
+    let repoSize = 0;
+    for (const name of names) {
+      repoSize += (await fs.promises.stat(path.join(this.blobDir, name))).size;
+    }
+
+    return {
+      backend: this.name,
+      version: 'local',
+      path: this.rootDir,
+      repoSize,
+      numObjects: names.length
+    };
+  }
+}
+
+module.exports = LocalStorageProvider;
@@ -0,0 +1,178 @@
+const StorageProvider = require('./storageProvider');
+const { generateSHA256FromBuffer, generateRawCid } = require('../../utils/hashUtils');
+
+/**
+ * Collect a buffer, readable stream or async iterable into a single Buffer
+ * @param {Buffer|AsyncIterable<Buffer>} content - Content to collect
+ * @returns {Promise<Buffer>} - Content buffer
+ */
+const collectContent = async (content) => {
+  if (Buffer.isBuffer(content)) {
+    return content;
+  }
+  if (content instanceof Uint8Array || typeof content === 'string') {
+    return Buffer.from(content);
+  }
+
+  const chunks = [];
+  for await (const chunk of content) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Content-addressed store kept in process memory
+ * Intended for development and tests: nothing survives a restart
+ */
+class MemoryStorageProvider extends StorageProvider {
+  constructor() {
+    super('memory');
+    this.blobs = new Map();
+    this.isConnected = true;
+    console.log('✅ In-memory storage backend initialized');
+  }
+
+  /**
+   * Store content
+   * @param {Buffer|Readable} content - File buffer or readable stream
+   * @param {Object} options - Upload options ({ pin })
+   * @returns {Promise<Object>} - Upload result with hash and size
+   */
+  async uploadFile(content, options = {}) {
+    this.assertConnected();
+
+    const data = await collectContent(content);
+    const hash = generateRawCid(generateSHA256FromBuffer(data));
+    const existing = this.blobs.get(hash);
+
+    this.blobs.set(hash, {
+      data,
+      pinned: options.pin !== false || Boolean(existing && existing.pinned)
+    });
+
+    return { hash, size: data.length, path: hash };
+  }
+
+  /**
+   * Compute the CID content would get on upload
+   * @param {Buffer} fileBuffer - File buffer
+   * @returns {Promise<string>} - CID
+   */
+  async computeCid(fileBuffer) {
+    return generateRawCid(generateSHA256FromBuffer(fileBuffer));
+  }
+
+  /**
+   * Stream stored content
+   * @param {string} hash - CID
+   * @param {Object} options - { offset, length }
+   * @returns {AsyncGenerator<Buffer>} - File chunks
+   */
+  async *downloadStream(hash, options = {}) {
+    this.assertConnected();
+
+    const blob = this.blobs.get(hash);
+    if (!blob) {
+      throw new Error(`Failed to download file: content ${hash} not found`);
+    }
+
+    const start = options.offset || 0;
+    const end = options.length !== undefined ? start + options.length : blob.data.length;
+    yield blob.data.subarray(start, end);
+  }
+
+  /**
+   * Get stored content stats
+   * @param {string} hash - CID
+   * @returns {Promise<Object>} - File stats
+   */
+  async getFileStats(hash) {
+    const blob = this.blobs.get(hash);
+    if (!blob) {
+      throw new Error(`Content ${hash} not found`);
+    }
+    return { hash, size: blob.data.length, blocks: 1, type: 'file' };
+  }
+
+  /**
+   * Pin stored content
+   * @param {string} hash - CID
+   * @returns {Promise<Object>} - Pin result
+   */
+  async pinFile(hash) {
+    this.assertConnected();
+
+    const blob = this.blobs.get(hash);
+    if (!blob) {
+      throw new Error(`Failed to pin file: content ${hash} not found`);
+    }
+    blob.pinned = true;
+    return { hash };
+  }
+
+  /**
+   * Unpin stored content (removed by the next garbage collection)
+   * @param {string} hash - CID
+   * @returns {Promise<Object>} - Unpin result
+   */
+  async unpinFile(hash) {
+    this.assertConnected();
+
+    const blob = this.blobs.get(hash);
+    if (!blob || !blob.pinned) {
+      throw new Error(`Failed to unpin file: ${hash} is not pinned`);
+    }
+    blob.pinned = false;
+    return { hash };
+  }
+
+  /**
+   * Check if content is pinned
+   * @param {string} hash - CID
+   * @returns {Promise<boolean>} - True if pinned
+   */
+  async isPinned(hash) {
+    this.assertConnected();
+
+    const blob = this.blobs.get(hash);
+    return Boolean(blob && blob.pinned);
+  }
+
+  /**
+   * Remove unpinned content
+   * @returns {Promise<Object>} - { removed } number of objects removed
+   */
+  async gc() {
+    this.assertConnected();
+
+    let removed = 0;
+    for (const [hash, blob] of this.blobs) {
+      if (!blob.pinned) {
+        this.blobs.delete(hash);
+        removed++;
+      }
+    }
+    return { removed };
+  }
+
+  /**
+   * Get backend status information
+   * @returns {Promise<Object>} - Backend info
+   */
+  async getNodeInfo() {
+    let repoSize = 0;
+    for (const blob of this.blobs.values()) {
+      repoSize += blob.data.length;
+    }
+
+    return {
+      backend: this.name,
+      version: 'memory',
+      repoSize,
+      numObjects: this.blobs.size
+    };
+  }
+}
+
+module.exports = MemoryStorageProvider;
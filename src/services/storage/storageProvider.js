@@ -0,0 +1,102 @@
+/**
+ * Base class for content storage backends
+ *
+ * Every backend exposes the same contract as the original IPFS service:
+ *   uploadFile(content, options)    -> { hash, size, path }
+ *   downloadFile(hash, options)     -> Buffer
+ *   downloadStream(hash, options)   -> AsyncGenerator<Buffer> (options.offset / options.length;
+ *                                      options.signal cancels a read that is still waiting on the backend)
+ *   computeCid(buffer)              -> hash the content would be stored under
+ *   getFileStats(hash)              -> { hash, size, blocks, type }
+ *   fileExists(hash)                -> boolean
+ *   pinFile(hash) / unpinFile(hash) -> { hash }
+ *   isPinned(hash)                  -> boolean (pinned in its own right, not only as part of another object)
+ *   createDirectory(entries)        -> { hash, size } of a pinned directory of stored content
+ *   gc()                            -> { removed } after dropping unpinned content
+ *   getNodeInfo()                   -> backend status information
+ *   getConnectionStatus()           -> boolean
+ */
+class StorageProvider {
+  /**
+   * @param {string} name - Backend name reported in status information
+   */
+  constructor(name) {
+    this.name = name;
+    this.isConnected = false;
+  }
+
+  /**
+   * Throw unless the backend is ready
+   */
+  assertConnected() {
+    if (!this.isConnected) {
+      throw new Error(`${this.name} storage backend is not connected`);
+    }
+  }
+
+  /**
+   * Download a whole file into memory
+   * @param {string} hash - Content hash (CID)
+   * @param {Object} options - Download options
+   * @returns {Promise<Buffer>} - File buffer
+   */
+  async downloadFile(hash, options = {}) {
+    const chunks = [];
+    for await (const chunk of this.downloadStream(hash, options)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Check if content exists in the store
+   * @param {string} hash - Content hash (CID)
+   * @returns {Promise<boolean>} - True if content exists
+   */
+  async fileExists(hash) {
+    try {
+      await this.getFileStats(hash);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Store a directory of already stored content and pin it
+   * Backends without directory objects store a JSON listing of the entries,
+   * which gives the same CID for the same tree.
+   * @param {Array<Object>} entries - { path, hash, size } per file and { path, directory: true } per empty directory
+   * @returns {Promise<Object>} - { hash, size } of the directory
+   */
+  async createDirectory(entries) {
+    const sorted = [...entries].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    const listing = {
+      type: 'directory',
+      entries: sorted.map(entry => (entry.directory
+        ? { path: entry.path, type: 'directory' }
+        : { path: entry.path, type: 'file', hash: entry.hash, size: entry.size }))
+    };
+
+    const { hash } = await this.uploadFile(Buffer.from(JSON.stringify(listing)), { pin: true });
+    return { hash, size: sorted.reduce((total, entry) => total + (entry.size || 0), 0) };
+  }
+
+  /**
+   * Remove unpinned content
+   * @returns {Promise<Object>} - { removed } number of objects removed
+   */
+  async gc() {
+    return { removed: 0 };
+  }
+
+  /**
+   * Get connection status
+   * @returns {boolean} - Connection status
+   */
+  getConnectionStatus() {
+    return this.isConnected;
+  }
+}
+
+module.exports = StorageProvider;
@@ -0,0 +1,491 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const FileMetadata = require('../models/fileMetadata');
+const UploadSession = require('../models/uploadSession');
+const User = require('../models/user');
+const contentService = require('./contentService');
+const ipfsService = require('./ipfsService');
+const { storeStream, discardUpload } = require('../middleware/ipfsStorage');
+const { validateAttributes } = require('../utils/attributeUtils');
+const { generateFileId } = require('../utils/hashUtils');
+const { sniffMimeType, SNIFF_MAX_BYTES } = require('../utils/mimeUtils');
+const { createKeyedQueue } = require('../utils/batchUtils');
+
+const DEFAULT_MAX_SIZE_MB = 10240;
+const DEFAULT_SESSION_TTL_HOURS = 24;
+const DEFAULT_CLEANUP_INTERVAL_MINUTES = 60;
+const MAX_IMPORT_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 100;
+// Errors of a chunk whose connection dropped mid-way
+const INTERRUPTED_CODES = ['ERR_STREAM_PREMATURE_CLOSE', 'ECONNRESET'];
+
+/**
+ * Turns uploaded content, or content already on IPFS, into file records, and
+ * runs resumable uploads
+ *
+ * A resumable upload is a session whose bytes are appended to a staging file,
+ * chunk by chunk at the offset received so far, so a dropped connection only
+ * loses the chunk in flight. Completing the session streams the staged bytes
+ * through the same hashing, encryption and storage path as a direct upload and
+ * creates the file (or version) the same way. Chunks and completion of one
+ * session are serialized; sessions untouched for UPLOAD_SESSION_TTL_HOURS expire.
+ */
+class UploadService {
+  constructor(stagingDir = process.env.UPLOAD_STAGING_PATH || path.join(process.cwd(), 'data', 'uploads')) {
+    this.stagingDir = stagingDir;
+    this.enqueue = createKeyedQueue();
+    this.timer = null;
+  }
+
+  /**
+   * Save uploaded content as a new file record
+   * The content is discarded unless the record is saved; once it is, it is kept.
+   * @param {Object} file - Stored upload ({ originalname, mimetype, sha256Hash, ipfsHash, size, encryption?, external?, ... })
+   * @param {Object} fields - { owner, uploadedBy, description, tags, attributes, definitions }
+   * @returns {Promise<Object>} - { fileMetadata }, { duplicate } (the owner's file with identical content) or { errors }
+   */
+  async createFile(file, fields) {
+    const { owner, uploadedBy, description, tags, attributes, definitions } = fields;
+    const { sha256Hash, ipfsHash, size: fileSize } = file;
+
+    let fileMetadata;
+    try {
+      // Custom attributes are validated against the owner's definitions (required ones included)
+      const checked = validateAttributes(attributes, definitions);
+      if (checked.errors) {
+        await this.discard(file);
+        return { errors: checked.errors };
+      }
+
+      // Deduplicate per owner only: other owners may store the same bytes, which
+      // share one reference-counted blob but keep separate metadata
+      const existingFile = await FileMetadata.findByHash(sha256Hash, owner);
+      if (existingFile) {
+        await this.discard(file);
+        return { duplicate: existingFile };
+      }
+
+      fileMetadata = new FileMetadata({
+        fileId: generateFileId(file.originalname, owner),
+        originalFileName: file.originalname,
+        owner,
+        description: description || '',
+        tags: tags || [],
+        attributes: checked.attributes,
+        versions: [{
+          versionNumber: 1,
+          sha256Hash,
+          ipfsHash,
+          fileSize,
+          mimeType: file.mimetype,
+          uploadedBy,
+          encryption: file.encryption
+        }]
+      });
+
+      await fileMetadata.save();
+
+    } catch (error) {
+      await this.discard(file);
+      throw error;
+    }
+
+    await this.retainSaved(ipfsHash, fileSize, file.externallyPinned);
+    return { fileMetadata };
+  }
+
+  /**
+   * Save uploaded content as the new current version of a file
+   * The content is discarded unless the version is saved; once it is, it is kept.
+   * @param {Object} fileMetadata - File metadata document
+   * @param {Object} file - Stored upload ({ mimetype, sha256Hash, ipfsHash, size, encryption?, external?, ... })
+   * @param {string} uploadedBy - Uploader
+   * @returns {Promise<Object>} - { version } or { current } (the current version already has this content)
+   */
+  async addVersion(fileMetadata, file, uploadedBy) {
+    const { sha256Hash, ipfsHash, size: fileSize } = file;
+
+    let version;
+    try {
+      // Re-uploading the current content would add an identical version; earlier
+      // content may come back (use the rollback endpoint to keep provenance)
+      const currentVersion = fileMetadata.currentVersion;
+      if (currentVersion && currentVersion.sha256Hash === sha256Hash) {
+        await this.discard(file);
+        return { current: currentVersion };
+      }
+
+      version = fileMetadata.addVersion({
+        sha256Hash,
+        ipfsHash,
+        fileSize,
+        mimeType: file.mimetype,
+        uploadedBy,
+        encryption: file.encryption
+      });
+
+      await fileMetadata.save();
+
+    } catch (error) {
+      await this.discard(file);
+      throw error;
+    }
+
+    await this.retainSaved(ipfsHash, fileSize, file.externallyPinned);
+    return { version };
+  }
+
+  /**
+   * Count the reference of a version that has just been saved
+   * The saved record points at the content, so it is never discarded from here
+   * on. A failed retain is retried once and then left to the next release or
+   * reference count rebuild, both of which count the saved versions.
+   * @param {string} ipfsHash - CID
+   * @param {number} size - Content size in bytes
+   * @param {boolean} externallyPinned - Imported content that was pinned before the import
+   */
+  async retainSaved(ipfsHash, size, externallyPinned = false) {
+    try {
+      await contentService.retain(ipfsHash, size, { externallyPinned });
+    } catch (error) {
+      console.error(`Retain error for ${ipfsHash}, retrying:`, error.message);
+      await contentService.retain(ipfsHash, size, { externallyPinned })
+        .catch(retryError => console.error(`Retain error for ${ipfsHash}:`, retryError.message));
+    }
+  }
+
+  /**
+   * Undo storing content whose record was not saved
+   * Content registered by CID was on IPFS before it was imported: only a pin
+   * the import added is removed.
+   * @param {Object} file - Stored upload
+   * @returns {Promise<boolean>} - True if the content was unpinned
+   */
+  async discard(file) {
+    if (file.external && !file.pinnedByImport) {
+      return false;
+    }
+    return discardUpload(file.ipfsHash);
+  }
+
+  /**
+   * Fetch content that is already on IPFS, hash it and pin it, to save it like an upload
+   * The content is streamed; only its first bytes are kept, to sniff its type.
+   * A pin that was already there is recorded as such: content this service
+   * does not reference was pinned by someone else, and keeps that pin.
+   * @param {string} cid - CID of a file
+   * @param {Object} options - { fileName, mimeType? } (the type is sniffed when not given)
+   * @returns {Promise<Object>} - Stored file ({ originalname, mimetype, sha256Hash, ipfsHash, size, external,
+   *   pinnedByImport, externallyPinned }) or { error, status }
+   */
+  async fetchByCid(cid, { fileName, mimeType }) {
+    let stats;
+    try {
+      stats = await ipfsService.getFileStats(cid);
+    } catch (error) {
+      return { error: `Content ${cid} not found on IPFS`, status: 404 };
+    }
+    if (stats.type === 'directory') {
+      return { error: 'The CID is a directory; import its files one at a time', status: 400 };
+    }
+
+    // Imports share the direct upload limit
+    const maxSize = MAX_IMPORT_SIZE_MB * 1024 * 1024;
+    const tooLarge = { error: `File too large. Maximum size is ${MAX_IMPORT_SIZE_MB}MB`, status: 413 };
+    if (stats.size > maxSize) {
+      return tooLarge;
+    }
+
+    const pinnedBefore = await ipfsService.isPinned(cid);
+
+    // The reported size is checked again against the bytes as they arrive
+    const hash = crypto.createHash('sha256');
+    const head = [];
+    let headLength = 0;
+    let size = 0;
+    for await (const chunk of ipfsService.downloadStream(cid)) {
+      size += chunk.length;
+      if (size > maxSize) {
+        return tooLarge;
+      }
+      hash.update(chunk);
+      if (headLength < SNIFF_MAX_BYTES) {
+        const kept = chunk.subarray(0, SNIFF_MAX_BYTES - headLength);
+        head.push(kept);
+        headLength += kept.length;
+      }
+    }
+
+    if (!pinnedBefore) {
+      await ipfsService.pinFile(cid);
+    }
+
+    return {
+      originalname: fileName,
+      mimetype: mimeType || sniffMimeType(Buffer.concat(head), fileName),
+      sha256Hash: hash.digest('hex'),
+      ipfsHash: cid,
+      size,
+      external: true,
+      pinnedByImport: !pinnedBefore,
+      externallyPinned: pinnedBefore && !(await contentService.isReferenced(cid))
+    };
+  }
+
+  /**
+   * Largest resumable upload, from RESUMABLE_UPLOAD_MAX_SIZE_MB (default 10240)
+   * @returns {number} - Size limit in bytes
+   */
+  getMaxSize() {
+    const mb = parseFloat(process.env.RESUMABLE_UPLOAD_MAX_SIZE_MB);
+    return (mb > 0 ? mb : DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+  }
+
+  /**
+   * How long an idle session stays resumable, from UPLOAD_SESSION_TTL_HOURS (default 24)
+   * @returns {number} - Lifetime in milliseconds
+   */
+  getSessionTtl() {
+    const hours = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS);
+    return (hours > 0 ? hours : DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Location of a session's staged bytes
+   * @param {string} uploadId - Session ID
+   * @returns {string} - Staging file path
+   */
+  stagingPath(uploadId) {
+    return path.join(this.stagingDir, uploadId);
+  }
+
+  /**
+   * Start a resumable upload with an empty staging file
+   * @param {Object} fields - Session fields (createdBy, fileId?, fileName, mimeType, size, description, tags, attributes, encrypt, sha256Hash?)
+   * @returns {Promise<Object>} - Upload session document
+   */
+  async createSession(fields) {
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    await fs.promises.mkdir(this.stagingDir, { recursive: true });
+    await fs.promises.writeFile(this.stagingPath(uploadId), Buffer.alloc(0));
+
+    try {
+      return await UploadSession.create({
+        ...fields,
+        uploadId,
+        expiresAt: new Date(Date.now() + this.getSessionTtl())
+      });
+    } catch (error) {
+      await fs.promises.rm(this.stagingPath(uploadId), { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Find one of the user's sessions that can still be resumed
+   * @param {string} uploadId - Session ID
+   * @param {string} userId - Caller
+   * @returns {Promise<Object|null>} - Upload session document
+   */
+  async findSession(uploadId, userId) {
+    return UploadSession.findOne({ uploadId, createdBy: userId, expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Append a chunk to a session at the given offset
+   * Whatever reaches the staging file counts, so a dropped chunk resumes where it stopped.
+   * @param {string} uploadId - Session ID
+   * @param {string} userId - Caller
+   * @param {Object} chunk - { offset, length? }; offset must equal the bytes received so far
+   * @param {Readable} source - Chunk bytes
+   * @returns {Promise<Object>} - { session } or { error, status, session? }
+   */
+  async appendChunk(uploadId, userId, { offset, length }, source) {
+    return this.enqueue(uploadId, async () => {
+      const session = await this.findSession(uploadId, userId);
+      if (!session) {
+        source.resume();
+        return { error: 'Upload not found or expired', status: 404 };
+      }
+      if (offset !== session.offset) {
+        source.resume();
+        return { error: `Upload-Offset ${offset} does not match the ${session.offset} bytes received`, status: 409, session };
+      }
+
+      // The declared size caps what the session accepts
+      const remaining = session.size - session.offset;
+      if (length > remaining) {
+        source.resume();
+        return { error: `Chunk runs past the declared size of ${session.size} bytes`, status: 413, session };
+      }
+      let received = 0;
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > remaining) {
+            const error = new Error(`Chunk runs past the declared size of ${session.size} bytes`);
+            error.status = 413;
+            return callback(error);
+          }
+          callback(null, chunk);
+        }
+      });
+      const output = fs.createWriteStream(this.stagingPath(uploadId), { flags: 'r+', start: offset });
+
+      let failure = null;
+      try {
+        await pipeline(source, limiter, output);
+      } catch (error) {
+        failure = error;
+      }
+
+      session.offset += output.bytesWritten;
+      session.expiresAt = new Date(Date.now() + this.getSessionTtl());
+      await session.save();
+
+      if (failure && failure.status) {
+        return { error: failure.message, status: failure.status, session };
+      }
+      if (failure && INTERRUPTED_CODES.includes(failure.code)) {
+        return { error: 'Chunk interrupted; resume from the received offset', status: 400, session };
+      }
+      if (failure) {
+        throw failure;
+      }
+      return { session };
+    });
+  }
+
+  /**
+   * Store a fully received session and create the file or version it was started for
+   * The session ends unless storing the content fails, in which case completing can be retried.
+   * @param {string} uploadId - Session ID
+   * @param {Object} user - Caller ({ userId, groups })
+   * @returns {Promise<Object>} - { session, file } plus { fileMetadata }, { version }, { duplicate },
+   *                              { current } or { errors }; or { error, status, session? }
+   */
+  async completeSession(uploadId, user) {
+    return this.enqueue(uploadId, async () => {
+      const session = await this.findSession(uploadId, user.userId);
+      if (!session) {
+        return { error: 'Upload not found or expired', status: 404 };
+      }
+      if (!session.isComplete()) {
+        return { error: `Upload incomplete: ${session.offset} of ${session.size} bytes received`, status: 409, session };
+      }
+
+      // A new version still needs edit access when it lands
+      let fileMetadata = null;
+      if (session.fileId) {
+        fileMetadata = await FileMetadata.findOne({ fileId: session.fileId, isActive: true });
+        if (!fileMetadata || !fileMetadata.canEdit(user)) {
+          await this.removeSession(session);
+          return { error: 'File not found or access denied', status: 404 };
+        }
+      }
+
+      const stored = await storeStream(
+        fs.createReadStream(this.stagingPath(uploadId), { start: 0, end: session.size - 1 }),
+        { encrypt: session.encrypt }
+      );
+      const file = { ...stored, originalname: session.fileName, mimetype: session.mimeType };
+
+      if (session.sha256Hash && session.sha256Hash !== stored.sha256Hash) {
+        await discardUpload(stored.ipfsHash);
+        await this.removeSession(session);
+        return { error: `Content SHA-256 ${stored.sha256Hash} does not match the declared ${session.sha256Hash}`, status: 400 };
+      }
+
+      let outcome;
+      if (fileMetadata) {
+        outcome = await this.addVersion(fileMetadata, file, user.userId);
+      } else {
+        const owner = await User.findOne({ userId: user.userId }, 'attributeDefinitions');
+        outcome = await this.createFile(file, {
+          owner: user.userId,
+          uploadedBy: user.userId,
+          description: session.description,
+          tags: session.tags,
+          attributes: session.attributes,
+          definitions: owner ? owner.attributeDefinitions : []
+        });
+      }
+
+      await this.removeSession(session);
+      return { session, file, fileMetadata, ...outcome };
+    });
+  }
+
+  /**
+   * Abandon one of the user's sessions, once any chunk in flight has landed
+   * @param {string} uploadId - Session ID
+   * @param {string} userId - Caller
+   * @returns {Promise<boolean>} - False if there was no such session
+   */
+  async cancelSession(uploadId, userId) {
+    return this.enqueue(uploadId, async () => {
+      const session = await this.findSession(uploadId, userId);
+      if (!session) return false;
+
+      await this.removeSession(session);
+      return true;
+    });
+  }
+
+  /**
+   * Delete a session and its staged bytes
+   * @param {Object} session - Upload session document
+   */
+  async removeSession(session) {
+    await UploadSession.deleteOne({ uploadId: session.uploadId });
+    await fs.promises.rm(this.stagingPath(session.uploadId), { force: true });
+  }
+
+  /**
+   * Remove expired sessions and their staged bytes
+   * @returns {Promise<number>} - Number of sessions removed
+   */
+  async expireSessions() {
+    const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } }, 'uploadId');
+    for (const session of expired) {
+      await this.enqueue(session.uploadId, () => this.removeSession(session));
+    }
+    return expired.length;
+  }
+
+  /**
+   * Remove expired sessions every UPLOAD_CLEANUP_INTERVAL_MINUTES (default 60; 0 disables)
+   */
+  startScheduler() {
+    const configured = parseFloat(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES);
+    const minutes = Number.isFinite(configured) ? configured : DEFAULT_CLEANUP_INTERVAL_MINUTES;
+    if (minutes <= 0 || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.expireSessions()
+        .then(count => count > 0 && console.log(`⏳ Removed ${count} expired upload sessions`))
+        .catch(error => console.error('Upload cleanup error:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+
+    console.log(`⏳ Expired upload sessions removed every ${minutes} minutes`);
+  }
+
+  /**
+   * Stop the periodic cleanup
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const uploadService = new UploadService();
+module.exports = uploadService;
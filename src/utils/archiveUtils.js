@@ -0,0 +1,238 @@
+const ARCHIVE_FORMATS = ['zip', 'tar'];
+
+const TAR_BLOCK_SIZE = 512;
+const TAR_NAME_LENGTH = 100;
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_OFFSET = 0xffffffff;
+// Fixed part of a zip local file header
+const ZIP_LOCAL_HEADER_SIZE = 30;
+// Entry names are UTF-8 (general purpose flag bit 11)
+const ZIP_UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum zip entries carry
+ * @param {Buffer} buffer - Data
+ * @param {number} [previous=0] - Checksum of the data before this chunk, to compute it chunk by chunk
+ * @returns {number} - Unsigned CRC-32
+ */
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Write a number as a NUL-terminated octal tar header field
+ * @param {Buffer} header - Header block
+ * @param {number} value - Number to write
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length, terminator included
+ */
+const writeOctal = (header, value, offset, length) => {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+};
+
+/**
+ * Build one ustar header block
+ * @param {Buffer} name - Entry name, at most 100 bytes
+ * @param {number} size - Entry size in bytes
+ * @param {Date} mtime - Modification time
+ * @param {string} type - Type flag ('0' for a file, 'x' for extended headers)
+ * @returns {Buffer} - 512-byte header
+ */
+const tarHeader = (name, size, mtime, type) => {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  name.copy(header, 0, 0, TAR_NAME_LENGTH);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0' + '00', 257, 8, 'ascii');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+};
+
+/**
+ * Zero bytes that round an entry up to a whole tar block
+ * @param {number} size - Entry size in bytes
+ * @returns {Buffer} - Padding (possibly empty)
+ */
+const tarPadding = (size) => Buffer.alloc((TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE);
+
+/**
+ * Build a PAX extended header carrying a name too long for the ustar header
+ * @param {string} name - Entry name
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer} - Extended header entry
+ */
+const tarLongName = (name, mtime) => {
+  // Each record starts with its own length in bytes, that number included
+  const body = ` path=${name}\n`;
+  let length = Buffer.byteLength(body);
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  const record = Buffer.from(`${length}${body}`);
+
+  return Buffer.concat([
+    tarHeader(Buffer.from('PaxHeader'), record.length, mtime, 'x'),
+    record,
+    tarPadding(record.length)
+  ]);
+};
+
+/**
+ * Create a tar (ustar) writer
+ * An entry is either added whole, or streamed: startEntry, its data, then endEntry.
+ * @returns {Object} - { addEntry, startEntry, endEntry, finish } returning the bytes to write
+ */
+const createTarWriter = () => ({
+  addEntry(name, data, mtime = new Date()) {
+    return Buffer.concat([this.startEntry(name, data.length, mtime), data, this.endEntry(data.length)]);
+  },
+
+  startEntry(name, size, mtime = new Date()) {
+    const encodedName = Buffer.from(name);
+    return Buffer.concat([
+      ...(encodedName.length > TAR_NAME_LENGTH ? [tarLongName(name, mtime)] : []),
+      tarHeader(encodedName, size, mtime, '0')
+    ]);
+  },
+
+  endEntry(size) {
+    return tarPadding(size);
+  },
+
+  // Two empty blocks end the archive
+  finish() {
+    return Buffer.alloc(TAR_BLOCK_SIZE * 2);
+  }
+});
+
+/**
+ * Convert a date to MS-DOS time and date fields (UTC, two-second precision)
+ * @param {Date} date - Date to convert
+ * @returns {Object} - { time, date }
+ */
+const toDosDateTime = (date) => {
+  const year = Math.max(date.getUTCFullYear(), 1980);
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+};
+
+/**
+ * Create a zip writer storing entries uncompressed
+ * Content is mostly already compressed or binary, and storing keeps the
+ * archive streamable. An entry is either added whole, or streamed: startEntry
+ * (which needs the size and CRC-32 up front), its data, then endEntry.
+ * @returns {Object} - { addEntry, startEntry, endEntry, finish } returning the bytes to write
+ */
+const createZipWriter = () => {
+  const centralDirectory = [];
+  let offset = 0;
+
+  return {
+    addEntry(name, data, mtime = new Date()) {
+      return Buffer.concat([this.startEntry(name, data.length, mtime, crc32(data)), data, this.endEntry(data.length)]);
+    },
+
+    startEntry(name, size, mtime = new Date(), checksum = 0) {
+      if (centralDirectory.length >= ZIP_MAX_ENTRIES) {
+        throw new Error(`Zip archives hold at most ${ZIP_MAX_ENTRIES} entries`);
+      }
+      const encodedName = Buffer.from(name);
+      if (offset + ZIP_LOCAL_HEADER_SIZE + encodedName.length + size > ZIP_MAX_OFFSET) {
+        throw new Error('Zip archives over 4 GiB are not supported; use tar');
+      }
+      const { time, date } = toDosDateTime(mtime);
+
+      const local = Buffer.alloc(ZIP_LOCAL_HEADER_SIZE);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(ZIP_UTF8_FLAG, 6);
+      local.writeUInt16LE(0, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(checksum, 14);
+      local.writeUInt32LE(size, 18);
+      local.writeUInt32LE(size, 22);
+      local.writeUInt16LE(encodedName.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(ZIP_UTF8_FLAG, 8);
+      central.writeUInt16LE(0, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(checksum, 16);
+      central.writeUInt32LE(size, 20);
+      central.writeUInt32LE(size, 24);
+      central.writeUInt16LE(encodedName.length, 28);
+      central.writeUInt32LE(offset, 42);
+      centralDirectory.push(Buffer.concat([central, encodedName]));
+
+      const header = Buffer.concat([local, encodedName]);
+      offset += header.length + size;
+      return header;
+    },
+
+    endEntry() {
+      return Buffer.alloc(0);
+    },
+
+    finish() {
+      const directory = Buffer.concat(centralDirectory);
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(centralDirectory.length, 8);
+      end.writeUInt16LE(centralDirectory.length, 10);
+      end.writeUInt32LE(directory.length, 12);
+      end.writeUInt32LE(offset, 16);
+      return Buffer.concat([directory, end]);
+    }
+  };
+};
+
+/**
+ * Create a writer for an archive format
+ * @param {string} format - One of ARCHIVE_FORMATS
+ * @returns {Object} - Writer with addEntry/startEntry/endEntry/finish, plus its contentType and extension
+ */
+const createArchiveWriter = (format) => {
+  if (format === 'tar') {
+    return { ...createTarWriter(), contentType: 'application/x-tar', extension: 'tar' };
+  }
+  return { ...createZipWriter(), contentType: 'application/zip', extension: 'zip' };
+};
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  ZIP_MAX_ENTRIES,
+  ZIP_MAX_OFFSET,
+  ZIP_LOCAL_HEADER_SIZE,
+  crc32,
+  createTarWriter,
+  createZipWriter,
+  createArchiveWriter
+};
@@ -0,0 +1,224 @@
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const MAX_ATTRIBUTES = 50;
+const MAX_STRING_LENGTH = 1000;
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Read attributes from a request body field (an object, or a JSON string from multipart forms)
+ * @param {*} raw - Raw attributes value
+ * @returns {Object} - { attributes } or { error }
+ */
+const parseAttributeInput = (raw) => {
+  let attributes = raw;
+  if (typeof raw === 'string') {
+    try {
+      attributes = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'attributes must be a JSON object' };
+    }
+  }
+
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    return { error: 'attributes must be a JSON object' };
+  }
+  return { attributes };
+};
+
+/**
+ * Convert a value to an attribute type, accepting the string forms sent by forms and query strings
+ * @param {*} value - Raw value
+ * @param {string} type - 'string', 'number', 'boolean' or 'date'
+ * @returns {Object} - { value } or { error }
+ */
+const coerceValue = (value, type) => {
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      if (value.length > MAX_STRING_LENGTH) return { error: `must be at most ${MAX_STRING_LENGTH} characters` };
+      return { value };
+
+    case 'number': {
+      const number = typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+      return { value: number };
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return { error: 'must be a date' };
+      return { value: date };
+    }
+
+    default:
+      return { error: `has unknown type ${type}` };
+  }
+};
+
+/**
+ * Validate a file's complete set of attributes against the owner's definitions
+ * Defined attributes are coerced to their type; others must be strings, numbers or booleans.
+ * @param {Object} attributes - Attribute name to value
+ * @param {Array<Object>} definitions - Owner's attribute definitions
+ * @returns {Object} - { attributes } with coerced values, or { errors }
+ */
+const validateAttributes = (attributes = {}, definitions = []) => {
+  const byName = new Map(definitions.map(d => [d.name, d]));
+  const names = Object.keys(attributes);
+  const errors = [];
+  const result = {};
+
+  if (names.length > MAX_ATTRIBUTES) {
+    errors.push(`A file can have at most ${MAX_ATTRIBUTES} attributes`);
+  }
+
+  for (const name of names) {
+    if (!ATTRIBUTE_NAME_PATTERN.test(name)) {
+      errors.push(`Invalid attribute name "${name}"`);
+      continue;
+    }
+
+    const value = attributes[name];
+    const definition = byName.get(name);
+    const type = definition ? definition.type : typeof value;
+    if (!definition && !['string', 'number', 'boolean'].includes(type)) {
+      errors.push(`Attribute "${name}" must be a string, number or boolean`);
+      continue;
+    }
+
+    const coerced = coerceValue(value, type);
+    if (coerced.error) {
+      errors.push(`Attribute "${name}" ${coerced.error}`);
+      continue;
+    }
+
+    if (definition && definition.enum && definition.enum.length > 0 && !definition.enum.includes(coerced.value)) {
+      errors.push(`Attribute "${name}" must be one of: ${definition.enum.join(', ')}`);
+      continue;
+    }
+    result[name] = coerced.value;
+  }
+
+  for (const definition of definitions) {
+    if (definition.required && !(definition.name in attributes)) {
+      errors.push(`Attribute "${definition.name}" is required`);
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { attributes: result };
+};
+
+/**
+ * Apply attribute changes to the current attributes; a null value removes the attribute
+ * @param {Object} current - Current attributes
+ * @param {Object} changes - Attributes to set or remove
+ * @returns {Object} - Merged attributes
+ */
+const mergeAttributes = (current = {}, changes = {}) => {
+  const merged = { ...current };
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  }
+  return merged;
+};
+
+/**
+ * Guess the type of a query string value for attributes without a definition
+ * @param {string} raw - Query string value
+ * @returns {*} - Boolean, number, Date or the string itself
+ */
+const inferValue = (raw) => {
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  if (NUMBER_PATTERN.test(raw)) return Number(raw);
+  if (DATE_PATTERN.test(raw) && !Number.isNaN(Date.parse(raw))) return new Date(raw);
+  return raw;
+};
+
+/**
+ * Build MongoDB conditions from attribute filters such as attr[budget][gte]=1000
+ * Values are coerced with the caller's definitions; undefined attributes match the
+ * raw string as well as its inferred type for equality.
+ * @param {Object} filters - Attribute name to a value or an { operator: value } object
+ * @param {Array<Object>} definitions - Caller's attribute definitions
+ * @returns {Object} - { conditions } or { error }
+ */
+const buildAttributeFilter = (filters, definitions = []) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Attribute filters must look like attr[name]=value or attr[name][operator]=value' };
+  }
+
+  const byName = new Map(definitions.map(d => [d.name, d]));
+  const conditions = {};
+
+  for (const [name, filter] of Object.entries(filters)) {
+    if (!ATTRIBUTE_NAME_PATTERN.test(name)) {
+      return { error: `Invalid attribute name "${name}"` };
+    }
+
+    const operators = typeof filter === 'object' && !Array.isArray(filter) ? filter : { eq: filter };
+    const definition = byName.get(name);
+    const condition = {};
+
+    for (const [operator, raw] of Object.entries(operators)) {
+      if (!FILTER_OPERATORS.includes(operator)) {
+        return { error: `Unknown operator "${operator}" for attribute "${name}". Use one of: ${FILTER_OPERATORS.join(', ')}` };
+      }
+
+      const rawValues = operator === 'in' && typeof raw === 'string' ? raw.split(',') : [].concat(raw);
+      if (rawValues.length === 0 || (operator !== 'in' && rawValues.length > 1) || rawValues.some(value => typeof value !== 'string')) {
+        return { error: `Invalid value for attribute "${name}"` };
+      }
+
+      // Each query value becomes one or more candidate stored values
+      const candidates = [];
+      for (const value of rawValues) {
+        if (definition) {
+          const coerced = coerceValue(value, definition.type);
+          if (coerced.error) {
+            return { error: `Filter value for attribute "${name}" ${coerced.error}` };
+          }
+          candidates.push(coerced.value);
+        } else if (['gt', 'gte', 'lt', 'lte'].includes(operator)) {
+          candidates.push(inferValue(value));
+        } else {
+          const inferred = inferValue(value);
+          candidates.push(value);
+          if (typeof inferred !== 'string' && !(inferred instanceof Date)) candidates.push(inferred);
+        }
+      }
+
+      if (operator === 'eq' || operator === 'in') {
+        condition.$in = candidates;
+      } else if (operator === 'ne') {
+        condition.$nin = candidates;
+      } else {
+        condition[`$${operator}`] = candidates[0];
+      }
+    }
+
+    conditions[`attributes.${name}`] = condition;
+  }
+
+  return { conditions };
+};
+
+module.exports = {
+  ATTRIBUTE_NAME_PATTERN,
+  FILTER_OPERATORS,
+  parseAttributeInput,
+  coerceValue,
+  validateAttributes,
+  mergeAttributes,
+  buildAttributeFilter
+};
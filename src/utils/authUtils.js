@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const scrypt = promisify(crypto.scrypt);
+
+const API_KEY_PREFIX = 'dfm';
+
+/**
+ * Get the secret used to sign access tokens
+ * @returns {string} - JWT secret
+ */
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Encoded hash in the form scrypt$salt$hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+};
+
+/**
+ * Verify a password against an encoded scrypt hash
+ * @param {string} password - Plain text password
+ * @param {string} encodedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, encodedHash) => {
+  try {
+    const [scheme, salt, hash] = (encodedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const derivedKey = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(derivedKey, expected);
+  } catch (error) {
+    console.error('Password verification error:', error);
+    return false;
+  }
+};
+
+/**
+ * Hash an opaque token (API key or refresh token) for storage
+ * @param {string} token - Raw token
+ * @returns {string} - SHA256 hash in hexadecimal
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a new API key
+ * @returns {Object} - { keyId, key } where key is only shown to the caller once
+ */
+const generateApiKey = () => {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return {
+    keyId,
+    key: `${API_KEY_PREFIX}_${keyId}_${secret}`
+  };
+};
+
+/**
+ * Extract the key ID from an API key
+ * @param {string} key - Raw API key
+ * @returns {string|null} - Key ID or null if the key is malformed
+ */
+const parseApiKeyId = (key) => {
+  if (!key || typeof key !== 'string') {
+    return null;
+  }
+  const parts = key.split('_');
+  if (parts.length < 3 || parts[0] !== API_KEY_PREFIX) {
+    return null;
+  }
+  return parts[1];
+};
+
+/**
+ * Generate a new opaque refresh token
+ * @returns {string} - Refresh token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Sign a short-lived access token
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user.userId, tv: user.tokenVersion },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
+  );
+};
+
+/**
+ * Verify an access token
+ * Throws JsonWebTokenError / TokenExpiredError on failure
+ * @param {string} token - Signed JWT
+ * @returns {Object} - Decoded payload
+ */
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateApiKey,
+  parseApiKeyId,
+  generateRefreshToken,
+  signAccessToken,
+  verifyAccessToken
+};
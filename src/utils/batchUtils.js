@@ -0,0 +1,48 @@
+/**
+ * Map items through an async function with at most `concurrency` calls in flight
+ * Items are started in order; results keep the order of the input.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum calls running at once
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in input order (rejects on the first failure)
+ */
+const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+};
+
+/**
+ * Create a runner that serializes tasks sharing a key while tasks with different keys run freely
+ * @returns {Function} - (key, task) => Promise resolving to the task's result
+ */
+const createKeyedQueue = () => {
+  const tails = new Map();
+
+  return (key, task) => {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => task());
+    // Later tasks wait for this one whether it succeeds or not
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+};
+
+module.exports = {
+  mapWithConcurrency,
+  createKeyedQueue
+};
@@ -0,0 +1,198 @@
+const { encryptBuffer, decryptBuffer } = require('./encryptionUtils');
+
+// Identifies catalog manifests; readers reject versions newer than they know
+const CATALOG_FORMAT = 'file-metadata-catalog';
+const CATALOG_VERSION = 1;
+// What a restore does with a fileId that is already in the database
+const CONFLICT_MODES = ['skip', 'overwrite', 'fail'];
+const FILTER_FIELDS = ['owner', 'fileIds', 'updatedSince', 'includeDeleted'];
+
+/**
+ * Check a list of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a non-empty array of non-empty strings
+ */
+const isStringList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(item => typeof item === 'string' && item.trim());
+
+/**
+ * Build the query selecting the files to export
+ * @param {Object} filter - { owner?, fileIds?, updatedSince?, includeDeleted? } (deleted files are included by default)
+ * @returns {Object} - { conditions, filter } (the normalized filter, for the manifest) or { error }
+ */
+const buildCatalogFilter = (filter = {}) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'filter must be an object' };
+  }
+
+  const unknown = Object.keys(filter).find(field => !FILTER_FIELDS.includes(field));
+  if (unknown) {
+    return { error: `Unknown filter field "${unknown}"; use ${FILTER_FIELDS.join(', ')}` };
+  }
+
+  const conditions = {};
+  const normalized = {};
+
+  if (filter.owner !== undefined) {
+    const owners = typeof filter.owner === 'string' ? [filter.owner] : filter.owner;
+    if (!isStringList(owners)) {
+      return { error: 'owner must be a user ID or an array of user IDs' };
+    }
+    normalized.owner = owners.map(owner => owner.trim());
+    conditions.owner = { $in: normalized.owner };
+  }
+
+  if (filter.fileIds !== undefined) {
+    if (!isStringList(filter.fileIds)) {
+      return { error: 'fileIds must be a non-empty array of strings' };
+    }
+    normalized.fileIds = [...new Set(filter.fileIds)];
+    conditions.fileId = { $in: normalized.fileIds };
+  }
+
+  if (filter.updatedSince !== undefined) {
+    const since = new Date(filter.updatedSince);
+    if (typeof filter.updatedSince !== 'string' || Number.isNaN(since.getTime())) {
+      return { error: 'updatedSince must be an ISO 8601 date' };
+    }
+    normalized.updatedSince = since.toISOString();
+    conditions.updatedAt = { $gte: since };
+  }
+
+  if (filter.includeDeleted !== undefined && typeof filter.includeDeleted !== 'boolean') {
+    return { error: 'includeDeleted must be a boolean' };
+  }
+  normalized.includeDeleted = filter.includeDeleted !== false;
+  if (!normalized.includeDeleted) {
+    conditions.isActive = true;
+  }
+
+  return { conditions, filter: normalized };
+};
+
+/**
+ * Turn a stored file record into a catalog entry
+ * Database IDs and the search fields derived on save are left out.
+ * @param {Object} file - Plain file record (lean query result)
+ * @param {string|null} folderPath - Path of the file's folder, so a restore can recreate it
+ * @returns {Object} - Catalog entry
+ */
+const toCatalogEntry = (file, folderPath = null) => {
+  const { _id, __v, attributeText, searchTerms, versions = [], ...fields } = file;
+  return {
+    ...fields,
+    folderPath,
+    versions: versions.map(({ _id: versionId, ...version }) => version)
+  };
+};
+
+/**
+ * Drop the wrapped data key from a version's encryption info
+ * @param {Object} version - Catalog version
+ * @returns {Object} - Version without encryption.wrappedKey
+ */
+const withoutWrappedKey = (version) => {
+  if (!version.encryption) {
+    return version;
+  }
+  const { wrappedKey, ...encryption } = version.encryption;
+  return { ...version, encryption };
+};
+
+/**
+ * Encode a manifest for storage
+ * Manifests name owners, grants and files, and content-addressed storage is
+ * readable by anyone with the CID, so they are encrypted with the master key
+ * unless a plaintext manifest is asked for. A plaintext manifest leaves out
+ * the wrapped data keys of encrypted versions unless includeKeys is set.
+ * @param {Object} manifest - Catalog manifest
+ * @param {Object} options - { encrypt (default true), includeKeys }
+ * @returns {Buffer} - Encoded manifest
+ */
+const encodeManifest = (manifest, { encrypt = true, includeKeys = false } = {}) => {
+  const wrappedKeys = encrypt || includeKeys;
+  const stored = {
+    ...manifest,
+    wrappedKeys,
+    files: wrappedKeys
+      ? manifest.files
+      : manifest.files.map(entry => ({ ...entry, versions: entry.versions.map(withoutWrappedKey) }))
+  };
+
+  if (!encrypt) {
+    return Buffer.from(JSON.stringify(stored, null, 2));
+  }
+
+  const { ciphertext, encryption } = encryptBuffer(Buffer.from(JSON.stringify(stored)));
+  return Buffer.from(JSON.stringify({
+    format: CATALOG_FORMAT,
+    version: CATALOG_VERSION,
+    encryption,
+    data: ciphertext.toString('base64')
+  }, null, 2));
+};
+
+/**
+ * Read and check a stored manifest, decrypting it if it is encrypted
+ * @param {Buffer} content - Encoded manifest
+ * @returns {Object} - { manifest, encrypted } or { error }
+ */
+const decodeManifest = (content) => {
+  let manifest;
+  try {
+    manifest = JSON.parse(content.toString('utf8'));
+  } catch (error) {
+    return { error: 'The manifest is not valid JSON' };
+  }
+
+  if (!manifest || manifest.format !== CATALOG_FORMAT) {
+    return { error: 'The content is not a catalog manifest' };
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > CATALOG_VERSION) {
+    return { error: `Unsupported catalog version ${manifest.version}; this server reads versions 1 to ${CATALOG_VERSION}` };
+  }
+
+  const encrypted = Boolean(manifest.encryption);
+  if (encrypted) {
+    try {
+      const plaintext = decryptBuffer(Buffer.from(String(manifest.data), 'base64'), manifest.encryption);
+      manifest = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      return { error: `The manifest could not be decrypted: ${error.message}` };
+    }
+    if (!manifest || manifest.format !== CATALOG_FORMAT) {
+      return { error: 'The content is not a catalog manifest' };
+    }
+  }
+  if (!Array.isArray(manifest.files)) {
+    return { error: 'The manifest has no files list' };
+  }
+
+  const seen = new Set();
+  for (const [index, entry] of manifest.files.entries()) {
+    const valid = entry && typeof entry === 'object' &&
+      typeof entry.fileId === 'string' && entry.fileId &&
+      typeof entry.owner === 'string' && entry.owner &&
+      Array.isArray(entry.versions) && entry.versions.length > 0 &&
+      entry.versions.every(version => version && typeof version === 'object');
+    if (!valid) {
+      return { error: `Manifest entry ${index} is missing its fileId, owner or versions` };
+    }
+    if (seen.has(entry.fileId)) {
+      return { error: `Manifest lists fileId ${entry.fileId} more than once` };
+    }
+    seen.add(entry.fileId);
+  }
+
+  return { manifest, encrypted };
+};
+
+module.exports = {
+  CATALOG_FORMAT,
+  CATALOG_VERSION,
+  CONFLICT_MODES,
+  buildCatalogFilter,
+  toCatalogEntry,
+  encodeManifest,
+  decodeManifest
+};
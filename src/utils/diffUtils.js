@@ -0,0 +1,318 @@
+const { isDeepStrictEqual } = require('util');
+
+// Beyond this many changed lines the diff is reported as a full replacement
+const MAX_EDIT_DISTANCE = 2000;
+// Search steps one diff may take before it gives up the same way, so that a
+// single request cannot block the event loop for long
+const MAX_DIFF_STEPS = 5000000;
+
+const TEXT_MIME_TYPES = [
+  'application/json',
+  'application/xml',
+  'application/javascript',
+  'application/x-yaml',
+  'application/yaml',
+  'application/csv',
+  'application/x-sh',
+  'application/sql'
+];
+
+/**
+ * Strip parameters such as "; charset=utf-8" from a MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string} - Lowercase base type
+ */
+const baseMimeType = (mimeType) => (mimeType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Check if a MIME type holds JSON
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} - True for application/json and +json types
+ */
+const isJsonMimeType = (mimeType) => {
+  const type = baseMimeType(mimeType);
+  return type === 'application/json' || type.endsWith('+json');
+};
+
+/**
+ * Check if a MIME type holds text that can be diffed line by line
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} - True for text/*, JSON, XML and other textual types
+ */
+const isTextMimeType = (mimeType) => {
+  const type = baseMimeType(mimeType);
+  return type.startsWith('text/') ||
+    TEXT_MIME_TYPES.includes(type) ||
+    type.endsWith('+json') ||
+    type.endsWith('+xml');
+};
+
+/**
+ * Split text into lines, ignoring the final newline
+ * @param {string} text - Text
+ * @returns {Array<string>} - Lines
+ */
+const splitLines = (text) => {
+  if (text === '') return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+/**
+ * Myers shortest edit script between two arrays of lines
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @param {number} limit - Maximum edit distance to search
+ * @param {number} maxSteps - Maximum diagonal moves and line comparisons
+ * @returns {Array<Object>|null} - Ops ({ type: 'equal'|'remove'|'add', line }) or null past either limit
+ */
+const myersDiff = (a, b, limit, maxSteps = MAX_DIFF_STEPS) => {
+  const n = a.length;
+  const m = b.length;
+  const offset = limit + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+  let steps = 0;
+
+  let found = false;
+  for (let d = 0; d <= limit && !found; d++) {
+    // Only diagonals -d..d are reachable, so keep just that slice for backtracking
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      const snakeStart = x;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      steps += x - snakeStart + 1;
+      if (steps > maxSteps) return null;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[k - 1 + d] < vd[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = vd[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'add', line: b[--y] });
+    } else {
+      ops.push({ type: 'remove', line: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Compute a line diff between two texts
+ * Lines shared at the start and end are skipped before the Myers search. When
+ * the texts differ in more than MAX_EDIT_DISTANCE lines, or the search needs
+ * more than MAX_DIFF_STEPS steps, the remaining middle is reported as removed
+ * and re-added, with approximate set.
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Object} - { ops, additions, deletions, approximate }
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  let middle = myersDiff(middleA, middleB, Math.min(middleA.length + middleB.length, MAX_EDIT_DISTANCE));
+  const approximate = middle === null;
+  if (approximate) {
+    middle = [
+      ...middleA.map(line => ({ type: 'remove', line })),
+      ...middleB.map(line => ({ type: 'add', line }))
+    ];
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'equal', line }))
+  ];
+
+  return {
+    ops,
+    additions: ops.filter(op => op.type === 'add').length,
+    deletions: ops.filter(op => op.type === 'remove').length,
+    approximate
+  };
+};
+
+/**
+ * List changed lines with their line numbers
+ * @param {Array<Object>} ops - Ops from diffLines
+ * @returns {Array<Object>} - { type, oldLine?, newLine?, text } for every added or removed line
+ */
+const toLineChanges = (ops) => {
+  const changes = [];
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      oldLine++;
+      newLine++;
+    } else if (op.type === 'remove') {
+      changes.push({ type: 'remove', oldLine: ++oldLine, text: op.line });
+    } else {
+      changes.push({ type: 'add', newLine: ++newLine, text: op.line });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Format ops as a unified diff
+ * @param {Array<Object>} ops - Ops from diffLines
+ * @param {Object} options - { oldLabel, newLabel, context }
+ * @returns {string} - Unified diff, empty if nothing changed
+ */
+const formatUnifiedDiff = (ops, options = {}) => {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+
+  // Line numbers (0-based) before each op
+  const positions = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (const op of ops) {
+    positions.push({ oldIndex, newIndex });
+    if (op.type !== 'add') oldIndex++;
+    if (op.type !== 'remove') newIndex++;
+  }
+
+  // Group changes that are close enough to share context into hunks
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') return;
+    if (current && i - current.lastChange <= 2 * context) {
+      current.lastChange = i;
+    } else {
+      current = { firstChange: i, lastChange: i };
+      hunks.push(current);
+    }
+  });
+
+  if (hunks.length === 0) return '';
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.firstChange - context);
+    const to = Math.min(ops.length, hunk.lastChange + context + 1);
+    const hunkOps = ops.slice(from, to);
+
+    const oldLength = hunkOps.filter(op => op.type !== 'add').length;
+    const newLength = hunkOps.filter(op => op.type !== 'remove').length;
+    const oldStart = oldLength ? positions[from].oldIndex + 1 : positions[from].oldIndex;
+    const newStart = newLength ? positions[from].newIndex + 1 : positions[from].newIndex;
+
+    lines.push(`@@ -${oldStart},${oldLength} +${newStart},${newLength} @@`);
+    for (const op of hunkOps) {
+      const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+      lines.push(`${prefix}${op.line}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Escape a key for use in a JSON Pointer (RFC 6901)
+ * @param {string|number} key - Object key or array index
+ * @returns {string} - Escaped pointer segment
+ */
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Structural diff between two JSON values
+ * Objects are compared by key and arrays by index.
+ * @param {*} oldValue - Old JSON value
+ * @param {*} newValue - New JSON value
+ * @param {string} path - JSON Pointer of the values being compared
+ * @returns {Array<Object>} - Changes ({ op: 'add'|'remove'|'replace', path, oldValue?, value? })
+ */
+const diffJson = (oldValue, newValue, path = '') => {
+  if (isDeepStrictEqual(oldValue, newValue)) return [];
+
+  if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+    const keys = [...new Set([...Object.keys(oldValue), ...Object.keys(newValue)])].sort();
+    return keys.flatMap(key => {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!(key in newValue)) return [{ op: 'remove', path: childPath, oldValue: oldValue[key] }];
+      if (!(key in oldValue)) return [{ op: 'add', path: childPath, value: newValue[key] }];
+      return diffJson(oldValue[key], newValue[key], childPath);
+    });
+  }
+
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    const changes = [];
+    for (let i = 0; i < Math.max(oldValue.length, newValue.length); i++) {
+      const childPath = `${path}/${i}`;
+      if (i >= newValue.length) {
+        changes.push({ op: 'remove', path: childPath, oldValue: oldValue[i] });
+      } else if (i >= oldValue.length) {
+        changes.push({ op: 'add', path: childPath, value: newValue[i] });
+      } else {
+        changes.push(...diffJson(oldValue[i], newValue[i], childPath));
+      }
+    }
+    return changes;
+  }
+
+  return [{ op: 'replace', path, oldValue, value: newValue }];
+};
+
+module.exports = {
+  isJsonMimeType,
+  isTextMimeType,
+  diffLines,
+  toLineChanges,
+  formatUnifiedDiff,
+  diffJson
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const BLOCK_SIZE = 16;
+
+/**
+ * Decode a 32-byte master key
+ * @param {string} rawKey - Hex (64 chars) or base64 encoded key
+ * @param {string} name - Where the key came from, for error messages
+ * @returns {Buffer} - Master key
+ */
+const parseMasterKey = (rawKey, name) => {
+  const key = /^[a-f0-9]{64}$/i.test(rawKey)
+    ? Buffer.from(rawKey, 'hex')
+    : Buffer.from(rawKey, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`${name} must be 32 bytes (hex or base64 encoded)`);
+  }
+  return key;
+};
+
+/**
+ * Get the identifier of the current master key (recorded with each wrapped key)
+ * @returns {string} - Master key ID
+ */
+const getMasterKeyId = () => {
+  return process.env.ENCRYPTION_KEY_ID || 'default';
+};
+
+/**
+ * Get a master key used to wrap per-file data keys
+ * ENCRYPTION_MASTER_KEY is the current key (ENCRYPTION_KEY_ID). Keys it replaced stay
+ * readable through ENCRYPTION_PREVIOUS_KEYS, a comma-separated list of keyId:key pairs.
+ * @param {string} keyId - Key ID recorded with a wrapped key (defaults to the current key)
+ * @returns {Buffer} - Master key
+ */
+const getMasterKey = (keyId = getMasterKeyId()) => {
+  if (keyId === getMasterKeyId()) {
+    const rawKey = process.env.ENCRYPTION_MASTER_KEY;
+    if (!rawKey) {
+      throw new Error('ENCRYPTION_MASTER_KEY is not configured');
+    }
+    return parseMasterKey(rawKey, 'ENCRYPTION_MASTER_KEY');
+  }
+
+  const previous = (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .find(entry => entry.includes(':') && entry.slice(0, entry.indexOf(':')) === keyId);
+  if (!previous) {
+    throw new Error(`Master key "${keyId}" is not configured; list it in ENCRYPTION_PREVIOUS_KEYS`);
+  }
+  return parseMasterKey(previous.slice(previous.indexOf(':') + 1), `ENCRYPTION_PREVIOUS_KEYS entry "${keyId}"`);
+};
+
+/**
+ * Check whether encryption at rest can be used
+ * @returns {boolean} - True if a valid master key is configured
+ */
+const isEncryptionConfigured = () => {
+  try {
+    getMasterKey();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Generate a random per-file data key
+ * @returns {Buffer} - 256-bit data key
+ */
+const generateDataKey = () => {
+  return crypto.randomBytes(KEY_LENGTH);
+};
+
+/**
+ * Wrap a data key with the master key
+ * @param {Buffer} dataKey - Data key
+ * @returns {string} - Base64 of iv | authTag | encrypted key
+ */
+const wrapKey = (dataKey) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(), iv);
+  const encryptedKey = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encryptedKey]).toString('base64');
+};
+
+/**
+ * Unwrap a data key with the master key it was wrapped with
+ * @param {string} wrappedKey - Output of wrapKey
+ * @param {string} keyId - ID of the wrapping master key (defaults to the current key)
+ * @returns {Buffer} - Data key
+ */
+const unwrapKey = (wrappedKey, keyId) => {
+  const raw = Buffer.from(wrappedKey, 'base64');
+  const iv = raw.subarray(0, IV_LENGTH);
+  const authTag = raw.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+  const encryptedKey = raw.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(keyId), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encryptedKey), decipher.final()]);
+};
+
+/**
+ * Create a streaming encryptor with a fresh data key
+ * Call getEncryptionInfo() once the stream has ended
+ * @returns {Cipher} - Cipher stream with a getEncryptionInfo() method
+ */
+const createEncryptionStream = () => {
+  const dataKey = generateDataKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+  const wrappedKey = wrapKey(dataKey);
+
+  cipher.getEncryptionInfo = () => ({
+    algorithm: ALGORITHM,
+    keyId: getMasterKeyId(),
+    wrappedKey,
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64')
+  });
+
+  return cipher;
+};
+
+/**
+ * Encrypt a whole buffer with a fresh data key
+ * @param {Buffer} plaintext - Plaintext
+ * @returns {Object} - { ciphertext, encryption } (encryption info in the form stored with a version)
+ */
+const encryptBuffer = (plaintext) => {
+  const cipher = createEncryptionStream();
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { ciphertext, encryption: cipher.getEncryptionInfo() };
+};
+
+/**
+ * Decrypt a stream of ciphertext chunks, verifying the GCM auth tag at the end
+ * @param {AsyncIterable<Buffer>} source - Ciphertext chunks
+ * @param {Object} encryption - Encryption info stored with the version
+ * @returns {AsyncGenerator<Buffer>} - Plaintext chunks
+ */
+const decryptChunks = async function* (source, encryption) {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    unwrapKey(encryption.wrappedKey, encryption.keyId),
+    Buffer.from(encryption.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(encryption.authTag, 'base64'));
+
+  for await (const chunk of source) {
+    yield decipher.update(chunk);
+  }
+  yield decipher.final();
+};
+
+/**
+ * Map a plaintext byte range onto the ciphertext (GCM has no padding, so
+ * offsets line up; the range only needs to start on a block boundary)
+ * @param {number} start - First plaintext byte
+ * @param {number} end - Last plaintext byte (inclusive)
+ * @returns {Object} - { offset, length, skip } for the ciphertext read
+ */
+const alignRange = (start, end) => {
+  const offset = Math.floor(start / BLOCK_SIZE) * BLOCK_SIZE;
+  return {
+    offset,
+    length: end - offset + 1,
+    skip: start - offset
+  };
+};
+
+/**
+ * Decrypt part of a GCM ciphertext without the auth tag
+ * GCM encrypts block n with counter IV || (n + 2), so AES-CTR can seek into it
+ * @param {AsyncIterable<Buffer>} source - Ciphertext chunks starting at alignRange().offset
+ * @param {Object} encryption - Encryption info stored with the version
+ * @param {Object} alignedRange - Output of alignRange
+ * @returns {AsyncGenerator<Buffer>} - Plaintext chunks of the requested range
+ */
+const decryptRangeChunks = async function* (source, encryption, { offset, skip }) {
+  const counter = Buffer.alloc(BLOCK_SIZE);
+  Buffer.from(encryption.iv, 'base64').copy(counter, 0, 0, IV_LENGTH);
+  counter.writeUInt32BE(offset / BLOCK_SIZE + 2, IV_LENGTH);
+
+  const decipher = crypto.createDecipheriv('aes-256-ctr', unwrapKey(encryption.wrappedKey, encryption.keyId), counter);
+  let toSkip = skip;
+
+  for await (const chunk of source) {
+    let plaintext = decipher.update(chunk);
+    if (toSkip > 0) {
+      const skipped = Math.min(toSkip, plaintext.length);
+      plaintext = plaintext.subarray(skipped);
+      toSkip -= skipped;
+    }
+    if (plaintext.length > 0) {
+      yield plaintext;
+    }
+  }
+};
+
+/**
+ * Decrypt a whole ciphertext buffer
+ * @param {Buffer} ciphertext - Ciphertext
+ * @param {Object} encryption - Encryption info stored with the version
+ * @returns {Buffer} - Plaintext; throws if the auth tag does not match
+ */
+const decryptBuffer = (ciphertext, encryption) => {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    unwrapKey(encryption.wrappedKey, encryption.keyId),
+    Buffer.from(encryption.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(encryption.authTag, 'base64'));
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+module.exports = {
+  isEncryptionConfigured,
+  wrapKey,
+  unwrapKey,
+  createEncryptionStream,
+  encryptBuffer,
+  decryptChunks,
+  alignRange,
+  decryptRangeChunks,
+  decryptBuffer
+};
@@ -0,0 +1,81 @@
+const MAX_NAME_LENGTH = 255;
+const MAX_DEPTH = 32;
+
+/**
+ * Check a single folder name
+ * @param {*} name - Folder name
+ * @returns {string|null} - Error message, or null if the name is valid
+ */
+const validateFolderName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Folder names must be non-empty strings';
+  }
+  if (name.includes('/')) {
+    return 'Folder names cannot contain "/"';
+  }
+  if (name.trim() === '.' || name.trim() === '..') {
+    return 'Folder names cannot be "." or ".."';
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return `Folder names must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Split a folder path such as /projects/apollo into its names
+ * Repeated and trailing slashes are ignored; "/" is the root.
+ * @param {*} path - Absolute folder path
+ * @returns {Object} - { segments } (empty for the root) or { error }
+ */
+const parseFolderPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    return { error: 'Folder paths must be strings starting with "/"' };
+  }
+
+  const segments = path.split('/').filter(Boolean).map(segment => segment.trim());
+  if (segments.length > MAX_DEPTH) {
+    return { error: `Folders can be nested at most ${MAX_DEPTH} levels deep` };
+  }
+  for (const segment of segments) {
+    const error = validateFolderName(segment);
+    if (error) return { error };
+  }
+  return { segments };
+};
+
+/**
+ * Join folder names into an absolute path
+ * @param {Array<string>} segments - Folder names from the root down
+ * @returns {string} - Path such as /projects/apollo ("/" for the root)
+ */
+const formatFolderPath = (segments) => `/${segments.join('/')}`;
+
+/**
+ * Pick a directory entry name that is not taken yet, e.g. "report (2).pdf"
+ * @param {string} name - Preferred name
+ * @param {Set<string>} taken - Names already used in the directory (updated)
+ * @returns {string} - Unique name
+ */
+const uniqueEntryName = (name, taken) => {
+  // Slashes would create directories inside the published tree
+  const base = name.replace(/\//g, '_') || 'unnamed';
+  let candidate = base;
+
+  const dot = base.lastIndexOf('.');
+  const [stem, extension] = dot > 0 ? [base.slice(0, dot), base.slice(dot)] : [base, ''];
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${stem} (${n})${extension}`;
+  }
+
+  taken.add(candidate);
+  return candidate;
+};
+
+module.exports = {
+  MAX_DEPTH,
+  validateFolderName,
+  parseFolderPath,
+  formatFolderPath,
+  uniqueEntryName
+};
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const fs = require('fs');
+const { Transform } = require('stream');
 const { promisify } = require('util');
 
 /**
@@ -16,15 +17,14 @@ const generateSHA256FromBuffer = (buffer) => {
 };
 
 /**
- * Generate SHA256 hash from a file path
- * @param {string} filePath - Path to the file
+ * Generate SHA256 hash from a readable stream
+ * @param {Readable} stream - Readable stream
  * @returns {Promise<string>} - SHA256 hash in hexadecimal
  */
-const generateSHA256FromFile = async (filePath) => {
+const generateSHA256FromStream = async (stream) => {
   return new Promise((resolve, reject) => {
     try {
       const hash = crypto.createHash('sha256');
-      const stream = fs.createReadStream(filePath);
       
       stream.on('data', (data) => {
         hash.update(data);
@@ -35,15 +35,49 @@ const generateSHA256FromFile = async (filePath) => {
       });
       
       stream.on('error', (error) => {
-        reject(new Error(`Failed to read file for hashing: ${error.message}`));
+        reject(new Error(`Failed to read stream for hashing: ${error.message}`));
       });
       
     } catch (error) {
-      reject(new Error(`Failed to generate SHA256 hash from file: ${error.message}`));
+      reject(new Error(`Failed to generate SHA256 hash from stream: ${error.message}`));
     }
   });
 };
 
+/**
+ * Generate SHA256 hash from a file path
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - SHA256 hash in hexadecimal
+ */
+const generateSHA256FromFile = async (filePath) => {
+  return generateSHA256FromStream(fs.createReadStream(filePath));
+};
+
+/**
+ * Create a pass-through stream that hashes and counts the bytes flowing through it
+ * Call getResult() once the stream has ended
+ * @returns {Transform} - Transform stream with a getResult() method returning { sha256Hash, size }
+ */
+const createHashingStream = () => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  stream.getResult = () => ({
+    sha256Hash: hash.digest('hex'),
+    size
+  });
+
+  return stream;
+};
+
 /**
  * Verify if a buffer matches the expected hash
  * @param {Buffer} buffer - File buffer
@@ -89,6 +123,38 @@ const generateFileId = (originalName, owner) => {
   return crypto.createHash('md5').update(input).digest('hex');
 };
 
+/**
+ * Build a CIDv1 (raw codec, sha2-256 multihash, base32) from a SHA256 digest
+ * Used by content-addressed stores that do not chunk content like IPFS does
+ * @param {string} sha256Hash - SHA256 hash in hexadecimal
+ * @returns {string} - CID string starting with "bafk"
+ */
+const generateRawCid = (sha256Hash) => {
+  const bytes = Buffer.concat([
+    Buffer.from([0x01, 0x55, 0x12, 0x20]), // cidv1, raw, sha2-256, 32 bytes
+    Buffer.from(sha256Hash, 'hex')
+  ]);
+
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+
+  return `b${output}`;
+};
+
 /**
  * Validate SHA256 hash format
  * @param {string} hash - Hash to validate
@@ -101,6 +167,19 @@ const isValidSHA256 = (hash) => {
   return /^[a-f0-9]{64}$/i.test(hash);
 };
 
+/**
+ * Validate CID format: CIDv0 (base58btc "Qm...") or base32 CIDv1 ("b...")
+ * The format is checked only; whether the content exists is up to the store.
+ * @param {string} cid - CID to validate
+ * @returns {boolean} - True if valid CID format
+ */
+const isValidCid = (cid) => {
+  if (!cid || typeof cid !== 'string') {
+    return false;
+  }
+  return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid) || /^b[a-z2-7]{58,}$/.test(cid);
+};
+
 /**
  * Generate checksum for data integrity verification
  * @param {Buffer|string} data - Data to checksum
@@ -133,11 +212,15 @@ const secureCompare = (hash1, hash2) => {
 
 module.exports = {
   generateSHA256FromBuffer,
+  generateSHA256FromStream,
   generateSHA256FromFile,
+  createHashingStream,
   verifyHash,
   verifyFileHash,
   generateFileId,
+  generateRawCid,
   isValidSHA256,
+  isValidCid,
   generateChecksum,
   secureCompare
 };
\ No newline at end of file
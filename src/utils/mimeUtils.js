@@ -0,0 +1,137 @@
+const path = require('path');
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+// Only the start of the content is inspected
+const SNIFF_BYTES = 4096;
+// Larger text is never parsed to tell JSON from plain text
+const JSON_SNIFF_MAX_BYTES = 1024 * 1024;
+// Leading bytes sniffMimeType can use: one past the JSON limit shows content is too long to parse
+const SNIFF_MAX_BYTES = JSON_SNIFF_MAX_BYTES + 1;
+
+// Leading bytes of common formats; offset defaults to 0
+const SIGNATURES = [
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: 'GIF8' },
+  { type: 'image/webp', bytes: 'WEBP', offset: 8, riff: true },
+  { type: 'audio/wav', bytes: 'WAVE', offset: 8, riff: true },
+  { type: 'image/bmp', bytes: 'BM' },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'audio/mpeg', bytes: 'ID3' },
+  { type: 'audio/ogg', bytes: 'OggS' },
+  { type: 'audio/flac', bytes: 'fLaC' },
+  { type: 'video/mp4', bytes: 'ftyp', offset: 4 },
+  { type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-bzip2', bytes: 'BZh' },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'application/x-tar', bytes: 'ustar', offset: 257 },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] }
+];
+
+// Types for extensions whose content has no signature (mostly text formats)
+const EXTENSION_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.sql': 'application/sql',
+  '.sh': 'application/x-sh',
+  // Zip containers
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.jar': 'application/java-archive',
+  '.epub': 'application/epub+zip'
+};
+
+/**
+ * Check whether content starts with a signature
+ * @param {Buffer} head - Start of the content
+ * @param {Object} signature - { bytes, offset?, riff? }
+ * @returns {boolean} - True on a match
+ */
+const matchesSignature = (head, { bytes, offset = 0, riff = false }) => {
+  const expected = Buffer.from(bytes);
+  if (riff && head.toString('latin1', 0, 4) !== 'RIFF') {
+    return false;
+  }
+  return head.length >= offset + expected.length &&
+    head.subarray(offset, offset + expected.length).equals(expected);
+};
+
+/**
+ * Check whether content looks like text: valid UTF-8 without control characters
+ * @param {Buffer} head - Start of the content
+ * @returns {boolean} - True for text
+ */
+const looksLikeText = (head) => {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(head);
+  } catch (error) {
+    // A multi-byte character may be cut at the end of the sample
+    if (head.length < SNIFF_BYTES) return false;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, head.length - 3));
+    } catch (retryError) {
+      return false;
+    }
+  }
+  return !/[\u0000-\u0008\u000e-\u001a\u001c-\u001f]/.test(text);
+};
+
+/**
+ * Work out the MIME type of content from its leading bytes, then its file name
+ * Signatures win over the extension, except for formats built on a generic
+ * container (a .docx is a zip). Text without a known extension is text/plain.
+ * @param {Buffer} content - Content (only its start is inspected, unless small text may be JSON)
+ * @param {string} fileName - File name, for its extension
+ * @returns {string} - MIME type (application/octet-stream if unknown)
+ */
+const sniffMimeType = (content, fileName = '') => {
+  const head = content.subarray(0, SNIFF_BYTES);
+  const byExtension = EXTENSION_TYPES[path.extname(fileName).toLowerCase()];
+
+  const signature = SIGNATURES.find(candidate => matchesSignature(head, candidate));
+  if (signature) {
+    if (signature.type === 'application/zip' && byExtension) {
+      return byExtension;
+    }
+    return signature.type;
+  }
+
+  if (head.length > 0 && looksLikeText(head)) {
+    if (byExtension) {
+      return byExtension;
+    }
+    if (content.length <= JSON_SNIFF_MAX_BYTES && /^\s*[{[]/.test(head.toString('utf8'))) {
+      try {
+        JSON.parse(content.toString('utf8'));
+        return 'application/json';
+      } catch (error) {
+        // Not JSON after all
+      }
+    }
+    return 'text/plain';
+  }
+
+  return DEFAULT_MIME_TYPE;
+};
+
+module.exports = {
+  DEFAULT_MIME_TYPE,
+  SNIFF_MAX_BYTES,
+  sniffMimeType
+};
@@ -0,0 +1,169 @@
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const SORT_ORDERS = { asc: 1, desc: -1 };
+
+const LIMIT_PATTERN = /^\d+$/;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/;
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} pagination - { sortBy, sortOrder } the cursor belongs to
+ * @param {*} value - Sort field value of the last document
+ * @param {*} id - _id of the last document
+ * @returns {string} - URL-safe cursor
+ */
+const encodeCursor = ({ sortBy, sortOrder }, value, id) => {
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? { d: value.toISOString() } : (value === undefined ? null : value),
+    i: String(id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the previous page
+ * @returns {Object} - { sortBy, sortOrder, value, id } or { error }
+ */
+const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (!payload || typeof payload !== 'object' || typeof payload.s !== 'string' ||
+      ![1, -1].includes(payload.o) || typeof payload.i !== 'string' || !OBJECT_ID_PATTERN.test(payload.i)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  let value = payload.v;
+  if (value && typeof value === 'object') {
+    value = typeof value.d === 'string' ? new Date(value.d) : null;
+    if (!value || Number.isNaN(value.getTime())) {
+      return { error: 'Invalid cursor' };
+    }
+  } else if (value !== null && !['string', 'number'].includes(typeof value)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { sortBy: payload.s, sortOrder: payload.o, value, id: payload.i };
+};
+
+/**
+ * Read limit, sort and cursor options from a listing request
+ * @param {Object} query - Request query ({ limit?, sortBy?, sortOrder?, cursor? })
+ * @param {Object} options - { sortFields: allowed sortBy values, defaultSortBy, defaultSortOrder }
+ * @returns {Object} - { limit, sortBy, sortOrder, cursor } or { error }
+ */
+const parsePagination = (query, options) => {
+  const { sortFields, defaultSortBy, defaultSortOrder = 'desc' } = options;
+  const {
+    limit = String(DEFAULT_LIMIT),
+    sortBy = defaultSortBy,
+    sortOrder = defaultSortOrder,
+    cursor
+  } = query;
+
+  // Page numbers would silently repeat the first page
+  if (query.page !== undefined) {
+    return { error: 'page is not supported; pass the nextCursor of the previous response as cursor' };
+  }
+  if (typeof limit !== 'string' || !LIMIT_PATTERN.test(limit) || Number(limit) < 1 || Number(limit) > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  if (typeof sortBy !== 'string' || !sortFields.includes(sortBy)) {
+    return { error: `sortBy must be one of: ${sortFields.join(', ')}` };
+  }
+  if (!Object.keys(SORT_ORDERS).includes(sortOrder)) {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+
+  const pagination = { limit: Number(limit), sortBy, sortOrder: SORT_ORDERS[sortOrder], cursor: null };
+
+  if (cursor !== undefined) {
+    const decoded = typeof cursor === 'string' ? decodeCursor(cursor) : { error: 'Invalid cursor' };
+    if (decoded.error) {
+      return { error: decoded.error };
+    }
+    if (decoded.sortBy !== pagination.sortBy || decoded.sortOrder !== pagination.sortOrder) {
+      return { error: 'cursor was issued for a different sortBy or sortOrder' };
+    }
+    pagination.cursor = { value: decoded.value, id: decoded.id };
+  }
+
+  return pagination;
+};
+
+/**
+ * Build the condition selecting documents after a cursor, ordered by (sortBy, _id)
+ * Missing values sort before every other value, as in MongoDB.
+ * @param {Object} pagination - { sortBy, sortOrder, cursor }
+ * @param {Function} castId - Converts the cursor id for the query (e.g. to an ObjectId in pipelines)
+ * @returns {Object|null} - Condition, or null on the first page
+ */
+const buildCursorCondition = ({ sortBy, sortOrder, cursor }, castId = (id) => id) => {
+  if (!cursor) return null;
+
+  const { value } = cursor;
+  const id = castId(cursor.id);
+  const after = sortOrder === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return sortOrder === 1
+      ? { $or: [{ [sortBy]: { $ne: null } }, { [sortBy]: null, _id: { $gt: id } }] }
+      : { [sortBy]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [sortBy]: { [after]: value } },
+    { [sortBy]: value, _id: { [after]: id } }
+  ];
+  if (sortOrder === -1) {
+    conditions.push({ [sortBy]: null });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Sort specification matching buildCursorCondition
+ * @param {Object} pagination - { sortBy, sortOrder }
+ * @returns {Object} - Sort with _id as the tiebreaker
+ */
+const buildCursorSort = ({ sortBy, sortOrder }) => ({ [sortBy]: sortOrder, _id: sortOrder });
+
+/**
+ * Trim a page fetched with limit + 1 documents and describe where the next one starts
+ * @param {Array<Object>} docs - Up to limit + 1 documents
+ * @param {Object} pagination - Result of parsePagination
+ * @param {Function} valueOf - Reads the sort value of a document
+ * @returns {Object} - { items, pagination: { limit, hasNext, nextCursor } }
+ */
+const paginateResults = (docs, pagination, valueOf = (doc) => doc.get(pagination.sortBy)) => {
+  const hasNext = docs.length > pagination.limit;
+  const items = hasNext ? docs.slice(0, pagination.limit) : docs;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit: pagination.limit,
+      hasNext,
+      nextCursor: hasNext ? encodeCursor(pagination, valueOf(last), last._id) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  buildCursorCondition,
+  buildCursorSort,
+  paginateResults
+};
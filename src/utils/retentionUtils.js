@@ -0,0 +1,86 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Check if a policy has at least one retention rule
+ * @param {Object} policy - Retention policy
+ * @returns {boolean} - True if the policy can prune anything
+ */
+const hasRetentionRules = (policy) => Boolean(policy &&
+  (isSet(policy.keepLast) || isSet(policy.keepDays) || policy.keepFirstPer));
+
+/**
+ * Key identifying the UTC day or ISO week (starting Monday) of a date
+ * @param {Date} date - Date
+ * @param {string} period - 'day' or 'week'
+ * @returns {string} - YYYY-MM-DD of the day, or of the Monday starting the week
+ */
+const periodKey = (date, period) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'week') {
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    day.setUTCDate(day.getUTCDate() - daysSinceMonday);
+  }
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Select the versions a retention policy would prune
+ * The current (last) version and protected versions are always kept.
+ * @param {Array<Object>} versions - Versions, oldest first
+ * @param {Object} policy - { keepLast?, keepDays?, keepFirstPer? }
+ * @param {Date} now - Reference time for keepDays
+ * @returns {Array<Object>} - Versions to prune, oldest first; throws on an invalid rule
+ */
+const selectPrunableVersions = (versions, policy, now = new Date()) => {
+  if (!hasRetentionRules(policy) || versions.length <= 1) {
+    return [];
+  }
+
+  // A rule that keeps nothing would silently prune every older version
+  if (isSet(policy.keepLast) && !(Number.isInteger(policy.keepLast) && policy.keepLast >= 1)) {
+    throw new Error(`keepLast must be a whole number of at least 1, got ${policy.keepLast}`);
+  }
+  if (isSet(policy.keepDays) && !(Number.isFinite(policy.keepDays) && policy.keepDays >= 0)) {
+    throw new Error(`keepDays must be a non-negative number, got ${policy.keepDays}`);
+  }
+
+  const kept = new Set([versions[versions.length - 1]]);
+
+  versions.forEach(version => {
+    if (version.protected) kept.add(version);
+  });
+
+  if (isSet(policy.keepLast)) {
+    versions.slice(-policy.keepLast).forEach(version => kept.add(version));
+  }
+
+  if (isSet(policy.keepDays)) {
+    const cutoff = now.getTime() - policy.keepDays * DAY_MS;
+    versions
+      .filter(version => new Date(version.uploadedAt).getTime() >= cutoff)
+      .forEach(version => kept.add(version));
+  }
+
+  if (policy.keepFirstPer) {
+    const firstByPeriod = new Map();
+    versions.forEach(version => {
+      const uploadedAt = new Date(version.uploadedAt);
+      const key = periodKey(uploadedAt, policy.keepFirstPer);
+      const first = firstByPeriod.get(key);
+      if (!first || uploadedAt < new Date(first.uploadedAt)) {
+        firstByPeriod.set(key, version);
+      }
+    });
+    firstByPeriod.forEach(version => kept.add(version));
+  }
+
+  return versions.filter(version => !kept.has(version));
+};
+
+module.exports = {
+  hasRetentionRules,
+  periodKey,
+  selectPrunableVersions
+};
@@ -0,0 +1,294 @@
+const { buildAttributeFilter } = require('./attributeUtils');
+
+const MAX_QUERY_LENGTH = 256;
+const MAX_QUERY_TERMS = 32;
+const MIN_PREFIX_LENGTH = 2;
+const SNIPPET_LENGTH = 120;
+const SNIPPET_LEAD = 40;
+
+// Fields covered by the text index
+const TEXT_FIELDS = ['originalFileName', 'description', 'tags', 'attributeText'];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+// A quoted phrase (the closing quote may be missing) or a bare word, either optionally negated
+const QUERY_TOKEN_PATTERN = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text
+ * @returns {Array<string>} - Words (letters and digits only)
+ */
+const tokenize = (text) => (text === undefined || text === null ? [] : String(text).toLowerCase().match(WORD_PATTERN) || []);
+
+/**
+ * Escape every regex metacharacter so user input only ever matches literally
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Parse a search query into words, "quoted phrases", prefix* words and -excluded words or phrases
+ * @param {string} query - Raw query
+ * @returns {Object} - { terms, phrases, prefixes, excluded } or { error }
+ */
+const parseSearchQuery = (query) => {
+  if (typeof query !== 'string') {
+    return { error: 'query must be a string' };
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { error: `query must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const terms = new Set();
+  const phrases = new Set();
+  const prefixes = new Set();
+  const excluded = new Set();
+
+  for (const [, negatedPhrase, phrase, negated, word] of query.matchAll(QUERY_TOKEN_PATTERN)) {
+    if (phrase !== undefined) {
+      // Backslashes would escape the quotes around the phrase in $search
+      const text = phrase.replace(/\\/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+      if (tokenize(text).length === 0) continue;
+      (negatedPhrase ? excluded : phrases).add(text);
+      continue;
+    }
+
+    const words = tokenize(word);
+    if (words.length === 0) continue;
+
+    if (negated) {
+      words.forEach(w => excluded.add(w));
+      continue;
+    }
+    if (word.endsWith('*')) {
+      const prefix = words.pop();
+      if (prefix.length < MIN_PREFIX_LENGTH) {
+        return { error: `Prefix searches need at least ${MIN_PREFIX_LENGTH} characters` };
+      }
+      prefixes.add(prefix);
+    }
+    words.forEach(w => terms.add(w));
+  }
+
+  const parsed = { terms: [...terms], phrases: [...phrases], prefixes: [...prefixes], excluded: [...excluded] };
+  const count = parsed.terms.length + parsed.phrases.length + parsed.prefixes.length + parsed.excluded.length;
+
+  if (count > MAX_QUERY_TERMS) {
+    return { error: `query can contain at most ${MAX_QUERY_TERMS} terms` };
+  }
+  if (count === parsed.excluded.length) {
+    return { error: 'query needs at least one word that is not excluded' };
+  }
+  return parsed;
+};
+
+/**
+ * Build MongoDB conditions for a parsed query
+ * Words and phrases use the text index (ranked by textScore); prefixes use anchored,
+ * escaped regexes on the indexed searchTerms array.
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} - { text, conditions }: $text condition (or null) and extra conditions to AND
+ */
+const buildSearchConditions = (parsed) => {
+  const conditions = parsed.prefixes.map(prefix => ({
+    searchTerms: { $regex: `^${escapeRegex(prefix)}` }
+  }));
+
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    // No text search to carry the exclusions
+    const words = parsed.excluded.filter(e => !e.includes(' '));
+    if (words.length > 0) {
+      conditions.push({ searchTerms: { $nin: words } });
+    }
+    for (const phrase of parsed.excluded.filter(e => e.includes(' '))) {
+      const pattern = escapeRegex(phrase);
+      conditions.push({
+        $nor: TEXT_FIELDS.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+      });
+    }
+    return { text: null, conditions };
+  }
+
+  const search = [
+    ...parsed.terms,
+    ...parsed.phrases.map(phrase => `"${phrase}"`),
+    ...parsed.excluded.map(e => (e.includes(' ') ? `-"${e}"` : `-${e}`))
+  ].join(' ');
+
+  return { text: { $search: search }, conditions };
+};
+
+/**
+ * Build the conditions of a file search from its criteria
+ * Criteria are strings as sent in a query string; attr is the attr[name] object.
+ * @param {Object} criteria - { query?, owner?, tags? (comma-separated), attr? }
+ * @param {Array<Object>} definitions - Caller's attribute definitions (used by attr)
+ * @returns {Object} - { conditions, text, parsedQuery }: conditions to AND, the $text condition
+ *                     (or null) and the parsed query (or null); or { error }
+ */
+const buildFileSearch = (criteria, definitions = []) => {
+  const { query, owner, tags, attr } = criteria;
+
+  if (!query && !owner && !tags && !attr) {
+    return { error: 'At least one search parameter is required' };
+  }
+
+  // Query operators smuggled in through the query string (e.g. owner[$ne]=) are rejected
+  if ([owner, tags].some(value => value !== undefined && typeof value !== 'string')) {
+    return { error: 'owner and tags must be strings' };
+  }
+
+  const conditions = [];
+  let text = null;
+  let parsedQuery = null;
+
+  // Full-text search over filename, tags, description and attribute values
+  if (query) {
+    parsedQuery = parseSearchQuery(query);
+    if (parsedQuery.error) {
+      return { error: parsedQuery.error };
+    }
+
+    const built = buildSearchConditions(parsedQuery);
+    text = built.text;
+    conditions.push(...built.conditions);
+  }
+
+  if (owner) {
+    conditions.push({ owner });
+  }
+
+  if (tags) {
+    conditions.push({ tags: { $in: tags.split(',').map(tag => tag.trim()) } });
+  }
+
+  // Custom attributes, e.g. attr[project]=apollo&attr[budget][gte]=1000
+  if (attr) {
+    const built = buildAttributeFilter(attr, definitions);
+    if (built.error) {
+      return { error: built.error };
+    }
+    conditions.push(built.conditions);
+  }
+
+  return { conditions, text, parsedQuery };
+};
+
+/**
+ * Check if a word matches a search word, allowing for simple stemming
+ * (e.g. "reports" and "report" match each other)
+ * @param {string} word - Lowercase word from the text
+ * @param {string} term - Lowercase search word
+ * @returns {boolean} - True if they match
+ */
+const matchesTerm = (word, term) => word === term ||
+  (word.startsWith(term) && term.length >= 3) ||
+  (term.startsWith(word) && word.length >= 3);
+
+/**
+ * Find the character ranges of text that match a parsed query
+ * @param {string} text - Text to search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<Array<number>>} - Sorted, merged [start, end) ranges
+ */
+const findMatches = (text, parsed) => {
+  const ranges = [];
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (parsed.terms.some(term => matchesTerm(word, term)) || parsed.prefixes.some(prefix => word.startsWith(prefix))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  // Matched on the original text: lowercasing can change its length (İ becomes i̇)
+  for (const phrase of parsed.phrases) {
+    for (const match of text.matchAll(new RegExp(escapeRegex(phrase), 'gi'))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Build an HTML-escaped snippet of text with matches wrapped in <mark>
+ * @param {string} text - Text to highlight
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {string|null} - Snippet around the first match, or null if nothing matches
+ */
+const highlightText = (text, parsed) => {
+  const ranges = findMatches(text, parsed);
+  if (ranges.length === 0) return null;
+
+  const start = Math.max(0, Math.min(ranges[0][0] - SNIPPET_LEAD, text.length - SNIPPET_LENGTH));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const [from, to] of ranges) {
+    if (from >= end) break;
+    const markStart = Math.max(from, position);
+    const markEnd = Math.min(to, end);
+    snippet += escapeHtml(text.slice(position, markStart));
+    snippet += `<mark>${escapeHtml(text.slice(markStart, markEnd))}</mark>`;
+    position = markEnd;
+  }
+  snippet += escapeHtml(text.slice(position, end));
+  return end < text.length ? `${snippet}…` : snippet;
+};
+
+/**
+ * Highlight the searchable fields of a file that match a parsed query
+ * @param {Object} file - File metadata document
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<Object>} - [{ field, snippet }] for each matching field
+ */
+const buildHighlights = (file, parsed) => {
+  const fields = [
+    ['originalFileName', file.originalFileName],
+    ['description', file.description],
+    ['tags', file.tags && file.tags.length > 0 ? file.tags.join(', ') : null],
+    ...Object.entries(file.getAttributes())
+      .filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+      .map(([name, value]) => [`attributes.${name}`, String(value)])
+  ];
+
+  return fields
+    .filter(([, text]) => text)
+    .map(([field, text]) => ({ field, snippet: highlightText(text, parsed) }))
+    .filter(highlight => highlight.snippet);
+};
+
+module.exports = {
+  TEXT_FIELDS,
+  tokenize,
+  escapeRegex,
+  parseSearchQuery,
+  buildSearchConditions,
+  buildFileSearch,
+  highlightText,
+  buildHighlights
+};
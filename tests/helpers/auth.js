@@ -0,0 +1,19 @@
+const User = require('../../src/models/user');
+const { signAccessToken } = require('../../src/utils/authUtils');
+
+/**
+ * Create a user and return an Authorization header value for it
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - "Bearer <token>"
+ */
+const createUserWithToken = async (userId) => {
+  const user = await User.create({
+    userId,
+    passwordHash: 'scrypt$unused$unused'
+  });
+  return `Bearer ${signAccessToken(user)}`;
+};
+
+module.exports = {
+  createUserWithToken
+};
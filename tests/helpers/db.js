@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongod = null;
+
+/**
+ * Connect mongoose to an in-memory MongoDB
+ * Set MONGODB_TEST_URI to use an existing server instead (e.g. a CI service container)
+ */
+const connect = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    try {
+      mongod = await MongoMemoryServer.create();
+    } catch (error) {
+      // Usually the mongod download is blocked; say how to run without it
+      throw new Error(`Could not start an in-memory MongoDB (${error.message}). ` +
+        'Set MONGODB_TEST_URI to an existing server, or MONGOMS_SYSTEM_BINARY to a local mongod binary');
+    }
+    uri = mongod.getUri();
+  }
+  await mongoose.connect(uri, { dbName: `dfm-test-${process.pid}` });
+};
+
+/**
+ * Remove every document from every collection
+ */
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Drop the test database and shut everything down
+ */
+const close = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+    mongod = null;
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  close
+};
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+const Folder = require('../../src/models/folder');
+
+// Collect a binary response body
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+// Read the entries of a tar archive into a name -> content map
+const readTar = (archive) => {
+  const entries = new Map();
+  let longName = null;
+  for (let offset = 0; offset < archive.length && archive[offset] !== 0;) {
+    const size = parseInt(archive.toString('ascii', offset + 124, offset + 135), 8);
+    const data = archive.subarray(offset + 512, offset + 512 + size);
+    if (archive.toString('ascii', offset + 156, offset + 157) === 'x') {
+      longName = data.toString().match(/path=(.*)\n/)[1];
+    } else {
+      entries.set(longName || archive.toString('utf8', offset, offset + 100).replace(/\0.*$/, ''), data);
+      longName = null;
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+};
+
+describe('Archive downloads', () => {
+  let alice;
+  let bob;
+
+  const upload = async (token, content, fileName, query = '') => {
+    const res = await request(app)
+      .post(`/api/files/upload${query}`)
+      .set('Authorization', token)
+      .attach('file', Buffer.from(content), fileName)
+      .expect(201);
+    return res.body.data.fileId;
+  };
+
+  const archive = (token, body) =>
+    request(app).post('/api/files/archive').set('Authorization', token).send(body).buffer(true).parse(binary);
+
+  const manifestOf = (entries) => JSON.parse(entries.get('manifest.json').toString());
+
+  beforeAll(async () => {
+    await db.connect();
+    await Promise.all([FileMetadata.init(), Folder.init()]);
+  });
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  it('archives listed files and reports the ones it could not include', async () => {
+    const first = await upload(alice, 'first', 'notes.txt');
+    const second = await upload(alice, 'second', 'notes.txt');
+    const secret = await upload(alice, 'encrypted', 'secret.txt', '?encrypt=true');
+    const others = await upload(bob, 'not yours', 'bob.txt');
+
+    const res = await archive(alice, { format: 'tar', fileIds: [first, second, secret, others] });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-tar');
+
+    const entries = readTar(res.body);
+    expect([...entries.keys()]).toEqual(['files/notes.txt', 'files/notes (2).txt', 'files/secret.txt', 'manifest.json']);
+    expect(entries.get('files/secret.txt').toString()).toBe('encrypted');
+
+    const manifest = manifestOf(entries);
+    expect(manifest).toMatchObject({ format: 'tar', createdBy: 'alice', summary: { included: 3, failed: 1 } });
+    expect(manifest.entries[0]).toMatchObject({
+      path: 'files/notes.txt',
+      fileId: first,
+      versionNumber: 1,
+      uploadedBy: 'alice',
+      status: 'included'
+    });
+    expect(manifest.entries[0].sha256).toHaveLength(64);
+    expect(manifest.entries[0].cid).toBeTruthy();
+    expect(manifest.entries[3]).toEqual({ fileId: others, path: null, status: 'failed', error: 'File not found or access denied' });
+  });
+
+  it('leaves out content that fails verification and says so in the manifest', async () => {
+    const good = await upload(alice, 'good', 'good.txt');
+    const bad = await upload(alice, 'bad', 'bad.txt');
+
+    const file = await FileMetadata.findOne({ fileId: bad });
+    ipfsService.blobs.get(file.currentVersion.ipfsHash).data = Buffer.from('tampered');
+
+    const res = await archive(alice, { format: 'tar', fileIds: [good, bad] });
+    const entries = readTar(res.body);
+    expect(entries.has('files/bad.txt')).toBe(false);
+
+    const manifest = manifestOf(entries);
+    expect(manifest.summary).toEqual({ included: 1, failed: 1 });
+    expect(manifest.entries[1]).toMatchObject({ fileId: bad, path: null, status: 'failed' });
+    expect(manifest.entries[1].error).toMatch(/Integrity check failed/);
+  });
+
+  it('archives every version of a file', async () => {
+    const fileId = await upload(alice, 'v1', 'report.txt');
+    await request(app)
+      .post(`/api/files/update/${fileId}`)
+      .set('Authorization', alice)
+      .attach('file', Buffer.from('v2'), 'report.txt')
+      .expect(201);
+
+    const entries = readTar((await archive(alice, { format: 'tar', versionsOf: fileId })).body);
+    expect(entries.get('files/v1/report.txt').toString()).toBe('v1');
+    expect(entries.get('files/v2/report.txt').toString()).toBe('v2');
+    expect(manifestOf(entries).source).toEqual({ versionsOf: fileId });
+
+    await archive(bob, { versionsOf: fileId }).expect(404);
+  });
+
+  it('archives a folder tree and search matches', async () => {
+    await request(app).post('/api/folders').set('Authorization', alice).send({ path: '/site/css' }).expect(201);
+    const page = await upload(alice, '<html></html>', 'index.html');
+    const style = await upload(alice, 'body {}', 'style.css');
+    await request(app).put(`/api/files/${page}/folder`).set('Authorization', alice).send({ path: '/site' }).expect(200);
+    await request(app).put(`/api/files/${style}/folder`).set('Authorization', alice).send({ path: '/site/css' }).expect(200);
+
+    const tree = readTar((await archive(alice, { format: 'tar', folder: '/site' })).body);
+    expect([...tree.keys()]).toEqual(['files/index.html', 'files/css/style.css', 'manifest.json']);
+
+    const matches = readTar((await archive(alice, { format: 'tar', filter: { owner: 'alice' } })).body);
+    expect([...matches.keys()]).toEqual(['files/index.html', 'files/style.css', 'manifest.json']);
+  });
+
+  it('streams zip archives', async () => {
+    const fileId = await upload(alice, 'hello', 'hello.txt');
+
+    const res = await archive(alice, { fileIds: [fileId] });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toMatch(/filename="archive-\d{8}T\d{6}\.zip"/);
+    expect(res.body.readUInt32LE(0)).toBe(0x04034b50);
+    expect(res.body.includes(Buffer.from('manifest.json'))).toBe(true);
+  });
+
+  it('refuses zip archives that would pass 4 GiB before streaming', async () => {
+    const first = await upload(alice, 'one', 'one.bin');
+    const second = await upload(alice, 'two', 'two.bin');
+    // Recorded sizes are what the limits are checked against
+    await FileMetadata.updateMany({}, { $set: { 'versions.0.fileSize': 2 * 1024 * 1024 * 1024 } });
+    process.env.ARCHIVE_MAX_SIZE_MB = '8192';
+
+    try {
+      const res = await request(app).post('/api/files/archive').set('Authorization', alice).send({ fileIds: [first, second] });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/use format "tar"/);
+    } finally {
+      delete process.env.ARCHIVE_MAX_SIZE_MB;
+    }
+  });
+
+  it('validates the request before streaming', async () => {
+    const fileId = await upload(alice, 'hello', 'hello.txt');
+
+    await archive(alice, { fileIds: [fileId], versionsOf: fileId }).expect(400);
+    await archive(alice, { format: 'rar', fileIds: [fileId] }).expect(400);
+    await archive(alice, { folder: '/missing' }).expect(404);
+    await archive(alice, { filter: { tags: 'none' } }).expect(404);
+    await request(app).post('/api/files/archive').send({ fileIds: [fileId] }).expect(401);
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+
+describe('Attribute routes', () => {
+  let alice;
+  let bob;
+
+  const defineAttributes = (token, definitions) => request(app)
+    .put('/api/attributes')
+    .set('Authorization', token)
+    .send({ definitions });
+
+  const upload = (token, content, attributes) => {
+    const req = request(app)
+      .post('/api/files/upload')
+      .set('Authorization', token)
+      .attach('file', Buffer.from(content), 'report.txt');
+    if (attributes !== undefined) {
+      req.field('attributes', JSON.stringify(attributes));
+    }
+    return req;
+  };
+
+  const search = (token, query) => request(app)
+    .get(`/api/files/system/search?${query}`)
+    .set('Authorization', token);
+
+  beforeAll(db.connect);
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  describe('definitions', () => {
+    it('stores, updates and removes the caller\'s definitions', async () => {
+      const set = await defineAttributes(alice, [{ name: 'project', type: 'string', required: true }]);
+      await request(app).put('/api/attributes/budget').set('Authorization', alice).send({ type: 'number' }).expect(200);
+      const get = await request(app).get('/api/attributes').set('Authorization', alice);
+      await request(app).delete('/api/attributes/project').set('Authorization', alice).expect(200);
+      const missing = await request(app).delete('/api/attributes/project').set('Authorization', alice);
+
+      expect(set.status).toBe(200);
+      expect(get.body.data.definitions).toEqual([
+        { name: 'project', type: 'string', required: true },
+        { name: 'budget', type: 'number', required: false }
+      ]);
+      expect(missing.status).toBe(404);
+    });
+
+    it('rejects invalid definitions', async () => {
+      expect((await defineAttributes(alice, [{ name: '1st', type: 'string' }])).status).toBe(400);
+      expect((await defineAttributes(alice, [{ name: 'a', type: 'object' }])).status).toBe(400);
+      expect((await defineAttributes(alice, [{ name: 'a', type: 'boolean', enum: [true] }])).status).toBe(400);
+      expect((await defineAttributes(alice, [{ name: 'a', type: 'number', enum: ['x'] }])).status).toBe(400);
+      expect((await defineAttributes(alice, [{ name: 'a', type: 'string' }, { name: 'a', type: 'number' }])).status).toBe(400);
+    });
+  });
+
+  describe('upload and edit', () => {
+    beforeEach(async () => {
+      await defineAttributes(alice, [
+        { name: 'project', type: 'string', required: true },
+        { name: 'department', type: 'string', enum: ['finance', 'legal'] },
+        { name: 'budget', type: 'number' }
+      ]).expect(200);
+    });
+
+    it('stores typed attributes on upload', async () => {
+      const res = await upload(alice, 'typed', { project: 'apollo', budget: '1200', color: 'blue' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.attributes).toEqual({ project: 'apollo', budget: 1200, color: 'blue' });
+      const stored = await FileMetadata.findOne({ fileId: res.body.data.fileId });
+      expect(stored.attributes.get('budget')).toBe(1200);
+    });
+
+    it('rejects uploads that break the owner\'s definitions and unpins their content', async () => {
+      const missing = await upload(alice, 'no project');
+      const invalid = await upload(alice, 'bad department', { project: 'apollo', department: 'sales' });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.errors).toEqual(['Attribute "project" is required']);
+      expect(invalid.status).toBe(400);
+      expect(await FileMetadata.countDocuments()).toBe(0);
+      expect([...ipfsService.blobs.values()].every(blob => !blob.pinned)).toBe(true);
+    });
+
+    it('uses the file owner\'s definitions, not the uploader\'s', async () => {
+      const res = await upload(bob, 'no definitions', { anything: 'goes' });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('merges edits, removes null values and records the change', async () => {
+      const { body } = await upload(alice, 'editable', { project: 'apollo', color: 'blue' });
+
+      const res = await request(app)
+        .patch(`/api/files/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .send({ attributes: { budget: 50, color: null } });
+      const invalid = await request(app)
+        .patch(`/api/files/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .send({ attributes: { project: null } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.attributes).toEqual({ project: 'apollo', budget: 50 });
+      expect(res.body.data.changes).toEqual([{
+        field: 'attributes',
+        from: { project: 'apollo', color: 'blue' },
+        to: { project: 'apollo', budget: 50 }
+      }]);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.errors).toEqual(['Attribute "project" is required']);
+    });
+  });
+
+  describe('search', () => {
+    beforeEach(async () => {
+      await defineAttributes(alice, [{ name: 'budget', type: 'number' }, { name: 'due', type: 'date' }]).expect(200);
+      await upload(alice, 'a', { project: 'apollo', budget: 500, due: '2025-01-15' }).expect(201);
+      await upload(alice, 'b', { project: 'apollo', budget: 5000, due: '2025-06-01' }).expect(201);
+      await upload(alice, 'c', { project: 'gemini', budget: 1500 }).expect(201);
+      await upload(bob, 'd', { project: 'apollo' }).expect(201);
+    });
+
+    const budgets = (res) => res.body.data.files.map(f => f.attributes.budget).sort((a, b) => a - b);
+
+    it('filters by equality', async () => {
+      const res = await search(alice, 'attr[project]=apollo');
+
+      expect(res.status).toBe(200);
+      expect(budgets(res)).toEqual([500, 5000]);
+    });
+
+    it('filters by numeric and date ranges', async () => {
+      const range = await search(alice, 'attr[budget][gte]=1000&attr[budget][lt]=5000');
+      const dates = await search(alice, 'attr[due][lt]=2025-03-01');
+
+      expect(budgets(range)).toEqual([1500]);
+      expect(budgets(dates)).toEqual([500]);
+    });
+
+    it('filters with in and ne', async () => {
+      const inList = await search(alice, 'attr[budget][in]=500,1500');
+      const notApollo = await search(alice, 'attr[project][ne]=apollo');
+
+      expect(budgets(inList)).toEqual([500, 1500]);
+      expect(budgets(notApollo)).toEqual([1500]);
+    });
+
+    it('rejects invalid filters', async () => {
+      expect((await search(alice, 'attr[budget][regex]=1')).status).toBe(400);
+      expect((await search(alice, 'attr[budget][gte]=lots')).status).toBe(400);
+      expect((await search(alice, 'attr[$where]=1')).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const app = require('../../src/app');
+
+describe('Auth routes', () => {
+  beforeAll(db.connect);
+
+  afterEach(db.clear);
+
+  afterAll(db.close);
+
+  it('registers a user and issues tokens for it', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ userId: 'alice', password: 'correct horse' })
+      .expect(201);
+
+    const res = await request(app)
+      .post('/api/auth/token')
+      .send({ userId: 'alice', password: 'correct horse' })
+      .expect(200);
+    expect(res.body.data).toMatchObject({ tokenType: 'Bearer' });
+
+    await request(app).post('/api/auth/token').send({ userId: 'alice', password: 'wrong password' }).expect(401);
+  });
+
+  it('rotates a refresh token once when it is replayed concurrently', async () => {
+    await request(app).post('/api/auth/register').send({ userId: 'alice', password: 'correct horse' }).expect(201);
+    const { refreshToken } = (await request(app)
+      .post('/api/auth/token')
+      .send({ userId: 'alice', password: 'correct horse' })
+      .expect(200)).body.data;
+
+    const results = await Promise.all([1, 2].map(() =>
+      request(app).post('/api/auth/refresh').send({ refreshToken })));
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+
+    // The replay revoked every session, the pair issued to the winner included
+    const winner = results.find(res => res.status === 200);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: winner.body.data.refreshToken }).expect(401);
+  });
+
+  it('rejects credentials that are not strings', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ userId: 'alice', password: 'correct horse' })
+      .expect(201);
+
+    // Query operators must not match an existing user
+    const injected = await request(app)
+      .post('/api/auth/token')
+      .send({ userId: { $ne: null }, password: 'correct horse' });
+    expect(injected.status).toBe(400);
+    expect(injected.body.message).toMatch(/must be strings/);
+
+    await request(app).post('/api/auth/token').send({ userId: 'alice', password: ['correct horse'] }).expect(400);
+    await request(app).post('/api/auth/register').send({ userId: { $gt: '' }, password: 'correct horse' }).expect(400);
+    await request(app).post('/api/auth/register').send({ userId: 'bob', password: 12345678 }).expect(400);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: { $ne: null } }).expect(400);
+  });
+});
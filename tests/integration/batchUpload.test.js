@@ -0,0 +1,122 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+const ContentBlob = require('../../src/models/contentBlob');
+
+describe('POST /api/files/upload/batch', () => {
+  let admin;
+  let alice;
+
+  const batch = (token, files, fields = {}) => {
+    const req = request(app)
+      .post('/api/files/upload/batch')
+      .set('Authorization', token);
+    Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+    files.forEach(([content, name]) => req.attach('files', Buffer.from(content), name));
+    return req;
+  };
+
+  beforeAll(db.connect);
+
+  beforeEach(async () => {
+    admin = await createUserWithToken('admin');
+    alice = await createUserWithToken('alice');
+    await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  it('creates every file with shared and per-file fields', async () => {
+    const res = await batch(alice, [['one', 'a.txt'], ['two', 'b.txt']], {
+      tags: 'import,2024',
+      description: 'Imported',
+      metadata: JSON.stringify([{ description: 'First file', tags: ['special'] }, null])
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ total: 2, created: 2, duplicate: 0, failed: 0 });
+    expect(res.body.data.results.map(r => r.status)).toEqual(['created', 'created']);
+
+    const first = await FileMetadata.findOne({ fileId: res.body.data.results[0].fileId });
+    const second = await FileMetadata.findOne({ fileId: res.body.data.results[1].fileId });
+    expect(first).toMatchObject({ owner: 'alice', description: 'First file', tags: ['special'] });
+    expect(second).toMatchObject({ originalFileName: 'b.txt', description: 'Imported', tags: ['import', '2024'] });
+    await expect(ContentBlob.findOne({ ipfsHash: second.versions[0].ipfsHash })).resolves.toMatchObject({ refCount: 1 });
+  });
+
+  it('reports duplicates and failures without failing the batch', async () => {
+    await request(app)
+      .post('/api/files/upload')
+      .set('Authorization', alice)
+      .attach('file', Buffer.from('existing'), 'existing.txt')
+      .expect(201);
+
+    const res = await batch(alice, [['existing', 'again.txt'], ['new', 'new.txt'], ['new', 'new-copy.txt'], ['bad', 'bad.txt']], {
+      metadata: JSON.stringify([{}, {}, {}, { attributes: ['not', 'an', 'object'] }])
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ total: 4, created: 1, duplicate: 2, failed: 1 });
+    const [again, created, copy, bad] = res.body.data.results;
+    expect(again).toMatchObject({ status: 'duplicate', originalFileName: 'again.txt' });
+    expect(copy).toMatchObject({ status: 'duplicate', existingFileId: created.fileId });
+    expect(bad).toMatchObject({ status: 'failed', error: 'attributes must be a JSON object' });
+
+    // Rejected content is discarded, kept content stays pinned
+    expect(ipfsService.blobs.get(created.ipfsHash).pinned).toBe(true);
+    await expect(FileMetadata.countDocuments({ owner: 'alice' })).resolves.toBe(2);
+  });
+
+  it('validates attributes against the owner\'s definitions', async () => {
+    await request(app)
+      .put('/api/attributes')
+      .set('Authorization', alice)
+      .send({ definitions: [{ name: 'project', type: 'string', required: true }] })
+      .expect(200);
+
+    const res = await batch(alice, [['one', 'a.txt'], ['two', 'b.txt']], {
+      attributes: JSON.stringify({ project: 'apollo' }),
+      metadata: JSON.stringify([{}, { attributes: { project: null } }])
+    });
+
+    expect(res.body.data.results[0]).toMatchObject({ status: 'created' });
+    expect(res.body.data.results[1]).toMatchObject({ status: 'failed', errors: ['Attribute "project" is required'] });
+  });
+
+  it('only lets administrators upload for other owners', async () => {
+    const asAlice = await batch(alice, [['one', 'a.txt']], { owner: 'bob' });
+    const asAdmin = await batch(admin, [['one', 'a.txt'], ['two', 'b.txt']], {
+      owner: 'bob',
+      metadata: JSON.stringify([{}, { owner: 'nobody' }])
+    });
+
+    expect(asAlice.body.data.results[0]).toMatchObject({ status: 'failed', error: 'Only administrators can upload files for other owners' });
+    expect(asAdmin.body.data.results[0]).toMatchObject({ status: 'created', owner: 'bob' });
+    expect(asAdmin.body.data.results[1]).toMatchObject({ status: 'failed', error: 'Owner "nobody" not found' });
+
+    const file = await FileMetadata.findOne({ fileId: asAdmin.body.data.results[0].fileId });
+    expect(file.versions[0].uploadedBy).toBe('admin');
+  });
+
+  it('rejects malformed metadata and discards the uploads', async () => {
+    const res = await batch(alice, [['one', 'a.txt'], ['two', 'b.txt']], { metadata: JSON.stringify([{}]) });
+
+    expect(res.status).toBe(400);
+    expect([...ipfsService.blobs.values()].some(blob => blob.pinned)).toBe(false);
+    await expect(FileMetadata.countDocuments()).resolves.toBe(0);
+  });
+
+  it('requires at least one file', async () => {
+    const res = await request(app).post('/api/files/upload/batch').set('Authorization', alice);
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+
+describe('Bulk operations', () => {
+  let alice;
+  let bob;
+
+  const upload = async (token, content, fileName, tags) => {
+    const req = request(app)
+      .post('/api/files/upload')
+      .set('Authorization', token)
+      .attach('file', Buffer.from(content), fileName);
+    if (tags) {
+      req.field('tags', tags);
+    }
+    const res = await req.expect(201);
+    return res.body.data.fileId;
+  };
+
+  // Start a job and poll it until it finishes
+  const runJob = async (token, body) => {
+    const started = await request(app).post('/api/files/bulk').set('Authorization', token).send(body);
+    expect(started.status).toBe(202);
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await request(app).get(`/api/files/bulk/${started.body.data.jobId}`).set('Authorization', token);
+      if (['completed', 'failed'].includes(res.body.data.status)) {
+        return res.body.data;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Bulk job did not finish');
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+    await FileMetadata.init();
+  });
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  it('tags listed files and reports each outcome', async () => {
+    const tagged = await upload(alice, 'one', 'one.txt', 'q1');
+    const plain = await upload(alice, 'two', 'two.txt');
+    const other = await upload(bob, 'three', 'three.txt');
+
+    const job = await runJob(alice, { action: 'addTags', params: { tags: 'q1' }, fileIds: [tagged, plain, other, 'missing'] });
+
+    expect(job).toMatchObject({ status: 'completed', total: 4, processed: 4, summary: { succeeded: 1, skipped: 1, failed: 2 } });
+    expect(job.items).toEqual([
+      { fileId: tagged, status: 'skipped', message: 'Already tagged' },
+      { fileId: plain, status: 'succeeded', message: 'Added q1' },
+      { fileId: other, status: 'failed', message: 'File not found or access denied' },
+      { fileId: 'missing', status: 'failed', message: 'File not found or access denied' }
+    ]);
+
+    const file = await FileMetadata.findOne({ fileId: plain });
+    expect(file.tags).toEqual(['q1']);
+    expect(file.metadataHistory).toHaveLength(1);
+  });
+
+  it('selects files with a search filter and changes nothing on a dry run', async () => {
+    await upload(alice, 'one', 'report-a.txt', 'finance');
+    await upload(alice, 'two', 'report-b.txt', 'finance');
+    await upload(alice, 'three', 'notes.txt', 'misc');
+
+    const job = await runJob(alice, { action: 'delete', filter: { tags: 'finance' }, dryRun: true });
+
+    expect(job).toMatchObject({ dryRun: true, total: 2, filter: { tags: 'finance' }, summary: { succeeded: 2 } });
+    await expect(FileMetadata.countDocuments({ isActive: true })).resolves.toBe(3);
+  });
+
+  it('deletes and restores files', async () => {
+    const fileIds = [await upload(alice, 'one', 'one.txt'), await upload(alice, 'two', 'two.txt')];
+
+    await runJob(alice, { action: 'delete', fileIds });
+    await expect(FileMetadata.countDocuments({ isActive: false })).resolves.toBe(2);
+
+    const restored = await runJob(alice, { action: 'restore', filter: { query: 'one' } });
+    expect(restored.items).toEqual([{ fileId: fileIds[0], status: 'succeeded', message: 'Restored' }]);
+
+    // The same content uploaded again while the original was in the trash
+    const copy = await upload(alice, 'two', 'two-again.txt');
+    const refused = await runJob(alice, { action: 'restore', fileIds: [fileIds[1]] });
+    expect(refused.items).toEqual([{ fileId: fileIds[1], status: 'failed', message: `You already have this content as ${copy}` }]);
+  });
+
+  it('validates attributes against each owner\'s definitions', async () => {
+    await request(app)
+      .put('/api/attributes')
+      .set('Authorization', alice)
+      .send({ definitions: [{ name: 'budget', type: 'number' }] })
+      .expect(200);
+    const fileId = await upload(alice, 'one', 'one.txt');
+
+    const invalid = await runJob(alice, { action: 'setAttributes', params: { attributes: { budget: 'lots' } }, fileIds: [fileId] });
+    const valid = await runJob(alice, { action: 'setAttributes', params: { attributes: { budget: '1200' } }, fileIds: [fileId] });
+
+    expect(invalid.items[0]).toMatchObject({ status: 'failed', message: expect.stringMatching(/budget/) });
+    expect(valid.items[0]).toMatchObject({ status: 'succeeded' });
+    const file = await FileMetadata.findOne({ fileId });
+    expect(file.getAttributes()).toEqual({ budget: 1200 });
+  });
+
+  it('transfers ownership unless the new owner already has the content', async () => {
+    const moved = await upload(alice, 'unique', 'unique.txt');
+    const duplicate = await upload(alice, 'shared', 'shared.txt');
+    await upload(bob, 'shared', 'bobs-copy.txt');
+
+    const job = await runJob(alice, { action: 'transferOwnership', params: { owner: 'bob' }, fileIds: [moved, duplicate] });
+
+    expect(job.items[0]).toMatchObject({ status: 'succeeded', message: 'Transferred to bob' });
+    expect(job.items[1]).toMatchObject({ status: 'failed', message: expect.stringMatching(/already has this content/) });
+
+    const history = await request(app).get(`/api/files/${moved}/history?type=metadata`).set('Authorization', bob);
+    expect(history.body.data.events[0].changes).toEqual([{ field: 'owner', from: 'alice', to: 'bob' }]);
+  });
+
+  it('rejects invalid requests', async () => {
+    const post = (body) => request(app).post('/api/files/bulk').set('Authorization', alice).send(body);
+
+    expect((await post({ action: 'shred', fileIds: ['x'] })).status).toBe(400);
+    expect((await post({ action: 'delete' })).status).toBe(400);
+    expect((await post({ action: 'delete', fileIds: ['x'], filter: { tags: 'a' } })).status).toBe(400);
+    expect((await post({ action: 'addTags', fileIds: ['x'] })).status).toBe(400);
+    expect((await post({ action: 'transferOwnership', params: { owner: 'nobody' }, fileIds: ['x'] })).body.message)
+      .toBe('Owner "nobody" not found');
+  });
+
+  it('only shows jobs to their creator', async () => {
+    const fileId = await upload(alice, 'one', 'one.txt');
+    const job = await runJob(alice, { action: 'addTags', params: { tags: ['a'] }, fileIds: [fileId] });
+
+    const asBob = await request(app).get(`/api/files/bulk/${job.jobId}`).set('Authorization', bob);
+    const list = await request(app).get('/api/files/bulk').set('Authorization', alice);
+
+    expect(asBob.status).toBe(404);
+    expect(list.body.data.jobs.map(j => j.jobId)).toEqual([job.jobId]);
+    expect(list.body.data.jobs[0].items).toBeUndefined();
+  });
+});
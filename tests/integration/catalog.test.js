@@ -0,0 +1,194 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+const Folder = require('../../src/models/folder');
+const ContentBlob = require('../../src/models/contentBlob');
+
+describe('Catalog backup and restore', () => {
+  let alice;
+  let admin;
+
+  const upload = async (content, fileName, query = '') => {
+    const res = await request(app)
+      .post(`/api/files/upload${query}`)
+      .set('Authorization', alice)
+      .attach('file', Buffer.from(content), fileName)
+      .expect(201);
+    return res.body.data.fileId;
+  };
+
+  const exportCatalog = (body = {}) =>
+    request(app).post('/api/files/system/catalog/export').set('Authorization', admin).send(body);
+
+  const restoreCatalog = (body) =>
+    request(app).post('/api/files/system/catalog/restore').set('Authorization', admin).send(body);
+
+  // Lose the database but keep the content store
+  const loseDatabase = async () => {
+    await db.clear();
+    alice = await createUserWithToken('alice');
+    admin = await createUserWithToken('admin');
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+    await Promise.all([FileMetadata.init(), Folder.init(), ContentBlob.init()]);
+  });
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    admin = await createUserWithToken('admin');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  it('rebuilds files, versions, folders and reference counts from a manifest CID', async () => {
+    const report = await upload('draft', 'report.txt');
+    await request(app)
+      .post(`/api/files/update/${report}`)
+      .set('Authorization', alice)
+      .attach('file', Buffer.from('final'), 'report.txt')
+      .expect(201);
+    await request(app).post('/api/folders').set('Authorization', alice).send({ path: '/projects/apollo' }).expect(201);
+    await request(app).put(`/api/files/${report}/folder`).set('Authorization', alice).send({ path: '/projects/apollo' }).expect(200);
+    const secret = await upload('classified', 'secret.txt', '?encrypt=true');
+    const trashed = await upload('old', 'old.txt');
+    await request(app).delete(`/api/files/${trashed}`).set('Authorization', alice).expect(200);
+
+    const exported = await exportCatalog();
+    expect(exported.status).toBe(201);
+    expect(exported.body.data).toMatchObject({ encrypted: true, wrappedKeys: true, summary: { files: 3, versions: 4 } });
+    const { cid } = exported.body.data;
+    expect(ipfsService.blobs.get(cid).pinned).toBe(true);
+    expect(ipfsService.blobs.get(cid).data.toString()).not.toContain('report.txt');
+
+    const before = await FileMetadata.findOne({ fileId: report }).lean();
+    await loseDatabase();
+
+    const restored = await restoreCatalog({ cid });
+    expect(restored.status).toBe(200);
+    expect(restored.body.data.summary).toEqual({ total: 3, created: 3, overwritten: 0, skipped: 0, failed: 0 });
+    expect(restored.body.data.manifest).toMatchObject({ encrypted: true, wrappedKeys: true });
+
+    const file = await FileMetadata.findOne({ fileId: report });
+    expect(file.versions.map(version => version.sha256Hash)).toEqual(before.versions.map(version => version.sha256Hash));
+    expect(file.updatedAt).toEqual(before.updatedAt);
+    expect((await FileMetadata.findOne({ fileId: trashed })).isActive).toBe(false);
+
+    // The folder is recreated from its path
+    const listing = await request(app).get('/api/folders').query({ path: '/projects/apollo' }).set('Authorization', alice).expect(200);
+    expect(JSON.stringify(listing.body.data)).toContain(report);
+
+    // Encrypted content stays readable and reference counts are back
+    const download = await request(app).get(`/api/files/download/${secret}`).set('Authorization', alice).expect(200);
+    expect(download.text).toBe('classified');
+    expect((await ContentBlob.findOne({ ipfsHash: file.currentVersion.ipfsHash })).refCount).toBe(1);
+
+    // Search fields are derived again
+    const search = await request(app).get('/api/files/system/search').query({ query: 'report' }).set('Authorization', alice).expect(200);
+    expect(JSON.stringify(search.body.data)).toContain(report);
+  });
+
+  it('exports a filtered subset', async () => {
+    await upload('mine', 'mine.txt');
+    const bob = await createUserWithToken('bob');
+    await request(app).post('/api/files/upload').set('Authorization', bob).attach('file', Buffer.from('theirs'), 'theirs.txt').expect(201);
+
+    const res = await exportCatalog({ filter: { owner: 'bob' }, plaintext: true });
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary.files).toBe(1);
+
+    const manifest = JSON.parse(ipfsService.blobs.get(res.body.data.cid).data.toString());
+    expect(manifest).toMatchObject({ format: 'file-metadata-catalog', version: 1, wrappedKeys: false, filter: { owner: ['bob'] } });
+    expect(manifest.files.map(entry => entry.owner)).toEqual(['bob']);
+  });
+
+  it('leaves wrapped keys out of plaintext manifests unless asked to keep them', async () => {
+    const secret = await upload('classified', 'secret.txt', '?encrypt=true');
+
+    const plain = (await exportCatalog({ plaintext: true }).expect(201)).body.data;
+    expect(plain).toMatchObject({ encrypted: false, wrappedKeys: false });
+    const withKeys = (await exportCatalog({ plaintext: true, includeKeys: true }).expect(201)).body.data;
+    expect(withKeys).toMatchObject({ encrypted: false, wrappedKeys: true });
+
+    await loseDatabase();
+    const keyless = await restoreCatalog({ cid: plain.cid });
+    expect(keyless.body.data.summary).toMatchObject({ created: 0, failed: 1 });
+    expect(keyless.body.data.failures[0].error).toMatch(/wrappedKey/);
+
+    await restoreCatalog({ cid: withKeys.cid }).expect(200);
+    const download = await request(app).get(`/api/files/download/${secret}`).set('Authorization', alice).expect(200);
+    expect(download.text).toBe('classified');
+  });
+
+  it('skips, overwrites or refuses fileIds that already exist', async () => {
+    const fileId = await upload('content', 'name.txt');
+    const { cid } = (await exportCatalog()).body.data;
+
+    await request(app).patch(`/api/files/${fileId}`).set('Authorization', alice).send({ originalFileName: 'renamed.txt' }).expect(200);
+
+    const refused = await restoreCatalog({ cid, onConflict: 'fail' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.data.conflicts).toEqual([fileId]);
+
+    const skipped = await restoreCatalog({ cid });
+    expect(skipped.body.data.summary).toMatchObject({ skipped: 1, created: 0 });
+    expect((await FileMetadata.findOne({ fileId })).originalFileName).toBe('renamed.txt');
+
+    const dryRun = await restoreCatalog({ cid, onConflict: 'overwrite', dryRun: true });
+    expect(dryRun.body.data.summary).toMatchObject({ overwritten: 1 });
+    expect((await FileMetadata.findOne({ fileId })).originalFileName).toBe('renamed.txt');
+
+    const overwritten = await restoreCatalog({ cid, onConflict: 'overwrite' });
+    expect(overwritten.body.data.summary).toMatchObject({ overwritten: 1 });
+    expect((await FileMetadata.findOne({ fileId })).originalFileName).toBe('name.txt');
+    expect(await FileMetadata.countDocuments()).toBe(1);
+  });
+
+  it('releases the content of versions an overwrite replaced', async () => {
+    const fileId = await upload('first', 'name.txt');
+    const { cid } = (await exportCatalog()).body.data;
+
+    const update = await request(app)
+      .post(`/api/files/update/${fileId}`)
+      .set('Authorization', alice)
+      .attach('file', Buffer.from('second'), 'name.txt')
+      .expect(201);
+    const added = update.body.data.ipfsHash;
+    const kept = (await FileMetadata.findOne({ fileId })).versions[0].ipfsHash;
+
+    const res = await restoreCatalog({ cid, onConflict: 'overwrite' });
+    expect(res.body.data.released).toEqual({ unpinned: [added], failed: [] });
+    expect(ipfsService.blobs.get(added).pinned).toBe(false);
+    expect(await ContentBlob.exists({ ipfsHash: added })).toBeNull();
+
+    // Content the restored record still uses keeps its pin and its count
+    expect(ipfsService.blobs.get(kept).pinned).toBe(true);
+    expect((await ContentBlob.findOne({ ipfsHash: kept })).refCount).toBe(1);
+  });
+
+  it('is limited to administrators and validates its input', async () => {
+    await request(app).post('/api/files/system/catalog/export').set('Authorization', alice).send({}).expect(403);
+
+    await exportCatalog({ plaintext: 'yes' }).expect(400);
+    await exportCatalog({ filter: { tags: ['x'] } }).expect(400);
+    await restoreCatalog({ cid: 'nope' }).expect(400);
+    await restoreCatalog({ cid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG' }).expect(404);
+
+    const { hash } = await ipfsService.uploadFile(Buffer.from('{"hello": "world"}'));
+    const notCatalog = await restoreCatalog({ cid: hash });
+    expect(notCatalog.status).toBe(400);
+    expect(notCatalog.body.message).toMatch(/not a catalog manifest/);
+
+    const { cid } = (await exportCatalog()).body.data;
+    await restoreCatalog({ cid, onConflict: 'merge' }).expect(400);
+  });
+});
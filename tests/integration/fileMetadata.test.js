@@ -0,0 +1,157 @@
+const db = require('../helpers/db');
+const FileMetadata = require('../../src/models/fileMetadata');
+
+const hashOf = (char) => char.repeat(64);
+
+const buildFile = (overrides = {}) => new FileMetadata({
+  fileId: `file-${Math.random().toString(16).slice(2)}`,
+  originalFileName: 'report.txt',
+  owner: 'alice',
+  versions: [{
+    versionNumber: 1,
+    sha256Hash: hashOf('a'),
+    ipfsHash: 'QmFirst',
+    fileSize: 10,
+    mimeType: 'text/plain',
+    uploadedBy: 'alice'
+  }],
+  ...overrides
+});
+
+describe('FileMetadata model', () => {
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  describe('addVersion', () => {
+    it('appends the next version number and makes it current', () => {
+      const file = buildFile();
+
+      const newVersion = file.addVersion({
+        sha256Hash: hashOf('b'),
+        ipfsHash: 'QmSecond',
+        fileSize: 20,
+        mimeType: 'text/plain',
+        uploadedBy: 'bob'
+      });
+
+      expect(newVersion.versionNumber).toBe(2);
+      expect(file.versionCount).toBe(2);
+      expect(file.currentVersion.ipfsHash).toBe('QmSecond');
+      expect(file.getLatestVersion().uploadedBy).toBe('bob');
+    });
+  });
+
+  describe('getVersion', () => {
+    it('finds a version by number or numeric string', () => {
+      const file = buildFile();
+
+      expect(file.getVersion(1).ipfsHash).toBe('QmFirst');
+      expect(file.getVersion('1').ipfsHash).toBe('QmFirst');
+    });
+
+    it('returns undefined for a missing version', () => {
+      expect(buildFile().getVersion(5)).toBeUndefined();
+    });
+  });
+
+  describe('validation', () => {
+    it('rejects an invalid SHA256 hash', async () => {
+      const file = buildFile();
+      file.versions[0].sha256Hash = 'not-a-hash';
+
+      await expect(file.save()).rejects.toThrow('Invalid SHA256 hash format');
+    });
+
+    it('rejects descriptions over 500 characters', async () => {
+      const file = buildFile({ description: 'x'.repeat(501) });
+
+      await expect(file.save()).rejects.toThrow(/description/);
+    });
+  });
+
+  describe('findByOwner', () => {
+    it('pages through active files of one owner', async () => {
+      for (let i = 0; i < 3; i++) {
+        await buildFile({ originalFileName: `file-${i}.txt` }).save();
+      }
+      await buildFile({ owner: 'bob' }).save();
+      await buildFile({ isActive: false }).save();
+
+      const firstPage = await FileMetadata.findByOwner('alice', { limit: 2, sortBy: 'originalFileName', sortOrder: 1 });
+      const last = firstPage[firstPage.length - 1];
+      const secondPage = await FileMetadata.findByOwner('alice', {
+        limit: 2,
+        sortBy: 'originalFileName',
+        sortOrder: 1,
+        cursor: { value: last.originalFileName, id: String(last._id) }
+      });
+
+      expect(firstPage.map(f => f.originalFileName)).toEqual(['file-0.txt', 'file-1.txt']);
+      expect(secondPage.map(f => f.originalFileName)).toEqual(['file-2.txt']);
+    });
+  });
+
+  describe('findByHash', () => {
+    it('finds an active file containing the hash in any version', async () => {
+      const file = buildFile();
+      file.addVersion({
+        sha256Hash: hashOf('c'),
+        ipfsHash: 'QmThird',
+        fileSize: 5,
+        mimeType: 'text/plain',
+        uploadedBy: 'alice'
+      });
+      await file.save();
+
+      const found = await FileMetadata.findByHash(hashOf('c'));
+      expect(found.fileId).toBe(file.fileId);
+    });
+
+    it('ignores soft-deleted files', async () => {
+      await buildFile({ isActive: false }).save();
+
+      await expect(FileMetadata.findByHash(hashOf('a'))).resolves.toBeNull();
+    });
+  });
+
+  describe('access control', () => {
+    it('resolves owner, editor, viewer and group roles', () => {
+      const file = buildFile({
+        acl: [
+          { principalType: 'user', principal: 'bob', role: 'editor', grantedBy: 'alice' },
+          { principalType: 'user', principal: 'carol', role: 'viewer', grantedBy: 'alice' },
+          { principalType: 'group', principal: 'team', role: 'viewer', grantedBy: 'alice' }
+        ]
+      });
+
+      expect(file.getAccessRole({ userId: 'alice' })).toBe('owner');
+      expect(file.getAccessRole({ userId: 'bob' })).toBe('editor');
+      expect(file.getAccessRole({ userId: 'carol' })).toBe('viewer');
+      expect(file.getAccessRole({ userId: 'dave', groups: ['team'] })).toBe('viewer');
+      expect(file.getAccessRole({ userId: 'eve', groups: [] })).toBeNull();
+      expect(file.canEdit({ userId: 'carol' })).toBe(false);
+    });
+
+    it('builds a query filter matching only visible files', async () => {
+      await buildFile({ fileId: 'own' }).save();
+      await buildFile({ fileId: 'shared', owner: 'bob', acl: [{ principal: 'alice', role: 'viewer', grantedBy: 'bob' }] }).save();
+      await buildFile({ fileId: 'private', owner: 'bob' }).save();
+
+      const visible = await FileMetadata.find(FileMetadata.accessFilter({ userId: 'alice', groups: [] }));
+      expect(visible.map(f => f.fileId).sort()).toEqual(['own', 'shared']);
+    });
+
+    it('transfers ownership, dropping the new owner\'s grant and recording the change', async () => {
+      const file = buildFile({ acl: [{ principal: 'bob', role: 'editor', grantedBy: 'alice' }] });
+
+      file.transferOwnership('bob', 'alice');
+      await file.save();
+
+      expect(file.owner).toBe('bob');
+      expect(file.acl).toHaveLength(0);
+      expect(file.metadataHistory[0].changedBy).toBe('alice');
+      expect(file.metadataHistory[0].changes[0].toObject()).toEqual({ field: 'owner', from: 'alice', to: 'bob' });
+    });
+  });
+});
@@ -0,0 +1,1023 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+const ContentBlob = require('../../src/models/contentBlob');
+const contentService = require('../../src/services/contentService');
+
+// Collect binary response bodies as Buffers
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('File routes', () => {
+  let alice;
+  let bob;
+
+  const upload = (token, content, fileName = 'notes.txt', fields = {}) => {
+    const req = request(app)
+      .post('/api/files/upload')
+      .set('Authorization', token)
+      .attach('file', Buffer.from(content), fileName);
+    Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+    return req;
+  };
+
+  const addVersion = (token, fileId, content) => request(app)
+    .post(`/api/files/update/${fileId}`)
+    .set('Authorization', token)
+    .attach('file', Buffer.from(content), 'notes.txt');
+
+  const grant = (token, fileId, principal, role) => request(app)
+    .post(`/api/files/${fileId}/acl`)
+    .set('Authorization', token)
+    .send({ principal, role });
+
+  beforeAll(db.connect);
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  describe('POST /api/files/upload', () => {
+    it('stores the file and its metadata', async () => {
+      const res = await upload(alice, 'hello world', 'hello.txt', { description: 'greeting', tags: 'a, b' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        originalFileName: 'hello.txt',
+        owner: 'alice',
+        sha256Hash: 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9',
+        fileSize: 11,
+        versionNumber: 1,
+        encrypted: false
+      });
+      await expect(ipfsService.fileExists(res.body.data.ipfsHash)).resolves.toBe(true);
+
+      const stored = await FileMetadata.findOne({ fileId: res.body.data.fileId });
+      expect(stored.tags).toEqual(['a', 'b']);
+      expect(stored.description).toBe('greeting');
+    });
+
+    it('takes the owner from the token, not the body', async () => {
+      const res = await upload(alice, 'mine', 'mine.txt', { owner: 'bob' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.owner).toBe('alice');
+    });
+
+    it('requires authentication', async () => {
+      const res = await request(app)
+        .post('/api/files/upload')
+        .attach('file', Buffer.from('anonymous'), 'a.txt');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects an invalid token', async () => {
+      const res = await upload('Bearer not-a-jwt', 'data');
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid token');
+    });
+
+    it('requires a file', async () => {
+      const res = await request(app)
+        .post('/api/files/upload')
+        .set('Authorization', alice)
+        .field('description', 'no file');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('No file provided');
+    });
+
+    it('rejects files over the configured size limit', async () => {
+      const res = await upload(alice, Buffer.alloc(1.5 * 1024 * 1024, 1), 'big.bin');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('File too large. Maximum size is 1MB');
+      expect(await FileMetadata.countDocuments()).toBe(0);
+    });
+
+    it('returns 409 when the owner already has the content', async () => {
+      const first = await upload(alice, 'same bytes');
+      const second = await upload(alice, 'same bytes', 'copy.txt');
+
+      expect(second.status).toBe(409);
+      expect(second.body.data.existingFileId).toBe(first.body.data.fileId);
+      await expect(ipfsService.fileExists(first.body.data.ipfsHash)).resolves.toBe(true);
+      expect((await ContentBlob.findOne({ ipfsHash: first.body.data.ipfsHash })).refCount).toBe(1);
+    });
+
+    it('keeps the saved file and its content when counting the reference fails', async () => {
+      const retain = jest.spyOn(contentService, 'retain').mockRejectedValue(new Error('database unavailable'));
+
+      try {
+        const res = await upload(alice, 'saved anyway');
+
+        expect(res.status).toBe(201);
+        expect(retain).toHaveBeenCalledTimes(2);
+        expect(ipfsService.blobs.get(res.body.data.ipfsHash).pinned).toBe(true);
+        await expect(FileMetadata.exists({ fileId: res.body.data.fileId })).resolves.toBeTruthy();
+      } finally {
+        retain.mockRestore();
+      }
+    });
+
+    it('does not lose the pin of content retained while a rejected copy is discarded', async () => {
+      const { hash } = await ipfsService.uploadFile(Buffer.from('racing bytes'), { pin: true });
+      let retained;
+      // Another upload saves the same content right after the discard checked for references
+      const isReferenced = jest.spyOn(contentService, 'isReferenced').mockImplementationOnce(async () => {
+        retained = contentService.retain(hash, 12);
+        return false;
+      });
+
+      try {
+        await contentService.discard(hash);
+        await retained;
+        expect(ipfsService.blobs.get(hash).pinned).toBe(true);
+        expect((await ContentBlob.findOne({ ipfsHash: hash })).refCount).toBe(1);
+      } finally {
+        isReferenced.mockRestore();
+      }
+    });
+
+    it('lets another owner store identical content under their own file', async () => {
+      const first = await upload(alice, 'same bytes');
+      const second = await upload(bob, 'same bytes', 'copy.txt');
+
+      expect(second.status).toBe(201);
+      expect(second.body.data).toMatchObject({ owner: 'bob', ipfsHash: first.body.data.ipfsHash });
+      expect(second.body.data.fileId).not.toBe(first.body.data.fileId);
+      expect((await ContentBlob.findOne({ ipfsHash: first.body.data.ipfsHash })).refCount).toBe(2);
+    });
+  });
+
+  describe('GET /api/files/:fileId', () => {
+    it('returns metadata to the owner', async () => {
+      const { body } = await upload(alice, 'metadata');
+
+      const res = await request(app)
+        .get(`/api/files/${body.data.fileId}`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ fileId: body.data.fileId, versionCount: 1, accessRole: 'owner' });
+    });
+
+    it('hides files the caller cannot see', async () => {
+      const { body } = await upload(alice, 'private');
+
+      const res = await request(app)
+        .get(`/api/files/${body.data.fileId}`)
+        .set('Authorization', bob);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('returns 404 for an unknown file', async () => {
+      const res = await request(app)
+        .get('/api/files/does-not-exist')
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/files/:fileId', () => {
+    const patch = (token, fileId, body) => request(app)
+      .patch(`/api/files/${fileId}`)
+      .set('Authorization', token)
+      .send(body);
+
+    it('is allowed by the CORS preflight', async () => {
+      const res = await request(app)
+        .options('/api/files/any-file')
+        .set('Origin', 'http://localhost:3000')
+        .set('Access-Control-Request-Method', 'PATCH');
+
+      expect(res.status).toBe(204);
+      expect(res.headers['access-control-allow-methods']).toContain('PATCH');
+    });
+
+    it('edits metadata and records only the fields that changed', async () => {
+      const { body } = await upload(alice, 'editable', 'draft.txt', { description: 'old', tags: 'a' });
+
+      const res = await patch(alice, body.data.fileId, { originalFileName: ' final.txt ', description: 'old', tags: 'a, b' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ originalFileName: 'final.txt', description: 'old', tags: ['a', 'b'] });
+      expect(res.body.data.changes).toEqual([
+        { field: 'originalFileName', from: 'draft.txt', to: 'final.txt' },
+        { field: 'tags', from: ['a'], to: ['a', 'b'] }
+      ]);
+      const stored = await FileMetadata.findOne({ fileId: body.data.fileId });
+      expect(stored.metadataHistory).toHaveLength(1);
+      expect(stored.metadataHistory[0].changedBy).toBe('alice');
+    });
+
+    it('validates fields against the schema', async () => {
+      const { body } = await upload(alice, 'validated');
+
+      const empty = await patch(alice, body.data.fileId, {});
+      const badName = await patch(alice, body.data.fileId, { originalFileName: '  ' });
+      const badTags = await patch(alice, body.data.fileId, { tags: [1, 2] });
+      const tooLong = await patch(alice, body.data.fileId, { description: 'x'.repeat(501) });
+
+      expect(empty.status).toBe(400);
+      expect(badName.status).toBe(400);
+      expect(badTags.status).toBe(400);
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.message).toBe('Validation error');
+      expect((await FileMetadata.findOne({ fileId: body.data.fileId })).metadataHistory).toHaveLength(0);
+    });
+
+    it('allows editors but not viewers', async () => {
+      const { body } = await upload(alice, 'shared');
+      await grant(alice, body.data.fileId, 'bob', 'viewer');
+
+      expect((await patch(bob, body.data.fileId, { description: 'viewer' })).status).toBe(404);
+
+      await grant(alice, body.data.fileId, 'bob', 'editor');
+      const res = await patch(bob, body.data.fileId, { description: 'editor' });
+      expect(res.status).toBe(200);
+    });
+
+    it('does not record a change when nothing differs', async () => {
+      const { body } = await upload(alice, 'unchanged', 'same.txt');
+
+      const res = await patch(alice, body.data.fileId, { originalFileName: 'same.txt' });
+
+      expect(res.body.message).toBe('No changes');
+      expect(res.body.data.changes).toEqual([]);
+    });
+  });
+
+  describe('GET /api/files/:fileId/history', () => {
+    it('lists versions and metadata edits in order', async () => {
+      const { body } = await upload(alice, 'v1');
+      await request(app).patch(`/api/files/${body.data.fileId}`).set('Authorization', alice).send({ description: 'first' });
+      await addVersion(alice, body.data.fileId, 'v2').expect(201);
+
+      const res = await request(app).get(`/api/files/${body.data.fileId}/history`).set('Authorization', alice);
+      const metadataOnly = await request(app).get(`/api/files/${body.data.fileId}/history?type=metadata`).set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ versionCount: 2, metadataChangeCount: 1 });
+      expect(res.body.data.events.map(e => e.type)).toEqual(['version', 'metadata', 'version']);
+      expect(res.body.data.events[1]).toMatchObject({ by: 'alice', changes: [{ field: 'description', from: '', to: 'first' }] });
+      expect(metadataOnly.body.data.events).toHaveLength(1);
+    });
+
+    it('hides the history of files the caller cannot see', async () => {
+      const { body } = await upload(alice, 'private history');
+
+      const res = await request(app).get(`/api/files/${body.data.fileId}/history`).set('Authorization', bob);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/files/download/:fileId/:versionIndex?', () => {
+    it('streams the latest version', async () => {
+      const { body } = await upload(alice, 'download me');
+
+      const res = await request(app)
+        .get(`/api/files/download/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(res.status).toBe(200);
+      expect(res.body.toString()).toBe('download me');
+      expect(res.headers['x-file-hash']).toBe(body.data.sha256Hash);
+      expect(res.headers['accept-ranges']).toBe('bytes');
+    });
+
+    it('serves a byte range', async () => {
+      const { body } = await upload(alice, '0123456789');
+
+      const res = await request(app)
+        .get(`/api/files/download/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .set('Range', 'bytes=2-5')
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(res.status).toBe(206);
+      expect(res.headers['content-range']).toBe('bytes 2-5/10');
+      expect(res.body.toString()).toBe('2345');
+    });
+
+    it('rejects an unsatisfiable range', async () => {
+      const { body } = await upload(alice, 'short');
+
+      const res = await request(app)
+        .get(`/api/files/download/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .set('Range', 'bytes=100-200');
+
+      expect(res.status).toBe(416);
+      expect(res.headers['content-range']).toBe('bytes */5');
+    });
+
+    it('returns 404 for a missing version', async () => {
+      const { body } = await upload(alice, 'only one version');
+
+      const res = await request(app)
+        .get(`/api/files/download/${body.data.fileId}/7`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Version 7 not found');
+    });
+
+    it('aborts the response when the content fails verification', async () => {
+      const { body } = await upload(alice, 'original content');
+      ipfsService.blobs.get(body.data.ipfsHash).data = Buffer.from('tampered content');
+
+      await expect(
+        request(app)
+          .get(`/api/files/download/${body.data.fileId}`)
+          .set('Authorization', alice)
+      ).rejects.toThrow();
+    });
+
+    it('reports integrity in a trailer when the client accepts trailers', async () => {
+      const { body } = await upload(alice, 'original content');
+      ipfsService.blobs.get(body.data.ipfsHash).data = Buffer.from('tampered content');
+
+      const res = await request(app)
+        .get(`/api/files/download/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .set('TE', 'trailers')
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(res.status).toBe(200);
+      expect(res.res.trailers['x-integrity-verified']).toBe('false');
+    });
+
+    it('decrypts encrypted files transparently', async () => {
+      const { body } = await request(app)
+        .post('/api/files/upload?encrypt=true')
+        .set('Authorization', alice)
+        .attach('file', Buffer.from('top secret'), 'secret.txt');
+
+      expect(body.data.encrypted).toBe(true);
+      const stored = await ipfsService.downloadFile(body.data.ipfsHash);
+      expect(stored.toString()).not.toContain('top secret');
+
+      const res = await request(app)
+        .get(`/api/files/download/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(res.body.toString()).toBe('top secret');
+    });
+  });
+
+  describe('POST /api/files/update/:fileId', () => {
+    it('adds a new version', async () => {
+      const { body } = await upload(alice, 'version one');
+
+      const res = await addVersion(alice, body.data.fileId, 'version two');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ versionNumber: 2, uploadedBy: 'alice' });
+    });
+
+    it('rejects content identical to the current version', async () => {
+      const { body } = await upload(alice, 'unchanged');
+
+      const res = await addVersion(alice, body.data.fileId, 'unchanged');
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.existingVersion).toBe(1);
+    });
+
+    it('accepts content matching an earlier version', async () => {
+      const { body } = await upload(alice, 'draft');
+      await addVersion(alice, body.data.fileId, 'final').expect(201);
+
+      const res = await addVersion(alice, body.data.fileId, 'draft');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ versionNumber: 3, ipfsHash: body.data.ipfsHash });
+      expect(ipfsService.blobs.get(body.data.ipfsHash).pinned).toBe(true);
+    });
+
+    it('lets editors but not viewers add versions', async () => {
+      const { body } = await upload(alice, 'shared doc');
+
+      await grant(alice, body.data.fileId, 'bob', 'viewer');
+      expect((await addVersion(bob, body.data.fileId, 'bob edit')).status).toBe(404);
+
+      await grant(alice, body.data.fileId, 'bob', 'editor');
+      const res = await addVersion(bob, body.data.fileId, 'bob edit');
+      expect(res.status).toBe(201);
+      expect(res.body.data.uploadedBy).toBe('bob');
+    });
+  });
+
+  describe('POST /api/files/rollback/:fileId/:versionIndex', () => {
+    const rollback = (token, fileId, versionIndex) => request(app)
+      .post(`/api/files/rollback/${fileId}/${versionIndex}`)
+      .set('Authorization', token);
+
+    it('appends a copy of the earlier version with its provenance', async () => {
+      const { body } = await upload(alice, 'original');
+      await addVersion(alice, body.data.fileId, 'mistake').expect(201);
+      await grant(alice, body.data.fileId, 'bob', 'editor');
+
+      const res = await rollback(bob, body.data.fileId, 1);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        versionNumber: 3,
+        restoredFrom: 1,
+        uploadedBy: 'bob',
+        sha256Hash: body.data.sha256Hash,
+        ipfsHash: body.data.ipfsHash
+      });
+
+      const download = await request(app)
+        .get(`/api/files/download/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(download.headers['x-version']).toBe('3');
+      expect(download.body.toString()).toBe('original');
+    });
+
+    it('keeps encrypted versions readable', async () => {
+      const { body } = await request(app)
+        .post('/api/files/upload?encrypt=true')
+        .set('Authorization', alice)
+        .attach('file', Buffer.from('secret v1'), 'secret.txt');
+      await addVersion(alice, body.data.fileId, 'secret v2').expect(201);
+
+      const res = await rollback(alice, body.data.fileId, 1);
+      expect(res.body.data.encrypted).toBe(true);
+
+      const download = await request(app)
+        .get(`/api/files/download/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(download.body.toString()).toBe('secret v1');
+    });
+
+    it('keeps a saved rollback when counting the reference fails once', async () => {
+      const { body } = await upload(alice, 'original');
+      await addVersion(alice, body.data.fileId, 'mistake').expect(201);
+      const retain = jest.spyOn(contentService, 'retain').mockRejectedValueOnce(new Error('database unavailable'));
+
+      try {
+        const res = await rollback(alice, body.data.fileId, 1);
+
+        expect(res.status).toBe(201);
+        expect(retain).toHaveBeenCalledTimes(2);
+        expect((await ContentBlob.findOne({ ipfsHash: body.data.ipfsHash })).refCount).toBe(2);
+      } finally {
+        retain.mockRestore();
+      }
+    });
+
+    it('rejects rolling back to the current content', async () => {
+      const { body } = await upload(alice, 'only version');
+
+      const res = await rollback(alice, body.data.fileId, 1);
+
+      expect(res.status).toBe(409);
+    });
+
+    it('requires edit access and an existing version', async () => {
+      const { body } = await upload(alice, 'v1');
+      await addVersion(alice, body.data.fileId, 'v2').expect(201);
+      await grant(alice, body.data.fileId, 'bob', 'viewer');
+
+      expect((await rollback(bob, body.data.fileId, 1)).status).toBe(404);
+      expect((await rollback(alice, body.data.fileId, 9)).status).toBe(404);
+    });
+  });
+
+  describe('GET /api/files/diff/:fileId/:fromVersion/:toVersion', () => {
+    // Upload two versions of a file; the MIME type follows the file name
+    const twoVersions = async (first, second, fileName) => {
+      const { body } = await upload(alice, first, fileName);
+      await request(app)
+        .post(`/api/files/update/${body.data.fileId}`)
+        .set('Authorization', alice)
+        .attach('file', Buffer.from(second), fileName)
+        .expect(201);
+      return body.data.fileId;
+    };
+
+    const diff = (token, fileId, query = '') => request(app)
+      .get(`/api/files/diff/${fileId}/1/2${query}`)
+      .set('Authorization', token);
+
+    it('returns a unified diff for text', async () => {
+      const fileId = await twoVersions('a\nb\nc\n', 'a\nB\nc\n', 'notes.txt');
+
+      const res = await diff(alice, fileId);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ type: 'text', format: 'unified', identical: false, stats: { additions: 1, deletions: 1 } });
+      expect(res.body.data.diff).toContain('-b\n+B');
+      expect(res.body.data.diff).toContain('--- notes.txt@v1');
+    });
+
+    it('returns changed lines with format=lines', async () => {
+      const fileId = await twoVersions('x\n', 'x\ny\n', 'data.csv');
+
+      const res = await diff(alice, fileId, '?format=lines');
+
+      expect(res.body.data.diff).toEqual([{ type: 'add', newLine: 2, text: 'y' }]);
+    });
+
+    it('returns a structural diff for JSON', async () => {
+      const fileId = await twoVersions('{"port":80,"debug":false}', '{\n  "port": 8080,\n  "debug": false\n}', 'config.json');
+
+      const res = await diff(alice, fileId);
+
+      expect(res.body.data.type).toBe('json');
+      expect(res.body.data.diff).toEqual([{ op: 'replace', path: '/port', oldValue: 80, value: 8080 }]);
+    });
+
+    it('only compares metadata for binary files', async () => {
+      const fileId = await twoVersions('\x00\x01', '\x00\x01\x02', 'blob.bin');
+
+      const res = await diff(alice, fileId);
+
+      expect(res.body.data).toMatchObject({
+        type: 'binary',
+        changes: { size: { from: 2, to: 3, delta: 1 }, hashChanged: true, mimeTypeChanged: false }
+      });
+      expect(res.body.data.diff).toBeUndefined();
+    });
+
+    it('diffs encrypted versions after decrypting them', async () => {
+      const { body } = await request(app)
+        .post('/api/files/upload?encrypt=true')
+        .set('Authorization', alice)
+        .attach('file', Buffer.from('secret 1\n'), 'secret.txt');
+      await addVersion(alice, body.data.fileId, 'secret 2\n').expect(201);
+
+      const res = await diff(alice, body.data.fileId, '?format=lines');
+
+      expect(res.body.data.diff).toEqual([
+        { type: 'remove', oldLine: 1, text: 'secret 1' },
+        { type: 'add', newLine: 1, text: 'secret 2' }
+      ]);
+    });
+
+    it('refuses to diff tampered content', async () => {
+      const { body } = await upload(alice, 'one\n');
+      await addVersion(alice, body.data.fileId, 'two\n').expect(201);
+      ipfsService.blobs.get(body.data.ipfsHash).data = Buffer.from('evil\n');
+
+      const res = await diff(alice, body.data.fileId);
+
+      expect(res.status).toBe(502);
+    });
+
+    it('requires view access, known versions and a valid format', async () => {
+      const fileId = await twoVersions('1', '2', 'notes.txt');
+
+      expect((await diff(bob, fileId)).status).toBe(404);
+      expect((await request(app).get(`/api/files/diff/${fileId}/1/7`).set('Authorization', alice)).status).toBe(404);
+      expect((await diff(alice, fileId, '?format=html')).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/files/verify/:fileId/:versionIndex', () => {
+    it('verifies intact content', async () => {
+      const { body } = await upload(alice, 'verify me');
+
+      const res = await request(app)
+        .get(`/api/files/verify/${body.data.fileId}/1`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ isValid: true, sizesMatch: true });
+    });
+
+    it('detects tampered content', async () => {
+      const { body } = await upload(alice, 'verify me');
+      ipfsService.blobs.get(body.data.ipfsHash).data = Buffer.from('changed!!');
+
+      const res = await request(app)
+        .get(`/api/files/verify/${body.data.fileId}/1`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('File integrity verification failed');
+      expect(res.body.data.isValid).toBe(false);
+    });
+
+    it('checks the ciphertext CID of encrypted files', async () => {
+      const { body } = await request(app)
+        .post('/api/files/upload?encrypt=true')
+        .set('Authorization', alice)
+        .attach('file', Buffer.from('encrypted verify'), 'e.txt');
+
+      const res = await request(app)
+        .get(`/api/files/verify/${body.data.fileId}/1`)
+        .set('Authorization', alice);
+
+      expect(res.body.data).toMatchObject({ isValid: true, encrypted: true, cidMatches: true, decrypted: true });
+    });
+
+    it('returns 404 for a missing version', async () => {
+      const { body } = await upload(alice, 'one');
+
+      const res = await request(app)
+        .get(`/api/files/verify/${body.data.fileId}/3`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Version 3 not found');
+    });
+  });
+
+  describe('GET /api/files/owner/:owner', () => {
+    it('lists the owner files visible to the caller', async () => {
+      const shared = await upload(alice, 'shared', 'shared.txt');
+      await upload(alice, 'private', 'private.txt');
+      await grant(alice, shared.body.data.fileId, 'bob', 'viewer');
+
+      const asAlice = await request(app).get('/api/files/owner/alice').set('Authorization', alice);
+      const asBob = await request(app).get('/api/files/owner/alice').set('Authorization', bob);
+
+      expect(asAlice.body.data.files).toHaveLength(2);
+      expect(asAlice.body.data.pagination).toEqual({ limit: 10, hasNext: false, nextCursor: null });
+      expect(asBob.body.data.files.map(f => f.originalFileName)).toEqual(['shared.txt']);
+    });
+
+    it('pages with cursors without skipping or repeating files while uploads happen', async () => {
+      for (const name of ['c.txt', 'a.txt', 'd.txt', 'b.txt']) {
+        await upload(alice, name, name).expect(201);
+      }
+      const list = (query) => request(app).get(`/api/files/owner/alice?${query}`).set('Authorization', alice);
+
+      const first = await list('limit=2&sortBy=originalFileName&sortOrder=asc');
+      await upload(alice, 'aa', 'aa.txt').expect(201);
+      const second = await list(`limit=2&sortBy=originalFileName&sortOrder=asc&cursor=${first.body.data.pagination.nextCursor}`);
+
+      expect(first.body.data.files.map(f => f.originalFileName)).toEqual(['a.txt', 'b.txt']);
+      expect(first.body.data.pagination.hasNext).toBe(true);
+      expect(second.body.data.files.map(f => f.originalFileName)).toEqual(['c.txt', 'd.txt']);
+      expect(second.body.data.pagination).toMatchObject({ hasNext: false, nextCursor: null });
+    });
+
+    it('rejects unknown sort fields, bad limits and page numbers', async () => {
+      for (const query of ['sortBy=versions.ipfsHash', 'limit=abc', 'limit=101', 'page=2', 'cursor=nope']) {
+        const res = await request(app).get(`/api/files/owner/alice?${query}`).set('Authorization', alice);
+        expect(res.status).toBe(400);
+      }
+    });
+
+    it('refuses a cursor issued for another sort order', async () => {
+      await upload(alice, 'one', 'one.txt').expect(201);
+      await upload(alice, 'two', 'two.txt').expect(201);
+      const first = await request(app).get('/api/files/owner/alice?limit=1').set('Authorization', alice);
+
+      const res = await request(app)
+        .get(`/api/files/owner/alice?limit=1&sortOrder=asc&cursor=${first.body.data.pagination.nextCursor}`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/files/:fileId', () => {
+    it('soft deletes a file for its owner', async () => {
+      const { body } = await upload(alice, 'delete me');
+
+      const res = await request(app)
+        .delete(`/api/files/${body.data.fileId}`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      const stored = await FileMetadata.findOne({ fileId: body.data.fileId });
+      expect(stored.isActive).toBe(false);
+    });
+
+    it('refuses to delete another owner file', async () => {
+      const { body } = await upload(alice, 'not yours');
+
+      const res = await request(app)
+        .delete(`/api/files/${body.data.fileId}`)
+        .set('Authorization', bob)
+        .send({ owner: 'alice' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Trash routes', () => {
+    const trash = async (token, content) => {
+      const { body } = await upload(token, content);
+      await request(app).delete(`/api/files/${body.data.fileId}`).set('Authorization', token).expect(200);
+      return body.data;
+    };
+
+    it('lists deleted files with who deleted them', async () => {
+      const file = await trash(alice, 'binned');
+      await trash(bob, 'not alice');
+
+      const res = await request(app).get('/api/files/trash').set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.files).toHaveLength(1);
+      expect(res.body.data.files[0]).toMatchObject({ fileId: file.fileId, deletedBy: 'alice' });
+      expect(res.body.data.files[0].deletedAt).toBeDefined();
+      expect(res.body.data.pagination.hasNext).toBe(false);
+    });
+
+    it('restores a deleted file', async () => {
+      const file = await trash(alice, 'come back');
+
+      const res = await request(app)
+        .post(`/api/files/trash/${file.fileId}/restore`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      const stored = await FileMetadata.findOne({ fileId: file.fileId });
+      expect(stored.isActive).toBe(true);
+      expect(stored.deletedAt).toBeUndefined();
+      expect(stored.deletedBy).toBeUndefined();
+      await request(app).get(`/api/files/${file.fileId}`).set('Authorization', alice).expect(200);
+    });
+
+    it('refuses to restore a second copy of content the owner already has', async () => {
+      const file = await trash(alice, 'uploaded twice');
+      const { body } = await upload(alice, 'uploaded twice');
+
+      const res = await request(app)
+        .post(`/api/files/trash/${file.fileId}/restore`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.existingFileId).toBe(body.data.fileId);
+      expect((await FileMetadata.findOne({ fileId: file.fileId })).isActive).toBe(false);
+    });
+
+    it('only lets the owner restore', async () => {
+      const file = await trash(alice, 'mine');
+
+      const res = await request(app)
+        .post(`/api/files/trash/${file.fileId}/restore`)
+        .set('Authorization', bob);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('permanently deletes one file and unpins its content', async () => {
+      const file = await trash(alice, 'gone for good');
+      const kept = await trash(alice, 'still here');
+
+      const res = await request(app)
+        .delete(`/api/files/trash/${file.fileId}`)
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ deletedCount: 1, unpinned: [file.ipfsHash] });
+      await expect(FileMetadata.exists({ fileId: file.fileId })).resolves.toBeNull();
+      await expect(FileMetadata.exists({ fileId: kept.fileId })).resolves.toBeTruthy();
+      expect(ipfsService.blobs.get(file.ipfsHash).pinned).toBe(false);
+    });
+
+    it('keeps content another owner still uses', async () => {
+      const file = await trash(alice, 'shared bytes');
+      const bobs = (await upload(bob, 'shared bytes')).body.data;
+
+      const res = await request(app)
+        .delete(`/api/files/trash/${file.fileId}`)
+        .set('Authorization', alice);
+
+      expect(res.body.data).toMatchObject({ deletedCount: 1, unpinned: [] });
+      expect(ipfsService.blobs.get(file.ipfsHash).pinned).toBe(true);
+      await request(app).get(`/api/files/download/${bobs.fileId}`).set('Authorization', bob).expect(200);
+
+      await request(app).delete(`/api/files/${bobs.fileId}`).set('Authorization', bob).expect(200);
+      const last = await request(app).delete(`/api/files/trash/${bobs.fileId}`).set('Authorization', bob);
+      expect(last.body.data.unpinned).toEqual([file.ipfsHash]);
+    });
+
+    it('empties only the caller\'s trash', async () => {
+      await trash(alice, 'one');
+      await trash(alice, 'two');
+      const bobs = await trash(bob, 'three');
+
+      const res = await request(app).delete('/api/files/trash').set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.deletedCount).toBe(2);
+      await expect(FileMetadata.exists({ fileId: bobs.fileId })).resolves.toBeTruthy();
+    });
+  });
+
+  describe('ACL routes', () => {
+    it('grants, lists and revokes access', async () => {
+      const { body } = await upload(alice, 'acl');
+      const { fileId } = body.data;
+
+      expect((await grant(alice, fileId, 'bob', 'viewer')).status).toBe(200);
+      expect((await request(app).get(`/api/files/${fileId}`).set('Authorization', bob)).status).toBe(200);
+
+      const acl = await request(app).get(`/api/files/${fileId}/acl`).set('Authorization', alice);
+      expect(acl.body.data.acl).toEqual([expect.objectContaining({ principal: 'bob', role: 'viewer' })]);
+
+      const revoke = await request(app).delete(`/api/files/${fileId}/acl/user/bob`).set('Authorization', alice);
+      expect(revoke.status).toBe(200);
+      expect((await request(app).get(`/api/files/${fileId}`).set('Authorization', bob)).status).toBe(404);
+    });
+
+    it('validates the role', async () => {
+      const { body } = await upload(alice, 'acl');
+
+      const res = await grant(alice, body.data.fileId, 'bob', 'admin');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('validates the principal and compares it trimmed', async () => {
+      const { body } = await upload(alice, 'acl');
+      const { fileId } = body.data;
+
+      expect((await grant(alice, fileId, { $ne: null }, 'viewer')).status).toBe(400);
+      expect((await grant(alice, fileId, ['bob'], 'viewer')).status).toBe(400);
+      expect((await grant(alice, fileId, '   ', 'viewer')).status).toBe(400);
+
+      const self = await grant(alice, fileId, ' alice ', 'viewer');
+      expect(self.status).toBe(400);
+      expect(self.body.message).toBe('The owner already has full access');
+
+      const padded = await grant(alice, fileId, ' bob ', 'viewer');
+      expect(padded.status).toBe(200);
+      expect(padded.body.data.entry).toMatchObject({ principal: 'bob' });
+    });
+
+    it('only lets the owner manage access', async () => {
+      const { body } = await upload(alice, 'acl');
+      await grant(alice, body.data.fileId, 'bob', 'editor');
+
+      const res = await grant(bob, body.data.fileId, 'carol', 'viewer');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/files/system/search', () => {
+    const search = (token, query) => request(app)
+      .get('/api/files/system/search')
+      .query(query)
+      .set('Authorization', token);
+
+    // $text queries need the text index to exist
+    beforeAll(() => FileMetadata.init());
+
+    it('requires at least one search parameter', async () => {
+      const res = await request(app).get('/api/files/system/search').set('Authorization', alice);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('only returns files the caller can see', async () => {
+      await upload(alice, 'alpha', 'report-alpha.txt');
+      await upload(bob, 'beta', 'report-beta.txt');
+
+      const res = await request(app)
+        .get('/api/files/system/search')
+        .query({ query: 'report' })
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.files.map(f => f.originalFileName)).toEqual(['report-alpha.txt']);
+    });
+
+    it('filters by tags', async () => {
+      await upload(alice, 'one', 'one.txt', { tags: 'finance' });
+      await upload(alice, 'two', 'two.txt', { tags: 'legal' });
+
+      const res = await request(app)
+        .get('/api/files/system/search')
+        .query({ tags: 'legal' })
+        .set('Authorization', alice);
+
+      expect(res.body.data.files.map(f => f.originalFileName)).toEqual(['two.txt']);
+    });
+
+    it('ranks file name matches above description matches and highlights them', async () => {
+      await upload(alice, 'described', 'notes.txt', { description: 'Budget for the launch' });
+      await upload(alice, 'named', 'budget-2025.xlsx');
+
+      const res = await search(alice, { query: 'budget' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.files.map(f => f.originalFileName)).toEqual(['budget-2025.xlsx', 'notes.txt']);
+      expect(res.body.data.files[0].score).toBeGreaterThan(res.body.data.files[1].score);
+      expect(res.body.data.files[0].highlights).toEqual([{ field: 'originalFileName', snippet: '<mark>budget</mark>-2025.xlsx' }]);
+      expect(res.body.data.files[1].highlights).toEqual([{ field: 'description', snippet: '<mark>Budget</mark> for the launch' }]);
+    });
+
+    it('pages through relevance-ranked results with cursors', async () => {
+      await upload(alice, 'one', 'budget.txt');
+      await upload(alice, 'two', 'budget-2024.txt', { description: 'budget' });
+      await upload(alice, 'three', 'notes.txt', { description: 'budget' });
+
+      const seen = [];
+      let cursor;
+      do {
+        const res = await search(alice, { query: 'budget', limit: 1, ...(cursor && { cursor }) });
+        expect(res.status).toBe(200);
+        seen.push(...res.body.data.files);
+        cursor = res.body.data.pagination.nextCursor;
+      } while (cursor);
+
+      expect(seen.map(f => f.originalFileName).sort()).toEqual(['budget-2024.txt', 'budget.txt', 'notes.txt']);
+      const scores = seen.map(f => f.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+
+    it('sorts search results by a whitelisted field', async () => {
+      await upload(alice, 'one', 'b-report.txt');
+      await upload(alice, 'two', 'a-report.txt');
+
+      const res = await search(alice, { query: 'report', sortBy: 'originalFileName', sortOrder: 'asc' });
+      const relevanceWithoutQuery = await search(alice, { tags: 'x', sortBy: 'relevance' });
+
+      expect(res.body.data.files.map(f => f.originalFileName)).toEqual(['a-report.txt', 'b-report.txt']);
+      expect(relevanceWithoutQuery.status).toBe(400);
+    });
+
+    it('supports phrases, prefixes and exclusions', async () => {
+      await upload(alice, 'one', 'annual-report.pdf');
+      await upload(alice, 'two', 'report-annual.pdf');
+      await upload(alice, 'three', 'report-draft.pdf');
+
+      const names = async (query) => (await search(alice, { query })).body.data.files.map(f => f.originalFileName).sort();
+
+      expect(await names('"annual report"')).toEqual(['annual-report.pdf']);
+      expect(await names('ann*')).toEqual(['annual-report.pdf', 'report-annual.pdf']);
+      expect(await names('report -draft')).toEqual(['annual-report.pdf', 'report-annual.pdf']);
+      expect(await names('dra* -annual')).toEqual(['report-draft.pdf']);
+    });
+
+    it('searches tags and attribute values', async () => {
+      await upload(alice, 'tagged', 'a.txt', { tags: 'quarterly' });
+      await upload(alice, 'attributed', 'b.txt', { attributes: JSON.stringify({ project: 'apollo' }) });
+
+      const tagged = await search(alice, { query: 'quarterly' });
+      const attributed = await search(alice, { query: 'apol*' });
+
+      expect(tagged.body.data.files.map(f => f.originalFileName)).toEqual(['a.txt']);
+      expect(attributed.body.data.files[0].highlights).toEqual([{ field: 'attributes.project', snippet: '<mark>apollo</mark>' }]);
+    });
+
+    it('treats regex syntax as text and rejects operator injection', async () => {
+      await upload(alice, 'safe', 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!.txt');
+
+      const pattern = await search(alice, { query: '(a+)+$' });
+      const injected = await request(app)
+        .get('/api/files/system/search?owner[$ne]=nobody')
+        .set('Authorization', alice);
+
+      expect(pattern.status).toBe(200);
+      expect(injected.status).toBe(400);
+    });
+  });
+
+  describe('system routes', () => {
+    it('reports storage status', async () => {
+      const res = await request(app).get('/api/files/system/status');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ connected: true, backend: 'memory' });
+    });
+
+    it('reports health', async () => {
+      const res = await request(app).get('/api/files/system/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+    });
+  });
+});
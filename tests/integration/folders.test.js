@@ -0,0 +1,173 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+const Folder = require('../../src/models/folder');
+
+describe('Folders', () => {
+  let alice;
+  let bob;
+
+  const upload = async (token, content, fileName) => {
+    const res = await request(app)
+      .post('/api/files/upload')
+      .set('Authorization', token)
+      .attach('file', Buffer.from(content), fileName)
+      .expect(201);
+    return res.body.data.fileId;
+  };
+
+  const mkdir = async (token, path) => {
+    const res = await request(app).post('/api/folders').set('Authorization', token).send({ path }).expect(201);
+    return res.body.data;
+  };
+
+  const moveFile = (token, fileId, path) =>
+    request(app).put(`/api/files/${fileId}/folder`).set('Authorization', token).send({ path });
+
+  const list = (token, path) =>
+    request(app).get('/api/folders').query({ path }).set('Authorization', token);
+
+  beforeAll(async () => {
+    await db.connect();
+    await Promise.all([FileMetadata.init(), Folder.init()]);
+  });
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  it('creates missing parents and rejects an existing path', async () => {
+    const apollo = await mkdir(alice, '/projects/apollo/');
+    expect(apollo).toMatchObject({ name: 'apollo', path: '/projects/apollo' });
+
+    const res = await request(app).post('/api/folders').set('Authorization', alice).send({ path: '/projects/apollo' });
+    expect(res.status).toBe(409);
+
+    const root = await list(alice, '/').expect(200);
+    expect(root.body.data.folders.map(f => f.path)).toEqual(['/projects']);
+
+    // Trees are per owner
+    await list(bob, '/projects').expect(404);
+  });
+
+  it('lists the files of a folder and moves files between folders', async () => {
+    await mkdir(alice, '/docs');
+    const first = await upload(alice, 'one', 'b.txt');
+    const second = await upload(alice, 'two', 'a.txt');
+    const other = await upload(bob, 'three', 'c.txt');
+
+    expect((await moveFile(alice, first, '/docs')).status).toBe(200);
+    expect((await moveFile(alice, second, '/docs')).status).toBe(200);
+    expect((await moveFile(alice, other, '/docs')).status).toBe(404);
+    expect((await moveFile(alice, first, '/missing')).status).toBe(404);
+
+    const docs = await list(alice, '/docs').expect(200);
+    expect(docs.body.data.files.map(f => f.originalFileName)).toEqual(['a.txt', 'b.txt']);
+
+    const root = await list(alice, '/').expect(200);
+    expect(root.body.data.files).toHaveLength(0);
+
+    await moveFile(alice, first, '/').expect(200);
+    const file = await request(app).get(`/api/files/${first}`).set('Authorization', alice).expect(200);
+    expect(file.body.data.folderId).toBeNull();
+  });
+
+  it('renames and moves folders but never into their own subtree', async () => {
+    const projects = await mkdir(alice, '/projects');
+    await mkdir(alice, '/projects/apollo');
+    await mkdir(alice, '/archive');
+
+    const cycle = await request(app).patch(`/api/folders/${projects.folderId}`)
+      .set('Authorization', alice).send({ parent: '/projects/apollo' });
+    expect(cycle.status).toBe(400);
+
+    const moved = await request(app).patch(`/api/folders/${projects.folderId}`)
+      .set('Authorization', alice).send({ name: 'old-projects', parent: '/archive' });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.path).toBe('/archive/old-projects');
+
+    await list(alice, '/archive/old-projects/apollo').expect(200);
+
+    await request(app).patch(`/api/folders/${projects.folderId}`)
+      .set('Authorization', bob).send({ name: 'mine' }).expect(404);
+  });
+
+  it('deletes only empty folders', async () => {
+    const docs = await mkdir(alice, '/docs');
+    const fileId = await upload(alice, 'one', 'a.txt');
+    await moveFile(alice, fileId, '/docs').expect(200);
+
+    await request(app).delete(`/api/folders/${docs.folderId}`).set('Authorization', alice).expect(409);
+
+    await request(app).delete(`/api/files/${fileId}`).set('Authorization', alice).expect(200);
+    await request(app).delete(`/api/folders/${docs.folderId}`).set('Authorization', alice).expect(200);
+
+    const file = await FileMetadata.findOne({ fileId });
+    expect(file.folderId).toBeNull();
+  });
+
+  it('publishes a folder tree as one pinned directory and replaces it on republish', async () => {
+    const site = await mkdir(alice, '/site');
+    await mkdir(alice, '/site/assets');
+    await mkdir(alice, '/site/empty');
+    const index = await upload(alice, '<html></html>', 'index.html');
+    const style = await upload(alice, 'body {}', 'style.css');
+    await moveFile(alice, index, '/site').expect(200);
+    await moveFile(alice, style, '/site/assets').expect(200);
+
+    const res = await request(app).post(`/api/folders/${site.folderId}/publish`).set('Authorization', alice).expect(200);
+    expect(res.body.data).toMatchObject({ path: '/site', fileCount: 2, totalSize: 20, publishedBy: 'alice', skipped: [] });
+
+    const { cid } = res.body.data;
+    const blob = ipfsService.blobs.get(cid);
+    expect(blob.pinned).toBe(true);
+    expect(JSON.parse(blob.data.toString()).entries.map(e => e.path)).toEqual(['assets/style.css', 'empty', 'index.html']);
+
+    // A new member changes the directory; the old one is unpinned
+    const readme = await upload(alice, 'hello', 'readme.txt');
+    await moveFile(alice, readme, '/site').expect(200);
+    const again = await request(app).post(`/api/folders/${site.folderId}/publish`).set('Authorization', alice).expect(200);
+    expect(again.body.data.cid).not.toBe(cid);
+    expect(ipfsService.blobs.get(cid).pinned).toBe(false);
+
+    await request(app).delete(`/api/folders/${site.folderId}/publish`).set('Authorization', alice).expect(200);
+    expect(ipfsService.blobs.get(again.body.data.cid).pinned).toBe(false);
+    await request(app).delete(`/api/folders/${site.folderId}/publish`).set('Authorization', alice).expect(404);
+  });
+
+  it('moves files with a bulk job', async () => {
+    await mkdir(alice, '/inbox');
+    const fileId = await upload(alice, 'one', 'a.txt');
+
+    const missing = await request(app).post('/api/files/bulk').set('Authorization', alice)
+      .send({ action: 'moveToFolder', params: { path: '/nowhere' }, fileIds: [fileId] });
+    expect(missing.status).toBe(400);
+
+    const started = await request(app).post('/api/files/bulk').set('Authorization', alice)
+      .send({ action: 'moveToFolder', params: { path: '/inbox' }, fileIds: [fileId] })
+      .expect(202);
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await request(app).get(`/api/files/bulk/${started.body.data.jobId}`).set('Authorization', alice);
+      if (res.body.data.status === 'completed') {
+        expect(res.body.data.items[0]).toMatchObject({ status: 'succeeded', message: 'Moved to /inbox' });
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    const inbox = await list(alice, '/inbox').expect(200);
+    expect(inbox.body.data.files.map(f => f.fileId)).toEqual([fileId]);
+  });
+});
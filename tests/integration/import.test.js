@@ -0,0 +1,167 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+
+describe('Import by CID', () => {
+  let alice;
+  let bob;
+  let admin;
+
+  // Content added to IPFS outside this service, not pinned
+  const addExternal = async (content) => {
+    const { hash } = await ipfsService.uploadFile(Buffer.from(content), { pin: false });
+    return hash;
+  };
+
+  const importCid = (token, body) =>
+    request(app).post('/api/files/import').set('Authorization', token).send(body);
+
+  beforeAll(async () => {
+    await db.connect();
+    await FileMetadata.init();
+  });
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+    admin = await createUserWithToken('admin');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  it('registers, hashes, sniffs and pins existing content', async () => {
+    const cid = await addExternal('%PDF-1.4 quarterly report');
+
+    const res = await importCid(alice, { cid, fileName: 'report.pdf', tags: ['finance'], description: 'Q3' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      originalFileName: 'report.pdf',
+      owner: 'alice',
+      ipfsHash: cid,
+      fileSize: 25,
+      mimeType: 'application/pdf',
+      encrypted: false,
+      versionNumber: 1
+    });
+    expect(ipfsService.blobs.get(cid).pinned).toBe(true);
+
+    const file = await FileMetadata.findOne({ fileId: res.body.data.fileId });
+    expect(file.tags).toEqual(['finance']);
+    expect(file.currentVersion.sha256Hash).toBe(res.body.data.sha256Hash);
+
+    const download = await request(app)
+      .get(`/api/files/download/${file.fileId}`)
+      .set('Authorization', alice)
+      .buffer(true)
+      .parse((stream, callback) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(download.body.toString()).toBe('%PDF-1.4 quarterly report');
+  });
+
+  it('applies the upload rules for duplicates, versions and owners', async () => {
+    const cid = await addExternal('{"rows": 3}');
+    const first = await importCid(alice, { cid, fileName: 'data.json' }).expect(201);
+    const { fileId } = first.body.data;
+
+    const duplicate = await importCid(alice, { cid, fileName: 'copy.json' });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.data.existingFileId).toBe(fileId);
+
+    // Other owners keep their own record of the same content
+    await importCid(bob, { cid, fileName: 'data.json' }).expect(201);
+
+    const next = await addExternal('{"rows": 4}');
+    const version = await importCid(alice, { cid: next, fileId });
+    expect(version.status).toBe(201);
+    expect(version.body.data).toMatchObject({ fileId, versionNumber: 2, mimeType: 'application/json' });
+
+    const again = await importCid(alice, { cid: next, fileId });
+    expect(again.status).toBe(409);
+    expect(again.body.data.existingVersion).toBe(2);
+
+    await importCid(bob, { cid: next, fileId }).expect(404);
+
+    await importCid(alice, { cid: next, fileName: 'x.json', owner: 'bob' }).expect(403);
+    const forBob = await importCid(admin, { cid: next, fileName: 'x.json', owner: 'bob' });
+    expect(forBob.status).toBe(201);
+    expect(forBob.body.data.owner).toBe('bob');
+  });
+
+  it('leaves content pinned before the import alone when the import is rejected', async () => {
+    await request(app)
+      .put('/api/attributes/project')
+      .set('Authorization', alice)
+      .send({ type: 'string', required: true })
+      .expect(200);
+    const { hash: cid } = await ipfsService.uploadFile(Buffer.from('pinned elsewhere'), { pin: true });
+
+    const res = await importCid(alice, { cid, fileName: 'notes.txt' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid attributes');
+    expect(ipfsService.blobs.get(cid).pinned).toBe(true);
+    expect(await FileMetadata.countDocuments()).toBe(0);
+  });
+
+  it('removes the pin a rejected import added', async () => {
+    await request(app)
+      .put('/api/attributes/project')
+      .set('Authorization', alice)
+      .send({ type: 'string', required: true })
+      .expect(200);
+    const cid = await addExternal('not pinned yet');
+
+    await importCid(alice, { cid, fileName: 'notes.txt' }).expect(400);
+    expect(ipfsService.blobs.get(cid).pinned).toBe(false);
+  });
+
+  it('keeps a pin from before the import when the last file using it is deleted', async () => {
+    const { hash: pinned } = await ipfsService.uploadFile(Buffer.from('pinned elsewhere'), { pin: true });
+    const added = await addExternal('pinned by the import');
+
+    for (const cid of [pinned, added]) {
+      const { fileId } = (await importCid(alice, { cid, fileName: 'notes.txt' }).expect(201)).body.data;
+      await request(app).delete(`/api/files/${fileId}`).set('Authorization', alice).expect(200);
+      const purged = await request(app).delete(`/api/files/trash/${fileId}`).set('Authorization', alice).expect(200);
+      expect(purged.body.data.unpinned).toEqual(cid === added ? [cid] : []);
+    }
+    expect(ipfsService.blobs.get(pinned).pinned).toBe(true);
+    expect(ipfsService.blobs.get(added).pinned).toBe(false);
+
+    // A later upload of the same bytes does not take over the outside pin either
+    const res = await request(app)
+      .post('/api/files/upload')
+      .set('Authorization', bob)
+      .attach('file', Buffer.from('pinned elsewhere'), 'copy.txt')
+      .expect(201);
+    await request(app).delete(`/api/files/${res.body.data.fileId}`).set('Authorization', bob).expect(200);
+    await request(app).delete(`/api/files/trash/${res.body.data.fileId}`).set('Authorization', bob).expect(200);
+    expect(ipfsService.blobs.get(pinned).pinned).toBe(true);
+  });
+
+  it('rejects invalid, missing and oversized content', async () => {
+    await importCid(alice, { cid: 'not-a-cid', fileName: 'x' }).expect(400);
+    await importCid(alice, { cid: await addExternal('x'), fileName: '' }).expect(400);
+    await importCid(alice, { cid: await addExternal('x'), fileName: 'x', encrypt: true }).expect(400);
+
+    const missing = await importCid(alice, { cid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG', fileName: 'x' });
+    expect(missing.status).toBe(404);
+
+    // MAX_UPLOAD_SIZE_MB is 1 in tests
+    const big = await addExternal(Buffer.alloc(1024 * 1024 + 1));
+    const tooLarge = await importCid(alice, { cid: big, fileName: 'big.bin' });
+    expect(tooLarge.status).toBe(413);
+    expect(ipfsService.blobs.get(big).pinned).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+const ContentBlob = require('../../src/models/contentBlob');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Purge routes', () => {
+  let admin;
+  let alice;
+
+  const upload = (content) => request(app)
+    .post('/api/files/upload')
+    .set('Authorization', alice)
+    .attach('file', Buffer.from(content), 'notes.txt');
+
+  // Soft delete a file and backdate its deletion
+  const deleteDaysAgo = async (fileId, days) => {
+    await request(app).delete(`/api/files/${fileId}`).set('Authorization', alice).expect(200);
+    await FileMetadata.updateOne({ fileId }, { deletedAt: new Date(Date.now() - days * DAY_MS) });
+  };
+
+  beforeAll(db.connect);
+
+  beforeEach(async () => {
+    admin = await createUserWithToken('admin');
+    alice = await createUserWithToken('alice');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  it('is restricted to administrators', async () => {
+    const res = await request(app).get('/api/files/system/purge').set('Authorization', alice);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('records when a file was soft deleted', async () => {
+    const { body } = await upload('short-lived');
+    await request(app).delete(`/api/files/${body.data.fileId}`).set('Authorization', alice).expect(200);
+
+    const file = await FileMetadata.findOne({ fileId: body.data.fileId });
+    expect(file.isActive).toBe(false);
+    expect(file.deletedAt).toBeInstanceOf(Date);
+    expect(file.deletedBy).toBe('alice');
+  });
+
+  it('reports expired files without changing anything', async () => {
+    const expired = (await upload('expired')).body.data;
+    const recent = (await upload('recent')).body.data;
+    await deleteDaysAgo(expired.fileId, 40);
+    await deleteDaysAgo(recent.fileId, 1);
+
+    const res = await request(app).get('/api/files/system/purge').set('Authorization', admin);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.dryRun).toBe(true);
+    expect(res.body.data.files.map(f => f.fileId)).toEqual([expired.fileId]);
+    expect(res.body.data.cids).toEqual([{ ipfsHash: expired.ipfsHash, size: 7, fileIds: [expired.fileId] }]);
+    expect(res.body.data.reclaimableBytes).toBe(7);
+    await expect(FileMetadata.exists({ fileId: expired.fileId })).resolves.toBeTruthy();
+    expect(ipfsService.blobs.get(expired.ipfsHash).pinned).toBe(true);
+  });
+
+  it('hard deletes expired files, unpins their content and collects garbage', async () => {
+    const { body } = await upload('expired');
+    await deleteDaysAgo(body.data.fileId, 40);
+
+    const res = await request(app)
+      .post('/api/files/system/purge')
+      .set('Authorization', admin)
+      .send({ gc: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ dryRun: false, deletedCount: 1, unpinned: [body.data.ipfsHash], gc: { removed: 1 } });
+    await expect(FileMetadata.exists({ fileId: body.data.fileId })).resolves.toBeNull();
+    expect(ipfsService.blobs.has(body.data.ipfsHash)).toBe(false);
+  });
+
+  it('keeps content that another file still references', async () => {
+    const purged = (await upload('v1')).body.data;
+    await request(app)
+      .post(`/api/files/update/${purged.fileId}`)
+      .set('Authorization', alice)
+      .attach('file', Buffer.from('shared'), 'notes.txt')
+      .expect(201);
+    await deleteDaysAgo(purged.fileId, 40);
+
+    // Another file already holds the same content as version 2
+    const sharedCid = (await FileMetadata.findOne({ fileId: purged.fileId })).currentVersion.ipfsHash;
+    await FileMetadata.create({
+      fileId: 'keeper',
+      originalFileName: 'shared.txt',
+      owner: 'alice',
+      versions: [{ versionNumber: 1, sha256Hash: 'a'.repeat(64), ipfsHash: sharedCid, fileSize: 6, mimeType: 'text/plain', uploadedBy: 'alice' }]
+    });
+
+    const res = await request(app).post('/api/files/system/purge').set('Authorization', admin).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.unpinned).toEqual([purged.ipfsHash]);
+    expect(res.body.data.retainedCids.map(c => c.ipfsHash)).toEqual([sharedCid]);
+    expect(ipfsService.blobs.get(sharedCid).pinned).toBe(true);
+  });
+
+  it('rebuilds content reference counts from file versions', async () => {
+    const { body } = await upload('counted');
+    await ContentBlob.updateOne({ ipfsHash: body.data.ipfsHash }, { refCount: 5 });
+    await ContentBlob.create({ ipfsHash: 'orphaned', refCount: 2 });
+
+    const forbidden = await request(app).post('/api/files/system/refcounts/rebuild').set('Authorization', alice);
+    const res = await request(app).post('/api/files/system/refcounts/rebuild').set('Authorization', admin);
+
+    expect(forbidden.status).toBe(403);
+    expect(res.body.data).toEqual({ blobs: 1, corrected: 2 });
+    expect((await ContentBlob.findOne({ ipfsHash: body.data.ipfsHash })).refCount).toBe(1);
+    expect((await ContentBlob.findOne({ ipfsHash: 'orphaned' })).refCount).toBe(0);
+  });
+
+  it('honours a retention override and rejects invalid values', async () => {
+    const { body } = await upload('fresh');
+    await deleteDaysAgo(body.data.fileId, 0);
+
+    const bad = await request(app).get('/api/files/system/purge?retentionDays=-1').set('Authorization', admin);
+    const res = await request(app).get('/api/files/system/purge?retentionDays=0').set('Authorization', admin);
+
+    expect(bad.status).toBe(400);
+    expect(res.body.data.files).toHaveLength(1);
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+
+describe('Retention routes', () => {
+  let admin;
+  let alice;
+  let bob;
+
+  // Upload a file with one version per content item
+  const uploadVersions = async (token, ...contents) => {
+    const { body } = await request(app)
+      .post('/api/files/upload')
+      .set('Authorization', token)
+      .attach('file', Buffer.from(contents[0]), 'notes.txt')
+      .expect(201);
+
+    const hashes = [body.data.ipfsHash];
+    for (const content of contents.slice(1)) {
+      const res = await request(app)
+        .post(`/api/files/update/${body.data.fileId}`)
+        .set('Authorization', token)
+        .attach('file', Buffer.from(content), 'notes.txt')
+        .expect(201);
+      hashes.push(res.body.data.ipfsHash);
+    }
+    return { fileId: body.data.fileId, hashes };
+  };
+
+  const setFilePolicy = (token, fileId, policy) => request(app)
+    .put(`/api/files/${fileId}/retention`)
+    .set('Authorization', token)
+    .send(policy);
+
+  const versionNumbers = async (fileId) => (await FileMetadata.findOne({ fileId })).versions.map(v => v.versionNumber);
+
+  beforeAll(db.connect);
+
+  beforeEach(async () => {
+    admin = await createUserWithToken('admin');
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  describe('default policy', () => {
+    it('stores, returns and removes the caller\'s policy', async () => {
+      const set = await request(app).put('/api/retention').set('Authorization', alice).send({ keepLast: 3, keepFirstPer: 'week' });
+      const get = await request(app).get('/api/retention').set('Authorization', alice);
+      await request(app).delete('/api/retention').set('Authorization', alice).expect(200);
+      const cleared = await request(app).get('/api/retention').set('Authorization', alice);
+
+      expect(set.status).toBe(200);
+      expect(get.body.data.policy).toMatchObject({ keepLast: 3, keepFirstPer: 'week', updatedBy: 'alice' });
+      expect(cleared.body.data.policy).toBeNull();
+    });
+
+    it('rejects invalid policies', async () => {
+      const send = (policy) => request(app).put('/api/retention').set('Authorization', alice).send(policy);
+
+      expect((await send({})).status).toBe(400);
+      expect((await send({ keepLast: 0 })).status).toBe(400);
+      expect((await send({ keepLast: 1.5 })).status).toBe(400);
+      expect((await send({ keepDays: -1 })).status).toBe(400);
+      expect((await send({ keepFirstPer: 'month' })).status).toBe(400);
+    });
+  });
+
+  describe('file policy', () => {
+    it('previews prunable versions with the owner default or the file override', async () => {
+      const { fileId } = await uploadVersions(alice, 'v1', 'v2', 'v3', 'v4');
+      await request(app).put('/api/retention').set('Authorization', alice).send({ keepLast: 3 });
+
+      const inherited = await request(app).get(`/api/files/${fileId}/retention`).set('Authorization', alice);
+      await setFilePolicy(alice, fileId, { keepLast: 1 }).expect(200);
+      const overridden = await request(app).get(`/api/files/${fileId}/retention`).set('Authorization', alice);
+
+      expect(inherited.body.data).toMatchObject({ policySource: 'owner', filePolicy: null });
+      expect(inherited.body.data.prunableVersions.map(v => v.versionNumber)).toEqual([1]);
+      expect(overridden.body.data.policySource).toBe('file');
+      expect(overridden.body.data.prunableVersions.map(v => v.versionNumber)).toEqual([1, 2, 3]);
+      expect(await versionNumbers(fileId)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('is managed by the owner only', async () => {
+      const { fileId } = await uploadVersions(alice, 'v1');
+      await request(app)
+        .post(`/api/files/${fileId}/acl`)
+        .set('Authorization', alice)
+        .send({ principal: 'bob', role: 'editor' });
+
+      expect((await setFilePolicy(bob, fileId, { keepLast: 1 })).status).toBe(404);
+      expect((await request(app).get(`/api/files/${fileId}/retention`).set('Authorization', bob)).status).toBe(404);
+    });
+  });
+
+  describe('pruning', () => {
+    it('removes pruned versions and unpins their content', async () => {
+      const { fileId, hashes } = await uploadVersions(alice, 'v1', 'v2', 'v3');
+      await setFilePolicy(alice, fileId, { keepLast: 1 }).expect(200);
+
+      const res = await request(app).post(`/api/files/${fileId}/retention/apply`).set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.remainingVersions).toEqual([3]);
+      expect(res.body.data.unpinned.sort()).toEqual([hashes[0], hashes[1]].sort());
+      expect(ipfsService.blobs.get(hashes[0]).pinned).toBe(false);
+      expect(ipfsService.blobs.get(hashes[2]).pinned).toBe(true);
+    });
+
+    it('keeps protected versions', async () => {
+      const { fileId, hashes } = await uploadVersions(alice, 'v1', 'v2', 'v3');
+      await request(app).post(`/api/files/${fileId}/versions/1/protect`).set('Authorization', alice).expect(200);
+      await setFilePolicy(alice, fileId, { keepLast: 1 }).expect(200);
+
+      await request(app).post(`/api/files/${fileId}/retention/apply`).set('Authorization', alice).expect(200);
+
+      expect(await versionNumbers(fileId)).toEqual([1, 3]);
+      expect(ipfsService.blobs.get(hashes[0]).pinned).toBe(true);
+
+      await request(app).delete(`/api/files/${fileId}/versions/1/protect`).set('Authorization', alice).expect(200);
+      await request(app).post(`/api/files/${fileId}/retention/apply`).set('Authorization', alice).expect(200);
+      expect(await versionNumbers(fileId)).toEqual([3]);
+    });
+
+    it('keeps content still used by a remaining version', async () => {
+      const { fileId, hashes } = await uploadVersions(alice, 'v1', 'v2');
+      await request(app).post(`/api/files/rollback/${fileId}/1`).set('Authorization', alice).expect(201);
+      await setFilePolicy(alice, fileId, { keepLast: 1 }).expect(200);
+
+      const res = await request(app).post(`/api/files/${fileId}/retention/apply`).set('Authorization', alice);
+
+      expect(res.body.data.remainingVersions).toEqual([3]);
+      expect(res.body.data.unpinned).toEqual([hashes[1]]);
+      expect(ipfsService.blobs.get(hashes[0]).pinned).toBe(true);
+    });
+
+    it('continues version numbers after pruning', async () => {
+      const { fileId } = await uploadVersions(alice, 'v1', 'v2');
+      await setFilePolicy(alice, fileId, { keepLast: 1 }).expect(200);
+      await request(app).post(`/api/files/${fileId}/retention/apply`).set('Authorization', alice).expect(200);
+
+      const res = await request(app)
+        .post(`/api/files/update/${fileId}`)
+        .set('Authorization', alice)
+        .attach('file', Buffer.from('v3'), 'notes.txt');
+
+      expect(res.body.data.versionNumber).toBe(3);
+    });
+
+    it('applies every policy through the admin job', async () => {
+      const own = await uploadVersions(alice, 'a1', 'a2', 'a3');
+      const other = await uploadVersions(bob, 'b1', 'b2');
+      await request(app).put('/api/retention').set('Authorization', alice).send({ keepLast: 2 });
+
+      const forbidden = await request(app).post('/api/files/system/prune').set('Authorization', alice).send({});
+      const dryRun = await request(app).post('/api/files/system/prune').set('Authorization', admin).send({ dryRun: true });
+      const res = await request(app).post('/api/files/system/prune').set('Authorization', admin).send({});
+
+      expect(forbidden.status).toBe(403);
+      expect(dryRun.body.data).toMatchObject({ dryRun: true, prunedVersions: 1 });
+      expect(res.body.data).toMatchObject({ dryRun: false, scannedFiles: 1, prunedVersions: 1, unpinnedCids: 1 });
+      expect(await versionNumbers(own.fileId)).toEqual([2, 3]);
+      expect(await versionNumbers(other.fileId)).toEqual([1, 2]);
+    });
+  });
+});
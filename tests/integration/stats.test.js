@@ -0,0 +1,174 @@
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const FileMetadata = require('../../src/models/fileMetadata');
+
+describe('Facets and statistics', () => {
+  let admin;
+  let alice;
+  let bob;
+
+  const upload = (token, content, fileName, tags) => {
+    const req = request(app)
+      .post('/api/files/upload')
+      .set('Authorization', token)
+      .attach('file', Buffer.from(content), fileName);
+    if (tags) {
+      req.field('tags', tags);
+    }
+    return req;
+  };
+
+  const addVersion = (token, fileId, content) => request(app)
+    .post(`/api/files/update/${fileId}`)
+    .set('Authorization', token)
+    .attach('file', Buffer.from(content), 'notes.txt');
+
+  beforeAll(async () => {
+    await db.connect();
+    await FileMetadata.init();
+  });
+
+  beforeEach(async () => {
+    admin = await createUserWithToken('admin');
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+  });
+
+  afterAll(db.close);
+
+  describe('facets', () => {
+    beforeEach(async () => {
+      await upload(alice, 'quarterly report', 'report.txt', 'finance,q1').expect(201);
+      await upload(alice, '{"report": true}', 'report.json', 'finance').expect(201);
+      await upload(alice, 'x'.repeat(2048), 'notes.txt', 'misc').expect(201);
+    });
+
+    it('counts the whole result set, not just the page', async () => {
+      const res = await request(app)
+        .get('/api/files/owner/alice?limit=1&facets=true')
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.files).toHaveLength(1);
+      const { facets } = res.body.data;
+      expect(facets.tags).toEqual([
+        { value: 'finance', count: 2 },
+        { value: 'misc', count: 1 },
+        { value: 'q1', count: 1 }
+      ]);
+      expect(facets.mimeType).toEqual(expect.arrayContaining([
+        { value: 'application/json', count: 1 },
+        { value: 'text/plain', count: 2 }
+      ]));
+      expect(facets.owner).toEqual([{ value: 'alice', count: 3 }]);
+      expect(facets.size).toEqual([
+        { value: '< 1 KB', count: 2 },
+        { value: '1 KB - 100 KB', count: 1 }
+      ]);
+      const month = new Date().toISOString().slice(0, 7);
+      expect(facets.uploadDate).toEqual([{ value: month, count: 3 }]);
+    });
+
+    it('computes requested facets for search results', async () => {
+      const res = await request(app)
+        .get('/api/files/system/search?query=report&facets=tags,uploadDate&dateInterval=year')
+        .set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(Object.keys(res.body.data.facets)).toEqual(['tags', 'uploadDate']);
+      expect(res.body.data.facets.tags).toEqual([
+        { value: 'finance', count: 2 },
+        { value: 'q1', count: 1 }
+      ]);
+      expect(res.body.data.facets.uploadDate).toEqual([{ value: String(new Date().getUTCFullYear()), count: 2 }]);
+    });
+
+    it('only counts files the caller can see', async () => {
+      await upload(bob, 'bob report', 'report-bob.txt', 'secret').expect(201);
+
+      const res = await request(app)
+        .get('/api/files/system/search?query=report&facets=tags,owner')
+        .set('Authorization', alice);
+
+      expect(res.body.data.facets.owner).toEqual([{ value: 'alice', count: 2 }]);
+      expect(res.body.data.facets.tags.map(t => t.value)).not.toContain('secret');
+    });
+
+    it('is omitted unless requested', async () => {
+      const res = await request(app).get('/api/files/owner/alice').set('Authorization', alice);
+
+      expect(res.body.data.facets).toBeUndefined();
+    });
+
+    it('rejects unknown facets and intervals', async () => {
+      const unknown = await request(app).get('/api/files/owner/alice?facets=tags,colour').set('Authorization', alice);
+      const interval = await request(app).get('/api/files/owner/alice?facets=true&dateInterval=hour').set('Authorization', alice);
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toMatch(/colour/);
+      expect(interval.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/files/system/stats', () => {
+    let small;
+    let versioned;
+
+    beforeEach(async () => {
+      small = (await upload(alice, 'tiny', 'tiny.txt')).body.data;
+      versioned = (await upload(alice, 'v1', 'notes.txt')).body.data;
+      await addVersion(alice, versioned.fileId, 'version two').expect(201);
+      await addVersion(alice, versioned.fileId, 'version three!').expect(201);
+      await upload(bob, 'bob data', 'bob.txt').expect(201);
+    });
+
+    it('reports the caller\'s own files', async () => {
+      const res = await request(app).get('/api/files/system/stats').set('Authorization', alice);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.totals).toEqual({ files: 2, versions: 4, currentBytes: 18, totalBytes: 31 });
+      expect(res.body.data.owners).toHaveLength(1);
+
+      const [owner] = res.body.data.owners;
+      expect(owner).toMatchObject({ owner: 'alice', files: 2, versions: 4, currentBytes: 18, totalBytes: 31 });
+      expect(owner.largestFiles.map(f => f.fileId)).toEqual([versioned.fileId, small.fileId]);
+      expect(owner.mostVersionedFiles[0]).toEqual({
+        fileId: versioned.fileId,
+        originalFileName: 'notes.txt',
+        size: 14,
+        versionCount: 3
+      });
+    });
+
+    it('lets administrators see every owner or pick one', async () => {
+      const all = await request(app).get('/api/files/system/stats').set('Authorization', admin);
+      const one = await request(app).get('/api/files/system/stats?owner=bob&top=1').set('Authorization', admin);
+
+      expect(all.body.data.totals.files).toBe(3);
+      expect(all.body.data.owners.map(o => o.owner)).toEqual(['alice', 'bob']);
+      expect(one.body.data.owners).toEqual([expect.objectContaining({ owner: 'bob', files: 1, totalBytes: 8 })]);
+    });
+
+    it('hides other owners from non-administrators', async () => {
+      const res = await request(app).get('/api/files/system/stats?owner=bob').set('Authorization', alice);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('excludes deleted files', async () => {
+      await request(app).delete(`/api/files/${versioned.fileId}`).set('Authorization', alice).expect(200);
+
+      const res = await request(app).get('/api/files/system/stats').set('Authorization', alice);
+
+      expect(res.body.data.totals).toEqual({ files: 1, versions: 1, currentBytes: 4, totalBytes: 4 });
+    });
+  });
+});
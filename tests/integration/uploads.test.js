@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createUserWithToken } = require('../helpers/auth');
+const app = require('../../src/app');
+const ipfsService = require('../../src/services/ipfsService');
+const uploadService = require('../../src/services/uploadService');
+const FileMetadata = require('../../src/models/fileMetadata');
+const UploadSession = require('../../src/models/uploadSession');
+
+describe('Resumable uploads', () => {
+  let alice;
+  let bob;
+
+  const start = (token, body) =>
+    request(app).post('/api/uploads').set('Authorization', token).send(body);
+
+  const sendChunk = (token, uploadId, offset, data) =>
+    request(app)
+      .put(`/api/uploads/${uploadId}`)
+      .set('Authorization', token)
+      .set('Content-Type', 'application/octet-stream')
+      .set('Upload-Offset', String(offset))
+      .send(data);
+
+  const complete = (token, uploadId) =>
+    request(app).post(`/api/uploads/${uploadId}/complete`).set('Authorization', token);
+
+  // Upload content in one chunk and complete it
+  const uploadWhole = async (token, fields, content) => {
+    const created = await start(token, { size: content.length, ...fields }).expect(201);
+    const { uploadId } = created.body.data;
+    await sendChunk(token, uploadId, 0, content).expect(200);
+    return complete(token, uploadId);
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+    await Promise.all([FileMetadata.init(), UploadSession.init()]);
+  });
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    ipfsService.blobs.clear();
+    await fs.promises.rm(uploadService.stagingDir, { recursive: true, force: true });
+  });
+
+  afterAll(db.close);
+
+  it('assembles chunks into a new file that can be downloaded', async () => {
+    const content = crypto.randomBytes(5000);
+    const sha256Hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    const created = await start(alice, { fileName: 'data.bin', size: content.length, sha256Hash, tags: 'raw,large' });
+    expect(created.status).toBe(201);
+    expect(created.headers['upload-offset']).toBe('0');
+    const { uploadId } = created.body.data;
+    expect(created.headers.location).toBe(`/api/uploads/${uploadId}`);
+
+    const first = await sendChunk(alice, uploadId, 0, content.subarray(0, 2000));
+    expect(first.status).toBe(200);
+    expect(first.body.data.offset).toBe(2000);
+
+    // A resent chunk is rejected with the offset to resume from
+    const repeated = await sendChunk(alice, uploadId, 0, content.subarray(0, 2000));
+    expect(repeated.status).toBe(409);
+    expect(repeated.headers['upload-offset']).toBe('2000');
+
+    const status = await request(app).get(`/api/uploads/${uploadId}`).set('Authorization', alice);
+    expect(status.status).toBe(200);
+    expect(status.headers['upload-offset']).toBe('2000');
+
+    const early = await complete(alice, uploadId);
+    expect(early.status).toBe(409);
+
+    await sendChunk(alice, uploadId, 2000, content.subarray(2000)).expect(200);
+    const res = await complete(alice, uploadId);
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ originalFileName: 'data.bin', owner: 'alice', sha256Hash, fileSize: 5000, versionNumber: 1 });
+
+    const file = await FileMetadata.findOne({ fileId: res.body.data.fileId });
+    expect(file.tags).toEqual(['raw', 'large']);
+
+    const download = await request(app)
+      .get(`/api/files/download/${res.body.data.fileId}`)
+      .set('Authorization', alice)
+      .buffer(true)
+      .parse((stream, callback) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(download.status).toBe(200);
+    expect(Buffer.compare(download.body, content)).toBe(0);
+
+    // The session and its staged bytes are gone
+    expect(await UploadSession.countDocuments()).toBe(0);
+    expect(fs.readdirSync(uploadService.stagingDir)).toEqual([]);
+  });
+
+  it('adds a new version, keeping the current encryption mode', async () => {
+    const first = await uploadWhole(alice, { fileName: 'report.txt', encrypt: true }, Buffer.from('draft'));
+    expect(first.status).toBe(201);
+    const { fileId } = first.body.data;
+
+    const res = await uploadWhole(alice, { fileId }, Buffer.from('final'));
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ fileId, versionNumber: 2, encrypted: true, uploadedBy: 'alice' });
+
+    const same = await uploadWhole(alice, { fileId }, Buffer.from('final'));
+    expect(same.status).toBe(409);
+    expect(same.body.data.existingVersion).toBe(2);
+
+    // Others cannot start a version of a file they cannot edit
+    const denied = await start(bob, { fileId, size: 5 });
+    expect(denied.status).toBe(404);
+  });
+
+  it('rejects duplicate content and content that does not match the declared hash', async () => {
+    const first = await uploadWhole(alice, { fileName: 'a.txt' }, Buffer.from('same bytes'));
+    expect(first.status).toBe(201);
+
+    const duplicate = await uploadWhole(alice, { fileName: 'b.txt' }, Buffer.from('same bytes'));
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.data.existingFileId).toBe(first.body.data.fileId);
+
+    const mismatch = await uploadWhole(alice, { fileName: 'c.txt', sha256Hash: 'a'.repeat(64) }, Buffer.from('other'));
+    expect(mismatch.status).toBe(400);
+    expect(await FileMetadata.countDocuments()).toBe(1);
+    expect(await UploadSession.countDocuments()).toBe(0);
+  });
+
+  it('keeps sessions private and lets their creator cancel them', async () => {
+    const created = await start(alice, { fileName: 'x.bin', size: 10 }).expect(201);
+    const { uploadId } = created.body.data;
+
+    await request(app).get(`/api/uploads/${uploadId}`).set('Authorization', bob).expect(404);
+    await sendChunk(bob, uploadId, 0, Buffer.alloc(10)).expect(404);
+
+    await request(app).delete(`/api/uploads/${uploadId}`).set('Authorization', alice).expect(200);
+    await request(app).get(`/api/uploads/${uploadId}`).set('Authorization', alice).expect(404);
+    expect(fs.existsSync(uploadService.stagingPath(uploadId))).toBe(false);
+  });
+
+  it('expires idle sessions and deletes their bytes', async () => {
+    const created = await start(alice, { fileName: 'x.bin', size: 10 }).expect(201);
+    const { uploadId } = created.body.data;
+    await sendChunk(alice, uploadId, 0, Buffer.alloc(4)).expect(200);
+
+    await UploadSession.updateOne({ uploadId }, { expiresAt: new Date(Date.now() - 1000) });
+    await request(app).get(`/api/uploads/${uploadId}`).set('Authorization', alice).expect(404);
+
+    expect(await uploadService.expireSessions()).toBe(1);
+    expect(await UploadSession.countDocuments()).toBe(0);
+    expect(fs.existsSync(uploadService.stagingPath(uploadId))).toBe(false);
+  });
+
+  it('validates sessions and chunks', async () => {
+    await start(alice, { size: 10 }).expect(400);
+    await start(alice, { fileName: 'x.bin', size: 0 }).expect(400);
+    await start(alice, { fileName: 'x.bin', size: 10, sha256Hash: 'nope' }).expect(400);
+
+    const created = await start(alice, { fileName: 'x.bin', size: 10 }).expect(201);
+    const { uploadId } = created.body.data;
+
+    const json = await request(app)
+      .put(`/api/uploads/${uploadId}`)
+      .set('Authorization', alice)
+      .set('Upload-Offset', '0')
+      .send({ data: 'not raw' });
+    expect(json.status).toBe(415);
+
+    const noOffset = await request(app)
+      .put(`/api/uploads/${uploadId}`)
+      .set('Authorization', alice)
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.alloc(4));
+    expect(noOffset.status).toBe(400);
+
+    const tooLong = await sendChunk(alice, uploadId, 0, Buffer.alloc(11));
+    expect(tooLong.status).toBe(413);
+    expect(tooLong.headers['upload-offset']).toBe('0');
+  });
+});
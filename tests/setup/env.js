@@ -0,0 +1,13 @@
+// Test configuration, loaded by Jest before any module is required
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_MASTER_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+process.env.MAX_UPLOAD_SIZE_MB = '1';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+process.env.UPLOAD_RATE_LIMIT_MAX = '100000';
+process.env.DOWNLOAD_RATE_LIMIT_MAX = '100000';
+process.env.DIFF_RATE_LIMIT_MAX = '100000';
+process.env.AUTH_RATE_LIMIT_MAX = '100000';
+process.env.ADMIN_USER_IDS = 'admin';
+process.env.UPLOAD_STAGING_PATH = require('path').join(require('os').tmpdir(), 'file-manager-test-uploads');
@@ -0,0 +1,139 @@
+const { crc32, createTarWriter, createZipWriter } = require('../../src/utils/archiveUtils');
+
+// Read back the entries of a tar archive: { name, data }
+const readTar = (archive) => {
+  const entries = [];
+  let longName = null;
+  for (let offset = 0; offset < archive.length && archive[offset] !== 0;) {
+    const header = archive.subarray(offset, offset + 512);
+    const size = parseInt(header.toString('ascii', 124, 135), 8);
+    const data = archive.subarray(offset + 512, offset + 512 + size);
+    const type = header.toString('ascii', 156, 157);
+
+    if (type === 'x') {
+      longName = data.toString().match(/path=(.*)\n/)[1];
+    } else {
+      entries.push({ name: longName || header.toString('utf8', 0, 100).replace(/\0.*$/, ''), data, header });
+      longName = null;
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+};
+
+// Read back the entries of a zip archive through its central directory: { name, data, crc }
+const readZip = (archive) => {
+  const end = archive.subarray(archive.length - 22);
+  const count = end.readUInt16LE(10);
+  let offset = end.readUInt32LE(16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const local = archive.readUInt32LE(offset + 42);
+    const size = archive.readUInt32LE(offset + 24);
+    const dataStart = local + 30 + archive.readUInt16LE(local + 26);
+    entries.push({
+      name: archive.toString('utf8', offset + 46, offset + 46 + nameLength),
+      data: archive.subarray(dataStart, dataStart + size),
+      crc: archive.readUInt32LE(offset + 16)
+    });
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('archiveUtils', () => {
+  describe('crc32', () => {
+    it('matches known checksums', () => {
+      expect(crc32(Buffer.from('hello'))).toBe(0x3610a686);
+      expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+
+    it('continues a checksum chunk by chunk', () => {
+      expect(crc32(Buffer.from('llo'), crc32(Buffer.from('he')))).toBe(0x3610a686);
+    });
+  });
+
+  describe('createTarWriter', () => {
+    it('writes block-aligned entries with valid checksums', () => {
+      const writer = createTarWriter();
+      const archive = Buffer.concat([
+        writer.addEntry('files/a.txt', Buffer.from('hello'), new Date('2025-01-01T00:00:00Z')),
+        writer.addEntry('manifest.json', Buffer.from('{}')),
+        writer.finish()
+      ]);
+
+      expect(archive.length % 512).toBe(0);
+      const entries = readTar(archive);
+      expect(entries.map(e => [e.name, e.data.toString()])).toEqual([['files/a.txt', 'hello'], ['manifest.json', '{}']]);
+
+      const { header } = entries[0];
+      const stored = parseInt(header.toString('ascii', 148, 154), 8);
+      const computed = Buffer.concat([header.subarray(0, 148), Buffer.alloc(8, ' '), header.subarray(156)])
+        .reduce((sum, byte) => sum + byte, 0);
+      expect(stored).toBe(computed);
+      expect(parseInt(header.toString('ascii', 136, 147), 8)).toBe(Date.parse('2025-01-01T00:00:00Z') / 1000);
+    });
+
+    it('carries long names in an extended header', () => {
+      const writer = createTarWriter();
+      const name = `files/${'nested/'.repeat(20)}ünïcode.txt`;
+      const entries = readTar(Buffer.concat([writer.addEntry(name, Buffer.from('x')), writer.finish()]));
+      expect(entries.map(e => e.name)).toEqual([name]);
+    });
+
+    it('streams an entry given its size up front', () => {
+      const writer = createTarWriter();
+      const archive = Buffer.concat([
+        writer.startEntry('files/a.txt', 5),
+        Buffer.from('hel'),
+        Buffer.from('lo'),
+        writer.endEntry(5),
+        writer.finish()
+      ]);
+
+      expect(archive.length % 512).toBe(0);
+      expect(readTar(archive).map(e => [e.name, e.data.toString()])).toEqual([['files/a.txt', 'hello']]);
+    });
+  });
+
+  describe('createZipWriter', () => {
+    it('writes stored entries listed in the central directory', () => {
+      const writer = createZipWriter();
+      const archive = Buffer.concat([
+        writer.addEntry('files/a.txt', Buffer.from('hello')),
+        writer.addEntry('files/ü.txt', Buffer.from('')),
+        writer.finish()
+      ]);
+
+      expect(readZip(archive)).toEqual([
+        { name: 'files/a.txt', data: Buffer.from('hello'), crc: 0x3610a686 },
+        { name: 'files/ü.txt', data: Buffer.alloc(0), crc: 0 }
+      ]);
+    });
+
+    it('streams an entry given its size and checksum up front', () => {
+      const writer = createZipWriter();
+      const chunks = [Buffer.from('hel'), Buffer.from('lo')];
+      const archive = Buffer.concat([
+        writer.startEntry('files/a.txt', 5, new Date(), crc32(chunks[1], crc32(chunks[0]))),
+        ...chunks,
+        writer.endEntry(5),
+        writer.addEntry('manifest.json', Buffer.from('{}')),
+        writer.finish()
+      ]);
+
+      expect(readZip(archive).map(e => [e.name, e.data.toString(), e.crc])).toEqual([
+        ['files/a.txt', 'hello', 0x3610a686],
+        ['manifest.json', '{}', crc32(Buffer.from('{}'))]
+      ]);
+    });
+
+    it('refuses an entry that would take the archive past 4 GiB before writing it', () => {
+      const writer = createZipWriter();
+      expect(() => writer.startEntry('files/big.bin', 0xffffffff)).toThrow(/over 4 GiB/);
+      expect(readZip(writer.finish())).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  parseAttributeInput,
+  coerceValue,
+  validateAttributes,
+  mergeAttributes,
+  buildAttributeFilter
+} = require('../../src/utils/attributeUtils');
+
+const DEFINITIONS = [
+  { name: 'project', type: 'string', required: true },
+  { name: 'department', type: 'string', enum: ['finance', 'legal'] },
+  { name: 'budget', type: 'number' },
+  { name: 'reviewDue', type: 'date' }
+];
+
+describe('attributeUtils', () => {
+  describe('parseAttributeInput', () => {
+    it('accepts objects and JSON object strings', () => {
+      expect(parseAttributeInput({ a: 1 })).toEqual({ attributes: { a: 1 } });
+      expect(parseAttributeInput('{"a":1}')).toEqual({ attributes: { a: 1 } });
+      expect(parseAttributeInput('[1]').error).toBeDefined();
+      expect(parseAttributeInput('not json').error).toBeDefined();
+    });
+  });
+
+  describe('coerceValue', () => {
+    it('converts form strings to the defined type', () => {
+      expect(coerceValue('42', 'number')).toEqual({ value: 42 });
+      expect(coerceValue('false', 'boolean')).toEqual({ value: false });
+      expect(coerceValue('2025-03-01', 'date').value).toEqual(new Date('2025-03-01'));
+      expect(coerceValue('abc', 'number').error).toBeDefined();
+      expect(coerceValue(1, 'string').error).toBeDefined();
+    });
+  });
+
+  describe('validateAttributes', () => {
+    it('types defined attributes and keeps free-form scalars', () => {
+      const result = validateAttributes({ project: 'apollo', budget: '1200', color: 'blue', urgent: true }, DEFINITIONS);
+
+      expect(result).toEqual({ attributes: { project: 'apollo', budget: 1200, color: 'blue', urgent: true } });
+    });
+
+    it('reports every problem', () => {
+      const { errors } = validateAttributes({ department: 'sales', budget: 'lots', nested: { a: 1 }, 'bad.name': 'x' }, DEFINITIONS);
+
+      expect(errors).toEqual([
+        'Attribute "department" must be one of: finance, legal',
+        'Attribute "budget" must be a number',
+        'Attribute "nested" must be a string, number or boolean',
+        'Invalid attribute name "bad.name"',
+        'Attribute "project" is required'
+      ]);
+    });
+  });
+
+  describe('mergeAttributes', () => {
+    it('sets values and removes nulls', () => {
+      expect(mergeAttributes({ a: 1, b: 2 }, { b: null, c: 3 })).toEqual({ a: 1, c: 3 });
+    });
+  });
+
+  describe('buildAttributeFilter', () => {
+    it('builds equality and range conditions with defined types', () => {
+      const { conditions } = buildAttributeFilter({
+        project: 'apollo',
+        budget: { gte: '1000', lt: '5000' },
+        reviewDue: { lte: '2025-06-30' }
+      }, DEFINITIONS);
+
+      expect(conditions).toEqual({
+        'attributes.project': { $in: ['apollo'] },
+        'attributes.budget': { $gte: 1000, $lt: 5000 },
+        'attributes.reviewDue': { $lte: new Date('2025-06-30') }
+      });
+    });
+
+    it('matches undefined attributes by their raw and inferred values', () => {
+      const { conditions } = buildAttributeFilter({ size: '10', tier: { in: 'gold,2' }, score: { gt: '3.5' } });
+
+      expect(conditions).toEqual({
+        'attributes.size': { $in: ['10', 10] },
+        'attributes.tier': { $in: ['gold', '2', 2] },
+        'attributes.score': { $gt: 3.5 }
+      });
+    });
+
+    it('rejects unknown operators, unsafe names and non-string values', () => {
+      expect(buildAttributeFilter({ budget: { regex: '.*' } }).error).toMatch('Unknown operator');
+      expect(buildAttributeFilter({ $where: '1' }).error).toMatch('Invalid attribute name');
+      expect(buildAttributeFilter({ budget: { gte: { $ne: 1 } } }).error).toMatch('Invalid value');
+      expect(buildAttributeFilter({ budget: { gte: 'abc' } }, DEFINITIONS).error).toMatch('must be a number');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { mapWithConcurrency, createKeyedQueue } = require('../../src/utils/batchUtils');
+
+const tick = (ms = 1) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('batchUtils', () => {
+  describe('mapWithConcurrency', () => {
+    it('keeps input order and never exceeds the limit', async () => {
+      let running = 0;
+      let peak = 0;
+
+      const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (ms, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await tick(ms);
+        running--;
+        return `${index}:${ms}`;
+      });
+
+      expect(results).toEqual(['0:5', '1:1', '2:4', '3:2', '4:3']);
+      expect(peak).toBe(2);
+    });
+
+    it('handles empty input', async () => {
+      await expect(mapWithConcurrency([], 4, async () => 1)).resolves.toEqual([]);
+    });
+  });
+
+  describe('createKeyedQueue', () => {
+    it('runs tasks with the same key one after another', async () => {
+      const enqueue = createKeyedQueue();
+      const events = [];
+      const task = (name, ms) => async () => {
+        events.push(`start ${name}`);
+        await tick(ms);
+        events.push(`end ${name}`);
+        return name;
+      };
+
+      const results = await Promise.all([
+        enqueue('a', task('a1', 5)),
+        enqueue('b', task('b1', 1)),
+        enqueue('a', task('a2', 1))
+      ]);
+
+      expect(results).toEqual(['a1', 'b1', 'a2']);
+      expect(events.indexOf('start a2')).toBeGreaterThan(events.indexOf('end a1'));
+      expect(events.indexOf('start b1')).toBeLessThan(events.indexOf('end a1'));
+    });
+
+    it('continues after a failed task', async () => {
+      const enqueue = createKeyedQueue();
+
+      const failed = enqueue('a', async () => { throw new Error('boom'); });
+      const next = enqueue('a', async () => 'ok');
+
+      await expect(failed).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('ok');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  CATALOG_FORMAT,
+  CATALOG_VERSION,
+  buildCatalogFilter,
+  toCatalogEntry,
+  encodeManifest,
+  decodeManifest
+} = require('../../src/utils/catalogUtils');
+
+const CID = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+
+const manifestWith = (files) => ({
+  format: CATALOG_FORMAT,
+  version: CATALOG_VERSION,
+  files
+});
+
+const entry = (fileId) => ({
+  fileId,
+  owner: 'alice',
+  originalFileName: 'notes.txt',
+  versions: [{ versionNumber: 1, ipfsHash: CID, fileSize: 5 }]
+});
+
+describe('catalogUtils', () => {
+  describe('buildCatalogFilter', () => {
+    it('selects every file, deleted ones included, by default', () => {
+      expect(buildCatalogFilter()).toEqual({ conditions: {}, filter: { includeDeleted: true } });
+    });
+
+    it('combines owners, fileIds, a date and active files only', () => {
+      const { conditions, filter } = buildCatalogFilter({
+        owner: 'alice',
+        fileIds: ['a', 'a', 'b'],
+        updatedSince: '2025-01-01',
+        includeDeleted: false
+      });
+      expect(conditions).toEqual({
+        owner: { $in: ['alice'] },
+        fileId: { $in: ['a', 'b'] },
+        updatedAt: { $gte: new Date('2025-01-01') },
+        isActive: true
+      });
+      expect(filter.updatedSince).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('rejects unknown fields and bad values', () => {
+      expect(buildCatalogFilter({ tags: ['x'] }).error).toMatch(/Unknown filter field "tags"/);
+      expect(buildCatalogFilter({ owner: [] }).error).toBeDefined();
+      expect(buildCatalogFilter({ updatedSince: 'yesterday' }).error).toBeDefined();
+      expect(buildCatalogFilter({ includeDeleted: 'no' }).error).toBeDefined();
+      expect(buildCatalogFilter([]).error).toBeDefined();
+    });
+  });
+
+  describe('toCatalogEntry', () => {
+    it('drops database IDs and derived search fields', () => {
+      const file = {
+        _id: 'x',
+        __v: 2,
+        attributeText: 'a',
+        searchTerms: ['a'],
+        fileId: 'f1',
+        owner: 'alice',
+        versions: [{ _id: 'v', versionNumber: 1, ipfsHash: CID }]
+      };
+      expect(toCatalogEntry(file, '/projects')).toEqual({
+        fileId: 'f1',
+        owner: 'alice',
+        folderPath: '/projects',
+        versions: [{ versionNumber: 1, ipfsHash: CID }]
+      });
+    });
+  });
+
+  describe('encodeManifest / decodeManifest', () => {
+    const encryption = { algorithm: 'aes-256-gcm', keyId: 'default', wrappedKey: 'd3JhcHBlZA==', iv: 'aXY=', authTag: 'dGFn' };
+    const encryptedEntry = () => ({ ...entry('f1'), versions: [{ ...entry('f1').versions[0], encryption }] });
+
+    it('encrypts manifests with the master key, wrapped data keys included', () => {
+      const stored = encodeManifest(manifestWith([encryptedEntry()]));
+      expect(stored.toString()).not.toContain('alice');
+      expect(stored.toString()).not.toContain(encryption.wrappedKey);
+
+      const { manifest, encrypted } = decodeManifest(stored);
+      expect(encrypted).toBe(true);
+      expect(manifest.wrappedKeys).toBe(true);
+      expect(manifest.files).toEqual([encryptedEntry()]);
+    });
+
+    it('leaves wrapped data keys out of plaintext manifests unless asked to keep them', () => {
+      const plain = decodeManifest(encodeManifest(manifestWith([encryptedEntry()]), { encrypt: false }));
+      expect(plain.encrypted).toBe(false);
+      expect(plain.manifest.wrappedKeys).toBe(false);
+      expect(plain.manifest.files[0].versions[0].encryption).not.toHaveProperty('wrappedKey');
+
+      const withKeys = decodeManifest(encodeManifest(manifestWith([encryptedEntry()]), { encrypt: false, includeKeys: true }));
+      expect(withKeys.manifest.files).toEqual([encryptedEntry()]);
+    });
+
+    it('reports a manifest encrypted with a master key that is not configured', () => {
+      const stored = JSON.parse(encodeManifest(manifestWith([entry('f1')])).toString());
+      stored.encryption.keyId = 'retired';
+      expect(decodeManifest(Buffer.from(JSON.stringify(stored))).error).toMatch(/could not be decrypted: Master key "retired"/);
+    });
+
+    it('rejects content that is not a readable catalog', () => {
+      expect(decodeManifest(Buffer.from('not json')).error).toMatch(/not valid JSON/);
+      expect(decodeManifest(Buffer.from('{"format":"other"}')).error).toMatch(/not a catalog/);
+
+      const newer = { ...manifestWith([]), version: CATALOG_VERSION + 1 };
+      expect(decodeManifest(Buffer.from(JSON.stringify(newer))).error).toMatch(/Unsupported catalog version/);
+
+      const missing = manifestWith([{ fileId: 'f1', owner: 'alice', versions: [] }]);
+      expect(decodeManifest(Buffer.from(JSON.stringify(missing))).error).toMatch(/entry 0/);
+
+      const repeated = manifestWith([entry('f1'), entry('f1')]);
+      expect(decodeManifest(Buffer.from(JSON.stringify(repeated))).error).toMatch(/more than once/);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  isJsonMimeType,
+  isTextMimeType,
+  diffLines,
+  toLineChanges,
+  formatUnifiedDiff,
+  diffJson
+} = require('../../src/utils/diffUtils');
+
+describe('diffUtils', () => {
+  describe('MIME type detection', () => {
+    it('recognises textual and JSON types', () => {
+      expect(isTextMimeType('text/csv')).toBe(true);
+      expect(isTextMimeType('application/json; charset=utf-8')).toBe(true);
+      expect(isTextMimeType('application/vnd.api+json')).toBe(true);
+      expect(isTextMimeType('image/png')).toBe(false);
+      expect(isJsonMimeType('application/json')).toBe(true);
+      expect(isJsonMimeType('text/plain')).toBe(false);
+    });
+  });
+
+  describe('diffLines', () => {
+    it('finds the minimal set of added and removed lines', () => {
+      const { ops, additions, deletions, approximate } = diffLines('a\nb\nc\nd\n', 'a\nc\nd\ne\n');
+
+      expect(ops.map(op => `${op.type[0]}${op.line}`)).toEqual(['ea', 'rb', 'ec', 'ed', 'ae']);
+      expect({ additions, deletions, approximate }).toEqual({ additions: 1, deletions: 1, approximate: false });
+    });
+
+    it('gives up on changes spread over a large text instead of searching for long', () => {
+      // Alternating lines with 800 scattered edits: under the edit distance limit, but
+      // many diagonals of the search have long runs of matching lines
+      const oldLines = Array.from({ length: 100000 }, (_, i) => (i % 2 ? 'x' : 'z'));
+      const newLines = oldLines.map((line, i) => (i % 125 === 60 ? 'y' : line));
+
+      const started = Date.now();
+      const { additions, deletions, approximate } = diffLines(oldLines.join('\n'), newLines.join('\n'));
+
+      expect(approximate).toBe(true);
+      expect(additions).toBe(deletions);
+      expect(Date.now() - started).toBeLessThan(5000);
+    });
+
+    it('handles empty texts', () => {
+      expect(diffLines('', 'new\n').additions).toBe(1);
+      expect(diffLines('old\n', '').deletions).toBe(1);
+      expect(diffLines('', '').ops).toEqual([]);
+    });
+  });
+
+  describe('toLineChanges', () => {
+    it('numbers changed lines in the old and new text', () => {
+      const { ops } = diffLines('a\nb\nc\n', 'a\nB\nc\n');
+
+      expect(toLineChanges(ops)).toEqual([
+        { type: 'remove', oldLine: 2, text: 'b' },
+        { type: 'add', newLine: 2, text: 'B' }
+      ]);
+    });
+  });
+
+  describe('formatUnifiedDiff', () => {
+    it('produces hunks with context', () => {
+      const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+      const newText = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10'].join('\n');
+
+      const diff = formatUnifiedDiff(diffLines(oldText, newText).ops, { oldLabel: 'a.txt@v1', newLabel: 'a.txt@v2' });
+
+      expect(diff).toBe([
+        '--- a.txt@v1',
+        '+++ a.txt@v2',
+        '@@ -2,7 +2,7 @@',
+        ' 2', ' 3', ' 4', '-5', '+five', ' 6', ' 7', ' 8',
+        ''
+      ].join('\n'));
+    });
+
+    it('returns an empty string when nothing changed', () => {
+      expect(formatUnifiedDiff(diffLines('same\n', 'same\n').ops)).toBe('');
+    });
+  });
+
+  describe('diffJson', () => {
+    it('reports added, removed and replaced values by JSON Pointer', () => {
+      const changes = diffJson(
+        { name: 'app', port: 80, tags: ['a', 'b'], 'a/b': true },
+        { name: 'app', port: 8080, tags: ['a'], debug: true }
+      );
+
+      expect(changes).toEqual([
+        { op: 'remove', path: '/a~1b', oldValue: true },
+        { op: 'add', path: '/debug', value: true },
+        { op: 'replace', path: '/port', oldValue: 80, value: 8080 },
+        { op: 'remove', path: '/tags/1', oldValue: 'b' }
+      ]);
+    });
+
+    it('replaces values whose type changed', () => {
+      expect(diffJson({ a: [1] }, { a: { 0: 1 } })).toEqual([{ op: 'replace', path: '/a', oldValue: [1], value: { 0: 1 } }]);
+      expect(diffJson([1, 2], [1, 2])).toEqual([]);
+    });
+  });
+});
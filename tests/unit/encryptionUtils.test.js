@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createEncryptionStream, decryptBuffer, unwrapKey } = require('../../src/utils/encryptionUtils');
+
+const OLD_KEY = process.env.ENCRYPTION_MASTER_KEY;
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+// Encrypt a buffer as an upload would
+const encrypt = async (plaintext) => {
+  const cipher = createEncryptionStream();
+  const chunks = [];
+  cipher.on('data', chunk => chunks.push(chunk));
+  await pipeline(Readable.from([plaintext]), cipher);
+  return { ciphertext: Buffer.concat(chunks), encryption: cipher.getEncryptionInfo() };
+};
+
+describe('encryptionUtils', () => {
+  afterEach(() => {
+    process.env.ENCRYPTION_MASTER_KEY = OLD_KEY;
+    delete process.env.ENCRYPTION_KEY_ID;
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+  });
+
+  it('round-trips content with the current master key', async () => {
+    const { ciphertext, encryption } = await encrypt(Buffer.from('secret'));
+    expect(encryption.keyId).toBe('default');
+    expect(decryptBuffer(ciphertext, encryption).toString()).toBe('secret');
+  });
+
+  it('unwraps data keys of a rotated master key by their keyId', async () => {
+    const before = await encrypt(Buffer.from('before rotation'));
+
+    process.env.ENCRYPTION_KEY_ID = '2025-q2';
+    process.env.ENCRYPTION_MASTER_KEY = NEW_KEY;
+    process.env.ENCRYPTION_PREVIOUS_KEYS = `default:${OLD_KEY}`;
+
+    const after = await encrypt(Buffer.from('after rotation'));
+    expect(after.encryption.keyId).toBe('2025-q2');
+
+    expect(decryptBuffer(before.ciphertext, before.encryption).toString()).toBe('before rotation');
+    expect(decryptBuffer(after.ciphertext, after.encryption).toString()).toBe('after rotation');
+  });
+
+  it('names the missing key when a retired key is not configured', async () => {
+    const { encryption } = await encrypt(Buffer.from('secret'));
+
+    process.env.ENCRYPTION_KEY_ID = '2025-q2';
+    process.env.ENCRYPTION_MASTER_KEY = NEW_KEY;
+
+    expect(() => unwrapKey(encryption.wrappedKey, encryption.keyId)).toThrow(/Master key "default" is not configured/);
+  });
+});
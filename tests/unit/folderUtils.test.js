@@ -0,0 +1,63 @@
+const {
+  MAX_DEPTH,
+  validateFolderName,
+  parseFolderPath,
+  formatFolderPath,
+  uniqueEntryName
+} = require('../../src/utils/folderUtils');
+
+describe('folderUtils', () => {
+  describe('validateFolderName', () => {
+    it('accepts ordinary names', () => {
+      expect(validateFolderName('Q3 reports')).toBeNull();
+    });
+
+    it('rejects empty, dotted and slashed names', () => {
+      expect(validateFolderName('  ')).toMatch(/non-empty/);
+      expect(validateFolderName(42)).toMatch(/non-empty/);
+      expect(validateFolderName('..')).toMatch(/"\." or "\.\."/);
+      expect(validateFolderName('a/b')).toMatch(/"\/"/);
+      expect(validateFolderName('x'.repeat(256))).toMatch(/at most 255/);
+    });
+  });
+
+  describe('parseFolderPath', () => {
+    it('splits a path and ignores repeated and trailing slashes', () => {
+      expect(parseFolderPath('/projects//apollo/')).toEqual({ segments: ['projects', 'apollo'] });
+      expect(parseFolderPath('/')).toEqual({ segments: [] });
+    });
+
+    it('rejects relative paths and bad names', () => {
+      expect(parseFolderPath('projects').error).toMatch(/starting with "\/"/);
+      expect(parseFolderPath(undefined).error).toMatch(/starting with "\/"/);
+      expect(parseFolderPath('/projects/../etc').error).toMatch(/"\." or "\.\."/);
+    });
+
+    it('limits the depth', () => {
+      expect(parseFolderPath('/a'.repeat(MAX_DEPTH)).segments).toHaveLength(MAX_DEPTH);
+      expect(parseFolderPath('/a'.repeat(MAX_DEPTH + 1)).error).toMatch(/nested/);
+    });
+  });
+
+  describe('formatFolderPath', () => {
+    it('joins names into an absolute path', () => {
+      expect(formatFolderPath(['projects', 'apollo'])).toBe('/projects/apollo');
+      expect(formatFolderPath([])).toBe('/');
+    });
+  });
+
+  describe('uniqueEntryName', () => {
+    it('numbers clashing names before the extension', () => {
+      const taken = new Set();
+      expect(uniqueEntryName('report.pdf', taken)).toBe('report.pdf');
+      expect(uniqueEntryName('report.pdf', taken)).toBe('report (2).pdf');
+      expect(uniqueEntryName('report.pdf', taken)).toBe('report (3).pdf');
+      expect(uniqueEntryName('.env', taken)).toBe('.env');
+      expect(uniqueEntryName('.env', taken)).toBe('.env (2)');
+    });
+
+    it('replaces slashes', () => {
+      expect(uniqueEntryName('a/b.txt', new Set())).toBe('a_b.txt');
+    });
+  });
+});
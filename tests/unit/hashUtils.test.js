@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  generateSHA256FromBuffer,
+  generateSHA256FromStream,
+  generateSHA256FromFile,
+  createHashingStream,
+  verifyHash,
+  verifyFileHash,
+  generateFileId,
+  generateRawCid,
+  isValidSHA256,
+  isValidCid,
+  secureCompare
+} = require('../../src/utils/hashUtils');
+
+const HELLO_WORLD_SHA256 = 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9';
+
+describe('hashUtils', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dfm-hash-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('generateSHA256FromBuffer', () => {
+    it('hashes a buffer to lowercase hex', () => {
+      expect(generateSHA256FromBuffer(Buffer.from('hello world'))).toBe(HELLO_WORLD_SHA256);
+    });
+  });
+
+  describe('generateSHA256FromStream', () => {
+    it('matches the buffer hash', async () => {
+      const stream = Readable.from([Buffer.from('hello '), Buffer.from('world')]);
+      await expect(generateSHA256FromStream(stream)).resolves.toBe(HELLO_WORLD_SHA256);
+    });
+  });
+
+  describe('generateSHA256FromFile / verifyFileHash', () => {
+    it('hashes a file on disk', async () => {
+      const filePath = path.join(tmpDir, 'hello.txt');
+      fs.writeFileSync(filePath, 'hello world');
+
+      await expect(generateSHA256FromFile(filePath)).resolves.toBe(HELLO_WORLD_SHA256);
+      await expect(verifyFileHash(filePath, HELLO_WORLD_SHA256.toUpperCase())).resolves.toBe(true);
+    });
+
+    it('rejects for a missing file', async () => {
+      await expect(generateSHA256FromFile(path.join(tmpDir, 'missing'))).rejects.toThrow('Failed to read stream for hashing');
+      await expect(verifyFileHash(path.join(tmpDir, 'missing'), HELLO_WORLD_SHA256)).resolves.toBe(false);
+    });
+  });
+
+  describe('createHashingStream', () => {
+    it('passes data through while hashing and counting it', async () => {
+      const hashingStream = createHashingStream();
+      const chunks = [];
+
+      await pipeline(
+        Readable.from([Buffer.from('hello '), Buffer.from('world')]),
+        hashingStream,
+        async function (source) {
+          for await (const chunk of source) chunks.push(chunk);
+        }
+      );
+
+      expect(Buffer.concat(chunks).toString()).toBe('hello world');
+      expect(hashingStream.getResult()).toEqual({ sha256Hash: HELLO_WORLD_SHA256, size: 11 });
+    });
+  });
+
+  describe('verifyHash', () => {
+    it('accepts a matching hash regardless of case', () => {
+      expect(verifyHash(Buffer.from('hello world'), HELLO_WORLD_SHA256.toUpperCase())).toBe(true);
+    });
+
+    it('rejects a different hash', () => {
+      expect(verifyHash(Buffer.from('hello world!'), HELLO_WORLD_SHA256)).toBe(false);
+    });
+  });
+
+  describe('generateFileId', () => {
+    it('returns unique 32-character hex IDs', () => {
+      const first = generateFileId('a.txt', 'alice');
+      const second = generateFileId('a.txt', 'alice');
+
+      expect(first).toMatch(/^[a-f0-9]{32}$/);
+      expect(first).not.toBe(second);
+    });
+  });
+
+  describe('generateRawCid', () => {
+    it('builds the raw CIDv1 IPFS assigns to small content', () => {
+      expect(generateRawCid(HELLO_WORLD_SHA256)).toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    });
+  });
+
+  describe('isValidSHA256', () => {
+    it('validates the hash format', () => {
+      expect(isValidSHA256(HELLO_WORLD_SHA256)).toBe(true);
+      expect(isValidSHA256('abc')).toBe(false);
+      expect(isValidSHA256(null)).toBe(false);
+    });
+  });
+
+  describe('isValidCid', () => {
+    it('accepts CIDv0 and base32 CIDv1', () => {
+      expect(isValidCid('QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG')).toBe(true);
+      expect(isValidCid(generateRawCid(HELLO_WORLD_SHA256))).toBe(true);
+      expect(isValidCid('bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi')).toBe(true);
+    });
+
+    it('rejects anything else', () => {
+      expect(isValidCid('Qm123')).toBe(false);
+      expect(isValidCid('bafy')).toBe(false);
+      expect(isValidCid('/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG')).toBe(false);
+      expect(isValidCid(undefined)).toBe(false);
+    });
+  });
+
+  describe('secureCompare', () => {
+    it('compares hex hashes', () => {
+      expect(secureCompare(HELLO_WORLD_SHA256, HELLO_WORLD_SHA256)).toBe(true);
+      expect(secureCompare(HELLO_WORLD_SHA256, '0'.repeat(64))).toBe(false);
+      expect(secureCompare(HELLO_WORLD_SHA256, 'abc')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { sniffMimeType, DEFAULT_MIME_TYPE } = require('../../src/utils/mimeUtils');
+
+describe('mimeUtils', () => {
+  describe('sniffMimeType', () => {
+    it('recognizes formats by their leading bytes', () => {
+      expect(sniffMimeType(Buffer.from('%PDF-1.7\n...'))).toBe('application/pdf');
+      expect(sniffMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe('image/png');
+      expect(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+      expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+      expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WAVEfmt '))).toBe('audio/wav');
+      expect(sniffMimeType(Buffer.from([0x1f, 0x8b, 0x08, 0x00]))).toBe('application/gzip');
+    });
+
+    it('prefers the content over a misleading extension', () => {
+      expect(sniffMimeType(Buffer.from('%PDF-1.7'), 'notes.txt')).toBe('application/pdf');
+    });
+
+    it('uses the extension to name zip-based formats', () => {
+      const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+      expect(sniffMimeType(zip, 'report.docx')).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      expect(sniffMimeType(zip, 'bundle.bin')).toBe('application/zip');
+    });
+
+    it('tells text types apart by extension, and spots JSON', () => {
+      expect(sniffMimeType(Buffer.from('# Title'), 'README.md')).toBe('text/markdown');
+      expect(sniffMimeType(Buffer.from('a,b\n1,2\n'), 'data.csv')).toBe('text/csv');
+      expect(sniffMimeType(Buffer.from('{"ok": true}'))).toBe('application/json');
+      expect(sniffMimeType(Buffer.from('[1, 2'))).toBe('text/plain');
+      expect(sniffMimeType(Buffer.from('héllo wörld'))).toBe('text/plain');
+    });
+
+    it('falls back to octet-stream for unknown binary content', () => {
+      expect(sniffMimeType(Buffer.from([0x00, 0x01, 0x02, 0x03]), 'data.txt')).toBe(DEFAULT_MIME_TYPE);
+      expect(sniffMimeType(Buffer.alloc(0))).toBe(DEFAULT_MIME_TYPE);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  buildCursorCondition,
+  paginateResults
+} = require('../../src/utils/paginationUtils');
+
+const ID = '65f1a2b3c4d5e6f708192a3b';
+const OPTIONS = { sortFields: ['createdAt', 'originalFileName'], defaultSortBy: 'createdAt' };
+
+describe('paginationUtils', () => {
+  describe('encodeCursor / decodeCursor', () => {
+    it('round-trips dates, strings, numbers and missing values', () => {
+      const date = new Date('2024-05-01T10:00:00.000Z');
+
+      for (const value of [date, 'report.pdf', 2.75, null]) {
+        const cursor = encodeCursor({ sortBy: 'createdAt', sortOrder: -1 }, value, ID);
+
+        expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(decodeCursor(cursor)).toEqual({ sortBy: 'createdAt', sortOrder: -1, value, id: ID });
+      }
+    });
+
+    it('rejects tampered cursors', () => {
+      const forge = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      expect(decodeCursor('not a cursor').error).toBeDefined();
+      expect(decodeCursor(forge({ s: 'createdAt', o: -1, v: { $gt: '' }, i: ID })).error).toBeDefined();
+      expect(decodeCursor(forge({ s: 'createdAt', o: -1, v: 'x', i: { $ne: null } })).error).toBeDefined();
+      expect(decodeCursor(forge({ s: 'createdAt', o: 0, v: 'x', i: ID })).error).toBeDefined();
+    });
+  });
+
+  describe('parsePagination', () => {
+    it('applies defaults', () => {
+      expect(parsePagination({}, OPTIONS)).toEqual({ limit: 10, sortBy: 'createdAt', sortOrder: -1, cursor: null });
+    });
+
+    it('validates limit, sort field, order and page', () => {
+      expect(parsePagination({ limit: '0' }, OPTIONS).error).toMatch(/limit/);
+      expect(parsePagination({ limit: '101' }, OPTIONS).error).toMatch(/limit/);
+      expect(parsePagination({ limit: '5abc' }, OPTIONS).error).toMatch(/limit/);
+      expect(parsePagination({ limit: ['5', '6'] }, OPTIONS).error).toMatch(/limit/);
+      expect(parsePagination({ sortBy: 'versions' }, OPTIONS).error).toMatch(/sortBy/);
+      expect(parsePagination({ sortBy: { $gt: '' } }, OPTIONS).error).toMatch(/sortBy/);
+      expect(parsePagination({ sortOrder: 'toString' }, OPTIONS).error).toMatch(/sortOrder/);
+      expect(parsePagination({ page: '2' }, OPTIONS).error).toMatch(/cursor/);
+    });
+
+    it('only accepts cursors issued for the same sort', () => {
+      const cursor = encodeCursor({ sortBy: 'createdAt', sortOrder: -1 }, new Date(0), ID);
+
+      expect(parsePagination({ cursor }, OPTIONS).cursor).toEqual({ value: new Date(0), id: ID });
+      expect(parsePagination({ cursor, sortOrder: 'asc' }, OPTIONS).error).toMatch(/different/);
+      expect(parsePagination({ cursor, sortBy: 'originalFileName' }, OPTIONS).error).toMatch(/different/);
+    });
+  });
+
+  describe('buildCursorCondition', () => {
+    it('continues after the cursor, using _id to break ties', () => {
+      expect(buildCursorCondition({ sortBy: 'originalFileName', sortOrder: 1, cursor: { value: 'b', id: ID } })).toEqual({
+        $or: [
+          { originalFileName: { $gt: 'b' } },
+          { originalFileName: 'b', _id: { $gt: ID } }
+        ]
+      });
+    });
+
+    it('places missing values after every value in descending order', () => {
+      expect(buildCursorCondition({ sortBy: 'deletedAt', sortOrder: -1, cursor: { value: 5, id: ID } }).$or)
+        .toContainEqual({ deletedAt: null });
+      expect(buildCursorCondition({ sortBy: 'deletedAt', sortOrder: -1, cursor: { value: null, id: ID } }))
+        .toEqual({ deletedAt: null, _id: { $lt: ID } });
+    });
+
+    it('returns null on the first page', () => {
+      expect(buildCursorCondition({ sortBy: 'createdAt', sortOrder: -1, cursor: null })).toBeNull();
+    });
+  });
+
+  describe('paginateResults', () => {
+    const pagination = { limit: 2, sortBy: 'name', sortOrder: 1, cursor: null };
+    const docs = ['a', 'b', 'c'].map((name, i) => ({ _id: `${ID.slice(0, -1)}${i}`, name }));
+    const valueOf = (doc) => doc.name;
+
+    it('trims the extra document and points the next cursor at the last one returned', () => {
+      const { items, pagination: page } = paginateResults(docs, pagination, valueOf);
+
+      expect(items.map(d => d.name)).toEqual(['a', 'b']);
+      expect(page.hasNext).toBe(true);
+      expect(decodeCursor(page.nextCursor)).toMatchObject({ value: 'b', id: docs[1]._id });
+    });
+
+    it('has no next cursor on the last page', () => {
+      expect(paginateResults(docs.slice(0, 2), pagination, valueOf).pagination)
+        .toEqual({ limit: 2, hasNext: false, nextCursor: null });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { hasRetentionRules, periodKey, selectPrunableVersions } = require('../../src/utils/retentionUtils');
+
+const NOW = new Date('2025-03-20T12:00:00Z');
+
+// One version per entry, uploaded at the given ISO time
+const buildVersions = (...uploadedAt) => uploadedAt.map((time, i) => ({
+  versionNumber: i + 1,
+  uploadedAt: new Date(time)
+}));
+
+const numbers = (versions) => versions.map(v => v.versionNumber);
+
+describe('retentionUtils', () => {
+  describe('hasRetentionRules', () => {
+    it('requires at least one rule', () => {
+      expect(hasRetentionRules(null)).toBe(false);
+      expect(hasRetentionRules({})).toBe(false);
+      expect(hasRetentionRules({ keepDays: 0 })).toBe(true);
+      expect(hasRetentionRules({ keepFirstPer: 'week' })).toBe(true);
+    });
+  });
+
+  describe('periodKey', () => {
+    it('groups by UTC day or by the Monday starting the week', () => {
+      expect(periodKey(new Date('2025-03-20T23:59:59Z'), 'day')).toBe('2025-03-20');
+      expect(periodKey(new Date('2025-03-20T10:00:00Z'), 'week')).toBe('2025-03-17');
+      expect(periodKey(new Date('2025-03-23T10:00:00Z'), 'week')).toBe('2025-03-17');
+      expect(periodKey(new Date('2025-03-24T00:00:00Z'), 'week')).toBe('2025-03-24');
+    });
+  });
+
+  describe('selectPrunableVersions', () => {
+    const versions = buildVersions(
+      '2025-03-01T09:00:00Z',
+      '2025-03-01T15:00:00Z',
+      '2025-03-05T09:00:00Z',
+      '2025-03-18T09:00:00Z',
+      '2025-03-19T09:00:00Z',
+      '2025-03-19T18:00:00Z'
+    );
+
+    it('keeps everything without rules', () => {
+      expect(selectPrunableVersions(versions, {}, NOW)).toEqual([]);
+    });
+
+    it('keeps the last N versions', () => {
+      expect(numbers(selectPrunableVersions(versions, { keepLast: 2 }, NOW))).toEqual([1, 2, 3, 4]);
+    });
+
+    it('keeps versions newer than D days', () => {
+      expect(numbers(selectPrunableVersions(versions, { keepDays: 7 }, NOW))).toEqual([1, 2, 3]);
+    });
+
+    it('keeps the first version of each day or week', () => {
+      expect(numbers(selectPrunableVersions(versions, { keepFirstPer: 'day' }, NOW))).toEqual([2]);
+      expect(numbers(selectPrunableVersions(versions, { keepFirstPer: 'week' }, NOW))).toEqual([2, 5]);
+    });
+
+    it('keeps a version when any rule keeps it', () => {
+      expect(numbers(selectPrunableVersions(versions, { keepLast: 2, keepFirstPer: 'week' }, NOW))).toEqual([2]);
+    });
+
+    it('never prunes the current or protected versions', () => {
+      const withProtected = versions.map(v => ({ ...v, protected: v.versionNumber === 2 }));
+
+      expect(numbers(selectPrunableVersions(withProtected, { keepLast: 1 }, NOW))).toEqual([1, 3, 4, 5]);
+      expect(numbers(selectPrunableVersions(buildVersions('2020-01-01T00:00:00Z'), { keepDays: 0 }, NOW))).toEqual([]);
+    });
+
+    it('rejects rules that would keep nothing instead of pruning everything', () => {
+      expect(() => selectPrunableVersions(versions, { keepLast: 0 }, NOW)).toThrow(/keepLast must be a whole number of at least 1/);
+      expect(() => selectPrunableVersions(versions, { keepLast: 1.5, keepFirstPer: 'week' }, NOW)).toThrow(/keepLast/);
+      expect(() => selectPrunableVersions(versions, { keepDays: -1 }, NOW)).toThrow(/keepDays must be a non-negative number/);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  tokenize,
+  escapeRegex,
+  parseSearchQuery,
+  buildSearchConditions,
+  buildFileSearch,
+  highlightText
+} = require('../../src/utils/searchUtils');
+
+describe('searchUtils', () => {
+  describe('tokenize', () => {
+    it('splits on anything but letters and digits', () => {
+      expect(tokenize('Annual-Report_2024.pdf')).toEqual(['annual', 'report', '2024', 'pdf']);
+      expect(tokenize('Café über')).toEqual(['café', 'über']);
+    });
+  });
+
+  describe('escapeRegex', () => {
+    it('escapes every metacharacter', () => {
+      const pattern = '(a+)+$[x]{2}.*?|\\';
+
+      expect(new RegExp(`^${escapeRegex(pattern)}$`).test(pattern)).toBe(true);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('separates words, phrases, prefixes and exclusions', () => {
+      expect(parseSearchQuery('Quarterly "Annual Report" budg* -draft -"old copy"')).toEqual({
+        terms: ['quarterly'],
+        phrases: ['annual report'],
+        prefixes: ['budg'],
+        excluded: ['draft', 'old copy']
+      });
+    });
+
+    it('treats regex syntax as plain words', () => {
+      expect(parseSearchQuery('(a+)+$ ^.*')).toEqual({ terms: ['a'], phrases: [], prefixes: [], excluded: [] });
+    });
+
+    it('rejects queries that cannot be searched', () => {
+      expect(parseSearchQuery('-draft').error).toBeDefined();
+      expect(parseSearchQuery('a*').error).toBeDefined();
+      expect(parseSearchQuery('x'.repeat(257)).error).toBeDefined();
+      expect(parseSearchQuery(['a']).error).toBeDefined();
+    });
+  });
+
+  describe('buildSearchConditions', () => {
+    it('uses the text index for words and phrases', () => {
+      const { text, conditions } = buildSearchConditions(parseSearchQuery('report "annual report" budg* -draft'));
+
+      expect(text).toEqual({ $search: 'report "annual report" -draft' });
+      expect(conditions).toEqual([{ searchTerms: { $regex: '^budg' } }]);
+    });
+
+    it('applies exclusions without the text index for prefix-only queries', () => {
+      const { text, conditions } = buildSearchConditions(parseSearchQuery('rep* -draft'));
+
+      expect(text).toBeNull();
+      expect(conditions).toEqual([
+        { searchTerms: { $regex: '^rep' } },
+        { searchTerms: { $nin: ['draft'] } }
+      ]);
+    });
+  });
+
+  describe('buildFileSearch', () => {
+    it('combines the query, owner, tags and attribute filters', () => {
+      const { text, conditions, parsedQuery } = buildFileSearch({
+        query: 'report',
+        owner: 'alice',
+        tags: 'q1, draft',
+        attr: { project: 'apollo' }
+      });
+
+      expect(text).toEqual({ $search: 'report' });
+      expect(parsedQuery.terms).toEqual(['report']);
+      expect(conditions).toEqual([
+        { owner: 'alice' },
+        { tags: { $in: ['q1', 'draft'] } },
+        { 'attributes.project': { $in: ['apollo'] } }
+      ]);
+    });
+
+    it('rejects empty criteria and operator objects', () => {
+      expect(buildFileSearch({}).error).toMatch(/At least one/);
+      expect(buildFileSearch({ owner: { $ne: null } }).error).toMatch(/strings/);
+      expect(buildFileSearch({ attr: 'x' }).error).toBeDefined();
+    });
+  });
+
+  describe('highlightText', () => {
+    it('marks words, stems, prefixes and phrases', () => {
+      const parsed = parseSearchQuery('report "q3 figures" budg*');
+
+      expect(highlightText('Reports on Q3 figures and budgets', parsed))
+        .toBe('<mark>Reports</mark> on <mark>Q3 figures</mark> and <mark>budgets</mark>');
+    });
+
+    it('marks phrases where they are, even after characters that lowercase to more', () => {
+      expect(highlightText('İstanbul Q3 Figures', parseSearchQuery('"q3 figures"')))
+        .toBe('İstanbul <mark>Q3 Figures</mark>');
+    });
+
+    it('escapes HTML and trims long text around the first match', () => {
+      const text = `${'a '.repeat(100)}<b>report</b> ${'z '.repeat(100)}`;
+      const snippet = highlightText(text, parseSearchQuery('report'));
+
+      expect(snippet).toMatch(/^….*&lt;b&gt;<mark>report<\/mark>&lt;\/b&gt;.*…$/);
+      expect(snippet).not.toContain('<b>');
+    });
+
+    it('returns null without a match', () => {
+      expect(highlightText('nothing here', parseSearchQuery('report'))).toBeNull();
+    });
+  });
+});